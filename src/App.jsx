@@ -2,236 +2,615 @@ import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   PlusCircle,
   LayoutDashboard,
-  Wallet,
+  Settings as SettingsIcon,
   TrendingUp,
   TrendingDown,
+  AlertTriangle,
   Save,
   PieChart,
-  DollarSign,
   ArrowUpRight,
   ArrowDownLeft,
   Trash2,
   Loader2,
+  X,
+  RefreshCw,
+  Repeat,
+  Upload,
+  Wallet,
+  ArrowLeftRight,
+  Scale,
+  Search,
+  Users,
+  BarChart3,
+  Split,
+  HandCoins,
+  ScrollText,
 } from "lucide-react";
-import { initializeApp } from "firebase/app";
 import {
-  getAuth,
-  onAuthStateChanged,
-  signInWithCustomToken,
-  createUserWithEmailAndPassword,
-  signInWithEmailAndPassword,
+  whenSynced,
+  addTransaction,
+  updateTransaction,
+  deleteTransaction as removeTransaction,
+  restoreTransaction,
+  subscribeTransactions,
+  rebuildSummaries,
+} from "./services/data";
+import {
+  watchAuth,
+  signInWithInitialToken,
+  register,
+  signIn,
+  sendPasswordReset,
   signOut,
-  connectAuthEmulator
-} from "firebase/auth";
+} from "./services/auth";
+import { authErrorMessage } from "./lib/authErrors";
+import { totalsFromSummaries } from "./lib/summaries";
+import { categoryTree, categoryStyle } from "./lib/categories";
+import { OVERALL_BUDGET, monthBudgets, budgetAlerts } from "./lib/budgets";
 import {
-  getFirestore,
-  collection,
-  addDoc,
-  deleteDoc,
-  doc,
-  onSnapshot,
-  query,
-  orderBy,
-  limit,
-  connectFirestoreEmulator
-} from "firebase/firestore";
-
-// --- FIREBASE SETUP ---
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-};
-
-const appId = import.meta.env.VITE_APP_ID || "default-app-id";
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-
-// Optional: connect to emulators when developing locally
-if (location.hostname === "localhost") {
-  try {
-    // connectAuthEmulator(auth, "http://localhost:9099");
-    // connectFirestoreEmulator(db, "localhost", 8080);
-  } catch (e) {
-    // ignore if emulators not running
-  }
-}
+  sortAccounts,
+  primaryAccountId,
+  accountBalances,
+  accountName,
+} from "./lib/accounts";
+import {
+  makeFormatter,
+  currencySymbol,
+  rateFor,
+  amountFields,
+  isForeign,
+  CURRENCIES,
+} from "./lib/currency";
+import Reports from "./components/Reports";
+import Categories from "./components/Categories";
+import CategoryBadge from "./components/CategoryBadge";
+import Budgets from "./components/Budgets";
+import BudgetBar from "./components/BudgetBar";
+import Recurring from "./components/Recurring";
+import Import from "./components/Import";
+import DataTools from "./components/DataTools";
+import Settings from "./components/Settings";
+import Accounts from "./components/Accounts";
+import History from "./components/History";
+import SyncBadge from "./components/SyncBadge";
+import Household from "./components/Household";
+import Trash from "./components/Trash";
+import Debts from "./components/Debts";
+import Loans from "./components/Loans";
+import Goals from "./components/Goals";
+import TagInput from "./components/TagInput";
+import QuickEntry from "./components/QuickEntry";
+import Reimbursables from "./components/Reimbursables";
+import Account from "./components/Account";
+import AuditTrail from "./components/AuditTrail";
+import Activity from "./components/Activity";
+import Forecast from "./components/Forecast";
+import {
+  canContribute,
+  canManage,
+  canEditEntry,
+  canPurgeEntry,
+  memberName,
+} from "./lib/household";
+import { todayISO } from "./lib/reports";
+import { buildForecast } from "./lib/forecast";
+import {
+  categoryShares,
+  donutSlices,
+  monthlySeries,
+  balanceTrend,
+  monthRange,
+} from "./lib/charts";
+import { DEFAULT_FILTERS } from "./lib/history";
+import { savedByGoal } from "./lib/goals";
+import { DEBT, debtFlow, debtLabel, debtLedger, debtTotals } from "./lib/debts";
+import { rankTags, tagsOf } from "./lib/tags";
+import { SPLIT_CATEGORY, isSplit, splitFields, splitProblem, splitRemainder } from "./lib/splits";
+import { DonutChart, MonthlyBars, TrendLine, ForecastLine } from "./components/Charts";
+import { useHousehold } from "./hooks/useHousehold";
+import { useLedgerData } from "./hooks/useLedgerData";
+import { useLedgerUpkeep } from "./hooks/useLedgerUpkeep";
+import { useAutoContributions } from "./hooks/useAutoContributions";
 
-// Replace with your allowed UID (you provided earlier)
-const ALLOWED_UID = "0FLYhVwhNmbLs74TSB7euU5mCIy2";
-
-const CATEGORIES = {
-  Debit: [
-    "Food",
-    "Rent",
-    "EMI",
-    "Travel",
-    "Bills",
-    "Entertainment",
-    "Health",
-    "Shopping",
-  ],
-  Credit: ["Salary", "Freelance", "Refunds", "Investment", "Gift"],
-};
+const PAGE_SIZE = 50;
+
+const BREAKDOWN_TYPES = [
+  ["Debit", "Expenses"],
+  ["Credit", "Income"],
+];
 
 export default function App() {
   const [user, setUser] = useState(null);
-  const [activeTab, setActiveTab] = useState("dashboard");
+  // Shared history links (?view=history&...) open straight on that screen.
+  const [activeTab, setActiveTab] = useState(() =>
+    new URLSearchParams(window.location.search).get("view") === "history"
+      ? "history"
+      : "dashboard"
+  );
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Filters History opens with when drilled into from a chart; null means
+  // whatever the address bar says.
+  const [historyFilters, setHistoryFilters] = useState(null);
+  const [breakdownType, setBreakdownType] = useState("Debit");
+  const [pageCount, setPageCount] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const listEndRef = useRef(null);
 
   // Form State
   const [amount, setAmount] = useState("");
+  const [currency, setCurrency] = useState(null);
+  const [rate, setRate] = useState("");
   const [type, setType] = useState("Debit");
   const [category, setCategory] = useState("Food");
+  const [subcategory, setSubcategory] = useState("");
+  // Category lines of a split entry ({ category, subcategory, amount } as
+  // typed, in the entry currency); null for a single-category entry.
+  const [splits, setSplits] = useState(null);
+  const [date, setDate] = useState(todayISO);
+  const [note, setNote] = useState("");
+  const [payee, setPayee] = useState("");
+  const [tags, setTags] = useState([]);
+  // Expenses only: someone else owes this back.
+  const [reimbursable, setReimbursable] = useState(false);
+  const [accountId, setAccountId] = useState(null);
+  const [toAccountId, setToAccountId] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  // The record as it was when editing started; it may be older than the
+  // loaded page when opened from History.
+  const editingRecord = useRef(null);
   const [notification, setNotification] = useState(null);
 
   // Auth UI state
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [authLoading, setAuthLoading] = useState(false);
+  // "signin", or "reset" while asking for a password reset link.
+  const [authMode, setAuthMode] = useState("signin");
+  // Set once a verification is confirmed this session; Firebase updates
+  // the user object in place, which React doesn't see.
+  const [verifiedUid, setVerifiedUid] = useState(null);
   const notifTimer = useRef(null);
 
   // 1. Authentication (Runs once) — no anonymous auto sign-in anymore
   useEffect(() => {
     // If you have a server-issued custom token and want to use it automatically,
     // set VITE_INITIAL_AUTH_TOKEN in env and it will be used here.
-    const init = async () => {
-      try {
-        const token = import.meta.env.VITE_INITIAL_AUTH_TOKEN;
-        if (token) {
-          await signInWithCustomToken(auth, token);
-        }
-      } catch (err) {
-        console.error("Auth init error:", err);
-      }
-    };
-    init();
+    signInWithInitialToken().catch((err) => console.error("Auth init error:", err));
 
-    const unsub = onAuthStateChanged(auth, (currentUser) => {
+    const unsub = watchAuth((currentUser) => {
       setUser(currentUser);
       setLoading(false);
+      // Writes queued offline before a reload are still in the cache; the
+      // sync badge shows them as pending until they go out.
+      if (currentUser) {
+        whenSynced().catch((err) => console.error("Sync wait error:", err));
+      }
     });
     return () => unsub();
   }, []);
 
-  // 2. Data Sync (Runs when user changes)
+  // { ledgerId, role } once it is known which ledger the user works in.
+  const { household, invite } = useHousehold(user);
+
+  const emailVerified = !!user && (user.emailVerified || verifiedUid === user.uid);
+
+  const ledgerId = household?.ledgerId;
+  const role = household?.role;
+  const manager = canManage(role);
+
+  const {
+    summaries,
+    categories,
+    budgets,
+    templates,
+    categoryRules,
+    importProfiles,
+    preferences,
+    exchangeRates,
+    accounts,
+    historyPresets,
+    members,
+    debtEntries,
+    goals,
+    goalContributions,
+    recentHistory,
+  } = useLedgerData(ledgerId);
+
+  // 2. Data Sync (Runs when user changes or more pages are requested).
+  // The list grows a page at a time; the listener stays live over all of it.
   useEffect(() => {
-    if (!user) {
+    if (!ledgerId) {
       setTransactions([]);
+      setPageCount(1);
       return;
     }
 
-    const q = query(
-      collection(db, "artifacts", appId, "users", user.uid, "transactions"),
-      orderBy("createdAt", "desc"),
-      limit(100)
-    );
-
-    const unsubscribe = onSnapshot(
-      q,
-      (snapshot) => {
-        const data = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-        setTransactions(data);
+    const unsubscribe = subscribeTransactions(
+      ledgerId,
+      pageCount * PAGE_SIZE,
+      (rows) => {
+        setTransactions(rows);
+        setHasMore(rows.length === pageCount * PAGE_SIZE);
+        setLoadingMore(false);
       },
       (err) => {
         console.error("Data fetch error:", err);
         showNotification("Error fetching data");
+        setLoadingMore(false);
       }
     );
 
     return () => unsubscribe();
-  }, [user]);
+  }, [ledgerId, pageCount]);
+
+  const { homeCurrency, locale } = preferences;
+  const formatMoney = useMemo(
+    () => makeFormatter(locale, homeCurrency),
+    [locale, homeCurrency]
+  );
+  // The form's currency; null means the home currency.
+  const entryCurrency = currency || homeCurrency;
+  const formCurrencies = useMemo(
+    () => [
+      homeCurrency,
+      ...Object.keys(exchangeRates).filter((c) => c !== homeCurrency),
+      ...(currency && currency !== homeCurrency && !(currency in exchangeRates)
+        ? [currency]
+        : []),
+    ],
+    [homeCurrency, exchangeRates, currency]
+  );
+
+  const selectCurrency = (code) => {
+    setCurrency(code === homeCurrency ? null : code);
+    setRate(String(rateFor(exchangeRates, code, homeCurrency) ?? ""));
+  };
+
+  const formCategories = useMemo(() => {
+    const tree = categoryTree(categories, type);
+    // A record being edited may use an archived or deleted category; keep it
+    // selectable so saving does not silently change it.
+    if (category && !tree.some((c) => c.name === category)) {
+      return [...tree, { id: `current-${category}`, name: category, children: [] }];
+    }
+    return tree;
+  }, [categories, type, category]);
+
+  const selectedCategory = formCategories.find((c) => c.name === category);
+
+  const selectType = (nextType) => {
+    setType(nextType);
+    setCategory(categoryTree(categories, nextType)[0]?.name || "");
+    setSubcategory("");
+    setSplits(null);
+    if (nextType !== "Debit") setReimbursable(false);
+  };
+
+  // Fills the form from a quick entry (see lib/quickEntry.js); saving
+  // still goes through the form. Payee, account and tags are kept.
+  const applyQuickEntry = (entry) => {
+    selectType(entry.type);
+    if (entry.category) {
+      setCategory(entry.category);
+      setSubcategory(entry.subcategory || "");
+    }
+    setAmount(String(entry.amount));
+    setDate(entry.date);
+    setNote(entry.note);
+  };
+
+  const emptyLine = { category: "", subcategory: "", amount: "" };
+
+  // Splitting starts from the chosen category holding the whole amount, plus
+  // an empty line to move part of it to.
+  const toggleSplit = () =>
+    setSplits(splits ? null : [{ category, subcategory, amount }, emptyLine]);
+
+  // Positive while part of the total is unassigned, negative when the
+  // lines overshoot it.
+  const splitLeft = splits ? splitRemainder(amount, splits) : 0;
+
+  const setLine = (index, changes) =>
+    setSplits((lines) => lines.map((l, i) => (i === index ? { ...l, ...changes } : l)));
+
+  const primaryId = primaryAccountId(accounts, preferences.defaultAccountId);
+  const activeAccounts = useMemo(
+    () => sortAccounts(accounts.filter((a) => !a.archived)),
+    [accounts]
+  );
+  // The form's account; null means the primary account.
+  const entryAccountId = accountId || primaryId;
+
+  // Infinite scroll: request the next page when the end of the list shows.
+  useEffect(() => {
+    const target = listEndRef.current;
+    if (!target || !hasMore) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !loadingMore) {
+        setLoadingMore(true);
+        setPageCount((n) => n + 1);
+      }
+    });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, activeTab]);
 
   // Calculations
-  const stats = useMemo(() => {
-    const totalCredit = transactions
-      .filter((t) => t.type === "Credit")
-      .reduce((acc, curr) => acc + Number(curr.amount || 0), 0);
+  const stats = useMemo(() => totalsFromSummaries(summaries), [summaries]);
+
+  const balances = useMemo(
+    () => accountBalances(accounts, stats.accountNet, primaryId),
+    [accounts, stats.accountNet, primaryId]
+  );
+
+  const summariesByMonth = useMemo(
+    () => Object.fromEntries(summaries.map((s) => [s.month, s])),
+    [summaries]
+  );
+
+  const budgetStatus = useMemo(
+    () => monthBudgets(budgets, categories, summariesByMonth, todayISO().slice(0, 7)),
+    [budgets, categories, summariesByMonth]
+  );
+
+  const breakdown = useMemo(
+    () => categoryShares(stats.byType[breakdownType]),
+    [stats, breakdownType]
+  );
+  const donut = useMemo(
+    () =>
+      donutSlices(breakdown.rows).map((s) => ({
+        ...s,
+        color: categoryStyle(categories, breakdownType, s.name).color,
+      })),
+    [breakdown, categories, breakdownType]
+  );
+
+  const thisMonth = todayISO().slice(0, 7);
+  const monthly = useMemo(
+    () => monthlySeries(summariesByMonth, thisMonth),
+    [summariesByMonth, thisMonth]
+  );
+  const openingTotal = accounts.reduce((sum, a) => sum + Number(a.openingBalance || 0), 0);
+  const trend = useMemo(
+    () => balanceTrend(summaries, openingTotal, thisMonth),
+    [summaries, openingTotal, thisMonth]
+  );
+  // Money across all accounts now, where the forecast starts from.
+  const currentBalance = trend.at(-1)?.balance ?? openingTotal;
+  const lowBalance = Number(preferences.lowBalance || 0);
+  const forecast = useMemo(
+    () =>
+      buildForecast({
+        balance: currentBalance,
+        today: todayISO(),
+        transactions: recentHistory,
+        templates,
+        threshold: lowBalance,
+      }),
+    [currentBalance, recentHistory, templates, lowBalance]
+  );
+
+  // Who made a change, as the audit log names them. The owner, whose
+  // ledger it is, has no member document.
+  const nameOf = (uid) =>
+    uid === user?.uid ? "you" : uid === ledgerId ? "the owner" : memberName(members, uid);
 
-    const totalDebit = transactions
-      .filter((t) => t.type === "Debit")
-      .reduce((acc, curr) => acc + Number(curr.amount || 0), 0);
+  const openHistory = (filters = null) => {
+    setHistoryFilters(filters && { ...DEFAULT_FILTERS, ...filters });
+    setActiveTab("history");
+  };
+
+  const setAside = useMemo(
+    () => Object.values(savedByGoal(goalContributions || [])).reduce((sum, v) => sum + v, 0),
+    [goalContributions]
+  );
 
-    const savings = totalCredit - totalDebit;
+  // From the summaries, so tags last used long ago are suggested too.
+  const tagSuggestions = useMemo(() => rankTags(stats.tagCounts), [stats.tagCounts]);
 
-    const byCategory = transactions.reduce((acc, curr) => {
-      if (!acc[curr.category]) acc[curr.category] = 0;
-      acc[curr.category] += Number(curr.amount || 0);
-      return acc;
-    }, {});
+  const debts = useMemo(() => debtTotals(debtLedger(debtEntries || [])), [debtEntries]);
 
-    return { totalCredit, totalDebit, savings, byCategory };
-  }, [transactions]);
+  const budgetIdFor = (name) =>
+    categories.find((c) => c.type === "Debit" && !c.parentId && c.name === name)?.id;
 
-  const handleAddTransaction = async (e) => {
+  const handleRecalculate = async () => {
+    if (!ledgerId) return;
+    try {
+      const count = await rebuildSummaries(ledgerId);
+      showNotification(`Totals recalculated from ${count} records`);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error recalculating totals");
+    }
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setCategory(categoryTree(categories, type)[0]?.name || category);
+    setSubcategory("");
+    setSplits(null);
+    setAmount("");
+    setCurrency(null);
+    setRate("");
+    setDate(todayISO());
+    setNote("");
+    setPayee("");
+    setTags([]);
+    setReimbursable(false);
+    setAccountId(null);
+    setToAccountId("");
+  };
+
+  // Loads an existing record into the form. Older documents have no
+  // note/payee/currency, so those fall back to empty strings and home.
+  const startEdit = (t) => {
+    const foreign = isForeign(t, homeCurrency);
+    setEditingId(t.id);
+    editingRecord.current = t;
+    setType(t.type);
+    setCategory(isSplit(t) ? t.splits[0].category : t.category);
+    setSubcategory(isSplit(t) ? "" : t.subcategory || "");
+    setSplits(
+      isSplit(t)
+        ? t.splits.map((l) => ({
+            category: l.category,
+            subcategory: l.subcategory || "",
+            amount: String((foreign ? l.originalAmount : l.amount) ?? ""),
+          }))
+        : null
+    );
+    setAmount(String((foreign ? t.originalAmount : t.amount) ?? ""));
+    setCurrency(foreign ? t.currency : null);
+    setRate(foreign ? String(t.rate) : "");
+    setDate(t.date || todayISO());
+    setNote(t.note || "");
+    setPayee(t.payee || "");
+    setTags(tagsOf(t));
+    setReimbursable(!!t.reimbursable);
+    setAccountId(t.accountId || null);
+    setToAccountId(t.toAccountId || "");
+    setActiveTab("add");
+  };
+
+  const cancelEdit = () => {
+    resetForm();
+    setActiveTab("dashboard");
+  };
+
+  const handleAddTransaction = (e) => {
     e.preventDefault();
     if (!amount || !user) return;
+    if (entryCurrency !== homeCurrency && !(Number(rate) > 0)) {
+      showNotification(`Enter a ${entryCurrency} → ${homeCurrency} rate`);
+      return;
+    }
+    const isTransfer = type === "Transfer";
+    if (isTransfer && (!toAccountId || toAccountId === entryAccountId)) {
+      showNotification("Pick two different accounts");
+      return;
+    }
+    const splitting = !isTransfer && !!splits;
+    const problem = splitting && splitProblem(amount, splits);
+    if (problem) {
+      showNotification(problem);
+      return;
+    }
 
-    const newTransaction = {
+    const previous = editingId
+      ? transactions.find((t) => t.id === editingId) || editingRecord.current
+      : null;
+    const money = amountFields(amount, entryCurrency, Number(rate), homeCurrency);
+    const owedBack = type === "Debit" && reimbursable;
+    const fields = {
       type,
-      category,
-      amount: Number(amount),
-      date: new Date().toISOString().split("T")[0],
-      createdAt: Date.now(),
+      category: isTransfer ? "Transfer" : splitting ? SPLIT_CATEGORY : category,
+      subcategory: isTransfer || splitting ? null : subcategory || null,
+      splits: splitting ? splitFields(splits, money) : null,
+      ...money,
+      accountId: entryAccountId || null,
+      ...(isTransfer && { toAccountId }),
+      date: date || todayISO(),
+      note: note.trim(),
+      payee: payee.trim(),
+      tags: isTransfer ? [] : tags,
+      reimbursable: owedBack,
+      // Editing keeps the day it was paid back.
+      reimbursedOn: owedBack ? previous?.reimbursedOn || null : null,
     };
 
-    try {
-      await addDoc(
-        collection(db, "artifacts", appId, "users", user.uid, "transactions"),
-        newTransaction
-      );
-      setAmount("");
-      showNotification("Saved to cloud!");
-      setActiveTab("dashboard");
-    } catch (err) {
+    // Worked out before saving, while the summaries still hold the old totals.
+    const alerts = budgetAlerts({
+      budgets,
+      categories,
+      summariesByMonth,
+      previous,
+      next: fields,
+    });
+
+    // Not awaited: the write lands in the local cache at once and, offline,
+    // only resolves once it reaches the server. The header badge tracks it.
+    const saving = editingId
+      ? updateTransaction(ledgerId, previous, { ...fields, updatedAt: Date.now() })
+      : addTransaction(ledgerId, { ...fields, createdAt: Date.now() });
+    saving.catch((err) => {
       console.error(err);
       showNotification("Error saving data");
+    });
+
+    if (alerts.length) {
+      const { name, threshold, spent, limit } = alerts[0];
+      const label = name ?? "Overall";
+      showNotification(
+        threshold === 1
+          ? `${label} budget exceeded: ${formatMoney(spent)} of ${formatMoney(limit)}`
+          : `${label} budget at ${Math.round((spent / limit) * 100)}%`
+      );
+    } else if (!navigator.onLine) {
+      showNotification("Saved offline — will sync when back online");
+    } else {
+      showNotification(editingId ? "Changes saved" : "Saved to cloud!");
     }
+    resetForm();
+    setActiveTab("dashboard");
   };
 
-  const deleteTransaction = async (id) => {
-    if (!user) return;
-    try {
-      await deleteDoc(
-        doc(db, "artifacts", appId, "users", user.uid, "transactions", id)
-      );
-      showNotification("Deleted");
-    } catch (err) {
+  // Deleting only moves the record to the trash, so a mis-tap is one Undo
+  // away.
+  const deleteTransaction = (t) => {
+    if (!ledgerId) return;
+    const failed = (message) => (err) => {
       console.error(err);
-      showNotification("Error deleting");
-    }
+      showNotification(message);
+    };
+    removeTransaction(ledgerId, t).catch(failed("Error deleting"));
+    showNotification("Moved to trash", {
+      label: "Undo",
+      run: () => {
+        restoreTransaction(ledgerId, t).catch(failed("Error restoring"));
+        showNotification("Restored");
+      },
+    });
   };
 
-  const showNotification = (msg) => {
-    setNotification(msg);
+  // `action` ({ label, run }) adds a button to the toast and keeps it up
+  // a little longer.
+  const showNotification = (message, action = null) => {
+    setNotification({ message, action });
     clearTimeout(notifTimer.current);
-    notifTimer.current = setTimeout(() => setNotification(null), 3000);
+    notifTimer.current = setTimeout(() => setNotification(null), action ? 6000 : 3000);
   };
 
   useEffect(() => {
     return () => clearTimeout(notifTimer.current);
   }, []);
 
-  const formatMoney = (num) =>
-    new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(
-      num || 0
-    );
+  useLedgerUpkeep(ledgerId, manager, templates, showNotification);
+  useAutoContributions(
+    ledgerId,
+    canContribute(role),
+    goals,
+    goalContributions,
+    categories,
+    showNotification
+  );
 
   // ---------- AUTH UI FUNCTIONS ----------
   const handleRegister = async (e) => {
     e.preventDefault();
     setAuthLoading(true);
     try {
-      await createUserWithEmailAndPassword(auth, email, password);
-      showNotification("Account created — logged in");
+      const { verificationSent } = await register(email, password);
+      showNotification(
+        verificationSent
+          ? "Account created — check your inbox to verify your email"
+          : "Account created, but the verification email couldn't be sent — resend it from your account settings"
+      );
     } catch (err) {
       console.error("Register error:", err);
-      showNotification(err.message || "Register failed");
+      showNotification(authErrorMessage(err, "Register failed"));
     } finally {
       setAuthLoading(false);
     }
@@ -241,11 +620,26 @@ export default function App() {
     e.preventDefault();
     setAuthLoading(true);
     try {
-      await signInWithEmailAndPassword(auth, email, password);
+      await signIn(email, password);
       showNotification("Signed in");
     } catch (err) {
       console.error("Sign-in error:", err);
-      showNotification(err.message || "Sign-in failed");
+      showNotification(authErrorMessage(err, "Sign-in failed"));
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setAuthLoading(true);
+    try {
+      await sendPasswordReset(email);
+      showNotification("Reset link sent — check your inbox");
+      setAuthMode("signin");
+    } catch (err) {
+      console.error("Reset error:", err);
+      showNotification(authErrorMessage(err, "Couldn't send the reset link"));
     } finally {
       setAuthLoading(false);
     }
@@ -253,7 +647,7 @@ export default function App() {
 
   const handleSignOut = async () => {
     try {
-      await signOut(auth);
+      await signOut();
       showNotification("Signed out");
     } catch (err) {
       console.error("Sign-out error:", err);
@@ -262,7 +656,7 @@ export default function App() {
   };
 
   // ---------- RENDER / GATING ----------
-  if (loading) {
+  if (loading || (user && !household)) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100 text-blue-600">
         <Loader2 className="animate-spin" size={48} />
@@ -270,68 +664,114 @@ export default function App() {
     );
   }
 
-  // Access gate — only allowed UID can see the app
-  if (!user || user.uid !== ALLOWED_UID) {
+  // Access gate — signed-in users get their own ledger, or the household
+  // ledger they joined; firestore.rules keep everyone else out of it.
+  if (!user) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50 p-6">
         <div className="w-full max-w-md bg-white p-6 rounded-xl shadow">
-          <h2 className="text-lg font-bold mb-4">Sign in</h2>
-
-          <form className="space-y-4">
-            <div>
-              <label className="block text-xs font-bold text-gray-500 uppercase mb-1">
-                Email
-              </label>
-              <input
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="w-full px-3 py-2 border rounded"
-                placeholder="you@example.com"
-              />
-            </div>
+          <h2 className="text-lg font-bold mb-4">
+            {authMode === "reset" ? "Reset password" : "Sign in"}
+          </h2>
 
-            <div>
-              <label className="block text-xs font-bold text-gray-500 uppercase mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-3 py-2 border rounded"
-                placeholder="password"
-              />
-            </div>
+          {authMode === "reset" ? (
+            <form onSubmit={handleReset} className="space-y-4">
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                  placeholder="you@example.com"
+                  required
+                />
+              </div>
 
-            <div className="flex gap-2">
               <button
-                onClick={handleSignIn}
-                className="flex-1 bg-blue-600 text-white py-2 rounded font-bold"
+                type="submit"
+                className="w-full bg-blue-600 text-white py-2 rounded font-bold"
                 disabled={authLoading}
               >
-                {authLoading ? "Signing in..." : "Sign in"}
+                {authLoading ? "Sending..." : "Send reset link"}
               </button>
 
               <button
-                onClick={handleRegister}
-                className="flex-1 bg-gray-200 text-gray-800 py-2 rounded font-bold"
-                disabled={authLoading}
+                type="button"
+                onClick={() => setAuthMode("signin")}
+                className="w-full text-xs font-bold text-blue-600"
               >
-                {authLoading ? "Please wait..." : "Register"}
+                Back to sign in
               </button>
-            </div>
+            </form>
+          ) : (
+            <form className="space-y-4">
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                  placeholder="you@example.com"
+                />
+              </div>
 
-            <p className="text-xs text-gray-400 mt-2">
-              Use the email you added in Firebase console. If you registered in the
-              console but never signed in, use the password you set there.
-            </p>
-          </form>
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-xs font-bold text-gray-500 uppercase">
+                    Password
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setAuthMode("reset")}
+                    className="text-xs font-bold text-blue-600"
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                  placeholder="password"
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSignIn}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded font-bold"
+                  disabled={authLoading}
+                >
+                  {authLoading ? "Signing in..." : "Sign in"}
+                </button>
+
+                <button
+                  onClick={handleRegister}
+                  className="flex-1 bg-gray-200 text-gray-800 py-2 rounded font-bold"
+                  disabled={authLoading}
+                >
+                  {authLoading ? "Please wait..." : "Register"}
+                </button>
+              </div>
+
+              <p className="text-xs text-gray-400 mt-2">
+                New here? Register to start your own ledger. To join a household,
+                register with the address you were invited at.
+              </p>
+            </form>
+          )}
         </div>
 
         {notification && (
           <div className="absolute top-6 left-1/2 -translate-x-1/2 bg-gray-900 text-white px-6 py-3 rounded-full shadow-xl text-sm font-medium z-50">
-            {notification}
+            {notification.message}
           </div>
         )}
       </div>
@@ -347,21 +787,51 @@ export default function App() {
           <div className="flex justify-between items-center mb-4">
             <div>
               <h1 className="text-xl font-bold opacity-90">Tracker App</h1>
-              <p className="text-blue-100 text-xs flex items-center gap-1">
-                <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse inline-block" />
-                Cloud Sync Active
-              </p>
+              <SyncBadge />
             </div>
-            <div className="h-10 w-10 bg-blue-500 rounded-full flex items-center justify-center shadow-inner">
-              <Wallet size={20} />
+            <div className="flex gap-2">
+              <button
+                onClick={() => setActiveTab("household")}
+                title="Household"
+                className="relative h-10 w-10 bg-blue-500 rounded-full flex items-center justify-center shadow-inner"
+              >
+                <Users size={20} />
+                {invite && invite.ledgerId !== ledgerId && (
+                  <span className="absolute top-1 right-1 w-2.5 h-2.5 bg-orange-400 rounded-full" />
+                )}
+              </button>
+              {manager && (
+                <button
+                  onClick={() => setActiveTab("settings")}
+                  title="Settings"
+                  className="h-10 w-10 bg-blue-500 rounded-full flex items-center justify-center shadow-inner"
+                >
+                  <SettingsIcon size={20} />
+                </button>
+              )}
             </div>
           </div>
 
           <div className="text-center">
             <p className="text-blue-200 text-sm font-medium mb-1">Total Savings</p>
             <h2 className="text-4xl font-bold">{formatMoney(stats.savings)}</h2>
+            <button
+              onClick={() => setActiveTab("goals")}
+              className="mt-1 text-xs text-blue-100 underline decoration-blue-300/50"
+            >
+              {goals?.length
+                ? `${formatMoney(setAside)} set aside for goals · ${formatMoney(
+                    stats.savings - setAside
+                  )} free`
+                : "Set a savings goal"}
+            </button>
             <div className="mt-3 text-xs text-blue-50 flex justify-center gap-2 items-center">
-              <span>{user.email || "Signed in"}</span>
+              <button
+                onClick={() => setActiveTab("account")}
+                className="underline decoration-blue-300/50"
+              >
+                {user.displayName || user.email || "Signed in"}
+              </button>
               <button
                 onClick={handleSignOut}
                 className="px-2 py-1 bg-blue-700/30 rounded text-sm"
@@ -374,6 +844,15 @@ export default function App() {
 
         {/* Content */}
         <div className="flex-1 overflow-y-auto bg-gray-50 pb-20 -mt-4 pt-6">
+          {user.email && !emailVerified && activeTab !== "account" && (
+            <button
+              onClick={() => setActiveTab("account")}
+              className="mx-5 mb-4 w-[calc(100%-2.5rem)] px-4 py-2 rounded-xl bg-orange-50 border border-orange-100 text-xs text-orange-600 text-left"
+            >
+              Please verify your email — we sent a link to {user.email}.{" "}
+              <span className="font-bold">Resend or check</span>
+            </button>
+          )}
           {activeTab === "dashboard" && (
             <div className="px-5 space-y-6">
               {/* Summary Cards */}
@@ -403,32 +882,169 @@ export default function App() {
                 </div>
               </div>
 
+              {/* IOUs */}
+              {debtEntries?.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setActiveTab("debts")}
+                  className="w-full bg-white p-4 rounded-2xl shadow-sm border border-gray-100 flex items-center gap-3 text-left"
+                >
+                  <div className="p-2 bg-blue-50 text-blue-500 rounded-full">
+                    <HandCoins size={18} />
+                  </div>
+                  <div className="flex-1 grid grid-cols-2 gap-2">
+                    <div>
+                      <p className="text-xs font-bold uppercase text-gray-400">You are owed</p>
+                      <p className="font-bold text-green-600">{formatMoney(debts.owedToYou)}</p>
+                    </div>
+                    <div>
+                      <p className="text-xs font-bold uppercase text-gray-400">You owe</p>
+                      <p className="font-bold text-red-500">{formatMoney(debts.youOwe)}</p>
+                    </div>
+                  </div>
+                </button>
+              )}
+
+              {/* Accounts */}
+              <div>
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-gray-800 font-bold flex items-center gap-2">
+                    <Wallet size={18} className="text-blue-500" />
+                    Accounts
+                  </h3>
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => setActiveTab("loans")}
+                      className="text-xs font-bold text-blue-600 px-2"
+                    >
+                      Loans
+                    </button>
+                    {manager && (
+                      <button
+                        onClick={() => setActiveTab("accounts")}
+                        className="text-xs font-bold text-blue-600 px-2"
+                      >
+                        Manage
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+                  {activeAccounts.map((a) => (
+                    <div key={a.id} className="p-4 flex justify-between items-center">
+                      <span className="text-gray-600 font-medium">{a.name}</span>
+                      <span
+                        className={`font-bold ${
+                          balances[a.id] < 0 ? "text-red-500" : "text-gray-800"
+                        }`}
+                      >
+                        {formatMoney(balances[a.id] || 0)}
+                      </span>
+                    </div>
+                  ))}
+                  {activeAccounts.length === 0 && manager && (
+                    <button
+                      onClick={() => setActiveTab("accounts")}
+                      className="w-full p-4 text-center text-gray-400 text-sm"
+                    >
+                      Add your bank accounts, cash and cards
+                    </button>
+                  )}
+                </div>
+              </div>
+
               {/* Category Breakdown */}
               <div>
-                <h3 className="text-gray-800 font-bold mb-3 flex items-center gap-2">
-                  <PieChart size={18} className="text-blue-500" />
-                  Category Breakdown
-                </h3>
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-gray-800 font-bold flex items-center gap-2">
+                    <PieChart size={18} className="text-blue-500" />
+                    Category Breakdown
+                  </h3>
+                  {manager && (
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => setActiveTab("budgets")}
+                        className="text-xs font-bold text-blue-600 px-2"
+                      >
+                        Budgets
+                      </button>
+                      <button
+                        onClick={handleRecalculate}
+                        title="Recalculate totals from all records"
+                        className="p-1.5 rounded-full text-gray-400 hover:bg-gray-100"
+                      >
+                        <RefreshCw size={14} />
+                      </button>
+                    </div>
+                  )}
+                </div>
                 <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
-                  {Object.entries(stats.byCategory).map(([cat, val], idx) => (
-                    <div
-                      key={cat}
-                      className="flex justify-between items-center p-4 border-b border-gray-50 last:border-0"
-                    >
-                      <div className="flex items-center gap-3">
-                        <div
-                          className={`w-2 h-2 rounded-full ${
-                            idx % 2 === 0 ? "bg-blue-400" : "bg-purple-400"
+                  <div className="p-4 border-b border-gray-50 space-y-4">
+                    <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+                      {BREAKDOWN_TYPES.map(([id, label]) => (
+                        <button
+                          key={id}
+                          onClick={() => setBreakdownType(id)}
+                          className={`py-1.5 rounded-lg text-xs font-bold ${
+                            breakdownType === id
+                              ? "bg-white text-blue-600 shadow-sm"
+                              : "text-gray-500"
                           }`}
-                        ></div>
-                        <span className="text-gray-600 font-medium">{cat}</span>
-                      </div>
-                      <span className="font-bold text-gray-800">
-                        {formatMoney(val)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex justify-center">
+                      <DonutChart
+                        slices={donut}
+                        total={breakdown.total}
+                        label={breakdownType === "Debit" ? "Spent" : "Earned"}
+                        formatMoney={formatMoney}
+                        onSelect={(name) => openHistory({ type: breakdownType, category: name })}
+                      />
+                    </div>
+                  </div>
+                  {breakdownType === "Debit" && budgetStatus[OVERALL_BUDGET] && (
+                    <div className="p-4 border-b border-gray-50 space-y-2">
+                      <span className="text-xs font-bold uppercase text-gray-400">
+                        Overall budget
                       </span>
+                      <BudgetBar
+                        status={budgetStatus[OVERALL_BUDGET]}
+                        formatMoney={formatMoney}
+                      />
                     </div>
-                  ))}
-                  {Object.keys(stats.byCategory).length === 0 && (
+                  )}
+                  {breakdown.rows.map(({ name, value, share }) => {
+                    const budget =
+                      breakdownType === "Debit" && budgetStatus[budgetIdFor(name)];
+                    return (
+                      <button
+                        key={name}
+                        onClick={() => openHistory({ type: breakdownType, category: name })}
+                        className="w-full text-left p-4 border-b border-gray-50 last:border-0 space-y-2 hover:bg-gray-50"
+                      >
+                        <div className="flex justify-between items-center">
+                          <div className="flex items-center gap-3">
+                            <CategoryBadge
+                              {...categoryStyle(categories, breakdownType, name)}
+                              size={12}
+                            />
+                            <span className="text-gray-600 font-medium">{name}</span>
+                          </div>
+                          <span className="font-bold text-gray-800">
+                            {formatMoney(value)}
+                            <span className="ml-2 text-xs font-normal text-gray-400">
+                              {Math.round(share * 100)}%
+                            </span>
+                          </span>
+                        </div>
+                        {budget && <BudgetBar status={budget} formatMoney={formatMoney} />}
+                      </button>
+                    );
+                  })}
+                  {breakdown.rows.length === 0 && (
                     <div className="p-6 text-center text-gray-400 text-sm">
                       No data yet
                     </div>
@@ -436,59 +1052,267 @@ export default function App() {
                 </div>
               </div>
 
+              {/* Trends */}
+              <div>
+                <h3 className="text-gray-800 font-bold flex items-center gap-2 mb-3">
+                  <BarChart3 size={18} className="text-blue-500" />
+                  Trends
+                </h3>
+                <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-6">
+                  <div>
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-xs font-bold uppercase text-gray-400">
+                        Income vs expense
+                      </span>
+                      <span className="flex gap-3 text-[10px] text-gray-400">
+                        <span className="flex items-center gap-1">
+                          <span className="w-2 h-2 rounded-full bg-green-400" />
+                          In
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <span className="w-2 h-2 rounded-full bg-red-400" />
+                          Out
+                        </span>
+                      </span>
+                    </div>
+                    <MonthlyBars
+                      series={monthly}
+                      formatMoney={formatMoney}
+                      onSelect={(month) => openHistory(monthRange(month))}
+                    />
+                  </div>
+                  <div>
+                    <span className="text-xs font-bold uppercase text-gray-400">
+                      Balance
+                    </span>
+                    <TrendLine points={trend} formatMoney={formatMoney} />
+                  </div>
+                  <div>
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-xs font-bold uppercase text-gray-400">
+                        Forecast
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setActiveTab("forecast")}
+                        className="text-xs font-bold text-blue-600"
+                      >
+                        What if…
+                      </button>
+                    </div>
+                    <ForecastLine
+                      points={forecast.points}
+                      threshold={lowBalance}
+                      formatMoney={formatMoney}
+                    />
+                    <p className="mt-2 text-xs text-gray-500">
+                      Month-end projection{" "}
+                      <span
+                        className={`font-bold ${
+                          forecast.monthEnd.balance < 0 ? "text-red-500" : "text-gray-800"
+                        }`}
+                      >
+                        {formatMoney(forecast.monthEnd.balance)}
+                      </span>
+                    </p>
+                    {(forecast.belowZero || forecast.belowThreshold) && (
+                      <button
+                        type="button"
+                        onClick={() => setActiveTab("forecast")}
+                        className="mt-2 w-full flex gap-2 p-3 rounded-xl bg-red-50 text-xs text-red-600 text-left"
+                      >
+                        <AlertTriangle size={16} className="shrink-0" />
+                        {forecast.belowZero
+                          ? `Forecast to go below zero on ${forecast.belowZero.date}`
+                          : `Forecast to drop below ${formatMoney(lowBalance)} on ${
+                              forecast.belowThreshold.date
+                            }`}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+
               {/* Recent Transactions */}
               <div>
-                <h3 className="text-gray-800 font-bold mb-3">Recent Activity</h3>
-                <div className="space-y-3">
-                  {transactions.map((t) => (
-                    <div
-                      key={t.id}
-                      className="bg-white p-3 rounded-xl shadow-sm border border-gray-100 flex justify-between items-center"
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-gray-800 font-bold">Recent Activity</h3>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => openHistory()}
+                      className="text-xs font-bold text-blue-600 flex items-center gap-1"
                     >
-                      <div className="flex items-center gap-3">
-                        <div
-                          className={`p-2 rounded-full ${
-                            t.type === "Credit"
-                              ? "bg-green-50 text-green-600"
-                              : "bg-red-50 text-red-500"
-                          }`}
-                        >
-                          {t.type === "Credit" ? (
-                            <TrendingUp size={18} />
-                          ) : (
-                            <TrendingDown size={18} />
-                          )}
+                      <Search size={12} />
+                      Search
+                    </button>
+                    <button
+                      onClick={() => setActiveTab("activity")}
+                      className="text-xs font-bold text-blue-600 flex items-center gap-1"
+                    >
+                      <ScrollText size={12} />
+                      Log
+                    </button>
+                    {canContribute(role) && (
+                      <button
+                        onClick={() => setActiveTab("trash")}
+                        className="text-xs font-bold text-blue-600 flex items-center gap-1"
+                      >
+                        <Trash2 size={12} />
+                        Trash
+                      </button>
+                    )}
+                    {canContribute(role) && !debtEntries?.length && (
+                      <button
+                        onClick={() => setActiveTab("debts")}
+                        className="text-xs font-bold text-blue-600 flex items-center gap-1"
+                      >
+                        <HandCoins size={12} />
+                        IOUs
+                      </button>
+                    )}
+                    {manager && (
+                      <button
+                        onClick={() => setActiveTab("recurring")}
+                        className="text-xs font-bold text-blue-600 flex items-center gap-1"
+                      >
+                        <Repeat size={12} />
+                        Recurring
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-3">
+                  {transactions.map((t) => {
+                    const isTransfer = t.type === "Transfer";
+                    // Adjustments come from reconciling and are not edited by hand.
+                    const isAdjustment = t.type === "Adjustment";
+                    // IOUs are entered and settled on their own screen.
+                    const isDebt = t.type === DEBT;
+                    const editable = !isAdjustment && canEditEntry(role, t, user.uid);
+                    const incoming =
+                      t.type === "Credit" ||
+                      (isAdjustment && t.amount > 0) ||
+                      (isDebt && debtFlow(t) > 0);
+                    return (
+                      <div
+                        key={t.id}
+                        onClick={() =>
+                          isDebt ? setActiveTab("debts") : editable && startEdit(t)
+                        }
+                        className={`bg-white p-3 rounded-xl shadow-sm border border-gray-100 flex justify-between items-center ${
+                          editable || isDebt ? "cursor-pointer hover:border-blue-200" : ""
+                        }`}
+                      >
+                        <div className="flex items-center gap-3 min-w-0">
+                          <div
+                            className={`p-2 rounded-full ${
+                              isTransfer || isAdjustment || isDebt
+                                ? "bg-blue-50 text-blue-500"
+                                : t.type === "Credit"
+                                  ? "bg-green-50 text-green-600"
+                                  : "bg-red-50 text-red-500"
+                            }`}
+                          >
+                            {isTransfer ? (
+                              <ArrowLeftRight size={18} />
+                            ) : isAdjustment ? (
+                              <Scale size={18} />
+                            ) : isDebt ? (
+                              <HandCoins size={18} />
+                            ) : t.type === "Credit" ? (
+                              <TrendingUp size={18} />
+                            ) : (
+                              <TrendingDown size={18} />
+                            )}
+                          </div>
+                          <div className="min-w-0">
+                            <p className="font-semibold text-gray-800 text-sm">
+                              {isTransfer
+                                ? `${accountName(accounts, t.accountId)} → ${accountName(
+                                    accounts,
+                                    t.toAccountId
+                                  )}`
+                                : isDebt
+                                  ? debtLabel(t)
+                                  : t.category}
+                              {isSplit(t) && (
+                                <span className="font-normal text-gray-500">
+                                  {" "}
+                                  · {t.splits.map((l) => l.category).join(", ")}
+                                </span>
+                              )}
+                              {isAdjustment && (
+                                <span className="font-normal text-gray-500">
+                                  {" "}
+                                  · {accountName(accounts, t.accountId)}
+                                </span>
+                              )}
+                              {t.subcategory && (
+                                <span className="font-normal text-gray-500">
+                                  {" "}
+                                  › {t.subcategory}
+                                </span>
+                              )}
+                              {t.payee && (
+                                <span className="font-normal text-gray-500">
+                                  {" "}
+                                  · {t.payee}
+                                </span>
+                              )}
+                            </p>
+                            <p className="text-xs text-gray-400 truncate">
+                              {t.date}
+                              {t.createdBy &&
+                                t.createdBy !== user.uid &&
+                                ` · by ${memberName(members, t.createdBy)}`}
+                              {t.reimbursable && !t.reimbursedOn && " · to reimburse"}
+                              {tagsOf(t).map((tag) => ` #${tag}`)}
+                              {t.note && ` — ${t.note}`}
+                            </p>
+                          </div>
                         </div>
-                        <div>
-                          <p className="font-semibold text-gray-800 text-sm">
-                            {t.category}
-                          </p>
-                          <p className="text-xs text-gray-400">{t.date}</p>
+                        <div className="flex items-center gap-3">
+                          <span
+                            className={`font-bold text-sm ${
+                              incoming ? "text-green-600" : "text-gray-800"
+                            }`}
+                          >
+                            {!isTransfer && (incoming ? "+" : "-")}
+                            {formatMoney(Math.abs(t.amount))}
+                            {isForeign(t, homeCurrency) && (
+                              <span className="block text-[10px] font-normal text-gray-400 text-right">
+                                {formatMoney(t.originalAmount, t.currency)}
+                              </span>
+                            )}
+                          </span>
+                          {editable && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                deleteTransaction(t);
+                              }}
+                              className="text-gray-300 hover:text-red-500"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          )}
                         </div>
                       </div>
-                      <div className="flex items-center gap-3">
-                        <span
-                          className={`font-bold text-sm ${
-                            t.type === "Credit" ? "text-green-600" : "text-gray-800"
-                          }`}
-                        >
-                          {t.type === "Credit" ? "+" : "-"}
-                          {formatMoney(t.amount)}
-                        </span>
-                        <button
-                          onClick={() => deleteTransaction(t.id)}
-                          className="text-gray-300 hover:text-red-500"
-                        >
-                          <Trash2 size={14} />
-                        </button>
-                      </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                   {transactions.length === 0 && (
                     <div className="text-center text-gray-400 py-4 text-sm">
                       No transactions found. Add one!
                     </div>
                   )}
+                  {hasMore && (
+                    <div
+                      ref={listEndRef}
+                      className="flex justify-center py-4 text-gray-400"
+                    >
+                      <Loader2 className="animate-spin" size={20} />
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -497,18 +1321,51 @@ export default function App() {
           {activeTab === "add" && (
             <div className="px-5 pt-2">
               <div className="bg-white p-6 rounded-3xl shadow-sm border border-gray-100">
-                <h2 className="text-xl font-bold text-gray-800 mb-6">
-                  Add Transaction
-                </h2>
+                <div className="flex justify-between items-center mb-6">
+                  <h2 className="text-xl font-bold text-gray-800">
+                    {editingId ? "Edit Transaction" : "Add Transaction"}
+                  </h2>
+                  {!editingId && manager && (
+                    <button
+                      type="button"
+                      onClick={() => setActiveTab("import")}
+                      className="text-xs font-bold text-blue-600 flex items-center gap-1"
+                    >
+                      <Upload size={12} />
+                      Import CSV
+                    </button>
+                  )}
+                  {editingId && (
+                    <button
+                      type="button"
+                      onClick={cancelEdit}
+                      className="p-2 rounded-full text-gray-400 hover:bg-gray-100"
+                    >
+                      <X size={18} />
+                    </button>
+                  )}
+                </div>
+                {!editingId && (
+                  <QuickEntry
+                    uid={ledgerId}
+                    categories={categories}
+                    rules={categoryRules}
+                    formatMoney={formatMoney}
+                    canEditRules={manager}
+                    onApply={applyQuickEntry}
+                    showNotification={showNotification}
+                  />
+                )}
                 <form onSubmit={handleAddTransaction} className="space-y-6">
                   {/* Type Selector */}
-                  <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+                  <div
+                    className={`grid ${
+                      activeAccounts.length > 1 ? "grid-cols-3" : "grid-cols-2"
+                    } bg-gray-100 p-1 rounded-xl`}
+                  >
                     <button
                       type="button"
-                      onClick={() => {
-                        setType("Debit");
-                        setCategory(CATEGORIES.Debit[0]);
-                      }}
+                      onClick={() => selectType("Debit")}
                       className={`py-3 rounded-lg text-sm font-bold transition-all ${
                         type === "Debit"
                           ? "bg-white text-red-500 shadow-sm"
@@ -519,10 +1376,7 @@ export default function App() {
                     </button>
                     <button
                       type="button"
-                      onClick={() => {
-                        setType("Credit");
-                        setCategory(CATEGORIES.Credit[0]);
-                      }}
+                      onClick={() => selectType("Credit")}
                       className={`py-3 rounded-lg text-sm font-bold transition-all ${
                         type === "Credit"
                           ? "bg-white text-green-600 shadow-sm"
@@ -531,6 +1385,19 @@ export default function App() {
                     >
                       Income
                     </button>
+                    {activeAccounts.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => selectType("Transfer")}
+                        className={`py-3 rounded-lg text-sm font-bold transition-all ${
+                          type === "Transfer"
+                            ? "bg-white text-blue-600 shadow-sm"
+                            : "text-gray-500"
+                        }`}
+                      >
+                        Transfer
+                      </button>
+                    )}
                   </div>
 
                   {/* Amount */}
@@ -538,43 +1405,323 @@ export default function App() {
                     <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
                       Amount
                     </label>
-                    <div className="relative">
-                      <DollarSign
-                        size={20}
-                        className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
-                      />
-                      <input
-                        type="number"
-                        value={amount}
-                        onChange={(e) => setAmount(e.target.value)}
-                        placeholder="0.00"
-                        className="w-full pl-10 pr-4 py-4 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-lg font-bold text-gray-800"
-                        required
-                      />
+                    <div className="flex gap-2">
+                      <div className="relative flex-1">
+                        <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 font-bold">
+                          {currencySymbol(locale, entryCurrency)}
+                        </span>
+                        <input
+                          type="number"
+                          step="any"
+                          value={amount}
+                          onChange={(e) => setAmount(e.target.value)}
+                          placeholder="0.00"
+                          className="w-full pl-10 pr-4 py-4 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-lg font-bold text-gray-800"
+                          required
+                        />
+                      </div>
+                      <select
+                        value={entryCurrency}
+                        onChange={(e) => selectCurrency(e.target.value)}
+                        className="px-2 bg-gray-50 rounded-xl border border-gray-200 text-sm font-bold text-gray-600"
+                      >
+                        {(formCurrencies.length > 1 ? formCurrencies : CURRENCIES).map((c) => (
+                          <option key={c} value={c}>
+                            {c}
+                          </option>
+                        ))}
+                      </select>
                     </div>
+                    {entryCurrency !== homeCurrency && (
+                      <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+                        <span>1 {entryCurrency} =</span>
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={rate}
+                          onChange={(e) => setRate(e.target.value)}
+                          className="w-24 px-2 py-1 bg-gray-50 rounded border border-gray-200"
+                        />
+                        <span>{homeCurrency}</span>
+                        {Number(amount) > 0 && Number(rate) > 0 && (
+                          <span className="ml-auto font-bold text-gray-700">
+                            ≈ {formatMoney(Number(amount) * Number(rate))}
+                          </span>
+                        )}
+                      </div>
+                    )}
                   </div>
 
+                  {/* Account */}
+                  {activeAccounts.length > 0 && (
+                    <div className={type === "Transfer" ? "grid grid-cols-2 gap-2" : ""}>
+                      <label className="block text-xs font-bold text-gray-400 uppercase">
+                        {type === "Transfer" ? "From" : "Account"}
+                        <select
+                          value={entryAccountId || ""}
+                          onChange={(e) => setAccountId(e.target.value)}
+                          className="mt-2 w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 text-sm font-normal normal-case text-gray-800"
+                        >
+                          {activeAccounts.map((a) => (
+                            <option key={a.id} value={a.id}>
+                              {a.name}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      {type === "Transfer" && (
+                        <label className="block text-xs font-bold text-gray-400 uppercase">
+                          To
+                          <select
+                            value={toAccountId}
+                            onChange={(e) => setToAccountId(e.target.value)}
+                            className="mt-2 w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 text-sm font-normal normal-case text-gray-800"
+                            required
+                          >
+                            <option value="">Choose…</option>
+                            {activeAccounts
+                              .filter((a) => a.id !== entryAccountId)
+                              .map((a) => (
+                                <option key={a.id} value={a.id}>
+                                  {a.name}
+                                </option>
+                              ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                  )}
+
                   {/* Category */}
+                  {type !== "Transfer" && (
+                    <div>
+                      <div className="flex justify-between items-center mb-2">
+                        <label className="block text-xs font-bold text-gray-400 uppercase">
+                          Category
+                        </label>
+                        <div className="flex items-center gap-3">
+                          <button
+                            type="button"
+                            onClick={toggleSplit}
+                            className={`text-xs font-bold flex items-center gap-1 ${
+                              splits ? "text-blue-600" : "text-gray-500"
+                            }`}
+                          >
+                            <Split size={12} />
+                            {splits ? "Single category" : "Split"}
+                          </button>
+                          {manager && (
+                            <button
+                              type="button"
+                              onClick={() => setActiveTab("categories")}
+                              className="text-xs font-bold text-blue-600"
+                            >
+                              Manage
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {splits ? (
+                        <div className="space-y-2">
+                          {splits.map((line, i) => {
+                            const lineCategory = formCategories.find(
+                              (c) => c.name === line.category
+                            );
+                            return (
+                              <div key={i} className="space-y-1">
+                                <div className="flex gap-2">
+                                  <select
+                                    value={line.category}
+                                    onChange={(e) =>
+                                      setLine(i, { category: e.target.value, subcategory: "" })
+                                    }
+                                    className="flex-1 min-w-0 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+                                  >
+                                    <option value="">Category…</option>
+                                    {formCategories.map((c) => (
+                                      <option key={c.id} value={c.name}>
+                                        {c.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                  <input
+                                    type="number"
+                                    step="any"
+                                    min="0"
+                                    value={line.amount}
+                                    onChange={(e) => setLine(i, { amount: e.target.value })}
+                                    placeholder="0.00"
+                                    className="w-24 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+                                  />
+                                  <button
+                                    type="button"
+                                    disabled={splits.length <= 2}
+                                    onClick={() =>
+                                      setSplits((lines) => lines.filter((_, j) => j !== i))
+                                    }
+                                    className="p-2 text-gray-300 hover:text-red-500 disabled:opacity-30"
+                                  >
+                                    <X size={14} />
+                                  </button>
+                                </div>
+                                {lineCategory?.children.length > 0 && (
+                                  <select
+                                    value={line.subcategory}
+                                    onChange={(e) => setLine(i, { subcategory: e.target.value })}
+                                    className="w-full px-3 py-1 bg-gray-50 rounded-lg border border-gray-200 text-xs text-gray-600"
+                                  >
+                                    <option value="">No subcategory</option>
+                                    {lineCategory.children.map((sub) => (
+                                      <option key={sub.id} value={sub.name}>
+                                        {sub.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                )}
+                              </div>
+                            );
+                          })}
+                          <div className="flex justify-between items-center text-xs">
+                            <button
+                              type="button"
+                              onClick={() => setSplits((lines) => [...lines, emptyLine])}
+                              className="font-bold text-blue-600"
+                            >
+                              + Add line
+                            </button>
+                            <span
+                              className={`font-bold ${
+                                splitLeft === 0 ? "text-green-600" : "text-orange-500"
+                              }`}
+                            >
+                              {splitLeft === 0
+                                ? "Lines match the total"
+                                : splitLeft > 0
+                                  ? `${formatMoney(splitLeft, entryCurrency)} left to assign`
+                                  : `${formatMoney(-splitLeft, entryCurrency)} over the total`}
+                            </span>
+                          </div>
+                        </div>
+                      ) : (
+                        <>
+                          <div className="grid grid-cols-2 gap-2">
+                            {formCategories.map((cat) => (
+                              <button
+                                key={cat.id}
+                                type="button"
+                                onClick={() => {
+                                  setCategory(cat.name);
+                                  setSubcategory("");
+                                }}
+                                className={`py-2 px-3 text-sm rounded-lg border transition-all flex items-center gap-2 ${
+                                  category === cat.name
+                                    ? "bg-blue-50 border-blue-500 text-blue-700 font-bold"
+                                    : "border-gray-200 text-gray-600"
+                                }`}
+                              >
+                                {cat.icon && (
+                                  <CategoryBadge icon={cat.icon} color={cat.color} size={12} />
+                                )}
+                                <span className="truncate">{cat.name}</span>
+                              </button>
+                            ))}
+                          </div>
+                          {selectedCategory?.children.length > 0 && (
+                            <div className="flex flex-wrap gap-2 mt-3">
+                              {selectedCategory.children.map((sub) => (
+                                <button
+                                  key={sub.id}
+                                  type="button"
+                                  onClick={() =>
+                                    setSubcategory(subcategory === sub.name ? "" : sub.name)
+                                  }
+                                  className={`py-1 px-3 text-xs rounded-full border transition-all ${
+                                    subcategory === sub.name
+                                      ? "bg-blue-600 border-blue-600 text-white font-bold"
+                                      : "border-gray-200 text-gray-500"
+                                  }`}
+                                >
+                                  {sub.name}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Date */}
                   <div>
                     <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
-                      Category
+                      Date
                     </label>
-                    <div className="grid grid-cols-2 gap-2">
-                      {CATEGORIES[type].map((cat) => (
-                        <button
-                          key={cat}
-                          type="button"
-                          onClick={() => setCategory(cat)}
-                          className={`py-2 px-3 text-sm rounded-lg border transition-all ${
-                            category === cat
-                              ? "bg-blue-50 border-blue-500 text-blue-700 font-bold"
-                              : "border-gray-200 text-gray-600"
-                          }`}
-                        >
-                          {cat}
-                        </button>
-                      ))}
+                    <input
+                      type="date"
+                      value={date}
+                      max={todayISO()}
+                      onChange={(e) => setDate(e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800"
+                      required
+                    />
+                  </div>
+
+                  {/* Payee */}
+                  <div>
+                    <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
+                      {type === "Credit"
+                        ? "Payer"
+                        : type === "Transfer"
+                          ? "Reference"
+                          : "Payee / Merchant"}
+                    </label>
+                    <input
+                      type="text"
+                      value={payee}
+                      onChange={(e) => setPayee(e.target.value)}
+                      placeholder="Optional"
+                      className="w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800"
+                    />
+                  </div>
+
+                  {type !== "Transfer" && (
+                    <div>
+                      <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
+                        Tags
+                      </label>
+                      <TagInput
+                        tags={tags}
+                        suggestions={tagSuggestions}
+                        onChange={setTags}
+                        className="w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800"
+                      />
+                      {type === "Debit" && (
+                        <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={reimbursable}
+                            onChange={(e) => setReimbursable(e.target.checked)}
+                            className="rounded"
+                          />
+                          Reimbursable — someone will pay this back
+                        </label>
+                      )}
                     </div>
+                  )}
+
+                  {/* Note */}
+                  <div>
+                    <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
+                      Note
+                    </label>
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="Optional"
+                      rows={2}
+                      className="w-full px-4 py-3 bg-gray-50 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800 resize-none"
+                    />
                   </div>
 
                   <button
@@ -582,12 +1729,242 @@ export default function App() {
                     className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-xl shadow-lg shadow-blue-200 transition-all active:scale-95 flex items-center justify-center gap-2"
                   >
                     <Save size={20} />
-                    Save Record
+                    {editingId ? "Update Record" : "Save Record"}
                   </button>
                 </form>
+                {editingId && (
+                  <AuditTrail
+                    uid={ledgerId}
+                    transactionId={editingId}
+                    nameOf={nameOf}
+                    formatMoney={formatMoney}
+                  />
+                )}
               </div>
             </div>
           )}
+
+          {activeTab === "categories" && (
+            <Categories
+              uid={ledgerId}
+              categories={categories}
+              onBack={() => setActiveTab("add")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "budgets" && (
+            <Budgets
+              uid={ledgerId}
+              categories={categories}
+              budgets={budgets}
+              budgetStatus={budgetStatus}
+              formatMoney={formatMoney}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "recurring" && (
+            <Recurring
+              uid={ledgerId}
+              templates={templates}
+              categories={categories}
+              accounts={activeAccounts}
+              primaryAccountId={primaryId}
+              formatMoney={formatMoney}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "import" && (
+            <Import
+              uid={ledgerId}
+              categories={categories}
+              rules={categoryRules}
+              profiles={importProfiles}
+              accounts={activeAccounts}
+              primaryAccountId={primaryId}
+              formatMoney={formatMoney}
+              onBack={() => setActiveTab("add")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "data" && (
+            <DataTools
+              uid={ledgerId}
+              homeCurrency={homeCurrency}
+              categories={categories}
+              canRestore={manager}
+              onBack={() => setActiveTab("reports")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "accounts" && (
+            <Accounts
+              uid={ledgerId}
+              accounts={accounts}
+              balances={balances}
+              primaryId={primaryId}
+              formatMoney={formatMoney}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "history" && (
+            <History
+              uid={ledgerId}
+              categories={categories}
+              accounts={accounts}
+              presets={historyPresets}
+              initialFilters={historyFilters}
+              formatMoney={formatMoney}
+              manager={manager}
+              canEdit={(t) => canEditEntry(role, t, user.uid)}
+              onEdit={startEdit}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "forecast" && (
+            <Forecast
+              uid={ledgerId}
+              balance={currentBalance}
+              history={recentHistory}
+              templates={templates}
+              threshold={lowBalance}
+              manager={manager}
+              formatMoney={formatMoney}
+              onOpenRecurring={() => setActiveTab("recurring")}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "activity" && (
+            <Activity
+              uid={ledgerId}
+              nameOf={nameOf}
+              formatMoney={formatMoney}
+              onBack={() => setActiveTab("dashboard")}
+            />
+          )}
+
+          {activeTab === "trash" && (
+            <Trash
+              uid={ledgerId}
+              accounts={accounts}
+              formatMoney={formatMoney}
+              canEdit={(t) => canEditEntry(role, t, user.uid)}
+              canPurge={(t) => canPurgeEntry(role, t, user.uid)}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "debts" && (
+            <Debts
+              uid={ledgerId}
+              entries={debtEntries}
+              accounts={activeAccounts}
+              primaryAccountId={primaryId}
+              formatMoney={formatMoney}
+              canContribute={canContribute(role)}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "reimbursables" && (
+            <Reimbursables
+              uid={ledgerId}
+              formatMoney={formatMoney}
+              canEdit={(t) => canEditEntry(role, t, user.uid)}
+              onBack={() => setActiveTab("reports")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "loans" && (
+            <Loans
+              uid={ledgerId}
+              categories={categories}
+              accounts={activeAccounts}
+              primaryAccountId={primaryId}
+              formatMoney={formatMoney}
+              manager={manager}
+              canContribute={canContribute(role)}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "goals" && (
+            <Goals
+              uid={ledgerId}
+              goals={goals || []}
+              contributions={goalContributions || []}
+              categories={categories}
+              savings={stats.savings}
+              formatMoney={formatMoney}
+              manager={manager}
+              canContribute={canContribute(role)}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "household" && (
+            <Household
+              uid={ledgerId}
+              user={user}
+              role={role}
+              members={members}
+              invite={invite}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "account" && (
+            <Account
+              key={user.uid}
+              user={user}
+              emailVerified={emailVerified}
+              role={role}
+              memberCount={members.filter((m) => m.id !== user.uid).length}
+              onVerified={() => setVerifiedUid(user.uid)}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "settings" && (
+            <Settings
+              key={`${homeCurrency}-${locale}-${Object.keys(exchangeRates).join()}`}
+              uid={ledgerId}
+              preferences={preferences}
+              rates={exchangeRates}
+              onBack={() => setActiveTab("dashboard")}
+              showNotification={showNotification}
+            />
+          )}
+
+          {activeTab === "reports" && (
+            <Reports
+              uid={ledgerId}
+              formatMoney={formatMoney}
+              homeCurrency={homeCurrency}
+              onExport={() => setActiveTab("data")}
+              onOpenTag={(tag, range) => openHistory({ tag, ...range })}
+              onOpenReimbursables={() => setActiveTab("reimbursables")}
+            />
+          )}
         </div>
 
         {/* Bottom Navigation */}
@@ -603,16 +1980,20 @@ export default function App() {
           </button>
 
           <button
-            onClick={() => setActiveTab("add")}
-            className="mb-8 bg-blue-600 text-white p-4 rounded-full shadow-xl shadow-blue-300 hover:bg-blue-700 transition-transform hover:scale-105 active:scale-95"
+            onClick={() => {
+              if (editingId) resetForm();
+              setActiveTab("add");
+            }}
+            disabled={!canContribute(role)}
+            className="mb-8 disabled:opacity-40 bg-blue-600 text-white p-4 rounded-full shadow-xl shadow-blue-300 hover:bg-blue-700 transition-transform hover:scale-105 active:scale-95"
           >
             <PlusCircle size={28} />
           </button>
 
           <button
-            onClick={() => setActiveTab("history")}
+            onClick={() => setActiveTab("reports")}
             className={`flex flex-col items-center gap-1 ${
-              activeTab === "history" ? "text-blue-600" : "text-gray-400"
+              activeTab === "reports" ? "text-blue-600" : "text-gray-400"
             }`}
           >
             <TrendingUp size={24} />
@@ -621,8 +2002,20 @@ export default function App() {
         </div>
 
         {notification && (
-          <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-gray-900 text-white px-6 py-3 rounded-full shadow-xl text-sm font-medium animate-bounce z-50">
-            {notification}
+          <div
+            className={`absolute top-4 left-1/2 -translate-x-1/2 bg-gray-900 text-white px-6 py-3 rounded-full shadow-xl text-sm font-medium z-50 flex items-center gap-4 whitespace-nowrap ${
+              notification.action ? "" : "animate-bounce"
+            }`}
+          >
+            {notification.message}
+            {notification.action && (
+              <button
+                onClick={notification.action.run}
+                className="font-bold text-blue-300 uppercase text-xs"
+              >
+                {notification.action.label}
+              </button>
+            )}
           </div>
         )}
       </div>
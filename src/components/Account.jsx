@@ -0,0 +1,288 @@
+import React, { useState } from "react";
+import { ChevronLeft, Save, MailCheck, KeyRound, Trash2, Loader2 } from "lucide-react";
+import { authErrorMessage } from "../lib/authErrors";
+import { OWNER } from "../lib/household";
+import {
+  updateDisplayName,
+  changePassword,
+  deleteAccount,
+  sendVerification,
+  refreshUser,
+} from "../services/auth";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const emptyPasswords = { current: "", next: "", confirm: "" };
+
+export default function Account({
+  user,
+  emailVerified,
+  role,
+  memberCount,
+  onVerified,
+  onBack,
+  showNotification,
+}) {
+  const [name, setName] = useState(user.displayName || "");
+  const [passwords, setPasswords] = useState(emptyPasswords);
+  const [closing, setClosing] = useState(null);
+  // Which action is running, so only its button spins.
+  const [busy, setBusy] = useState(null);
+
+  const run = async (key, action, message, fallback) => {
+    setBusy(key);
+    try {
+      await action();
+      if (message) showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification(authErrorMessage(err, fallback));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const setPassword = (field) => (e) =>
+    setPasswords((p) => ({ ...p, [field]: e.target.value }));
+
+  const handleName = (e) => {
+    e.preventDefault();
+    run("name", () => updateDisplayName(name), "Name saved", "Error saving name");
+  };
+
+  const handlePassword = (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirm) {
+      showNotification("The new passwords don't match");
+      return;
+    }
+    run(
+      "password",
+      async () => {
+        await changePassword(passwords.current, passwords.next);
+        setPasswords(emptyPasswords);
+      },
+      "Password changed",
+      "Error changing password"
+    );
+  };
+
+  const handleCheck = () =>
+    run(
+      "verify",
+      async () => {
+        if (await refreshUser()) {
+          onVerified();
+          showNotification("Email verified");
+        } else {
+          showNotification("Not verified yet — open the link in the email first");
+        }
+      },
+      null,
+      "Error checking verification"
+    );
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    if (closing.confirm !== "DELETE") {
+      showNotification("Type DELETE to confirm");
+      return;
+    }
+    // Signing out follows from the deletion; the app returns to sign-in.
+    run(
+      "delete",
+      () => deleteAccount(closing.password),
+      "Account deleted",
+      "Error deleting account"
+    );
+  };
+
+  const spinner = (key, icon) =>
+    busy === key ? <Loader2 className="animate-spin" size={16} /> : icon;
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Your Account</h2>
+      </div>
+
+      {/* Email */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-2">
+        <p className="text-xs font-bold uppercase text-gray-400">Email</p>
+        <p className="text-sm font-semibold text-gray-800">{user.email}</p>
+        {emailVerified ? (
+          <p className="text-xs text-green-600 font-bold">Verified</p>
+        ) : (
+          <div className="space-y-2">
+            <p className="text-xs text-orange-500">
+              Not verified yet. Household invites need a verified address.
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                disabled={!!busy}
+                onClick={() =>
+                  run(
+                    "send",
+                    sendVerification,
+                    "Verification email sent",
+                    "Error sending email"
+                  )
+                }
+                className="flex-1 py-2 rounded-lg bg-blue-600 text-white text-xs font-bold flex items-center justify-center gap-1"
+              >
+                {spinner("send", <MailCheck size={16} />)}
+                Resend email
+              </button>
+              <button
+                type="button"
+                disabled={!!busy}
+                onClick={handleCheck}
+                className="flex-1 py-2 rounded-lg bg-gray-100 text-gray-600 text-xs font-bold"
+              >
+                {busy === "verify" ? "Checking…" : "I've verified"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Display Name */}
+      <form
+        onSubmit={handleName}
+        className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+      >
+        <h3 className="text-gray-800 font-bold">Display name</h3>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="How you appear in the app"
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={!!busy}
+            className="px-3 bg-blue-600 text-white rounded-lg"
+          >
+            {spinner("name", <Save size={16} />)}
+          </button>
+        </div>
+      </form>
+
+      {/* Password */}
+      <form
+        onSubmit={handlePassword}
+        className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+      >
+        <h3 className="text-gray-800 font-bold">Change password</h3>
+        <input
+          type="password"
+          value={passwords.current}
+          onChange={setPassword("current")}
+          placeholder="Current password"
+          autoComplete="current-password"
+          className={inputClass}
+          required
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="password"
+            value={passwords.next}
+            onChange={setPassword("next")}
+            placeholder="New password"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.confirm}
+            onChange={setPassword("confirm")}
+            placeholder="Repeat it"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!!busy}
+          className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+        >
+          {spinner("password", <KeyRound size={16} />)}
+          Change password
+        </button>
+      </form>
+
+      {/* Delete */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-red-100 space-y-3">
+        <h3 className="text-red-500 font-bold">Delete account</h3>
+        <p className="text-xs text-gray-500">
+          {role === OWNER
+            ? "Your account and everything in your ledger — transactions, categories, budgets and settings — are deleted for good."
+            : "Your account and your own ledger are deleted for good, and you leave the household you joined."}
+          {role === OWNER &&
+            memberCount > 0 &&
+            ` The ${memberCount} ${memberCount === 1 ? "member" : "members"} of your household lose access.`}{" "}
+          Export a backup first if you may want it back.
+        </p>
+        {closing ? (
+          <form onSubmit={handleDelete} className="space-y-2">
+            <input
+              type="password"
+              value={closing.password}
+              onChange={(e) => setClosing((c) => ({ ...c, password: e.target.value }))}
+              placeholder="Your password"
+              autoComplete="current-password"
+              className={inputClass}
+              required
+            />
+            <input
+              type="text"
+              value={closing.confirm}
+              onChange={(e) => setClosing((c) => ({ ...c, confirm: e.target.value }))}
+              placeholder="Type DELETE"
+              className={inputClass}
+              required
+            />
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setClosing(null)}
+                className="flex-1 py-2 rounded-lg bg-gray-100 text-gray-600 text-sm font-bold"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!!busy}
+                className="flex-1 py-2 rounded-lg bg-red-500 text-white text-sm font-bold flex items-center justify-center gap-1"
+              >
+                {spinner("delete", <Trash2 size={16} />)}
+                Delete forever
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setClosing({ password: "", confirm: "" })}
+            className="w-full py-2 rounded-lg border border-red-100 text-red-500 text-sm font-bold"
+          >
+            Delete my account
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
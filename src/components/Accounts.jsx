@@ -0,0 +1,304 @@
+import React, { useState } from "react";
+import {
+  ChevronLeft,
+  Plus,
+  Pencil,
+  X,
+  Check,
+  Archive,
+  ArchiveRestore,
+  Star,
+  Scale,
+} from "lucide-react";
+import {
+  ACCOUNT_KINDS,
+  sortAccounts,
+  reconcileDifference,
+} from "../lib/accounts";
+import { createAccount, updateAccount, reconcileAccount, saveSettings } from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const kindLabel = (kind) => ACCOUNT_KINDS.find((k) => k.id === kind)?.label || kind;
+
+export default function Accounts({
+  uid,
+  accounts,
+  balances,
+  primaryId,
+  formatMoney,
+  onBack,
+  showNotification,
+}) {
+  const [draft, setDraft] = useState({ name: "", kind: "bank", openingBalance: "" });
+  const [open, setOpen] = useState(null);
+  const [edit, setEdit] = useState(null);
+  const [statement, setStatement] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      if (message) showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving account");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (!name) return;
+    run(async () => {
+      await createAccount(uid, { ...draft, name, order: accounts.length });
+      setDraft({ name: "", kind: "bank", openingBalance: "" });
+    }, "Account added");
+  };
+
+  const toggle = (a) => {
+    setOpen(open === a.id ? null : a.id);
+    setEdit(null);
+    setStatement("");
+  };
+
+  const total = accounts
+    .filter((a) => !a.archived)
+    .reduce((acc, a) => acc + (balances[a.id] || 0), 0);
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Accounts</h2>
+        <span className="ml-auto font-bold text-gray-800">{formatMoney(total)}</span>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {sortAccounts(accounts).map((a) => {
+          const balance = balances[a.id] || 0;
+          const difference =
+            statement !== "" ? reconcileDifference(statement, balance) : null;
+          return (
+            <div key={a.id}>
+              <button
+                type="button"
+                onClick={() => toggle(a)}
+                className="w-full p-4 flex justify-between items-center text-left"
+              >
+                <div>
+                  <p
+                    className={`font-semibold text-sm flex items-center gap-1 ${
+                      a.archived ? "text-gray-300 line-through" : "text-gray-800"
+                    }`}
+                  >
+                    {a.name}
+                    {a.id === primaryId && (
+                      <Star size={12} className="text-yellow-400 fill-yellow-400" />
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {kindLabel(a.kind)}
+                    {a.reconciledAt &&
+                      ` · reconciled ${new Date(a.reconciledAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <span
+                  className={`font-bold text-sm ${
+                    balance < 0 ? "text-red-500" : "text-gray-800"
+                  }`}
+                >
+                  {formatMoney(balance)}
+                </span>
+              </button>
+
+              {open === a.id && (
+                <div className="px-4 pb-4 space-y-3">
+                  {edit ? (
+                    <div className="space-y-2">
+                      <input
+                        type="text"
+                        value={edit.name}
+                        onChange={(e) => setEdit((ed) => ({ ...ed, name: e.target.value }))}
+                        className={inputClass}
+                      />
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          step="any"
+                          value={edit.openingBalance}
+                          onChange={(e) =>
+                            setEdit((ed) => ({ ...ed, openingBalance: e.target.value }))
+                          }
+                          placeholder="Opening balance"
+                          className={inputClass}
+                        />
+                        <button
+                          type="button"
+                          disabled={busy || !edit.name.trim()}
+                          onClick={() =>
+                            run(async () => {
+                              await updateAccount(uid, a.id, {
+                                name: edit.name.trim(),
+                                openingBalance: Number(edit.openingBalance || 0),
+                              });
+                              setEdit(null);
+                            }, "Account saved")
+                          }
+                          className="px-3 bg-blue-600 text-white rounded-lg"
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEdit(null)}
+                          className="px-3 bg-gray-100 text-gray-500 rounded-lg"
+                        >
+                          <X size={16} />
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2 text-xs font-bold">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setEdit({ name: a.name, openingBalance: String(a.openingBalance || 0) })
+                        }
+                        className="flex items-center gap-1 text-blue-600"
+                      >
+                        <Pencil size={12} /> Edit
+                      </button>
+                      {a.id !== primaryId && !a.archived && (
+                        <button
+                          type="button"
+                          disabled={busy}
+                          onClick={() =>
+                            run(
+                              () => saveSettings(uid, "preferences", { defaultAccountId: a.id }),
+                              `${a.name} is now the default`
+                            )
+                          }
+                          className="flex items-center gap-1 text-gray-500"
+                        >
+                          <Star size={12} /> Make default
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() =>
+                          run(
+                            () => updateAccount(uid, a.id, { archived: !a.archived }),
+                            a.archived ? "Account restored" : "Account archived"
+                          )
+                        }
+                        className="flex items-center gap-1 text-gray-500 ml-auto"
+                      >
+                        {a.archived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+                        {a.archived ? "Restore" : "Archive"}
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Reconcile */}
+                  <div className="bg-gray-50 rounded-xl p-3 space-y-2">
+                    <p className="text-[10px] font-bold uppercase text-gray-400 flex items-center gap-1">
+                      <Scale size={12} /> Reconcile with statement
+                    </p>
+                    <input
+                      type="number"
+                      step="any"
+                      value={statement}
+                      onChange={(e) => setStatement(e.target.value)}
+                      placeholder="Statement balance today"
+                      className={inputClass}
+                    />
+                    {difference !== null && (
+                      <div className="flex items-center justify-between text-xs">
+                        <span className={difference ? "text-orange-500" : "text-green-600"}>
+                          {difference
+                            ? `Off by ${formatMoney(difference)}`
+                            : "Matches the statement"}
+                        </span>
+                        <button
+                          type="button"
+                          disabled={busy}
+                          onClick={() =>
+                            run(async () => {
+                              await reconcileAccount(uid, a, statement, difference);
+                              setStatement("");
+                            }, difference ? "Adjustment recorded" : "Account reconciled")
+                          }
+                          className="px-3 py-1 rounded-lg bg-blue-600 text-white font-bold"
+                        >
+                          {difference ? "Adjust & reconcile" : "Mark reconciled"}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {accounts.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">No accounts yet</div>
+        )}
+      </div>
+
+      <form
+        onSubmit={handleCreate}
+        className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+      >
+        <h3 className="text-gray-800 font-bold">New Account</h3>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+          placeholder="Name (e.g. HDFC Savings)"
+          className={inputClass}
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            value={draft.kind}
+            onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value }))}
+            className={inputClass}
+          >
+            {ACCOUNT_KINDS.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="any"
+            value={draft.openingBalance}
+            onChange={(e) => setDraft((d) => ({ ...d, openingBalance: e.target.value }))}
+            placeholder="Opening balance"
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+        >
+          <Plus size={18} />
+          Add Account
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { ChevronLeft, Loader2 } from "lucide-react";
+import { subscribeActivity } from "../services/data";
+import AuditEntry from "./AuditEntry";
+
+const PAGE = 30;
+
+// Every change anyone made to the ledger's transactions, newest first.
+export default function Activity({ uid, nameOf, formatMoney, onBack }) {
+  const [count, setCount] = useState(PAGE);
+  // Loaded rows keyed by ledger and page size so the spinner shows until
+  // the listener for them reports.
+  const key = `${uid}/${count}`;
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+
+  useEffect(
+    () =>
+      subscribeActivity(
+        uid,
+        count,
+        (rows) => setLoaded({ key, rows }),
+        (err) => {
+          console.error("Activity fetch error:", err);
+          setLoaded({ key, rows: [] });
+        }
+      ),
+    [uid, count, key]
+  );
+
+  const fetching = loaded.key !== key;
+  const more = loaded.rows.length >= count;
+
+  return (
+    <div className="px-5 space-y-4">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Activity</h2>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 divide-y divide-gray-50">
+        {loaded.rows.map((entry) => (
+          <AuditEntry
+            key={entry.id}
+            entry={entry}
+            nameOf={nameOf}
+            formatMoney={formatMoney}
+            showLabel
+          />
+        ))}
+        {!fetching && loaded.rows.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">
+            Nothing recorded yet. Changes to transactions show up here.
+          </div>
+        )}
+      </div>
+
+      {fetching ? (
+        <div className="flex justify-center">
+          <Loader2 className="animate-spin text-gray-300" size={20} />
+        </div>
+      ) : (
+        more && (
+          <button
+            type="button"
+            onClick={() => setCount((c) => c + PAGE)}
+            className="w-full py-2 rounded-xl bg-gray-100 text-gray-600 text-sm font-bold"
+          >
+            Show more
+          </button>
+        )
+      )}
+    </div>
+  );
+}
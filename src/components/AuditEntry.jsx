@@ -0,0 +1,46 @@
+import React from "react";
+import { AUDIT_ACTIONS, fieldLabel, formatAuditValue } from "../lib/audit";
+
+const ACTION_COLORS = {
+  created: "text-green-600",
+  edited: "text-blue-600",
+  deleted: "text-red-500",
+  restored: "text-orange-500",
+  purged: "text-red-500",
+};
+
+const MONEY_FIELDS = new Set(["amount", "originalAmount"]);
+
+// One line of the audit log: what happened, who did it and when, and for
+// edits each field's value before and after. `showLabel` adds which
+// transaction it was, for the ledger-wide feed.
+export default function AuditEntry({ entry, nameOf, formatMoney, showLabel = false }) {
+  const value = (field, v) =>
+    MONEY_FIELDS.has(field) && v !== null ? formatMoney(v) : formatAuditValue(field, v);
+
+  return (
+    <div className="py-2 space-y-1">
+      <p className="text-xs text-gray-500">
+        <span className={`font-bold ${ACTION_COLORS[entry.action] || "text-gray-600"}`}>
+          {AUDIT_ACTIONS[entry.action] || entry.action}
+        </span>
+        {showLabel && (
+          <span className="font-semibold text-gray-800">
+            {" "}
+            {entry.label.category}
+            {entry.label.name && ` · ${entry.label.name}`} · {formatMoney(entry.label.amount)}
+          </span>
+        )}
+        {` by ${nameOf(entry.by)} · ${new Date(entry.at).toLocaleString()}`}
+      </p>
+      {entry.changes.map((c) => (
+        <p key={c.field} className="text-xs text-gray-600 pl-2 border-l-2 border-gray-100">
+          <span className="font-semibold">{fieldLabel(c.field)}:</span>{" "}
+          <span className="line-through text-gray-400">{value(c.field, c.before)}</span>
+          {" → "}
+          {value(c.field, c.after)}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { History as HistoryIcon, ChevronDown, ChevronUp, Loader2 } from "lucide-react";
+import { subscribeAudit } from "../services/data";
+import AuditEntry from "./AuditEntry";
+
+// The change history of one transaction, under its edit form. Collapsed
+// until asked for, so editing doesn't wait on it.
+export default function AuditTrail({ uid, transactionId, nameOf, formatMoney }) {
+  const [open, setOpen] = useState(false);
+  const key = `${uid}/${transactionId}`;
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+
+  useEffect(() => {
+    if (!open) return;
+    return subscribeAudit(
+      uid,
+      transactionId,
+      (rows) => setLoaded({ key, rows }),
+      (err) => {
+        console.error("Audit fetch error:", err);
+        setLoaded({ key, rows: [] });
+      }
+    );
+  }, [open, uid, transactionId, key]);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        className="w-full flex justify-between items-center text-xs font-bold text-gray-500"
+      >
+        <span className="flex items-center gap-1">
+          <HistoryIcon size={12} />
+          Change history
+        </span>
+        {open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+      </button>
+      {open &&
+        (loaded.key !== key ? (
+          <div className="flex justify-center py-3">
+            <Loader2 className="animate-spin text-gray-300" size={18} />
+          </div>
+        ) : loaded.rows.length === 0 ? (
+          <p className="text-xs text-gray-400 py-2">
+            No changes recorded — this entry predates the change history.
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-50">
+            {loaded.rows.map((entry) => (
+              <AuditEntry
+                key={entry.id}
+                entry={entry}
+                nameOf={nameOf}
+                formatMoney={formatMoney}
+              />
+            ))}
+          </div>
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+
+const BAR_COLORS = {
+  ok: "bg-green-400",
+  warn: "bg-orange-400",
+  over: "bg-red-500",
+};
+
+export default function BudgetBar({ status, formatMoney }) {
+  const width = Math.min(100, status.ratio * 100);
+  return (
+    <div>
+      <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${BAR_COLORS[status.level]}`}
+          style={{ width: `${width}%` }}
+        />
+      </div>
+      <div className="mt-1 flex justify-between text-[10px] text-gray-400">
+        <span>
+          {formatMoney(status.spent)} of {formatMoney(status.limit)} this month
+        </span>
+        <span className={status.level === "over" ? "text-red-500 font-bold" : ""}>
+          {status.remaining >= 0
+            ? `${formatMoney(status.remaining)} left`
+            : `${formatMoney(-status.remaining)} over`}
+        </span>
+      </div>
+    </div>
+  );
+}
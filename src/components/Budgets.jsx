@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { ChevronLeft, Check, Trash2 } from "lucide-react";
+import { OVERALL_BUDGET } from "../lib/budgets";
+import { categoryTree } from "../lib/categories";
+import { saveBudget, removeBudget } from "../services/data";
+import CategoryBadge from "./CategoryBadge";
+import BudgetBar from "./BudgetBar";
+
+function BudgetRow({ uid, id, label, badge, budget, status, formatMoney, showNotification }) {
+  const [amount, setAmount] = useState(budget ? String(budget.amount) : "");
+  const [rollover, setRollover] = useState(!!budget?.rollover);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving budget");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!(Number(amount) > 0)) {
+      showNotification("Enter a limit above zero");
+      return;
+    }
+    run(() => saveBudget(uid, id, { amount, rollover }), `${label} budget saved`);
+  };
+
+  return (
+    <div className="p-4 space-y-2">
+      <div className="flex items-center gap-3">
+        {badge}
+        <span className="flex-1 text-gray-700 font-medium truncate">{label}</span>
+        <input
+          type="number"
+          min="0"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="No limit"
+          className="w-24 px-2 py-1 bg-gray-50 rounded-lg border border-gray-200 text-sm text-right"
+        />
+        <button
+          type="button"
+          disabled={busy}
+          onClick={handleSave}
+          className="p-1.5 rounded-lg bg-blue-600 text-white"
+        >
+          <Check size={14} />
+        </button>
+        {budget && (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() =>
+              run(async () => {
+                await removeBudget(uid, id);
+                setAmount("");
+                setRollover(false);
+              }, `${label} budget removed`)
+            }
+            className="p-1.5 text-gray-300 hover:text-red-500"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+      <label className="flex items-center gap-2 text-[10px] text-gray-500">
+        <input
+          type="checkbox"
+          checked={rollover}
+          onChange={(e) => setRollover(e.target.checked)}
+        />
+        Roll unused amount over to next month
+      </label>
+      {status && <BudgetBar status={status} formatMoney={formatMoney} />}
+    </div>
+  );
+}
+
+export default function Budgets({
+  uid,
+  categories,
+  budgets,
+  budgetStatus,
+  formatMoney,
+  onBack,
+  showNotification,
+}) {
+  const expenseCategories = categoryTree(categories, "Debit");
+  const rowProps = { uid, formatMoney, showNotification };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Monthly Budgets</h2>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100">
+        <BudgetRow
+          key={`${OVERALL_BUDGET}-${budgets[OVERALL_BUDGET]?.updatedAt}`}
+          {...rowProps}
+          id={OVERALL_BUDGET}
+          label="All expenses"
+          budget={budgets[OVERALL_BUDGET]}
+          status={budgetStatus[OVERALL_BUDGET]}
+        />
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {expenseCategories.map((c) => (
+          <BudgetRow
+            key={`${c.id}-${budgets[c.id]?.updatedAt}`}
+            {...rowProps}
+            id={c.id}
+            label={c.name}
+            badge={<CategoryBadge icon={c.icon} color={c.color} size={12} />}
+            budget={budgets[c.id]}
+            status={budgetStatus[c.id]}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
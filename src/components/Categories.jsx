@@ -0,0 +1,384 @@
+import React, { useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronUp,
+  ChevronDown,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  Plus,
+  Check,
+  X,
+} from "lucide-react";
+import {
+  CATEGORY_COLORS,
+  categoryTree,
+  nameTaken,
+  normalizeName,
+} from "../lib/categories";
+import { CATEGORY_ICONS } from "../lib/categoryIcons";
+import CategoryBadge from "./CategoryBadge";
+import {
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  renameCategory,
+  mergeCategory,
+} from "../services/data";
+
+function StylePicker({ icon, color, onChange }) {
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-7 gap-1">
+        {Object.keys(CATEGORY_ICONS).map((key) => {
+          const Icon = CATEGORY_ICONS[key];
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onChange({ icon: key, color })}
+              className={`p-2 rounded-lg flex justify-center ${
+                icon === key ? "bg-blue-50 text-blue-600" : "text-gray-500"
+              }`}
+            >
+              <Icon size={16} />
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {CATEGORY_COLORS.map((c) => (
+          <button
+            key={c}
+            type="button"
+            onClick={() => onChange({ icon, color: c })}
+            className={`w-6 h-6 rounded-full ${
+              color === c ? "ring-2 ring-offset-2 ring-gray-400" : ""
+            }`}
+            style={{ backgroundColor: c }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function Categories({ uid, categories, onBack, showNotification }) {
+  const [type, setType] = useState("Debit");
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [draft, setDraft] = useState({ name: "", icon: "tag", color: CATEGORY_COLORS[0] });
+  const [subDraft, setSubDraft] = useState("");
+
+  const tree = useMemo(
+    () => categoryTree(categories, type, { includeArchived: showArchived }),
+    [categories, type, showArchived]
+  );
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      if (message) showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error updating categories");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = normalizeName(draft.name);
+    if (!name) return;
+    if (nameTaken(categories, { type, name })) {
+      showNotification("A category with that name exists");
+      return;
+    }
+    const order = tree.reduce((max, c) => Math.max(max, c.order ?? 0), -1) + 1;
+    run(async () => {
+      await createCategory(uid, { ...draft, name, type, order });
+      setDraft((d) => ({ ...d, name: "" }));
+    }, "Category added");
+  };
+
+  const startEdit = (c) => {
+    setEditing({ id: c.id, name: c.name, icon: c.icon, color: c.color, mergeInto: "" });
+    setSubDraft("");
+  };
+
+  const saveEdit = (c, parent = null) => {
+    const name = normalizeName(editing.name);
+    if (!name) return;
+    if (
+      name !== c.name &&
+      nameTaken(categories, { type, name, parentId: parent?.id || null }, c.id)
+    ) {
+      showNotification("A category with that name exists");
+      return;
+    }
+    run(async () => {
+      if (!parent) {
+        await updateCategory(uid, c.id, { icon: editing.icon, color: editing.color });
+      }
+      if (name !== c.name) await renameCategory(uid, c, name, parent);
+      setEditing(null);
+    }, "Category saved");
+  };
+
+  const handleMerge = (c) => {
+    const target = tree.find((t) => t.id === editing.mergeInto);
+    if (!target) return;
+    run(async () => {
+      const moved = await mergeCategory(uid, c, target, c.children);
+      setEditing(null);
+      showNotification(`Merged ${moved} records into ${target.name}`);
+    });
+  };
+
+  const addSubcategory = (parent) => {
+    const name = normalizeName(subDraft);
+    if (!name) return;
+    if (nameTaken(categories, { type, name, parentId: parent.id })) {
+      showNotification("A subcategory with that name exists");
+      return;
+    }
+    const order = parent.children.length;
+    run(async () => {
+      await createCategory(uid, {
+        name,
+        type,
+        order,
+        parentId: parent.id,
+        icon: parent.icon,
+        color: parent.color,
+      });
+      setSubDraft("");
+    }, "Subcategory added");
+  };
+
+  const move = (list, index, step) => {
+    if (!list[index + step]) return;
+    const ids = list.map((c) => c.id);
+    [ids[index], ids[index + step]] = [ids[index + step], ids[index]];
+    run(() => reorderCategories(uid, ids));
+  };
+
+  const renderRow = (c, index, list, parent = null) => {
+    const isEditing = editing?.id === c.id;
+    return (
+      <div key={c.id} className={parent ? "pl-8" : ""}>
+        <div className="flex items-center justify-between p-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <CategoryBadge icon={c.icon} color={c.color} size={parent ? 12 : 16} />
+            <span
+              className={`font-medium truncate ${
+                c.archived ? "text-gray-300 line-through" : "text-gray-700"
+              }`}
+            >
+              {c.name}
+            </span>
+          </div>
+          <div className="flex items-center text-gray-400">
+            <button
+              type="button"
+              disabled={busy || index === 0}
+              onClick={() => move(list, index, -1)}
+              className="p-1 disabled:opacity-30"
+            >
+              <ChevronUp size={16} />
+            </button>
+            <button
+              type="button"
+              disabled={busy || index === list.length - 1}
+              onClick={() => move(list, index, 1)}
+              className="p-1 disabled:opacity-30"
+            >
+              <ChevronDown size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => (isEditing ? setEditing(null) : startEdit(c))}
+              className="p-1 hover:text-blue-600"
+            >
+              {isEditing ? <X size={16} /> : <Pencil size={14} />}
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() =>
+                run(
+                  () => updateCategory(uid, c.id, { archived: !c.archived }),
+                  c.archived ? "Category restored" : "Category archived"
+                )
+              }
+              className="p-1 hover:text-orange-500"
+            >
+              {c.archived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+            </button>
+          </div>
+        </div>
+
+        {isEditing && (
+          <div className="px-3 pb-4 space-y-3">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing((ed) => ({ ...ed, name: e.target.value }))}
+                className="flex-1 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+              />
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => saveEdit(c, parent)}
+                className="px-3 bg-blue-600 text-white rounded-lg"
+              >
+                <Check size={16} />
+              </button>
+            </div>
+            {!parent && (
+              <>
+                <StylePicker
+                  icon={editing.icon}
+                  color={editing.color}
+                  onChange={(style) => setEditing((ed) => ({ ...ed, ...style }))}
+                />
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={subDraft}
+                    onChange={(e) => setSubDraft(e.target.value)}
+                    placeholder="New subcategory"
+                    className="flex-1 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+                  />
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => addSubcategory(c)}
+                    className="px-3 bg-gray-100 text-gray-600 rounded-lg"
+                  >
+                    <Plus size={16} />
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <select
+                    value={editing.mergeInto}
+                    onChange={(e) =>
+                      setEditing((ed) => ({ ...ed, mergeInto: e.target.value }))
+                    }
+                    className="flex-1 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+                  >
+                    <option value="">Merge into…</option>
+                    {tree
+                      .filter((t) => t.id !== c.id)
+                      .map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name}
+                        </option>
+                      ))}
+                  </select>
+                  <button
+                    type="button"
+                    disabled={busy || !editing.mergeInto}
+                    onClick={() => handleMerge(c)}
+                    className="px-3 bg-red-50 text-red-500 rounded-lg text-sm font-bold disabled:opacity-40"
+                  >
+                    Merge
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {!parent &&
+          c.children.map((s, i) => renderRow(s, i, c.children, c))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Categories</h2>
+      </div>
+
+      <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+        {[
+          ["Debit", "Expense"],
+          ["Credit", "Income"],
+        ].map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => {
+              setType(id);
+              setEditing(null);
+            }}
+            className={`py-2 rounded-lg text-sm font-bold transition-all ${
+              type === id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {tree.map((c, i) => renderRow(c, i, tree))}
+        {tree.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">No categories</div>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-gray-500">
+        <input
+          type="checkbox"
+          checked={showArchived}
+          onChange={(e) => setShowArchived(e.target.checked)}
+        />
+        Show archived
+      </label>
+
+      <form
+        onSubmit={handleCreate}
+        className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+      >
+        <h3 className="text-gray-800 font-bold">New Category</h3>
+        <div className="flex gap-2 items-center">
+          <CategoryBadge icon={draft.icon} color={draft.color} />
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            placeholder="Name"
+            className="flex-1 px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+          />
+        </div>
+        <StylePicker
+          icon={draft.icon}
+          color={draft.color}
+          onChange={(style) => setDraft((d) => ({ ...d, ...style }))}
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+        >
+          <Plus size={18} />
+          Add Category
+        </button>
+      </form>
+    </div>
+  );
+}
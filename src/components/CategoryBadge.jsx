@@ -0,0 +1,15 @@
+import React from "react";
+import { Tag } from "lucide-react";
+import { CATEGORY_ICONS } from "../lib/categoryIcons";
+
+export default function CategoryBadge({ icon, color, size = 16 }) {
+  const Icon = CATEGORY_ICONS[icon] || Tag;
+  return (
+    <div
+      className="p-1.5 rounded-full text-white shrink-0"
+      style={{ backgroundColor: color }}
+    >
+      <Icon size={size} />
+    </div>
+  );
+}
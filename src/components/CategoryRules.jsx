@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { Trash2, Plus } from "lucide-react";
+import { categoryTree } from "../lib/categories";
+import { saveCategoryRules } from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+// Keyword → category rules, used by the importer and by quick entry.
+export default function CategoryRules({ uid, categories, rules, hint, showNotification }) {
+  const [newRule, setNewRule] = useState({ keyword: "", category: "" });
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving rule");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addRule = () => {
+    const keyword = newRule.keyword.trim();
+    const category = categories.find((c) => c.name === newRule.category && !c.parentId);
+    if (!keyword || !category) return;
+    run(async () => {
+      await saveCategoryRules(uid, [
+        ...rules,
+        { keyword, category: category.name, type: category.type },
+      ]);
+      setNewRule({ keyword: "", category: "" });
+    });
+  };
+
+  const removeRule = (index) =>
+    run(() => saveCategoryRules(uid, rules.filter((_, i) => i !== index)));
+
+  return (
+    <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+      <h3 className="text-gray-800 font-bold">Category Rules</h3>
+      <p className="text-[10px] text-gray-400">{hint}</p>
+      {rules.map((r, i) => (
+        <div key={`${r.keyword}-${i}`} className="flex justify-between items-center text-sm">
+          <span className="text-gray-600">
+            “{r.keyword}” → <span className="font-bold">{r.category}</span>
+          </span>
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => removeRule(i)}
+            className="text-gray-300 hover:text-red-500"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newRule.keyword}
+          onChange={(e) => setNewRule((n) => ({ ...n, keyword: e.target.value }))}
+          placeholder="Keyword"
+          className={inputClass}
+        />
+        <select
+          value={newRule.category}
+          onChange={(e) => setNewRule((n) => ({ ...n, category: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="">Category</option>
+          {["Debit", "Credit"].flatMap((type) =>
+            categoryTree(categories, type).map((c) => (
+              <option key={c.id} value={c.name}>
+                {c.name}
+              </option>
+            ))
+          )}
+        </select>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={addRule}
+          className="px-3 bg-gray-100 text-gray-600 rounded-lg"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React from "react";
+import { arcPath, niceCeiling, monthLabel } from "../lib/charts";
+
+// Plain SVG charts for the dashboard. Each one scales to the width of its
+// card through its viewBox.
+
+export function DonutChart({ slices, total, label, formatMoney, onSelect }) {
+  return (
+    <svg viewBox="0 0 120 120" className="w-40 h-40 shrink-0">
+      {slices.map((s) => (
+        <path
+          key={s.name}
+          d={arcPath(60, 60, 56, 38, s.start, s.end)}
+          fill={s.color}
+          className="cursor-pointer hover:opacity-80 stroke-white"
+          strokeWidth="1"
+          onClick={() => onSelect(s.name)}
+        >
+          <title>
+            {s.name}: {formatMoney(s.value)} ({Math.round(s.share * 100)}%)
+          </title>
+        </path>
+      ))}
+      {slices.length === 0 && (
+        <circle cx="60" cy="60" r="47" fill="none" stroke="#f3f4f6" strokeWidth="18" />
+      )}
+      <text
+        x="60"
+        y="56"
+        textAnchor="middle"
+        className="fill-gray-400 text-[7px] font-bold uppercase"
+      >
+        {label}
+      </text>
+      <text x="60" y="70" textAnchor="middle" className="fill-gray-800 text-[10px] font-bold">
+        {formatMoney(total)}
+      </text>
+    </svg>
+  );
+}
+
+const BAR_HEIGHT = 80;
+
+export function MonthlyBars({ series, formatMoney, onSelect }) {
+  const top = niceCeiling(Math.max(...series.flatMap((m) => [m.income, m.expense])));
+  const width = 100 / series.length;
+  const y = (v) => BAR_HEIGHT - (v / top) * BAR_HEIGHT;
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 100 ${BAR_HEIGHT}`}
+        className="w-full h-32"
+        preserveAspectRatio="none"
+      >
+        <line
+          x1="0"
+          x2="100"
+          y1={BAR_HEIGHT}
+          y2={BAR_HEIGHT}
+          stroke="#e5e7eb"
+          strokeWidth="0.5"
+        />
+        {series.map((m, i) => (
+          <g
+            key={m.month}
+            className="cursor-pointer hover:opacity-80"
+            onClick={() => onSelect(m.month)}
+          >
+            <rect x={i * width} y="0" width={width} height={BAR_HEIGHT} fill="transparent" />
+            <rect
+              x={i * width + width * 0.15}
+              y={y(m.income)}
+              width={width * 0.33}
+              height={BAR_HEIGHT - y(m.income)}
+              className="fill-green-400"
+            />
+            <rect
+              x={i * width + width * 0.52}
+              y={y(m.expense)}
+              width={width * 0.33}
+              height={BAR_HEIGHT - y(m.expense)}
+              className="fill-red-400"
+            />
+            <title>
+              {monthLabel(m.month)}: in {formatMoney(m.income)}, out {formatMoney(m.expense)}
+            </title>
+          </g>
+        ))}
+      </svg>
+      <div className="flex text-[10px] text-gray-400">
+        {series.map((m) => (
+          <span key={m.month} className="flex-1 text-center">
+            {monthLabel(m.month)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const LINE_HEIGHT = 60;
+
+export function TrendLine({ points, formatMoney }) {
+  if (points.length < 2) {
+    return (
+      <p className="py-6 text-center text-gray-400 text-sm">
+        The trend shows once there are two months of records
+      </p>
+    );
+  }
+  const values = points.map((p) => p.balance);
+  const low = Math.min(0, ...values);
+  const high = Math.max(...values);
+  const span = high - low || 1;
+  const x = (i) => (i / (points.length - 1)) * 100;
+  const y = (v) => LINE_HEIGHT - ((v - low) / span) * LINE_HEIGHT;
+  const line = points.map((p, i) => `${x(i)},${y(p.balance)}`).join(" ");
+  const last = points[points.length - 1];
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] text-gray-400 mb-1">
+        <span>High {formatMoney(high)}</span>
+        <span className="font-bold text-gray-700">Now {formatMoney(last.balance)}</span>
+      </div>
+      <svg viewBox={`0 0 100 ${LINE_HEIGHT}`} className="w-full h-28" preserveAspectRatio="none">
+        {low < 0 && (
+          <line x1="0" x2="100" y1={y(0)} y2={y(0)} stroke="#e5e7eb" strokeWidth="0.5" />
+        )}
+        <polygon
+          points={`0,${LINE_HEIGHT} ${line} 100,${LINE_HEIGHT}`}
+          className="fill-blue-50"
+        />
+        <polyline
+          points={line}
+          fill="none"
+          className="stroke-blue-500"
+          strokeWidth="1.5"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+        <span>
+          {monthLabel(points[0].month)} {points[0].month.slice(0, 4)}
+        </span>
+        <span>
+          {monthLabel(last.month)} {last.month.slice(0, 4)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+const shortDate = (date) => {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { day: "numeric", month: "short" });
+};
+
+// The projected balance day by day. Below zero the area turns red; a
+// safety `threshold` above zero shows as a dashed line.
+export function ForecastLine({ points, threshold = 0, formatMoney }) {
+  const values = points.map((p) => p.balance);
+  const low = Math.min(0, threshold, ...values);
+  const high = Math.max(threshold, ...values);
+  const span = high - low || 1;
+  const x = (i) => (i / Math.max(1, points.length - 1)) * 100;
+  const y = (v) => LINE_HEIGHT - ((v - low) / span) * LINE_HEIGHT;
+  const line = points.map((p, i) => `${x(i)},${y(p.balance)}`).join(" ");
+  const lowest = Math.min(...values);
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] text-gray-400 mb-1">
+        <span>Today {formatMoney(points[0].balance)}</span>
+        <span className={`font-bold ${lowest < threshold ? "text-red-500" : "text-gray-700"}`}>
+          Low {formatMoney(lowest)}
+        </span>
+      </div>
+      <svg viewBox={`0 0 100 ${LINE_HEIGHT}`} className="w-full h-28" preserveAspectRatio="none">
+        <polygon
+          points={`0,${y(Math.max(0, low))} ${line} 100,${y(Math.max(0, low))}`}
+          className={lowest < 0 ? "fill-red-50" : "fill-blue-50"}
+        />
+        {low < 0 && (
+          <line x1="0" x2="100" y1={y(0)} y2={y(0)} stroke="#e5e7eb" strokeWidth="0.5" />
+        )}
+        {threshold > 0 && (
+          <line
+            x1="0"
+            x2="100"
+            y1={y(threshold)}
+            y2={y(threshold)}
+            className="stroke-orange-400"
+            strokeWidth="1"
+            strokeDasharray="3 2"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+        <polyline
+          points={line}
+          fill="none"
+          className={lowest < threshold || lowest < 0 ? "stroke-red-500" : "stroke-blue-500"}
+          strokeWidth="1.5"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+        <span>{shortDate(points[0].date)}</span>
+        <span>{shortDate(points.at(-1).date)}</span>
+      </div>
+    </div>
+  );
+}
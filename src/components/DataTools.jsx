@@ -0,0 +1,255 @@
+import React, { useState } from "react";
+import {
+  ChevronLeft,
+  Download,
+  Upload,
+  FileSpreadsheet,
+  FileJson,
+  FileText,
+  Loader2,
+} from "lucide-react";
+import {
+  filterForExport,
+  transactionsToCSV,
+  transactionsToOFX,
+  buildBackup,
+  parseBackup,
+} from "../lib/exporter";
+import { categoryTree } from "../lib/categories";
+import { todayISO } from "../lib/reports";
+import { appId } from "../firebase";
+import { fetchTransactions, fetchBackupCollections, restoreBackup } from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const download = (content, filename, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const FORMATS = [
+  { id: "csv", label: "CSV", icon: FileSpreadsheet },
+  { id: "json", label: "JSON backup", icon: FileJson },
+  { id: "ofx", label: "OFX", icon: FileText },
+];
+
+export default function DataTools({
+  uid,
+  categories,
+  homeCurrency,
+  canRestore,
+  onBack,
+  showNotification,
+}) {
+  const [start, setStart] = useState("");
+  const [end, setEnd] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [backup, setBackup] = useState(null);
+
+  const categoryNames = [
+    ...new Set(
+      ["Debit", "Credit"].flatMap((type) =>
+        categoryTree(categories, type, { includeArchived: true }).map((c) => c.name)
+      )
+    ),
+  ];
+
+  const toggle = (name) =>
+    setSelected((s) => (s.includes(name) ? s.filter((n) => n !== name) : [...s, name]));
+
+  const handleExport = async (format) => {
+    setBusy(format);
+    try {
+      const filters = { start, end, categories: selected };
+      const rows = filterForExport(await fetchTransactions(uid, { start, end }), filters);
+      const stamp = todayISO();
+      if (format === "csv") {
+        download(transactionsToCSV(rows), `transactions-${stamp}.csv`, "text/csv");
+      } else if (format === "ofx") {
+        download(
+          transactionsToOFX(rows, { start, end, currency: homeCurrency }),
+          `transactions-${stamp}.ofx`,
+          "application/x-ofx"
+        );
+      } else {
+        const data = buildBackup({
+          appId,
+          transactions: rows,
+          collections: await fetchBackupCollections(uid),
+        });
+        download(JSON.stringify(data, null, 2), `backup-${stamp}.json`, "application/json");
+      }
+      showNotification(`Exported ${rows.length} transactions`);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error exporting data");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setBackup(parseBackup(String(reader.result || "")));
+      } catch (err) {
+        setBackup(null);
+        showNotification(err.message);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const handleRestore = async () => {
+    setBusy("restore");
+    try {
+      const counts = await restoreBackup(uid, backup);
+      const skipped = backup.transactions.length - counts.transactions;
+      showNotification(
+        `Restored ${counts.transactions} transactions` +
+          (skipped ? ` (${skipped} already present)` : "")
+      );
+      setBackup(null);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error restoring backup");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Export & Backup</h2>
+      </div>
+
+      {/* Export */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <h3 className="text-gray-800 font-bold flex items-center gap-2">
+          <Download size={16} className="text-blue-500" />
+          Export
+        </h3>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-[10px] font-bold uppercase text-gray-400">
+            From
+            <input
+              type="date"
+              value={start}
+              onChange={(e) => setStart(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[10px] font-bold uppercase text-gray-400">
+            To
+            <input
+              type="date"
+              value={end}
+              onChange={(e) => setEnd(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <div>
+          <p className="text-[10px] font-bold uppercase text-gray-400 mb-1">
+            Categories {selected.length === 0 && "(all)"}
+          </p>
+          <div className="flex flex-wrap gap-1">
+            {categoryNames.map((name) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggle(name)}
+                className={`py-1 px-2 text-xs rounded-full border ${
+                  selected.includes(name)
+                    ? "bg-blue-600 border-blue-600 text-white"
+                    : "border-gray-200 text-gray-500"
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {FORMATS.map((f) => {
+            const Icon = f.icon;
+            return (
+              <button
+                key={f.id}
+                type="button"
+                disabled={!!busy}
+                onClick={() => handleExport(f.id)}
+                className="py-3 rounded-xl bg-gray-50 border border-gray-200 text-xs font-bold text-gray-700 flex flex-col items-center gap-1 disabled:opacity-50"
+              >
+                {busy === f.id ? (
+                  <Loader2 className="animate-spin" size={18} />
+                ) : (
+                  <Icon size={18} />
+                )}
+                {f.label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Restore */}
+      {canRestore && (
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+          <h3 className="text-gray-800 font-bold flex items-center gap-2">
+            <Upload size={16} className="text-blue-500" />
+            Restore
+          </h3>
+          <p className="text-[10px] text-gray-400">
+            Records already in this ledger are skipped, so restoring twice is safe.
+          </p>
+          <label className="flex items-center justify-center gap-2 py-4 border-2 border-dashed border-gray-200 rounded-xl text-gray-500 text-sm cursor-pointer">
+            <FileJson size={18} />
+            Choose a JSON backup
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </label>
+          {backup && (
+            <div className="space-y-2">
+              <p className="text-xs text-gray-600">
+                {backup.transactions.length} transactions from “{backup.appId}”, exported{" "}
+                {new Date(backup.exportedAt).toLocaleString()}.
+              </p>
+              <button
+                type="button"
+                disabled={!!busy}
+                onClick={handleRestore}
+                className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+              >
+                {busy === "restore" && <Loader2 className="animate-spin" size={16} />}
+                Restore backup
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
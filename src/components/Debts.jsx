@@ -0,0 +1,347 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronDown, Plus, Save, X, Loader2 } from "lucide-react";
+import {
+  DIRECTIONS,
+  debtLedger,
+  balancesByPerson,
+  debtTotals,
+  debtFields,
+  repaymentFields,
+  repaymentProblem,
+} from "../lib/debts";
+import { todayISO } from "../lib/reports";
+import { addTransaction } from "../services/data";
+
+const emptyDraft = (accountId) => ({
+  direction: "lent",
+  person: "",
+  amount: "",
+  accountId: accountId || "",
+  date: todayISO(),
+  note: "",
+});
+
+const stamped = (fields) => ({ ...fields, createdAt: Date.now() });
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+export default function Debts({
+  uid,
+  entries,
+  accounts,
+  primaryAccountId,
+  formatMoney,
+  canContribute,
+  onBack,
+  showNotification,
+}) {
+  const [draft, setDraft] = useState(null);
+  // The debt a repayment is being entered for: { id, amount, date }.
+  const [repaying, setRepaying] = useState(null);
+  const [openPerson, setOpenPerson] = useState(null);
+
+  const debts = useMemo(() => debtLedger(entries || []), [entries]);
+  const people = useMemo(() => balancesByPerson(debts), [debts]);
+  const totals = useMemo(() => debtTotals(debts), [debts]);
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  // Not awaited, like the Add form: the write lands in the local cache at
+  // once and, offline, only resolves once it reaches the server.
+  const save = (fields, message) => {
+    addTransaction(uid, stamped(fields)).catch((err) => {
+      console.error(err);
+      showNotification("Error saving IOU");
+    });
+    showNotification(navigator.onLine ? message : `${message} — will sync when back online`);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.person.trim() || !(Number(draft.amount) > 0)) return;
+    save(debtFields(draft), "IOU recorded");
+    setOpenPerson(draft.person.trim());
+    setDraft(null);
+  };
+
+  const handleRepay = (debt) => {
+    const problem = repaymentProblem(debt, repaying.amount);
+    if (problem) {
+      showNotification(problem);
+      return;
+    }
+    save(
+      repaymentFields(debt, repaying),
+      Number(repaying.amount) < debt.outstanding ? "Part repayment recorded" : "Settled"
+    );
+    setRepaying(null);
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">Lent & Borrowed</h2>
+        </div>
+        {!draft && canContribute && (
+          <button
+            type="button"
+            onClick={() => setDraft(emptyDraft(primaryAccountId))}
+            className="p-2 rounded-full bg-blue-600 text-white"
+          >
+            <Plus size={18} />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-green-600 mb-1">You are owed</p>
+          <p className="text-xl font-bold text-gray-800">{formatMoney(totals.owedToYou)}</p>
+        </div>
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-red-500 mb-1">You owe</p>
+          <p className="text-xl font-bold text-gray-800">{formatMoney(totals.youOwe)}</p>
+        </div>
+      </div>
+
+      {draft && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+        >
+          <div className="flex justify-between items-center">
+            <h3 className="text-gray-800 font-bold">New IOU</h3>
+            <button type="button" onClick={() => setDraft(null)} className="text-gray-400">
+              <X size={18} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+            {DIRECTIONS.map((d) => (
+              <button
+                key={d.id}
+                type="button"
+                onClick={() => setDraft((prev) => ({ ...prev, direction: d.id }))}
+                className={`py-2 rounded-lg text-sm font-bold ${
+                  draft.direction === d.id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              list="debt-people"
+              value={draft.person}
+              onChange={set("person")}
+              placeholder={draft.direction === "lent" ? "To whom" : "From whom"}
+              className={inputClass}
+              required
+            />
+            <datalist id="debt-people">
+              {people.map((p) => (
+                <option key={p.person} value={p.person} />
+              ))}
+            </datalist>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={draft.amount}
+              onChange={set("amount")}
+              placeholder="Amount"
+              className={inputClass}
+              required
+            />
+          </div>
+          <div className={accounts.length > 0 ? "grid grid-cols-2 gap-2" : ""}>
+            {accounts.length > 0 && (
+              <select value={draft.accountId} onChange={set("accountId")} className={inputClass}>
+                {accounts.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="date"
+              value={draft.date}
+              max={todayISO()}
+              onChange={set("date")}
+              className={inputClass}
+              required
+            />
+          </div>
+          <input
+            type="text"
+            value={draft.note}
+            onChange={set("note")}
+            placeholder="What for (optional)"
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+          >
+            <Save size={18} />
+            Save
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {entries === null && (
+          <div className="flex justify-center py-6 text-gray-400">
+            <Loader2 className="animate-spin" size={20} />
+          </div>
+        )}
+        {people.map((p) => {
+          const open = openPerson === p.person;
+          return (
+            <div key={p.person}>
+              <button
+                type="button"
+                onClick={() => setOpenPerson(open ? null : p.person)}
+                className="w-full p-4 flex justify-between items-center text-left"
+              >
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-800 text-sm truncate">{p.person}</p>
+                  <p className="text-xs text-gray-400">
+                    {p.net > 0
+                      ? "Owes you"
+                      : p.net < 0
+                        ? "You owe"
+                        : p.owedToYou > 0
+                          ? "Evens out"
+                          : "All settled"}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span
+                    className={`font-bold text-sm ${
+                      p.net > 0 ? "text-green-600" : p.net < 0 ? "text-red-500" : "text-gray-400"
+                    }`}
+                  >
+                    {formatMoney(Math.abs(p.net))}
+                  </span>
+                  <ChevronDown
+                    size={16}
+                    className={`text-gray-400 transition-transform ${open ? "rotate-180" : ""}`}
+                  />
+                </div>
+              </button>
+              {open && (
+                <div className="px-4 pb-4 space-y-3">
+                  {p.debts.map((d) => (
+                    <div key={d.id} className="bg-gray-50 rounded-xl p-3 space-y-2">
+                      <div className="flex justify-between items-start gap-2">
+                        <div className="min-w-0">
+                          <p className="text-sm font-semibold text-gray-800">
+                            {d.missing
+                              ? "Deleted IOU"
+                              : `${d.direction === "lent" ? "Lent" : "Borrowed"} ${formatMoney(
+                                  d.amount
+                                )}`}
+                          </p>
+                          <p className="text-xs text-gray-400 truncate">
+                            {d.missing
+                              ? "Restore it from the trash, or delete these repayments too"
+                              : d.date}
+                            {d.note && ` — ${d.note}`}
+                          </p>
+                        </div>
+                        {!d.missing && (
+                          <span
+                            className={`text-xs font-bold shrink-0 ${
+                              d.outstanding > 0 ? "text-orange-500" : "text-green-600"
+                            }`}
+                          >
+                            {d.outstanding > 0
+                              ? `${formatMoney(d.outstanding)} open`
+                              : "Settled"}
+                          </span>
+                        )}
+                      </div>
+                      {d.repayments.map((r) => (
+                        <p key={r.id} className="text-xs text-gray-500 flex justify-between">
+                          <span>Paid back {r.date}</span>
+                          <span>{formatMoney(r.amount)}</span>
+                        </p>
+                      ))}
+                      {canContribute && d.outstanding > 0 && repaying?.id !== d.id && (
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setRepaying({
+                              id: d.id,
+                              amount: String(d.outstanding),
+                              date: todayISO(),
+                            })
+                          }
+                          className="text-xs font-bold text-blue-600"
+                        >
+                          Record repayment
+                        </button>
+                      )}
+                      {repaying?.id === d.id && (
+                        <div className="flex gap-2">
+                          <input
+                            type="number"
+                            step="any"
+                            min="0"
+                            value={repaying.amount}
+                            onChange={(e) =>
+                              setRepaying((r) => ({ ...r, amount: e.target.value }))
+                            }
+                            className={inputClass}
+                          />
+                          <input
+                            type="date"
+                            value={repaying.date}
+                            max={todayISO()}
+                            onChange={(e) => setRepaying((r) => ({ ...r, date: e.target.value }))}
+                            className={inputClass}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleRepay(d)}
+                            className="px-3 rounded-lg bg-blue-600 text-white"
+                          >
+                            <Save size={14} />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setRepaying(null)}
+                            className="text-gray-400"
+                          >
+                            <X size={14} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {entries !== null && people.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">
+            Nothing lent or borrowed yet
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,343 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, Plus, X, Save, AlertTriangle, Repeat } from "lucide-react";
+import { HISTORY_DAYS, buildForecast, horizonEnd } from "../lib/forecast";
+import { monthLabel } from "../lib/charts";
+import { addDays, todayISO } from "../lib/reports";
+import { saveSettings } from "../services/data";
+import { ForecastLine } from "./Charts";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const HORIZONS = [1, 3, 6];
+
+const emptyPlan = (today) => ({ label: "", type: "Debit", amount: "", date: addDays(today, 7) });
+
+// Where the balance is heading: recurring income and bills on their dates
+// plus everyday spending at its recent pace. What-if items live only on
+// this screen and are gone once you leave it.
+export default function Forecast({
+  uid,
+  balance,
+  history,
+  templates,
+  threshold,
+  manager,
+  formatMoney,
+  onOpenRecurring,
+  onBack,
+  showNotification,
+}) {
+  const today = todayISO();
+  const [months, setMonths] = useState(3);
+  const [whatIfs, setWhatIfs] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [limit, setLimit] = useState(threshold ? String(threshold) : "");
+  const [busy, setBusy] = useState(false);
+
+  const forecast = useMemo(
+    () =>
+      buildForecast({
+        balance,
+        today,
+        months,
+        transactions: history,
+        templates,
+        whatIfs,
+        threshold,
+      }),
+    [balance, today, months, history, templates, whatIfs, threshold]
+  );
+  const dailyTotal = forecast.spend.reduce((sum, r) => sum + r.perDay, 0);
+  const warning = forecast.belowZero || forecast.belowThreshold;
+
+  const setField = (field) => (e) => setPlan((p) => ({ ...p, [field]: e.target.value }));
+
+  const handleAddPlan = (e) => {
+    e.preventDefault();
+    const amount = Number(plan.amount);
+    if (!(amount > 0)) {
+      showNotification("Enter an amount");
+      return;
+    }
+    if (plan.date <= today) {
+      showNotification("Pick a date after today");
+      return;
+    }
+    setWhatIfs((items) => [...items, { ...plan, id: Date.now(), amount }]);
+    setPlan(null);
+  };
+
+  const handleSaveLimit = async () => {
+    setBusy(true);
+    try {
+      await saveSettings(uid, "preferences", { lowBalance: Math.max(0, Number(limit) || 0) });
+      showNotification("Safety threshold saved");
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving settings");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Forecast</h2>
+      </div>
+
+      {/* Projection */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+        <div className="flex bg-gray-100 p-1 rounded-xl">
+          {HORIZONS.map((m) => (
+            <button
+              key={m}
+              type="button"
+              onClick={() => setMonths(m)}
+              className={`flex-1 py-1.5 rounded-lg text-xs font-bold ${
+                months === m ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+              }`}
+            >
+              To {monthLabel(horizonEnd(today, m).slice(0, 7))}
+            </button>
+          ))}
+        </div>
+        <ForecastLine points={forecast.points} threshold={threshold} formatMoney={formatMoney} />
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <p className="text-[10px] font-bold uppercase text-gray-400">This month ends at</p>
+            <p
+              className={`font-bold ${
+                forecast.monthEnd.balance < 0 ? "text-red-500" : "text-gray-800"
+              }`}
+            >
+              {formatMoney(forecast.monthEnd.balance)}
+            </p>
+          </div>
+          <div>
+            <p className="text-[10px] font-bold uppercase text-gray-400">
+              By {forecast.end.date}
+            </p>
+            <p
+              className={`font-bold ${forecast.end.balance < 0 ? "text-red-500" : "text-gray-800"}`}
+            >
+              {formatMoney(forecast.end.balance)}
+            </p>
+          </div>
+        </div>
+        {warning ? (
+          <p className="flex gap-2 p-3 rounded-xl bg-red-50 text-xs text-red-600">
+            <AlertTriangle size={16} className="shrink-0" />
+            <span>
+              {forecast.belowZero
+                ? `Forecast to go below zero on ${forecast.belowZero.date}.`
+                : `Forecast to drop below your safety threshold of ${formatMoney(
+                    threshold
+                  )} on ${forecast.belowThreshold.date}.`}{" "}
+              Lowest point {formatMoney(forecast.lowest.balance)} on {forecast.lowest.date}.
+            </span>
+          </p>
+        ) : (
+          <p className="text-xs text-gray-400">
+            Lowest point {formatMoney(forecast.lowest.balance)} on {forecast.lowest.date}.
+          </p>
+        )}
+      </div>
+
+      {/* What-ifs */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <div className="flex justify-between items-center">
+          <h3 className="text-gray-800 font-bold">What if…</h3>
+          {!plan && (
+            <button
+              type="button"
+              onClick={() => setPlan(emptyPlan(today))}
+              className="text-xs font-bold text-blue-600 flex items-center gap-1"
+            >
+              <Plus size={12} />
+              Add
+            </button>
+          )}
+        </div>
+        {whatIfs.map((w) => (
+          <div key={w.id} className="flex justify-between items-center text-sm">
+            <span className="text-gray-600 truncate">
+              {w.label || (w.type === "Credit" ? "Planned income" : "Planned purchase")}
+              <span className="text-xs text-gray-400"> · {w.date}</span>
+            </span>
+            <span className="flex items-center gap-2 shrink-0">
+              <span
+                className={`font-bold ${w.type === "Credit" ? "text-green-600" : "text-red-500"}`}
+              >
+                {w.type === "Credit" ? "+" : "-"}
+                {formatMoney(w.amount)}
+              </span>
+              <button
+                type="button"
+                onClick={() => setWhatIfs((items) => items.filter((i) => i.id !== w.id))}
+                className="text-gray-300 hover:text-red-500"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          </div>
+        ))}
+        {whatIfs.length === 0 && !plan && (
+          <p className="text-xs text-gray-400">
+            Try a planned purchase or extra income to see how the line moves. Nothing is saved.
+          </p>
+        )}
+        {plan && (
+          <form onSubmit={handleAddPlan} className="space-y-2">
+            <div className="flex bg-gray-100 p-1 rounded-xl">
+              {[
+                ["Debit", "Spend"],
+                ["Credit", "Receive"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setPlan((p) => ({ ...p, type: value }))}
+                  className={`flex-1 py-1.5 rounded-lg text-xs font-bold ${
+                    plan.type === value ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={plan.label}
+              onChange={setField("label")}
+              placeholder="What, e.g. New laptop"
+              className={inputClass}
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={plan.amount}
+                onChange={setField("amount")}
+                placeholder="Amount"
+                className={inputClass}
+                required
+              />
+              <input
+                type="date"
+                value={plan.date}
+                min={addDays(today, 1)}
+                onChange={setField("date")}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setPlan(null)}
+                className="flex-1 py-2 rounded-lg bg-gray-100 text-gray-600 text-sm font-bold"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-2 rounded-lg bg-blue-600 text-white text-sm font-bold"
+              >
+                Add to forecast
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Safety threshold */}
+      {manager && (
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+          <h3 className="text-gray-800 font-bold">Safety threshold</h3>
+          <p className="text-xs text-gray-400">
+            Warn when the balance is forecast to drop below this. Leave empty to warn only
+            below zero.
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              placeholder="0"
+              className={inputClass}
+            />
+            <button
+              type="button"
+              disabled={busy}
+              onClick={handleSaveLimit}
+              className="px-3 bg-blue-600 text-white rounded-lg"
+            >
+              <Save size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Assumptions */}
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        <div className="p-4 flex justify-between items-center">
+          <h3 className="text-gray-800 font-bold">Scheduled</h3>
+          {manager && (
+            <button
+              type="button"
+              onClick={onOpenRecurring}
+              className="text-xs font-bold text-blue-600 flex items-center gap-1"
+            >
+              <Repeat size={12} />
+              Recurring
+            </button>
+          )}
+        </div>
+        {forecast.events.map((e, i) => (
+          <div key={i} className="px-4 py-2 flex justify-between text-sm">
+            <span className="text-gray-600 truncate">
+              {e.label}
+              <span className="text-xs text-gray-400"> · {e.date}</span>
+            </span>
+            <span className={`font-bold ${e.amount > 0 ? "text-green-600" : "text-gray-800"}`}>
+              {e.amount > 0 ? "+" : ""}
+              {formatMoney(e.amount)}
+            </span>
+          </div>
+        ))}
+        {forecast.events.length === 0 && (
+          <p className="p-4 text-xs text-gray-400">
+            No recurring income or bills fall in this period.
+          </p>
+        )}
+        <div className="p-4 flex justify-between items-center">
+          <h3 className="text-gray-800 font-bold">Everyday spending</h3>
+          <span className="text-xs font-bold text-gray-500">{formatMoney(dailyTotal)} / day</span>
+        </div>
+        {forecast.spend.map((r) => (
+          <div key={r.category} className="px-4 py-2 flex justify-between text-sm">
+            <span className="text-gray-600">{r.category}</span>
+            <span className="text-gray-800">{formatMoney(r.perDay)} / day</span>
+          </div>
+        ))}
+        <p className="p-4 text-xs text-gray-400">
+          {forecast.spend.length
+            ? `Average of the last ${HISTORY_DAYS} days' expenses, recurring ones aside.`
+            : `No expenses in the last ${HISTORY_DAYS} days to average yet.`}
+        </p>
+      </div>
+    </div>
+  );
+}
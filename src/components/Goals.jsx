@@ -0,0 +1,390 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, Plus, Save, X, Pencil, Trash2, Target, Check } from "lucide-react";
+import {
+  DEFAULT_AUTO_CATEGORY_ID,
+  autoCategoryIdOf,
+  autoCategoryName,
+  goalProgress,
+  newlyReached,
+  savedByGoal,
+} from "../lib/goals";
+import { categoryTree } from "../lib/categories";
+import { todayISO } from "../lib/reports";
+import {
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution,
+} from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const emptyDraft = () => ({
+  name: "",
+  target: "",
+  deadline: "",
+  autoPercent: "",
+  autoCategoryId: DEFAULT_AUTO_CATEGORY_ID,
+});
+
+export default function Goals({
+  uid,
+  goals,
+  contributions,
+  categories,
+  savings,
+  formatMoney,
+  manager,
+  canContribute,
+  onBack,
+  showNotification,
+}) {
+  const today = todayISO();
+  const [draft, setDraft] = useState(null);
+  // The goal money is being set aside for: { id, amount }.
+  const [adding, setAdding] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const saved = useMemo(() => savedByGoal(contributions), [contributions]);
+  const setAside = Object.values(saved).reduce((sum, v) => sum + v, 0);
+
+  const incomeCategories = useMemo(() => categoryTree(categories, "Credit"), [categories]);
+  const sourceName = (goal) => autoCategoryName(goal, categories) || "a deleted category";
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  // Not awaited, like the Add form: the write lands in the local cache at
+  // once and, offline, only resolves once it reaches the server.
+  const run = (saving, message) => {
+    saving.catch((err) => {
+      console.error(err);
+      showNotification("Error saving goal");
+    });
+    showNotification(navigator.onLine ? message : `${message} — will sync when back online`);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() || !(Number(draft.target) > 0)) return;
+    const autoPercent = Math.min(100, Math.max(0, Number(draft.autoPercent) || 0));
+    const previous = goals.find((g) => g.id === draft.id);
+    const unchanged =
+      previous?.autoPercent > 0 && autoCategoryIdOf(previous) === draft.autoCategoryId;
+    const fields = {
+      name: draft.name.trim(),
+      target: Number(draft.target),
+      deadline: draft.deadline || null,
+      autoPercent,
+      autoCategoryId: draft.autoCategoryId,
+      // Automatic shares only apply to income entered from now on.
+      autoSince: autoPercent > 0 && unchanged ? previous.autoSince : Date.now(),
+    };
+    run(
+      draft.id ? updateGoal(uid, draft.id, fields) : createGoal(uid, fields),
+      draft.id ? "Goal updated" : "Goal added"
+    );
+    setDraft(null);
+  };
+
+  const handleContribute = (goal) => {
+    const amount = Number(adding.amount);
+    if (!(amount > 0)) return;
+    const added = [{ goalId: goal.id, amount }];
+    const reached = newlyReached(goals, saved, added);
+    run(
+      addContribution(uid, { goalId: goal.id, amount, date: today, source: "manual" }),
+      reached.length ? `Goal reached: ${goal.name}` : "Set aside"
+    );
+    setAdding(null);
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">Savings Goals</h2>
+        </div>
+        {!draft && manager && (
+          <button
+            type="button"
+            onClick={() => setDraft(emptyDraft())}
+            className="p-2 rounded-full bg-blue-600 text-white"
+          >
+            <Plus size={18} />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-gray-400 mb-1">Set aside</p>
+          <p className="text-xl font-bold text-gray-800">{formatMoney(setAside)}</p>
+        </div>
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-gray-400 mb-1">Still free</p>
+          <p
+            className={`text-xl font-bold ${
+              savings - setAside < 0 ? "text-red-500" : "text-gray-800"
+            }`}
+          >
+            {formatMoney(savings - setAside)}
+          </p>
+        </div>
+      </div>
+
+      {draft && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+        >
+          <div className="flex justify-between items-center">
+            <h3 className="text-gray-800 font-bold">{draft.id ? "Edit Goal" : "New Goal"}</h3>
+            <button type="button" onClick={() => setDraft(null)} className="text-gray-400">
+              <X size={18} />
+            </button>
+          </div>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={set("name")}
+            placeholder="Name, e.g. Emergency fund"
+            className={inputClass}
+            required
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Target
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={draft.target}
+                onChange={set("target")}
+                className={inputClass}
+                required
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Deadline (optional)
+              <input
+                type="date"
+                value={draft.deadline}
+                onChange={set("deadline")}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              % of each credit (optional)
+              <input
+                type="number"
+                step="any"
+                min="0"
+                max="100"
+                value={draft.autoPercent}
+                onChange={set("autoPercent")}
+                placeholder="0"
+                className={inputClass}
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              In income category
+              <select
+                value={draft.autoCategoryId}
+                onChange={set("autoCategoryId")}
+                className={inputClass}
+              >
+                {!incomeCategories.some((c) => c.id === draft.autoCategoryId) && (
+                  <option value={draft.autoCategoryId}>—</option>
+                )}
+                {incomeCategories.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+          >
+            <Save size={18} />
+            Save
+          </button>
+        </form>
+      )}
+
+      <div className="space-y-3">
+        {goals.map((goal) => {
+          const progress = goalProgress(goal, saved[goal.id] || 0, today);
+          const own = contributions
+            .filter((c) => c.goalId === goal.id)
+            .sort((a, b) => b.date.localeCompare(a.date));
+          return (
+            <div
+              key={goal.id}
+              className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+            >
+              <div className="flex justify-between items-start gap-2">
+                <button
+                  type="button"
+                  onClick={() => setOpenId(openId === goal.id ? null : goal.id)}
+                  className="min-w-0 text-left"
+                >
+                  <p className="font-semibold text-gray-800 text-sm flex items-center gap-1">
+                    {progress.reached ? (
+                      <Check size={14} className="text-green-600" />
+                    ) : (
+                      <Target size={14} className="text-blue-500" />
+                    )}
+                    {goal.name}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {goal.deadline ? `By ${goal.deadline}` : "No deadline"}
+                    {goal.autoPercent > 0 && ` · ${goal.autoPercent}% of ${sourceName(goal)}`}
+                  </p>
+                </button>
+                {manager && (
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button
+                      type="button"
+                      title="Edit"
+                      onClick={() =>
+                        setDraft({
+                          id: goal.id,
+                          name: goal.name,
+                          target: String(goal.target),
+                          deadline: goal.deadline || "",
+                          autoPercent: goal.autoPercent ? String(goal.autoPercent) : "",
+                          autoCategoryId: autoCategoryIdOf(goal),
+                        })
+                      }
+                      className="p-1 text-gray-400 hover:text-blue-600"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                    <button
+                      type="button"
+                      title="Delete"
+                      onClick={() => run(deleteGoal(uid, goal.id), "Goal deleted")}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${progress.reached ? "bg-green-500" : "bg-blue-500"}`}
+                    style={{ width: `${progress.ratio * 100}%` }}
+                  />
+                </div>
+                <div className="mt-1 flex justify-between text-[10px] text-gray-400">
+                  <span>
+                    {formatMoney(progress.saved)} of {formatMoney(goal.target)}
+                  </span>
+                  <span className={progress.overdue ? "text-red-500 font-bold" : ""}>
+                    {progress.reached
+                      ? "Reached"
+                      : progress.overdue
+                        ? `${formatMoney(progress.remaining)} short, deadline passed`
+                        : progress.monthlyNeeded > 0
+                          ? `${formatMoney(progress.monthlyNeeded)} / month to finish on time`
+                          : `${formatMoney(progress.remaining)} to go`}
+                  </span>
+                </div>
+              </div>
+
+              {canContribute && !progress.reached && adding?.id !== goal.id && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setAdding({ id: goal.id, amount: String(progress.monthlyNeeded || "") })
+                  }
+                  className="text-xs font-bold text-blue-600"
+                >
+                  Set money aside
+                </button>
+              )}
+              {adding?.id === goal.id && (
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={adding.amount}
+                    onChange={(e) => setAdding((a) => ({ ...a, amount: e.target.value }))}
+                    placeholder="Amount"
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleContribute(goal)}
+                    className="px-3 rounded-lg bg-blue-600 text-white"
+                  >
+                    <Save size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAdding(null)}
+                    className="text-gray-400"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              )}
+
+              {openId === goal.id && (
+                <div className="border-t border-gray-50 pt-2 space-y-1">
+                  {own.map((c) => (
+                    <div key={c.id} className="flex justify-between items-center text-xs">
+                      <span className="text-gray-500">
+                        {c.date} · {c.source === "auto" ? `From ${sourceName(goal)}` : "By hand"}
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="font-semibold text-gray-700">
+                          {formatMoney(c.amount)}
+                        </span>
+                        {manager && (
+                          <button
+                            type="button"
+                            onClick={() => run(deleteContribution(uid, c.id), "Removed")}
+                            className="text-gray-300 hover:text-red-500"
+                          >
+                            <X size={12} />
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                  {own.length === 0 && (
+                    <p className="text-xs text-gray-400">Nothing set aside yet</p>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {goals.length === 0 && !draft && (
+          <div className="bg-white p-6 rounded-2xl border border-gray-100 text-center text-gray-400 text-sm">
+            No goals yet
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,453 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronDown,
+  Search,
+  Link2,
+  Bookmark,
+  X,
+  Loader2,
+  RotateCcw,
+} from "lucide-react";
+import {
+  DEFAULT_FILTERS,
+  SORTS,
+  filtersToParams,
+  filtersFromParams,
+  hasActiveFilters,
+  applyFilters,
+  runningTotals,
+} from "../lib/history";
+import { categoryTree } from "../lib/categories";
+import { accountName, signedAmount } from "../lib/accounts";
+import { isSplit } from "../lib/splits";
+import { DEBT, debtLabel } from "../lib/debts";
+import { knownTags, tagsOf } from "../lib/tags";
+import { saveSettings, subscribeRange } from "../services/data";
+import SplitLines from "./SplitLines";
+
+const PAGE = 100;
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const TYPES = [
+  ["all", "All"],
+  ["Debit", "Expense"],
+  ["Credit", "Income"],
+  ["Transfer", "Transfer"],
+  [DEBT, "IOU"],
+];
+
+export default function History({
+  uid,
+  categories,
+  accounts,
+  presets,
+  initialFilters,
+  formatMoney,
+  manager,
+  canEdit,
+  onEdit,
+  onBack,
+  showNotification,
+}) {
+  // Opened from a chart the filters are handed in; from a shared link they
+  // come from the address bar.
+  const [filters, setFilters] = useState(
+    () => initialFilters || filtersFromParams(window.location.search)
+  );
+  const [shown, setShown] = useState(PAGE);
+  const [presetName, setPresetName] = useState("");
+  // Split records show as one row; this is the one opened up to its lines.
+  const [expanded, setExpanded] = useState(null);
+
+  const update = (changes) => {
+    setFilters((f) => ({ ...f, ...changes }));
+    setShown(PAGE);
+  };
+  const set = (field) => (e) => update({ [field]: e.target.value });
+
+  // Keep the address bar in step so the current view can be shared; leaving
+  // the screen clears it again.
+  const params = filtersToParams(filters);
+  useEffect(() => {
+    const search = params ? `?view=history&${params}` : "?view=history";
+    window.history.replaceState(null, "", `${window.location.pathname}${search}`);
+    return () => window.history.replaceState(null, "", window.location.pathname);
+  }, [params]);
+
+  // Only the date window is queried; text, type, category and amount
+  // filters run locally over it.
+  const windowKey = `${filters.start}|${filters.end}`;
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+  const fetching = loaded.key !== windowKey;
+  useEffect(() => {
+    const unsubscribe = subscribeRange(
+      uid,
+      { start: filters.start, end: filters.end },
+      (rows) => setLoaded({ key: windowKey, rows }),
+      (err) => {
+        console.error("History fetch error:", err);
+        setLoaded({ key: windowKey, rows: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, [uid, filters.start, filters.end, windowKey]);
+
+  const rows = useMemo(() => applyFilters(loaded.rows, filters), [loaded.rows, filters]);
+  const totals = useMemo(
+    () => runningTotals(rows, filters.category),
+    [rows, filters.category]
+  );
+
+  const categoryNames = useMemo(
+    () => [
+      ...new Set(
+        ["Debit", "Credit"].flatMap((t) =>
+          categoryTree(categories, t, { includeArchived: true }).flatMap((c) => [
+            c.name,
+            ...c.children.map((s) => s.name),
+          ])
+        )
+      ),
+    ],
+    [categories]
+  );
+
+  const tagNames = useMemo(() => knownTags(loaded.rows), [loaded.rows]);
+
+  const applyPreset = (preset) => update(filtersFromParams(preset.query));
+
+  const savePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+    try {
+      await saveSettings(uid, "historyPresets", {
+        presets: [...presets.filter((p) => p.name !== name), { name, query: params }],
+      });
+      setPresetName("");
+      showNotification("View saved");
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving view");
+    }
+  };
+
+  const removePreset = async (name) => {
+    try {
+      await saveSettings(uid, "historyPresets", {
+        presets: presets.filter((p) => p.name !== name),
+      });
+    } catch (err) {
+      console.error(err);
+      showNotification("Error removing view");
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showNotification("Link copied");
+    } catch {
+      showNotification("Copy the address bar to share this view");
+    }
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">History</h2>
+        </div>
+        <button
+          type="button"
+          onClick={copyLink}
+          title="Copy a link to this view"
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <Link2 size={18} />
+        </button>
+      </div>
+
+      {/* Presets */}
+      {presets.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {presets.map((p) => (
+            <span
+              key={p.name}
+              className={`flex items-center gap-1 py-1 pl-3 pr-1 text-xs rounded-full border ${
+                p.query === params
+                  ? "bg-blue-600 border-blue-600 text-white"
+                  : "border-gray-200 text-gray-600"
+              }`}
+            >
+              <button type="button" onClick={() => applyPreset(p)} className="font-bold">
+                {p.name}
+              </button>
+              {manager && (
+                <button
+                  type="button"
+                  onClick={() => removePreset(p.name)}
+                  className="p-0.5 opacity-60 hover:opacity-100"
+                >
+                  <X size={12} />
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <div className="relative">
+          <Search
+            size={16}
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
+          />
+          <input
+            type="search"
+            value={filters.text}
+            onChange={set("text")}
+            placeholder="Search category, payee, note or tag"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <div className="grid grid-cols-5 bg-gray-100 p-1 rounded-xl">
+          {TYPES.map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => update({ type: id })}
+              className={`py-1.5 rounded-lg text-xs font-bold ${
+                filters.type === id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={filters.category} onChange={set("category")} className={inputClass}>
+            <option value="">All categories</option>
+            {categoryNames.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <select value={filters.sort} onChange={set("sort")} className={inputClass}>
+            {SORTS.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {(tagNames.length > 0 || filters.tag) && (
+          <select value={filters.tag} onChange={set("tag")} className={inputClass}>
+            <option value="">All tags</option>
+            {filters.tag && !tagNames.includes(filters.tag) && (
+              <option value={filters.tag}>#{filters.tag}</option>
+            )}
+            {tagNames.map((name) => (
+              <option key={name} value={name}>
+                #{name}
+              </option>
+            ))}
+          </select>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={filters.min}
+            onChange={set("min")}
+            placeholder="Min amount"
+            className={inputClass}
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={filters.max}
+            onChange={set("max")}
+            placeholder="Max amount"
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-[10px] font-bold uppercase text-gray-400">
+            From
+            <input
+              type="date"
+              value={filters.start}
+              onChange={set("start")}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[10px] font-bold uppercase text-gray-400">
+            To
+            <input
+              type="date"
+              value={filters.end}
+              onChange={set("end")}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <div className="flex gap-2">
+          {/* Presets are ledger settings, which only admins may change. */}
+          {manager && (
+            <>
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                placeholder="Save this view as…"
+                className={inputClass}
+              />
+              <button
+                type="button"
+                disabled={!presetName.trim() || !params}
+                onClick={savePreset}
+                className="px-3 bg-blue-600 text-white rounded-lg disabled:opacity-40"
+              >
+                <Bookmark size={16} />
+              </button>
+            </>
+          )}
+          {hasActiveFilters(filters) && (
+            <button
+              type="button"
+              title="Clear filters"
+              onClick={() => update({ ...DEFAULT_FILTERS, sort: filters.sort })}
+              className="px-3 bg-gray-100 text-gray-500 rounded-lg"
+            >
+              <RotateCcw size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 grid grid-cols-3 gap-2 text-center">
+        <div>
+          <p className="text-[10px] font-bold uppercase text-gray-400">In</p>
+          <p className="font-bold text-green-600 text-sm">{formatMoney(totals.income)}</p>
+        </div>
+        <div>
+          <p className="text-[10px] font-bold uppercase text-gray-400">Out</p>
+          <p className="font-bold text-red-500 text-sm">{formatMoney(totals.expense)}</p>
+        </div>
+        <div>
+          <p className="text-[10px] font-bold uppercase text-gray-400">
+            Net · {totals.count}
+          </p>
+          <p className="font-bold text-gray-800 text-sm">{formatMoney(totals.net)}</p>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {fetching && (
+          <div className="flex justify-center py-6 text-gray-400">
+            <Loader2 className="animate-spin" size={20} />
+          </div>
+        )}
+        {!fetching &&
+          rows.slice(0, shown).map((t, i) => {
+            const value = signedAmount(t);
+            const split = isSplit(t);
+            return (
+              <div key={t.id} className="p-3">
+                <div className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    disabled={t.type === "Adjustment" || t.type === DEBT || !canEdit(t)}
+                    onClick={() => onEdit(t)}
+                    className="flex-1 min-w-0 flex justify-between items-center text-left"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-semibold text-gray-800 text-sm truncate">
+                        {t.type === "Transfer"
+                          ? `${accountName(accounts, t.accountId)} → ${accountName(
+                              accounts,
+                              t.toAccountId
+                            )}`
+                          : t.type === DEBT
+                            ? debtLabel(t)
+                            : split
+                              ? `Split · ${t.splits.length} categories`
+                              : t.category}
+                        {t.subcategory && (
+                          <span className="font-normal text-gray-500"> › {t.subcategory}</span>
+                        )}
+                        {t.payee && (
+                          <span className="font-normal text-gray-500"> · {t.payee}</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-400 truncate">
+                        {t.date}
+                        {t.reimbursable && (t.reimbursedOn ? " · reimbursed" : " · to reimburse")}
+                        {tagsOf(t).map((tag) => ` #${tag}`)}
+                        {t.note && ` — ${t.note}`}
+                      </p>
+                    </div>
+                    <div className="text-right shrink-0 pl-2">
+                      <p
+                        className={`font-bold text-sm ${
+                          value > 0 ? "text-green-600" : "text-gray-800"
+                        }`}
+                      >
+                        {value > 0 ? "+" : value < 0 ? "-" : ""}
+                        {formatMoney(Math.abs(t.amount))}
+                      </p>
+                      <p className="text-[10px] text-gray-400">{formatMoney(totals.running[i])}</p>
+                    </div>
+                  </button>
+                  {split && (
+                    <button
+                      type="button"
+                      title={expanded === t.id ? "Hide lines" : "Show lines"}
+                      onClick={() => setExpanded(expanded === t.id ? null : t.id)}
+                      className="p-1 rounded-full text-gray-400 hover:bg-gray-100"
+                    >
+                      <ChevronDown
+                        size={16}
+                        className={`transition-transform ${expanded === t.id ? "rotate-180" : ""}`}
+                      />
+                    </button>
+                  )}
+                </div>
+                {split && expanded === t.id && (
+                  <SplitLines splits={t.splits} formatMoney={formatMoney} />
+                )}
+              </div>
+            );
+          })}
+        {!fetching && rows.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">Nothing matches</div>
+        )}
+        {!fetching && rows.length > shown && (
+          <button
+            type="button"
+            onClick={() => setShown((n) => n + PAGE)}
+            className="w-full p-3 text-center text-xs font-bold text-blue-600"
+          >
+            Show more ({rows.length - shown} left)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from "react";
+import { ChevronLeft, UserPlus, X, LogOut, Mail } from "lucide-react";
+import { sendEmailVerification } from "firebase/auth";
+import {
+  OWNER,
+  canManage,
+  assignableRoles,
+  roleLabel,
+  normalizeEmail,
+} from "../lib/household";
+import {
+  inviteMember,
+  revokeInvite,
+  acceptInvite,
+  changeRole,
+  removeMember,
+  leaveHousehold,
+  subscribeInvites,
+} from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+export default function Household({
+  uid,
+  user,
+  role,
+  members,
+  invite,
+  onBack,
+  showNotification,
+}) {
+  const roles = assignableRoles(role);
+  const [draft, setDraft] = useState({ email: "", role: "contributor" });
+  const [busy, setBusy] = useState(false);
+
+  // Open invites for this ledger (admins only; the rules hide them otherwise).
+  const [invites, setInvites] = useState([]);
+  const manager = canManage(role);
+  useEffect(() => {
+    if (!manager) return;
+    const unsubscribe = subscribeInvites(uid, setInvites, (err) =>
+      console.error("Invite fetch error:", err)
+    );
+    return () => unsubscribe();
+  }, [uid, manager]);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      if (message) showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error updating household");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    const email = normalizeEmail(draft.email);
+    if (!email.includes("@")) return;
+    if (members.some((m) => m.email === email)) {
+      showNotification("Already a member");
+      return;
+    }
+    run(async () => {
+      await inviteMember(uid, user, email, draft.role);
+      setDraft((d) => ({ ...d, email: "" }));
+    }, `Invited ${email}`);
+  };
+
+  // Joining needs a verified address, or anyone could claim an invite by
+  // registering with someone else's email.
+  const handleJoin = () =>
+    run(async () => {
+      await user.reload();
+      if (!user.emailVerified) {
+        await sendEmailVerification(user);
+        showNotification("Check your inbox to verify your email, then tap Join again");
+        return;
+      }
+      await user.getIdToken(true);
+      await acceptInvite(user, invite);
+      showNotification("Joined the household");
+    });
+
+  const sorted = [...members].sort(
+    (a, b) => (a.role === OWNER ? -1 : b.role === OWNER ? 1 : a.email.localeCompare(b.email))
+  );
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Household</h2>
+      </div>
+
+      {invite && invite.ledgerId !== uid && (
+        <div className="bg-blue-50 p-4 rounded-2xl border border-blue-100 space-y-3">
+          <p className="text-sm text-gray-700 flex items-center gap-2">
+            <Mail size={16} className="text-blue-500 shrink-0" />
+            {invite.invitedByEmail || "Someone"} invited you to their ledger as{" "}
+            {roleLabel(invite.role).toLowerCase()}.
+          </p>
+          <p className="text-[10px] text-gray-500">
+            Your own records stay where they are; leaving the household brings you back
+            to them.
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={busy}
+              onClick={handleJoin}
+              className="flex-1 bg-blue-600 text-white font-bold py-2 rounded-xl"
+            >
+              Join
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => run(() => revokeInvite(invite.id), "Invite declined")}
+              className="flex-1 bg-white text-gray-600 font-bold py-2 rounded-xl border border-gray-200"
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {sorted.map((m) => {
+          const editable =
+            m.role !== OWNER && m.id !== user.uid && roles.some((r) => r.id === m.role);
+          return (
+            <div key={m.id} className="p-4 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-semibold text-sm text-gray-800 truncate">
+                  {m.email}
+                  {m.id === user.uid && <span className="font-normal text-gray-400"> (you)</span>}
+                </p>
+                {!editable && <p className="text-xs text-gray-400">{roleLabel(m.role)}</p>}
+              </div>
+              {editable && (
+                <div className="flex items-center gap-1 shrink-0">
+                  <select
+                    value={m.role}
+                    disabled={busy}
+                    onChange={(e) =>
+                      run(() => changeRole(uid, m.id, e.target.value), "Role updated")
+                    }
+                    className="px-2 py-1 bg-gray-50 rounded-lg border border-gray-200 text-xs"
+                  >
+                    {roles.map((r) => (
+                      <option key={r.id} value={r.id}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    disabled={busy}
+                    title="Remove"
+                    onClick={() => run(() => removeMember(uid, m.id), `Removed ${m.email}`)}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {manager &&
+          invites.map((i) => (
+            <div key={i.id} className="p-4 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-500 truncate">{i.email}</p>
+                <p className="text-xs text-gray-400">Invited · {roleLabel(i.role)}</p>
+              </div>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => run(() => revokeInvite(i.id), "Invite withdrawn")}
+                className="text-xs font-bold text-gray-400 hover:text-red-500"
+              >
+                Withdraw
+              </button>
+            </div>
+          ))}
+      </div>
+
+      {roles.length > 0 && (
+        <form
+          onSubmit={handleInvite}
+          className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+        >
+          <h3 className="text-gray-800 font-bold">Invite someone</h3>
+          <input
+            type="email"
+            value={draft.email}
+            onChange={(e) => setDraft((d) => ({ ...d, email: e.target.value }))}
+            placeholder="Their email address"
+            className={inputClass}
+            required
+          />
+          <div className="space-y-1">
+            {roles.map((r) => (
+              <label key={r.id} className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="role"
+                  checked={draft.role === r.id}
+                  onChange={() => setDraft((d) => ({ ...d, role: r.id }))}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-bold">{r.label}</span>
+                  <span className="block text-xs text-gray-400">{r.hint}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+          >
+            <UserPlus size={18} />
+            Send invite
+          </button>
+          <p className="text-[10px] text-gray-400">
+            They sign in or register with this address and accept from their Household
+            screen.
+          </p>
+        </form>
+      )}
+
+      {role !== OWNER && (
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() =>
+            run(() => leaveHousehold(uid, user.uid), "You left the household")
+          }
+          className="w-full py-3 rounded-xl border border-red-100 text-red-500 font-bold flex items-center justify-center gap-2"
+        >
+          <LogOut size={16} />
+          Leave household
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,445 @@
+import React, { useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  Upload,
+  AlertTriangle,
+  Trash2,
+  Save,
+  Loader2,
+} from "lucide-react";
+import { parseCSV, detectDelimiter } from "../lib/csv";
+import {
+  DATE_FORMATS,
+  guessMapping,
+  mapRows,
+  matchRule,
+  findDuplicate,
+} from "../lib/importer";
+import { categoryTree } from "../lib/categories";
+import { parseISODate } from "../lib/reports";
+import {
+  saveImportProfile,
+  deleteImportProfile,
+  bulkAddTransactions,
+  fetchTransactions,
+} from "../services/data";
+import CategoryRules from "./CategoryRules";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+function ColumnSelect({ label, value, header, onChange, optional = false }) {
+  return (
+    <label className="block text-[10px] font-bold uppercase text-gray-400">
+      {label}
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className={inputClass}
+      >
+        {optional && <option value={-1}>—</option>}
+        {header.map((h, i) => (
+          <option key={i} value={i}>
+            {String.fromCharCode(65 + (i % 26))}: {h || "(blank)"}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default function Import({
+  uid,
+  categories,
+  rules,
+  profiles,
+  accounts,
+  primaryAccountId,
+  formatMoney,
+  onBack,
+  showNotification,
+}) {
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [profileName, setProfileName] = useState("");
+  const [existing, setExisting] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [accountId, setAccountId] = useState(primaryAccountId || "");
+
+  const parsed = useMemo(
+    () => (rows && mapping ? mapRows(rows, mapping) : []),
+    [rows, mapping]
+  );
+
+  // Suggested category and duplicate flag per row; user decisions override.
+  const preview = useMemo(() => {
+    if (!existing) return [];
+    return parsed.map((row) => {
+      if (row.error) return row;
+      const rule = matchRule(rules, row.description, row.type);
+      const fallback = categoryTree(categories, row.type)[0]?.name || "";
+      const duplicate = findDuplicate(row, existing);
+      const decision = decisions[row.index] || {};
+      return {
+        ...row,
+        duplicate,
+        category: decision.category || rule?.category || fallback,
+        accepted: decision.accepted ?? !duplicate,
+      };
+    });
+  }, [parsed, existing, rules, categories, decisions]);
+
+  const accepted = preview.filter((r) => !r.error && r.accepted);
+
+  const reset = () => {
+    setExisting(null);
+    setDecisions({});
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || "");
+      const data = parseCSV(text, detectDelimiter(text));
+      if (data.length === 0) {
+        showNotification("That file has no rows");
+        return;
+      }
+      setRows(data);
+      setMapping(guessMapping(data[0]));
+      reset();
+    };
+    reader.readAsText(file);
+  };
+
+  const updateMapping = (changes) => {
+    setMapping((m) => ({ ...m, ...changes }));
+    reset();
+  };
+
+  const decide = (index, changes) =>
+    setDecisions((d) => ({ ...d, [index]: { ...d[index], ...changes } }));
+
+  const run = async (action, errorMessage) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      showNotification(errorMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = () => {
+    const dates = parsed.filter((r) => !r.error).map((r) => r.date).sort();
+    if (dates.length === 0) {
+      showNotification("No readable rows with this mapping");
+      return;
+    }
+    run(async () => {
+      setExisting(
+        await fetchTransactions(uid, { start: dates[0], end: dates[dates.length - 1] })
+      );
+    }, "Error checking for duplicates");
+  };
+
+  const handleImport = () =>
+    run(async () => {
+      const now = Date.now();
+      const count = await bulkAddTransactions(
+        uid,
+        accepted.map((r) => ({
+          type: r.type,
+          category: r.category,
+          subcategory: null,
+          amount: r.amount,
+          date: r.date,
+          accountId: accountId || null,
+          payee: r.description,
+          note: "",
+          source: "csv",
+          importedAt: now,
+          createdAt: parseISODate(r.date).getTime(),
+        }))
+      );
+      showNotification(`Imported ${count} transactions`);
+      setRows(null);
+      setMapping(null);
+      reset();
+    }, "Error importing transactions");
+
+  const header = rows?.[0] || [];
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Import Statement</h2>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <label className="flex items-center justify-center gap-2 py-4 border-2 border-dashed border-gray-200 rounded-xl text-gray-500 text-sm cursor-pointer">
+          <Upload size={18} />
+          {rows ? `${rows.length} rows loaded — choose another` : "Choose a CSV file"}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        {rows && profiles.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {profiles.map((p) => (
+              <span
+                key={p.id}
+                className="flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-blue-50 text-blue-700 text-xs font-bold"
+              >
+                <button type="button" onClick={() => updateMapping(p.mapping)}>
+                  {p.name}
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    run(() => deleteImportProfile(uid, p.id), "Error deleting profile")
+                  }
+                  className="p-0.5 text-blue-300 hover:text-red-500"
+                >
+                  <Trash2 size={10} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Mapping */}
+      {mapping && (
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+          <h3 className="text-gray-800 font-bold">Columns</h3>
+          <div className="grid grid-cols-2 gap-2">
+            <ColumnSelect
+              label="Date"
+              value={mapping.date}
+              header={header}
+              onChange={(date) => updateMapping({ date })}
+            />
+            <label className="block text-[10px] font-bold uppercase text-gray-400">
+              Date format
+              <select
+                value={mapping.dateFormat}
+                onChange={(e) => updateMapping({ dateFormat: e.target.value })}
+                className={inputClass}
+              >
+                {DATE_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <ColumnSelect
+            label="Description"
+            value={mapping.description}
+            header={header}
+            onChange={(description) => updateMapping({ description })}
+          />
+          <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+            {[
+              ["split", "Debit + Credit"],
+              ["signed", "Signed amount"],
+            ].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => updateMapping({ mode: id })}
+                className={`py-2 rounded-lg text-xs font-bold ${
+                  mapping.mode === id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {mapping.mode === "split" ? (
+            <div className="grid grid-cols-2 gap-2">
+              <ColumnSelect
+                label="Debit"
+                value={mapping.debit}
+                header={header}
+                optional
+                onChange={(debit) => updateMapping({ debit })}
+              />
+              <ColumnSelect
+                label="Credit"
+                value={mapping.credit}
+                header={header}
+                optional
+                onChange={(credit) => updateMapping({ credit })}
+              />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <ColumnSelect
+                label="Amount"
+                value={mapping.amount}
+                header={header}
+                optional
+                onChange={(amount) => updateMapping({ amount })}
+              />
+              <label className="flex items-center gap-2 text-xs text-gray-500">
+                <input
+                  type="checkbox"
+                  checked={mapping.invert}
+                  onChange={(e) => updateMapping({ invert: e.target.checked })}
+                />
+                Positive amounts are expenses (credit-card style)
+              </label>
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-xs text-gray-500">
+            Header rows to skip
+            <input
+              type="number"
+              min="0"
+              value={mapping.skipRows}
+              onChange={(e) => updateMapping({ skipRows: Math.max(0, Number(e.target.value)) })}
+              className="w-16 px-2 py-1 bg-gray-50 rounded border border-gray-200"
+            />
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Save as profile (e.g. HDFC)"
+              className={inputClass}
+            />
+            <button
+              type="button"
+              disabled={busy || !profileName.trim()}
+              onClick={() =>
+                run(async () => {
+                  await saveImportProfile(uid, profileName.trim(), mapping);
+                  setProfileName("");
+                  showNotification("Profile saved");
+                }, "Error saving profile")
+              }
+              className="px-3 bg-gray-100 text-gray-600 rounded-lg disabled:opacity-40"
+            >
+              <Save size={16} />
+            </button>
+          </div>
+          <button
+            type="button"
+            disabled={busy}
+            onClick={handlePreview}
+            className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+          >
+            {busy && !existing && <Loader2 className="animate-spin" size={16} />}
+            Preview {parsed.filter((r) => !r.error).length} rows
+          </button>
+        </div>
+      )}
+
+      {/* Preview */}
+      {existing && (
+        <div className="space-y-3">
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+            {preview.map((r) =>
+              r.error ? (
+                <div key={r.index} className="p-3 text-xs text-gray-400">
+                  Row {r.index + 1 + (mapping.skipRows || 0)} skipped: {r.error}
+                </div>
+              ) : (
+                <div key={r.index} className="p-3 space-y-2">
+                  <div className="flex items-start gap-2">
+                    <input
+                      type="checkbox"
+                      checked={r.accepted}
+                      onChange={(e) => decide(r.index, { accepted: e.target.checked })}
+                      className="mt-1"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-gray-800 truncate">{r.description}</p>
+                      <p className="text-xs text-gray-400">{r.date}</p>
+                    </div>
+                    <span
+                      className={`font-bold text-sm ${
+                        r.type === "Credit" ? "text-green-600" : "text-gray-800"
+                      }`}
+                    >
+                      {r.type === "Credit" ? "+" : "-"}
+                      {formatMoney(r.amount)}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2 pl-6">
+                    <select
+                      value={r.category}
+                      onChange={(e) => decide(r.index, { category: e.target.value })}
+                      className="flex-1 px-2 py-1 bg-gray-50 rounded border border-gray-200 text-xs"
+                    >
+                      {categoryTree(categories, r.type).map((c) => (
+                        <option key={c.id} value={c.name}>
+                          {c.name}
+                        </option>
+                      ))}
+                    </select>
+                    {r.duplicate && (
+                      <span className="flex items-center gap-1 text-[10px] font-bold text-orange-500">
+                        <AlertTriangle size={12} />
+                        Likely duplicate
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )
+            )}
+          </div>
+          {accounts.length > 0 && (
+            <label className="block text-[10px] font-bold uppercase text-gray-400">
+              Into account
+              <select
+                value={accountId}
+                onChange={(e) => setAccountId(e.target.value)}
+                className={inputClass}
+              >
+                {accounts.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button
+            type="button"
+            disabled={busy || accepted.length === 0}
+            onClick={handleImport}
+            className="w-full bg-blue-600 text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2 disabled:opacity-40"
+          >
+            {busy ? <Loader2 className="animate-spin" size={18} /> : <Upload size={18} />}
+            Import {accepted.length} transactions
+          </button>
+        </div>
+      )}
+
+      {/* Keyword Rules */}
+      <CategoryRules
+        uid={uid}
+        categories={categories}
+        rules={rules}
+        hint="Descriptions containing a keyword get its category."
+        showNotification={showNotification}
+      />
+    </div>
+  );
+}
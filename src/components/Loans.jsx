@@ -0,0 +1,603 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  Plus,
+  Save,
+  X,
+  Pencil,
+  Trash2,
+  Check,
+  Link2,
+  Loader2,
+} from "lucide-react";
+import {
+  PREPAYMENT_MODES,
+  emiFor,
+  loanStatus,
+  prepaymentsOf,
+  prepaymentEffect,
+} from "../lib/loans";
+import { categoryTree } from "../lib/categories";
+import { accountName } from "../lib/accounts";
+import { addDays, todayISO } from "../lib/reports";
+import {
+  fetchTransactions,
+  subscribeLoanPayments,
+  subscribeLoans,
+  createLoan,
+  updateLoan,
+  deleteLoan,
+  payInstallment,
+  recordPrepayment,
+  linkInstallment,
+} from "../services/data";
+
+const SCHEDULE_PAGE = 12;
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+const emptyDraft = (accountId, category) => ({
+  name: "",
+  principal: "",
+  rate: "",
+  tenure: "",
+  startDate: todayISO(),
+  accountId: accountId || "",
+  category,
+});
+
+export default function Loans({
+  uid,
+  categories,
+  accounts,
+  primaryAccountId,
+  formatMoney,
+  manager,
+  canContribute,
+  onBack,
+  showNotification,
+}) {
+  const [loans, setLoans] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = subscribeLoans(uid, setLoans, (err) => {
+      console.error("Loan fetch error:", err);
+      setLoans([]);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  const expenseCategories = categoryTree(categories, "Debit");
+  const defaultCategory =
+    expenseCategories.find((c) => c.name === "EMI")?.name || expenseCategories[0]?.name || "";
+  const selected = loans?.find((l) => l.id === selectedId) || null;
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving loan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const tenure = Math.round(Number(draft.tenure));
+    if (!draft.name.trim() || !(Number(draft.principal) > 0) || !(tenure > 0)) return;
+    const fields = {
+      name: draft.name.trim(),
+      principal: Number(draft.principal),
+      rate: Math.max(0, Number(draft.rate) || 0),
+      tenure,
+      startDate: draft.startDate,
+      accountId: draft.accountId || null,
+      category: draft.category || defaultCategory,
+    };
+    run(async () => {
+      if (draft.id) await updateLoan(uid, draft.id, fields);
+      else setSelectedId(await createLoan(uid, fields));
+      setDraft(null);
+    }, draft.id ? "Loan updated" : "Loan added");
+  };
+
+  const startEdit = (loan) =>
+    setDraft({
+      id: loan.id,
+      name: loan.name,
+      principal: String(loan.principal),
+      rate: String(loan.rate),
+      tenure: String(loan.tenure),
+      startDate: loan.startDate,
+      accountId: loan.accountId || "",
+      category: loan.category,
+    });
+
+  const previewEmi = draft
+    ? emiFor(Number(draft.principal), Number(draft.rate), Math.round(Number(draft.tenure)))
+    : 0;
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={selected && !draft ? () => setSelectedId(null) : onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">
+            {selected && !draft ? selected.name : "Loans"}
+          </h2>
+        </div>
+        {!draft && manager && (
+          <div className="flex items-center gap-1">
+            {selected && (
+              <button
+                type="button"
+                title="Edit loan"
+                onClick={() => startEdit(selected)}
+                className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+              >
+                <Pencil size={16} />
+              </button>
+            )}
+            {!selected && (
+              <button
+                type="button"
+                onClick={() => setDraft(emptyDraft(primaryAccountId, defaultCategory))}
+                className="p-2 rounded-full bg-blue-600 text-white"
+              >
+                <Plus size={18} />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {draft && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+        >
+          <div className="flex justify-between items-center">
+            <h3 className="text-gray-800 font-bold">{draft.id ? "Edit Loan" : "New Loan"}</h3>
+            <button type="button" onClick={() => setDraft(null)} className="text-gray-400">
+              <X size={18} />
+            </button>
+          </div>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={set("name")}
+            placeholder="Name, e.g. Home loan"
+            className={inputClass}
+            required
+          />
+          <div className="grid grid-cols-3 gap-2">
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Principal
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={draft.principal}
+                onChange={set("principal")}
+                className={inputClass}
+                required
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Rate % / yr
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={draft.rate}
+                onChange={set("rate")}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Months
+              <input
+                type="number"
+                min="1"
+                value={draft.tenure}
+                onChange={set("tenure")}
+                className={inputClass}
+                required
+              />
+            </label>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              First EMI
+              <input
+                type="date"
+                value={draft.startDate}
+                onChange={set("startDate")}
+                className={inputClass}
+                required
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Category
+              <select value={draft.category} onChange={set("category")} className={inputClass}>
+                {expenseCategories.map((c) => (
+                  <option key={c.id} value={c.name}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {accounts.length > 0 && (
+            <select value={draft.accountId} onChange={set("accountId")} className={inputClass}>
+              {accounts.map((a) => (
+                <option key={a.id} value={a.id}>
+                  Paid from {a.name}
+                </option>
+              ))}
+            </select>
+          )}
+          {previewEmi > 0 && (
+            <p className="text-xs text-gray-500">
+              EMI <span className="font-bold text-gray-800">{formatMoney(previewEmi)}</span>
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="flex-1 bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+            >
+              <Save size={18} />
+              Save
+            </button>
+            {draft.id && (
+              <button
+                type="button"
+                disabled={busy}
+                title="Delete loan"
+                onClick={() =>
+                  run(async () => {
+                    await deleteLoan(uid, draft.id);
+                    setSelectedId(null);
+                    setDraft(null);
+                  }, "Loan deleted")
+                }
+                className="px-4 rounded-xl border border-gray-200 text-gray-400 hover:text-red-500"
+              >
+                <Trash2 size={18} />
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {!draft && selected && (
+        <LoanDetail
+          uid={uid}
+          loan={selected}
+          accounts={accounts}
+          formatMoney={formatMoney}
+          canContribute={canContribute}
+          showNotification={showNotification}
+        />
+      )}
+
+      {!draft && !selected && (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+          {loans === null && (
+            <div className="flex justify-center py-6 text-gray-400">
+              <Loader2 className="animate-spin" size={20} />
+            </div>
+          )}
+          {loans?.map((loan) => (
+            <button
+              key={loan.id}
+              type="button"
+              onClick={() => setSelectedId(loan.id)}
+              className="w-full p-4 flex justify-between items-center text-left"
+            >
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 text-sm truncate">{loan.name}</p>
+                <p className="text-xs text-gray-400">
+                  {formatMoney(loan.principal)} · {loan.rate}% · {loan.tenure} months
+                </p>
+              </div>
+              <span className="font-bold text-sm text-gray-800">
+                {formatMoney(emiFor(loan.principal, loan.rate, loan.tenure))}
+              </span>
+            </button>
+          ))}
+          {loans?.length === 0 && (
+            <div className="p-6 text-center text-gray-400 text-sm">No loans yet</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LoanDetail({ uid, loan, accounts, formatMoney, canContribute, showNotification }) {
+  const today = todayISO();
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+  const [shown, setShown] = useState(SCHEDULE_PAGE);
+  const [extra, setExtra] = useState({ amount: "", date: today, mode: "tenure" });
+  // The installment whose hand-entered EMI is being looked for, with the
+  // candidates found around its date.
+  const [linking, setLinking] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeLoanPayments(
+      uid,
+      loan.id,
+      (rows) => setLoaded({ key: loan.id, rows }),
+      (err) => {
+        console.error("Loan payment fetch error:", err);
+        setLoaded({ key: loan.id, rows: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, [uid, loan.id]);
+
+  const payments = useMemo(
+    () => (loaded.key === loan.id ? loaded.rows : []),
+    [loaded, loan.id]
+  );
+  const status = useMemo(() => loanStatus(loan, payments), [loan, payments]);
+  const effect = useMemo(
+    () =>
+      Number(extra.amount) > 0
+        ? prepaymentEffect(loan, prepaymentsOf(payments), {
+            amount: Number(extra.amount),
+            date: extra.date,
+            mode: extra.mode,
+          })
+        : null,
+    [loan, payments, extra]
+  );
+
+  // Payments are not awaited, like the Add form: the write lands in the
+  // local cache at once (so the row shows as paid) and, offline, only
+  // resolves once it reaches the server.
+  const record = (saving, message) => {
+    saving.catch((err) => {
+      console.error(err);
+      showNotification("Error saving payment");
+    });
+    showNotification(navigator.onLine ? message : `${message} — will sync when back online`);
+  };
+
+  const findCandidates = async (row) => {
+    setLinking({ n: row.n, rows: null });
+    try {
+      const rows = await fetchTransactions(uid, {
+        start: addDays(row.date, -20),
+        end: addDays(row.date, 20),
+      });
+      setLinking({
+        n: row.n,
+        rows: rows.filter(
+          (t) => t.type === "Debit" && !t.loanId && t.category === loan.category
+        ),
+      });
+    } catch (err) {
+      console.error(err);
+      setLinking(null);
+      showNotification("Error loading transactions");
+    }
+  };
+
+  const paidCount = status.schedule.filter((row) => status.paid.has(row.n)).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          ["Remaining principal", formatMoney(status.remainingPrincipal)],
+          ["Interest paid", formatMoney(status.interestPaid)],
+          ["EMI", formatMoney(status.emi)],
+          ["Paid off on", status.payoffDate || "—"],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+            <p className="text-xs font-bold uppercase text-gray-400 mb-1">{label}</p>
+            <p className="text-lg font-bold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+      <div>
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span>
+            {paidCount} of {status.schedule.length} installments paid
+          </span>
+          <span>{accountName(accounts, loan.accountId)}</span>
+        </div>
+        <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-500"
+            style={{
+              width: `${
+                status.schedule.length ? (paidCount / status.schedule.length) * 100 : 0
+              }%`,
+            }}
+          />
+        </div>
+      </div>
+
+      {/* Prepayment */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <h3 className="text-gray-800 font-bold">Prepay</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={extra.amount}
+            onChange={(e) => setExtra((x) => ({ ...x, amount: e.target.value }))}
+            placeholder="Amount"
+            className={inputClass}
+          />
+          <input
+            type="date"
+            value={extra.date}
+            onChange={(e) => setExtra((x) => ({ ...x, date: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+          {PREPAYMENT_MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              onClick={() => setExtra((x) => ({ ...x, mode: m.id }))}
+              className={`py-1.5 rounded-lg text-xs font-bold ${
+                extra.mode === m.id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        {effect && (
+          <p className="text-xs text-gray-600">
+            {extra.mode === "tenure"
+              ? `${effect.installmentsSaved} fewer installments, paid off on ${effect.payoffDate}.`
+              : `EMI drops to ${formatMoney(effect.emi)}.`}{" "}
+            Saves {formatMoney(effect.interestSaved)} in interest.
+          </p>
+        )}
+        {canContribute && (
+          <button
+            type="button"
+            disabled={!effect || extra.date > today}
+            onClick={() => {
+              record(recordPrepayment(uid, loan, extra), "Prepayment recorded");
+              setExtra((x) => ({ ...x, amount: "" }));
+            }}
+            className="w-full py-2 rounded-xl bg-blue-600 text-white text-sm font-bold disabled:opacity-40"
+          >
+            Record prepayment
+          </button>
+        )}
+      </div>
+
+      {/* Schedule */}
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        <div className="grid grid-cols-[2rem_1fr_1fr_1fr_1fr] gap-1 p-3 text-[10px] font-bold uppercase text-gray-400">
+          <span>#</span>
+          <span>Date</span>
+          <span className="text-right">Interest</span>
+          <span className="text-right">Principal</span>
+          <span className="text-right">Balance</span>
+        </div>
+        {status.schedule.slice(0, shown).map((row) => {
+          const paid = status.paid.has(row.n);
+          const due = !paid && row.date <= today;
+          return (
+            <div key={row.n} className="p-3 space-y-2">
+              <div className="grid grid-cols-[2rem_1fr_1fr_1fr_1fr] gap-1 text-xs items-center">
+                <span className="font-bold text-gray-500">{row.n}</span>
+                <span className={due ? "text-orange-500 font-bold" : "text-gray-600"}>
+                  {row.date}
+                </span>
+                <span className="text-right text-gray-500">{formatMoney(row.interest)}</span>
+                <span className="text-right text-gray-800">{formatMoney(row.principal)}</span>
+                <span className="text-right text-gray-500">{formatMoney(row.balance)}</span>
+              </div>
+              {row.prepaid > 0 && (
+                <p className="text-[10px] text-blue-600">
+                  After a prepayment of {formatMoney(row.prepaid)}
+                </p>
+              )}
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-gray-400">EMI {formatMoney(row.emi)}</span>
+                {paid ? (
+                  <span className="flex items-center gap-1 font-bold text-green-600">
+                    <Check size={12} />
+                    Paid
+                  </span>
+                ) : (
+                  canContribute &&
+                  due && (
+                    <span className="flex items-center gap-3">
+                      <button
+                        type="button"
+                        onClick={() => findCandidates(row)}
+                        className="flex items-center gap-1 font-bold text-gray-500"
+                      >
+                        <Link2 size={12} />
+                        Link
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          record(payInstallment(uid, loan, row, row.date), "EMI recorded")
+                        }
+                        className="font-bold text-blue-600"
+                      >
+                        Record EMI
+                      </button>
+                    </span>
+                  )
+                )}
+              </div>
+              {linking?.n === row.n && (
+                <div className="bg-gray-50 rounded-lg p-2 space-y-1">
+                  {linking.rows === null && (
+                    <Loader2 className="animate-spin text-gray-400 mx-auto" size={16} />
+                  )}
+                  {linking.rows?.map((t) => (
+                    <button
+                      key={t.id}
+                      type="button"
+                      onClick={() => {
+                        record(linkInstallment(uid, t, loan, row), "EMI linked");
+                        setLinking(null);
+                      }}
+                      className="w-full flex justify-between text-xs text-left text-gray-700 hover:text-blue-600"
+                    >
+                      <span>
+                        {t.date}
+                        {t.payee && ` · ${t.payee}`}
+                      </span>
+                      <span className="font-bold">{formatMoney(t.amount)}</span>
+                    </button>
+                  ))}
+                  {linking.rows?.length === 0 && (
+                    <p className="text-xs text-gray-400 text-center">
+                      No unlinked {loan.category} entries around this date
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {status.schedule.length > shown && (
+          <button
+            type="button"
+            onClick={() => setShown(status.schedule.length)}
+            className="w-full p-3 text-center text-xs font-bold text-blue-600"
+          >
+            Show all {status.schedule.length} installments
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
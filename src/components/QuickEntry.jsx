@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from "react";
+import { Sparkles, CornerDownLeft, SlidersHorizontal } from "lucide-react";
+import { parseQuickEntry } from "../lib/quickEntry";
+import { todayISO } from "../lib/reports";
+import CategoryRules from "./CategoryRules";
+
+// One-line entry above the Add form. What it understood is previewed as
+// you type; Enter copies it into the form, which saves as usual.
+export default function QuickEntry({
+  uid,
+  categories,
+  rules,
+  formatMoney,
+  canEditRules,
+  onApply,
+  showNotification,
+}) {
+  const [text, setText] = useState("");
+  const [showRules, setShowRules] = useState(false);
+
+  const parsed = useMemo(
+    () => parseQuickEntry(text, { categories, rules, today: todayISO() }),
+    [text, categories, rules]
+  );
+
+  const apply = (e) => {
+    e.preventDefault();
+    if (!parsed) return;
+    onApply(parsed);
+    setText("");
+  };
+
+  return (
+    <div className="mb-6 space-y-2">
+      <form onSubmit={apply} className="flex gap-2">
+        <div className="relative flex-1">
+          <Sparkles
+            size={16}
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-blue-400"
+          />
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Quick add: 450 food lunch yesterday"
+            className="w-full pl-9 pr-3 py-3 bg-blue-50/50 rounded-xl border border-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm text-gray-800"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!parsed}
+          title="Fill the form"
+          className="px-3 rounded-xl bg-blue-600 text-white disabled:opacity-40"
+        >
+          <CornerDownLeft size={16} />
+        </button>
+        {canEditRules && (
+          <button
+            type="button"
+            title="Keyword rules"
+            onClick={() => setShowRules((s) => !s)}
+            className={`px-3 rounded-xl ${
+              showRules ? "bg-blue-100 text-blue-600" : "bg-gray-100 text-gray-500"
+            }`}
+          >
+            <SlidersHorizontal size={16} />
+          </button>
+        )}
+      </form>
+
+      {text.trim() && (
+        <div className="px-3 py-2 rounded-xl bg-gray-50 text-xs text-gray-600">
+          {parsed ? (
+            <>
+              <span
+                className={`font-bold ${
+                  parsed.type === "Credit" ? "text-green-600" : "text-red-500"
+                }`}
+              >
+                {parsed.type === "Credit" ? "Income" : "Expense"} {formatMoney(parsed.amount)}
+              </span>
+              {" · "}
+              {parsed.category ? (
+                <span className="font-bold">
+                  {parsed.category}
+                  {parsed.subcategory && ` › ${parsed.subcategory}`}
+                </span>
+              ) : (
+                <span className="text-orange-500">no category matched</span>
+              )}
+              {" · "}
+              {parsed.date}
+              {parsed.note && ` · “${parsed.note}”`}
+            </>
+          ) : (
+            <span className="text-gray-400">Start with an amount, e.g. 1200 travel uber 3 oct</span>
+          )}
+        </div>
+      )}
+
+      {showRules && (
+        <CategoryRules
+          uid={uid}
+          categories={categories}
+          rules={rules}
+          hint="Quick entries and imported descriptions containing a keyword get its category."
+          showNotification={showNotification}
+        />
+      )}
+    </div>
+  );
+}
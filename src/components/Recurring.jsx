@@ -0,0 +1,382 @@
+import React, { useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  Pause,
+  Play,
+  Pencil,
+  Square,
+  Plus,
+  Save,
+  X,
+  CalendarClock,
+} from "lucide-react";
+import {
+  FREQUENCIES,
+  describeSchedule,
+  occurrencesBetween,
+  upcomingOccurrences,
+} from "../lib/recurring";
+import { categoryTree } from "../lib/categories";
+import { addDays, todayISO } from "../lib/reports";
+import { createTemplate, updateTemplate } from "../services/data";
+
+const emptyDraft = (accountId) => ({
+  type: "Debit",
+  accountId: accountId || "",
+  category: "",
+  amount: "",
+  payee: "",
+  note: "",
+  freq: "monthly",
+  day: String(new Date().getDate()),
+  every: "30",
+  startDate: todayISO(),
+  endDate: "",
+});
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+export default function Recurring({
+  uid,
+  templates,
+  categories,
+  accounts,
+  primaryAccountId,
+  formatMoney,
+  onBack,
+  showNotification,
+}) {
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const today = todayISO();
+
+  const upcoming = useMemo(
+    () => upcomingOccurrences(templates, today).slice(0, 10),
+    [templates, today]
+  );
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  const startEdit = (t) =>
+    setDraft({
+      id: t.id,
+      type: t.type,
+      category: t.category,
+      amount: String(t.amount),
+      accountId: t.accountId || "",
+      payee: t.payee || "",
+      note: t.note || "",
+      freq: t.schedule.freq,
+      day: String(t.schedule.day || ""),
+      every: String(t.schedule.every || ""),
+      startDate: t.startDate,
+      endDate: t.endDate || "",
+    });
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving recurring item");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const category = draft.category || categoryTree(categories, draft.type)[0]?.name;
+    if (!(Number(draft.amount) > 0) || !category) return;
+
+    const schedule = { freq: draft.freq };
+    if (draft.freq === "monthly") {
+      schedule.day = Math.min(31, Math.max(1, Number(draft.day) || 1));
+    }
+    if (draft.freq === "interval") schedule.every = Math.max(1, Number(draft.every) || 1);
+
+    const fields = {
+      type: draft.type,
+      category,
+      amount: Number(draft.amount),
+      accountId: draft.accountId || null,
+      payee: draft.payee.trim(),
+      note: draft.note.trim(),
+      schedule,
+      startDate: draft.startDate,
+      endDate: draft.endDate || null,
+    };
+
+    run(async () => {
+      if (draft.id) await updateTemplate(uid, draft.id, fields);
+      else await createTemplate(uid, fields);
+      setDraft(null);
+    }, draft.id ? "Recurring item updated" : "Recurring item added");
+  };
+
+  const nextDate = (t) =>
+    t.paused ? null : occurrencesBetween(t, addDays(today, 1), addDays(today, 400), 1)[0];
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">Recurring</h2>
+        </div>
+        {!draft && (
+          <button
+            type="button"
+            onClick={() => setDraft(emptyDraft(primaryAccountId))}
+            className="p-2 rounded-full bg-blue-600 text-white"
+          >
+            <Plus size={18} />
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3"
+        >
+          <div className="flex justify-between items-center">
+            <h3 className="text-gray-800 font-bold">
+              {draft.id ? "Edit Recurring" : "New Recurring"}
+            </h3>
+            <button type="button" onClick={() => setDraft(null)} className="text-gray-400">
+              <X size={18} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 bg-gray-100 p-1 rounded-xl">
+            {[
+              ["Debit", "Expense"],
+              ["Credit", "Income"],
+            ].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setDraft((d) => ({ ...d, type: id, category: "" }))}
+                className={`py-2 rounded-lg text-sm font-bold ${
+                  draft.type === id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              value={draft.amount}
+              onChange={set("amount")}
+              placeholder="Amount"
+              className={inputClass}
+              required
+            />
+            <select value={draft.category} onChange={set("category")} className={inputClass}>
+              {categoryTree(categories, draft.type).map((c) => (
+                <option key={c.id} value={c.name}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          {accounts.length > 0 && (
+            <select value={draft.accountId} onChange={set("accountId")} className={inputClass}>
+              {accounts.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={draft.payee}
+            onChange={set("payee")}
+            placeholder="Payee (optional)"
+            className={inputClass}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <select value={draft.freq} onChange={set("freq")} className={inputClass}>
+              {FREQUENCIES.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            {draft.freq === "monthly" && (
+              <input
+                type="number"
+                min="1"
+                max="31"
+                value={draft.day}
+                onChange={set("day")}
+                placeholder="Day of month"
+                className={inputClass}
+              />
+            )}
+            {draft.freq === "interval" && (
+              <input
+                type="number"
+                min="1"
+                value={draft.every}
+                onChange={set("every")}
+                placeholder="Days"
+                className={inputClass}
+              />
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Starts
+              <input
+                type="date"
+                value={draft.startDate}
+                onChange={set("startDate")}
+                className={inputClass}
+                required
+              />
+            </label>
+            <label className="text-[10px] font-bold uppercase text-gray-400">
+              Ends (optional)
+              <input
+                type="date"
+                value={draft.endDate}
+                onChange={set("endDate")}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <p className="text-[10px] text-gray-400">
+            Past dates since the start are filled in automatically.
+          </p>
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+          >
+            <Save size={18} />
+            Save
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {templates.map((t) => {
+          const ended = t.endDate && t.endDate < today;
+          const next = nextDate(t);
+          return (
+            <div key={t.id} className="p-4 flex justify-between items-center">
+              <div className="min-w-0">
+                <p
+                  className={`font-semibold text-sm ${
+                    t.paused || ended ? "text-gray-400" : "text-gray-800"
+                  }`}
+                >
+                  {t.category}
+                  {t.payee && <span className="font-normal"> · {t.payee}</span>}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {describeSchedule(t.schedule)} ·{" "}
+                  {ended ? "Ended" : t.paused ? "Paused" : next ? `Next ${next}` : "No more"}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <span
+                  className={`font-bold text-sm ${
+                    t.type === "Credit" ? "text-green-600" : "text-gray-800"
+                  }`}
+                >
+                  {formatMoney(t.amount)}
+                </span>
+                {!ended && (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    title={t.paused ? "Resume" : "Pause"}
+                    onClick={() =>
+                      run(
+                        () => updateTemplate(uid, t.id, { paused: !t.paused }),
+                        t.paused ? "Resumed" : "Paused"
+                      )
+                    }
+                    className="p-1 text-gray-400 hover:text-blue-600"
+                  >
+                    {t.paused ? <Play size={14} /> : <Pause size={14} />}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  title="Edit"
+                  onClick={() => startEdit(t)}
+                  className="p-1 text-gray-400 hover:text-blue-600"
+                >
+                  <Pencil size={14} />
+                </button>
+                {!ended && (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    title="End series today"
+                    onClick={() =>
+                      run(() => updateTemplate(uid, t.id, { endDate: today }), "Series ended")
+                    }
+                    className="p-1 text-gray-400 hover:text-red-500"
+                  >
+                    <Square size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        {templates.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">
+            No recurring items yet
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-gray-800 font-bold mb-3 flex items-center gap-2">
+          <CalendarClock size={18} className="text-blue-500" />
+          Upcoming (30 days)
+        </h3>
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+          {upcoming.map(({ date, template }) => (
+            <div
+              key={`${template.id}-${date}`}
+              className="p-3 flex justify-between text-sm"
+            >
+              <span className="text-gray-600">
+                {date} · {template.category}
+              </span>
+              <span
+                className={`font-bold ${
+                  template.type === "Credit" ? "text-green-600" : "text-gray-800"
+                }`}
+              >
+                {template.type === "Credit" ? "+" : "-"}
+                {formatMoney(template.amount)}
+              </span>
+            </div>
+          ))}
+          {upcoming.length === 0 && (
+            <div className="p-6 text-center text-gray-400 text-sm">Nothing due</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ChevronLeft, Loader2, Check, RotateCcw } from "lucide-react";
+import { reimbursements, tagsOf } from "../lib/tags";
+import { todayISO } from "../lib/reports";
+import { subscribeReimbursables, updateTransaction } from "../services/data";
+
+// The change that marks `t` paid back today, or still owed again.
+const flipped = (t) => ({
+  reimbursedOn: t.reimbursedOn ? null : todayISO(),
+  updatedAt: Date.now(),
+});
+
+function Item({ t, formatMoney, editable, onToggle }) {
+  return (
+    <div className="p-4 flex justify-between items-center gap-2">
+      <div className="min-w-0">
+        <p className="font-semibold text-gray-800 text-sm truncate">
+          {t.category}
+          {t.payee && <span className="font-normal text-gray-500"> · {t.payee}</span>}
+        </p>
+        <p className="text-xs text-gray-400 truncate">
+          {t.date}
+          {t.reimbursedOn && ` · paid back ${t.reimbursedOn}`}
+          {tagsOf(t).map((tag) => ` #${tag}`)}
+        </p>
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <span className="font-bold text-sm text-gray-800">{formatMoney(t.amount)}</span>
+        {editable && (
+          <button
+            type="button"
+            title={t.reimbursedOn ? "Mark as still owed" : "Mark as paid back"}
+            onClick={onToggle}
+            className={`p-1.5 rounded-full ${
+              t.reimbursedOn
+                ? "text-gray-400 hover:bg-gray-100"
+                : "bg-green-50 text-green-600 hover:bg-green-100"
+            }`}
+          >
+            {t.reimbursedOn ? <RotateCcw size={14} /> : <Check size={14} />}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function Reimbursables({ uid, formatMoney, canEdit, onBack, showNotification }) {
+  // Loaded rows keyed by ledger so switching ledgers shows the spinner.
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+  const fetching = loaded.key !== uid;
+
+  useEffect(
+    () =>
+      subscribeReimbursables(
+        uid,
+        (rows) => setLoaded({ key: uid, rows }),
+        (err) => {
+          console.error("Reimbursable fetch error:", err);
+          setLoaded({ key: uid, rows: [] });
+        }
+      ),
+    [uid]
+  );
+
+  const { pending, paid, pendingTotal, paidTotal } = useMemo(
+    () => reimbursements(loaded.rows),
+    [loaded.rows]
+  );
+
+  // Not awaited, like the Add form: the change shows from the local cache
+  // at once and, offline, the write only resolves once it reaches the server.
+  const toggle = (t) => {
+    updateTransaction(uid, t, flipped(t)).catch((err) => {
+      console.error(err);
+      showNotification("Error saving data");
+    });
+    showNotification(t.reimbursedOn ? "Marked as still owed" : "Marked as paid back");
+  };
+
+  const list = (items, empty) => (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+      {items.map((t) => (
+        <Item
+          key={t.id}
+          t={t}
+          formatMoney={formatMoney}
+          editable={canEdit(t)}
+          onToggle={() => toggle(t)}
+        />
+      ))}
+      {items.length === 0 && (
+        <div className="p-6 text-center text-gray-400 text-sm">{empty}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Reimbursables</h2>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-orange-500 mb-1">Still owed</p>
+          <p className="text-xl font-bold text-gray-800">{formatMoney(pendingTotal)}</p>
+        </div>
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <p className="text-xs font-bold uppercase text-green-600 mb-1">Paid back</p>
+          <p className="text-xl font-bold text-gray-800">{formatMoney(paidTotal)}</p>
+        </div>
+      </div>
+
+      {fetching ? (
+        <div className="flex justify-center py-6 text-gray-400">
+          <Loader2 className="animate-spin" size={20} />
+        </div>
+      ) : (
+        <>
+          <div className="space-y-3">
+            <h3 className="text-gray-800 font-bold">Waiting to be paid back</h3>
+            {list(pending, "Nothing outstanding")}
+          </div>
+          {paid.length > 0 && (
+            <div className="space-y-3">
+              <h3 className="text-gray-800 font-bold">Paid back</h3>
+              {list(paid, "")}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  ArrowUpRight,
+  ArrowDownLeft,
+  PiggyBank,
+  PieChart,
+  Loader2,
+  Download,
+  Tag,
+  Receipt,
+} from "lucide-react";
+import {
+  getPeriodRange,
+  getPreviousRange,
+  shiftAnchor,
+  summarize,
+  inRange,
+  percentChange,
+  formatRangeLabel,
+  todayISO,
+} from "../lib/reports";
+import { foreignTotals } from "../lib/currency";
+import { tagReport } from "../lib/tags";
+import { subscribeRange } from "../services/data";
+
+const MODES = [
+  { id: "month", label: "Month" },
+  { id: "week", label: "Week" },
+  { id: "custom", label: "Custom" },
+];
+
+// Shows the change against the previous period. For expenses a rise is bad,
+// so the colours are flipped.
+function Change({ current, previous, invert = false }) {
+  const pct = percentChange(current, previous);
+  if (pct === null) {
+    return <span className="text-[10px] text-gray-400">No prior data</span>;
+  }
+  const good = invert ? pct <= 0 : pct >= 0;
+  return (
+    <span
+      className={`text-[10px] font-bold ${good ? "text-green-600" : "text-red-500"}`}
+    >
+      {pct >= 0 ? "▲" : "▼"} {Math.abs(pct).toFixed(1)}% vs prev
+    </span>
+  );
+}
+
+function CategoryTable({ title, current, previous, total, formatMoney, color }) {
+  const rows = Object.entries(current).sort((a, b) => b[1] - a[1]);
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+      <div className="px-4 pt-3 pb-1 text-xs font-bold uppercase text-gray-400">
+        {title}
+      </div>
+      {rows.map(([cat, val]) => {
+        const share = total ? (val / total) * 100 : 0;
+        return (
+          <div key={cat} className="p-4 border-b border-gray-50 last:border-0">
+            <div className="flex justify-between items-center">
+              <span className="text-gray-600 font-medium">{cat}</span>
+              <span className="font-bold text-gray-800">{formatMoney(val)}</span>
+            </div>
+            <div className="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+              <div className={`h-full ${color}`} style={{ width: `${share}%` }} />
+            </div>
+            <div className="mt-1 flex justify-between text-[10px] text-gray-400">
+              <span>{share.toFixed(1)}% of total</span>
+              <span>Prev: {formatMoney(previous[cat] || 0)}</span>
+            </div>
+          </div>
+        );
+      })}
+      {rows.length === 0 && (
+        <div className="p-6 text-center text-gray-400 text-sm">
+          Nothing in this period
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function Reports({
+  uid,
+  formatMoney,
+  homeCurrency,
+  onExport,
+  onOpenTag,
+  onOpenReimbursables,
+}) {
+  const [mode, setMode] = useState("month");
+  const [anchor, setAnchor] = useState(todayISO);
+  const [custom, setCustom] = useState(() => {
+    const month = getPeriodRange("month", todayISO());
+    return { start: month.start, end: todayISO() };
+  });
+
+  const range = useMemo(
+    () => getPeriodRange(mode, anchor, custom),
+    [mode, anchor, custom]
+  );
+  const previousRange = useMemo(() => getPreviousRange(mode, range), [mode, range]);
+
+  // Reports query their own window (previous period through current one)
+  // rather than relying on the paginated dashboard list.
+  const windowKey = `${previousRange.start}|${range.end}`;
+  const [loaded, setLoaded] = useState({ key: null, rows: [] });
+  const transactions = loaded.rows;
+  const fetching = loaded.key !== windowKey;
+  useEffect(() => {
+    const unsubscribe = subscribeRange(
+      uid,
+      { start: previousRange.start, end: range.end },
+      (rows) => setLoaded({ key: windowKey, rows }),
+      (err) => {
+        console.error("Report fetch error:", err);
+        setLoaded({ key: windowKey, rows: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, [uid, windowKey, previousRange.start, range.end]);
+
+  const current = useMemo(() => summarize(transactions, range), [transactions, range]);
+  const previous = useMemo(
+    () => summarize(transactions, previousRange),
+    [transactions, previousRange]
+  );
+
+  const byTag = useMemo(() => tagReport(transactions, range), [transactions, range]);
+
+  const foreign = useMemo(
+    () =>
+      foreignTotals(
+        transactions.filter((t) => inRange(t, range)),
+        homeCurrency
+      ),
+    [transactions, range, homeCurrency]
+  );
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-gray-800">Reports</h2>
+        <button
+          type="button"
+          onClick={onExport}
+          className="text-xs font-bold text-blue-600 flex items-center gap-1"
+        >
+          <Download size={12} />
+          Export & Backup
+        </button>
+      </div>
+
+      {/* Period Selector */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <div className="grid grid-cols-3 bg-gray-100 p-1 rounded-xl">
+          {MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              onClick={() => setMode(m.id)}
+              className={`py-2 rounded-lg text-sm font-bold transition-all ${
+                mode === m.id ? "bg-white text-blue-600 shadow-sm" : "text-gray-500"
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === "custom" ? (
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="date"
+              value={custom.start}
+              onChange={(e) => setCustom((c) => ({ ...c, start: e.target.value }))}
+              className="w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+            />
+            <input
+              type="date"
+              value={custom.end}
+              onChange={(e) => setCustom((c) => ({ ...c, end: e.target.value }))}
+              className="w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm"
+            />
+          </div>
+        ) : (
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setAnchor((a) => shiftAnchor(mode, a, -1))}
+              className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <span className="font-bold text-gray-800 text-sm">
+              {formatRangeLabel(mode, range)}
+            </span>
+            <button
+              type="button"
+              onClick={() => setAnchor((a) => shiftAnchor(mode, a, 1))}
+              className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+            >
+              <ChevronRight size={18} />
+            </button>
+          </div>
+        )}
+        <p className="text-[10px] text-gray-400 text-center flex justify-center items-center gap-1">
+          {fetching && <Loader2 className="animate-spin" size={10} />}
+          Compared with {previousRange.start} – {previousRange.end}
+        </p>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <div className="flex items-center gap-2 mb-2 text-green-600">
+            <div className="p-1.5 bg-green-100 rounded-full">
+              <ArrowUpRight size={16} />
+            </div>
+            <span className="text-xs font-bold uppercase">Income</span>
+          </div>
+          <p className="text-xl font-bold text-gray-800">
+            {formatMoney(current.income)}
+          </p>
+          <Change current={current.income} previous={previous.income} />
+        </div>
+
+        <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+          <div className="flex items-center gap-2 mb-2 text-red-500">
+            <div className="p-1.5 bg-red-100 rounded-full">
+              <ArrowDownLeft size={16} />
+            </div>
+            <span className="text-xs font-bold uppercase">Expense</span>
+          </div>
+          <p className="text-xl font-bold text-gray-800">
+            {formatMoney(current.expense)}
+          </p>
+          <Change current={current.expense} previous={previous.expense} invert />
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 flex justify-between items-center">
+        <div className="flex items-center gap-2 text-blue-600">
+          <div className="p-1.5 bg-blue-100 rounded-full">
+            <PiggyBank size={16} />
+          </div>
+          <span className="text-xs font-bold uppercase">Net Savings</span>
+        </div>
+        <div className="text-right">
+          <p
+            className={`text-xl font-bold ${
+              current.net < 0 ? "text-red-500" : "text-gray-800"
+            }`}
+          >
+            {formatMoney(current.net)}
+          </p>
+          <Change current={current.net} previous={previous.net} />
+        </div>
+      </div>
+
+      {/* Category Breakdown */}
+      <div className="space-y-3">
+        <h3 className="text-gray-800 font-bold flex items-center gap-2">
+          <PieChart size={18} className="text-blue-500" />
+          By Category
+        </h3>
+        <CategoryTable
+          title="Expenses"
+          current={current.byCategory.Debit}
+          previous={previous.byCategory.Debit}
+          total={current.expense}
+          formatMoney={formatMoney}
+          color="bg-red-400"
+        />
+        <CategoryTable
+          title="Income"
+          current={current.byCategory.Credit}
+          previous={previous.byCategory.Credit}
+          total={current.income}
+          formatMoney={formatMoney}
+          color="bg-green-400"
+        />
+      </div>
+
+      {/* Tags */}
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <h3 className="text-gray-800 font-bold flex items-center gap-2">
+            <Tag size={18} className="text-blue-500" />
+            By Tag
+          </h3>
+          <button
+            type="button"
+            onClick={onOpenReimbursables}
+            className="text-xs font-bold text-blue-600 flex items-center gap-1"
+          >
+            <Receipt size={12} />
+            Reimbursables
+          </button>
+        </div>
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+          {byTag.map((row) => (
+            <button
+              key={row.tag}
+              type="button"
+              onClick={() => onOpenTag(row.tag, range)}
+              className="w-full flex justify-between items-center p-4 border-b border-gray-50 last:border-0 text-left hover:bg-gray-50"
+            >
+              <div>
+                <span className="text-gray-600 font-medium">#{row.tag}</span>
+                <p className="text-[10px] text-gray-400">{row.count} expenses</p>
+              </div>
+              <span className="font-bold text-gray-800">{formatMoney(row.spent)}</span>
+            </button>
+          ))}
+          {byTag.length === 0 && (
+            <div className="p-6 text-center text-gray-400 text-sm">
+              No tagged expenses in this period
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Foreign Currency */}
+      {Object.keys(foreign).length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-gray-800 font-bold">Foreign Currency</h3>
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+            {Object.entries(foreign).map(([code, t]) => (
+              <div
+                key={code}
+                className="flex justify-between items-center p-4 border-b border-gray-50 last:border-0"
+              >
+                <div>
+                  <span className="text-gray-600 font-medium">{code}</span>
+                  <p className="text-[10px] text-gray-400">{t.count} transactions (net)</p>
+                </div>
+                <div className="text-right">
+                  <p className="font-bold text-gray-800">{formatMoney(t.converted)}</p>
+                  <p className="text-[10px] text-gray-400">{formatMoney(t.original, code)}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { ChevronLeft, Plus, Trash2, Save } from "lucide-react";
+import { CURRENCIES, LOCALES } from "../lib/currency";
+import { saveSettings, saveExchangeRates } from "../services/data";
+
+const inputClass =
+  "w-full px-3 py-2 bg-gray-50 rounded-lg border border-gray-200 text-sm";
+
+export default function Settings({ uid, preferences, rates, onBack, showNotification }) {
+  const [homeCurrency, setHomeCurrency] = useState(preferences.homeCurrency);
+  const [locale, setLocale] = useState(preferences.locale);
+  const [rateRows, setRateRows] = useState(() =>
+    Object.entries(rates).map(([currency, rate]) => ({ currency, rate: String(rate) }))
+  );
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    try {
+      await action();
+      showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error saving settings");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateRow = (index, changes) =>
+    setRateRows((rows) => rows.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
+  const unusedCurrency = CURRENCIES.find(
+    (c) => c !== preferences.homeCurrency && !rateRows.some((r) => r.currency === c)
+  );
+
+  const handleSaveRates = () => {
+    const table = {};
+    rateRows.forEach((r) => {
+      if (r.currency !== preferences.homeCurrency && Number(r.rate) > 0) {
+        table[r.currency] = Number(r.rate);
+      }
+    });
+    run(() => saveExchangeRates(uid, table), "Exchange rates saved");
+  };
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <h2 className="text-xl font-bold text-gray-800">Settings</h2>
+      </div>
+
+      {/* Currency & Locale */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <h3 className="text-gray-800 font-bold">Currency & Format</h3>
+        <label className="block text-[10px] font-bold uppercase text-gray-400">
+          Home currency
+          <select
+            value={homeCurrency}
+            onChange={(e) => setHomeCurrency(e.target.value)}
+            className={inputClass}
+          >
+            {CURRENCIES.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </label>
+        {homeCurrency !== preferences.homeCurrency && (
+          <p className="text-[10px] text-orange-500">
+            Existing amounts are not converted; they keep the values they were saved with.
+          </p>
+        )}
+        <label className="block text-[10px] font-bold uppercase text-gray-400">
+          Number & date format
+          <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className={inputClass}
+          >
+            {LOCALES.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() =>
+            run(
+              () => saveSettings(uid, "preferences", { homeCurrency, locale }),
+              "Preferences saved"
+            )
+          }
+          className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2"
+        >
+          <Save size={16} />
+          Save
+        </button>
+      </div>
+
+      {/* Exchange Rates */}
+      <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+        <h3 className="text-gray-800 font-bold">Exchange Rates</h3>
+        <p className="text-[10px] text-gray-400">
+          {preferences.homeCurrency} per one unit of each currency. Each transaction keeps
+          the rate it was saved with.
+        </p>
+        {rateRows.map((r, i) => (
+          <div key={i} className="flex gap-2 items-center">
+            <select
+              value={r.currency}
+              onChange={(e) => updateRow(i, { currency: e.target.value })}
+              className={inputClass}
+            >
+              {CURRENCIES.filter((c) => c !== preferences.homeCurrency).map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={r.rate}
+              onChange={(e) => updateRow(i, { rate: e.target.value })}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => setRateRows((rows) => rows.filter((_, j) => j !== i))}
+              className="p-2 text-gray-300 hover:text-red-500"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            disabled={!unusedCurrency}
+            onClick={() =>
+              setRateRows((rows) => [...rows, { currency: unusedCurrency, rate: "" }])
+            }
+            className="flex-1 py-2 rounded-lg bg-gray-100 text-gray-600 text-sm font-bold flex items-center justify-center gap-1"
+          >
+            <Plus size={14} />
+            Add currency
+          </button>
+          <button
+            type="button"
+            disabled={busy}
+            onClick={handleSaveRates}
+            className="flex-1 py-2 rounded-lg bg-blue-600 text-white text-sm font-bold"
+          >
+            Save rates
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
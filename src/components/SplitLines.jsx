@@ -0,0 +1,18 @@
+import React from "react";
+
+// The category lines of an expanded split record.
+export default function SplitLines({ splits, formatMoney }) {
+  return (
+    <ul className="mt-2 ml-3 pl-3 border-l-2 border-gray-100 space-y-1">
+      {splits.map((s, i) => (
+        <li key={i} className="flex justify-between gap-2 text-xs text-gray-500">
+          <span className="truncate">
+            {s.category}
+            {s.subcategory && ` › ${s.subcategory}`}
+          </span>
+          <span className="shrink-0 font-semibold text-gray-700">{formatMoney(s.amount)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
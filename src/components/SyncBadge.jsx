@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from "react";
+import { getSyncStatus, subscribeSyncStatus, clearSyncError } from "../services/sync";
+
+// Header indicator for the local cache versus the server. An error stays
+// until the next write succeeds or it is tapped away.
+export default function SyncBadge() {
+  const [status, setStatus] = useState(getSyncStatus);
+  useEffect(() => subscribeSyncStatus(setStatus), []);
+
+  const { online, pending, error } = status;
+  const changes = `${pending} change${pending === 1 ? "" : "s"}`;
+  let dot = "bg-green-400";
+  let label = "Synced";
+  if (error) {
+    dot = "bg-red-400";
+    label = "Sync error — tap to dismiss";
+  } else if (!online) {
+    dot = "bg-gray-300";
+    label = pending ? `Offline · ${changes} queued` : "Offline";
+  } else if (pending) {
+    dot = "bg-yellow-300 animate-pulse";
+    label = `Syncing ${changes}…`;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={error ? clearSyncError : undefined}
+      title={error?.message}
+      className="text-blue-100 text-xs flex items-center gap-1"
+    >
+      <span className={`w-2 h-2 rounded-full inline-block ${dot}`} />
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { addTag } from "../lib/tags";
+
+// Chips for the tags already picked plus a field that offers the tags in
+// use. Enter or a comma adds what has been typed.
+export default function TagInput({ tags, suggestions, onChange, className }) {
+  const [text, setText] = useState("");
+
+  const commit = () => {
+    onChange(addTag(tags, text));
+    setText("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Backspace" && !text && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  const unused = suggestions.filter(
+    (s) => !tags.some((t) => t.toLowerCase() === s.toLowerCase())
+  );
+
+  return (
+    <div className="space-y-2">
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {tags.map((tag) => (
+            <span
+              key={tag}
+              className="flex items-center gap-1 bg-blue-50 text-blue-700 text-xs font-bold pl-2 pr-1 py-1 rounded-full"
+            >
+              #{tag}
+              <button
+                type="button"
+                onClick={() => onChange(tags.filter((t) => t !== tag))}
+                className="text-blue-400 hover:text-blue-700"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        type="text"
+        list="tag-suggestions"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={commit}
+        placeholder="Add a tag, e.g. Goa trip 2026"
+        className={className}
+      />
+      <datalist id="tag-suggestions">
+        {unused.map((s) => (
+          <option key={s} value={s} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
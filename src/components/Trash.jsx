@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { ChevronLeft, RotateCcw, Trash2, Loader2 } from "lucide-react";
+import { TRASH_DAYS, daysLeft } from "../lib/trash";
+import { accountName, signedAmount } from "../lib/accounts";
+import { DEBT, debtLabel } from "../lib/debts";
+import { subscribeTrash, restoreTransaction, purgeTrash } from "../services/data";
+
+export default function Trash({
+  uid,
+  accounts,
+  formatMoney,
+  canEdit,
+  canPurge,
+  onBack,
+  showNotification,
+}) {
+  const [items, setItems] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // Permanent deletes take a second tap: the id (or "all") waiting for it.
+  const [confirming, setConfirming] = useState(null);
+  const [now] = useState(() => Date.now());
+
+  useEffect(() => {
+    const unsubscribe = subscribeTrash(uid, setItems, (err) => {
+      console.error("Trash fetch error:", err);
+      setItems([]);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    setConfirming(null);
+    try {
+      await action();
+      if (message) showNotification(message);
+    } catch (err) {
+      console.error(err);
+      showNotification("Error updating trash");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const purge = (key, list, message) => {
+    if (confirming !== key) {
+      setConfirming(key);
+      return;
+    }
+    run(() => purgeTrash(uid, list), message);
+  };
+
+  const purgeable = (items || []).filter(canPurge);
+
+  return (
+    <div className="px-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={onBack}
+            className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-bold text-gray-800">Trash</h2>
+        </div>
+        {purgeable.length > 0 && (
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => purge("all", purgeable, "Trash emptied")}
+            className={`text-xs font-bold px-2 ${
+              confirming === "all" ? "text-red-600" : "text-gray-500"
+            }`}
+          >
+            {confirming === "all" ? "Tap again to empty" : "Empty trash"}
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-400">
+        Deleted records stay here for {TRASH_DAYS} days and are left out of every
+        total. Restoring puts them back as they were.
+      </p>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+        {items === null && (
+          <div className="flex justify-center py-6 text-gray-400">
+            <Loader2 className="animate-spin" size={20} />
+          </div>
+        )}
+        {items?.map((t) => {
+          const value = signedAmount(t);
+          const left = daysLeft(t, now);
+          return (
+            <div key={t.id} className="p-3 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 text-sm truncate">
+                  {t.type === "Transfer"
+                    ? `${accountName(accounts, t.accountId)} → ${accountName(
+                        accounts,
+                        t.toAccountId
+                      )}`
+                    : t.type === DEBT
+                      ? debtLabel(t)
+                      : t.category}
+                  <span className="font-normal text-gray-500">
+                    {" "}
+                    · {value > 0 ? "+" : value < 0 ? "-" : ""}
+                    {formatMoney(Math.abs(t.amount))}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-400 truncate">
+                  {t.date} · {left === 1 ? "1 day" : `${left} days`} left
+                </p>
+              </div>
+              {canEdit(t) && (
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    type="button"
+                    disabled={busy}
+                    title="Restore"
+                    onClick={() => run(() => restoreTransaction(uid, t), "Restored")}
+                    className="p-1.5 rounded-full text-blue-600 hover:bg-blue-50"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                  {canPurge(t) && (
+                    <button
+                      type="button"
+                      disabled={busy}
+                      title="Delete forever"
+                      onClick={() => purge(t.id, [t], "Deleted for good")}
+                      className={`p-1.5 rounded-full ${
+                        confirming === t.id
+                          ? "bg-red-500 text-white"
+                          : "text-gray-400 hover:text-red-500"
+                      }`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {items?.length === 0 && (
+          <div className="p-6 text-center text-gray-400 text-sm">Trash is empty</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { initializeApp } from "firebase/app";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator
+} from "firebase/firestore";
+
+// --- FIREBASE SETUP ---
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+};
+
+export const appId = import.meta.env.VITE_APP_ID || "default-app-id";
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+// Data is kept in IndexedDB so the app opens and takes entries offline;
+// queued writes go out when the connection returns. Tabs share one cache.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+
+// Local emulators from firebase.json (auth 9099, firestore 8080, which
+// also loads firestore.rules). Start them with `firebase emulators:start`
+// and run the app with VITE_USE_EMULATORS=true.
+if (import.meta.env.VITE_USE_EMULATORS === "true") {
+  connectAuthEmulator(auth, `http://${location.hostname}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, location.hostname, 8080);
+}
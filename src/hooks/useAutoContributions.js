@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  earliestAutoSince,
+  newlyReached,
+  pendingAutoContributions,
+  savedByGoal,
+} from "../lib/goals";
+import { saveAutoContributions, subscribeEnteredSince } from "../services/data";
+
+// Goals with an automatic share take it from every credit in their income
+// category entered since they turned it on, loaded on the dashboard or
+// not. `enabled` says whether this member may add contributions; `notify`
+// hears of goals reached. Contribution ids are fixed per goal and
+// transaction, so the run caused by its own write finds nothing left to do.
+export const useAutoContributions = (
+  ledgerId,
+  enabled,
+  goals,
+  contributions,
+  categories,
+  notify
+) => {
+  const latestNotify = useRef(notify);
+  useEffect(() => {
+    latestNotify.current = notify;
+  });
+
+  const since = enabled && ledgerId && goals ? earliestAutoSince(goals) : null;
+  const key = since === null ? null : `${ledgerId}:${since}`;
+  // Tagged with the key they were read for.
+  const [credits, setCredits] = useState({ key: null, rows: null });
+
+  useEffect(() => {
+    if (key === null) return;
+    return subscribeEnteredSince(
+      ledgerId,
+      since,
+      (rows) => setCredits({ key, rows: rows.filter((t) => t.type === "Credit") }),
+      (err) => console.error("Goal credit fetch error:", err)
+    );
+  }, [key, ledgerId, since]);
+
+  const rows = key !== null && credits.key === key ? credits.rows : null;
+
+  useEffect(() => {
+    if (!rows || !contributions) return;
+    const pending = pendingAutoContributions(goals, contributions, rows, categories);
+    if (pending.length === 0) return;
+    const reached = newlyReached(goals, savedByGoal(contributions), pending);
+    saveAutoContributions(ledgerId, pending)
+      .then(() => {
+        if (reached.length) latestNotify.current(`Goal reached: ${reached[0].name}`);
+      })
+      .catch((err) => console.error("Goal contribution error:", err));
+  }, [ledgerId, rows, goals, contributions, categories]);
+};
@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { OWNER } from "../lib/household";
+import {
+  claimOwnLedger,
+  leaveHousehold,
+  subscribeInvite,
+  subscribeMember,
+  subscribeMembership,
+} from "../services/data";
+
+// The ledger `user` works in, as { ledgerId, role }, and the open invite
+// for their address. A member works in the ledger their membership points
+// at for as long as their member entry there exists; everyone else works
+// in their own. Both are null while signed out, and until the signed-in
+// user's own snapshots arrive.
+export const useHousehold = (user) => {
+  // Each tagged with the uid it was read for.
+  const [household, setHousehold] = useState({ uid: null, value: null });
+  const [invite, setInvite] = useState({ uid: null, value: null });
+
+  useEffect(() => {
+    if (!user) return;
+    const uid = user.uid;
+
+    const own = () => {
+      setHousehold({ uid, value: { ledgerId: uid, role: OWNER } });
+      claimOwnLedger(user).catch((err) => console.error("Ledger claim error:", err));
+    };
+
+    let unsubMember = () => {};
+    const unsubPointer = subscribeMembership(
+      uid,
+      (pointer) => {
+        unsubMember();
+        const ledgerId = pointer?.ledgerId;
+        if (!ledgerId || ledgerId === uid) {
+          own();
+          return;
+        }
+        unsubMember = subscribeMember(
+          ledgerId,
+          uid,
+          (member) => {
+            if (member) {
+              setHousehold({ uid, value: { ledgerId, role: member.role } });
+            } else {
+              // Removed from the household: drop the stale pointer.
+              own();
+              leaveHousehold(null, uid).catch((err) =>
+                console.error("Membership cleanup error:", err)
+              );
+            }
+          },
+          (err) => {
+            console.error("Membership fetch error:", err);
+            own();
+          }
+        );
+      },
+      (err) => {
+        console.error("Membership fetch error:", err);
+        own();
+      }
+    );
+
+    const unsubInvite = user.email
+      ? subscribeInvite(
+          user.email,
+          (value) => setInvite({ uid, value }),
+          (err) => console.error("Invite fetch error:", err)
+        )
+      : () => {};
+
+    return () => {
+      unsubPointer();
+      unsubMember();
+      unsubInvite();
+    };
+  }, [user]);
+
+  const current = (tagged) => (user && tagged.uid === user.uid ? tagged.value : null);
+  return { household: current(household), invite: current(invite) };
+};
@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_PREFERENCES } from "../lib/currency";
+import { HISTORY_DAYS } from "../lib/forecast";
+import { addDays, todayISO } from "../lib/reports";
+import {
+  subscribeAccounts,
+  subscribeBudgets,
+  subscribeCategories,
+  subscribeContributions,
+  subscribeDebts,
+  subscribeGoals,
+  subscribeImportProfiles,
+  subscribeMembers,
+  subscribeSettings,
+  subscribeSince,
+  subscribeSummaries,
+  subscribeTemplates,
+} from "../services/data";
+
+// The latest value `subscribe(ledgerId, onValue, onError)` delivered for
+// the open ledger; `empty` while no ledger is open or nothing has arrived
+// from this one yet, so a switch never shows the previous ledger's data.
+// `empty` and `subscribe` must keep their identity between renders.
+const useSubscription = (ledgerId, subscribe, empty, label) => {
+  const [latest, setLatest] = useState({ ledgerId: null, value: empty });
+
+  useEffect(() => {
+    if (!ledgerId) return;
+    return subscribe(
+      ledgerId,
+      (value) => setLatest({ ledgerId, value }),
+      (err) => console.error(`${label} fetch error:`, err)
+    );
+  }, [ledgerId, subscribe, label]);
+
+  return latest.ledgerId === ledgerId ? latest.value : empty;
+};
+
+const NONE = [];
+const NO_BUDGETS = {};
+const NO_RATES = {};
+
+const settingsField = (name, field, empty) => (uid, onValue, onError) =>
+  subscribeSettings(uid, name, (data) => onValue(data?.[field] || empty), onError);
+
+const subscribeRules = settingsField("categoryRules", "rules", NONE);
+const subscribeRates = settingsField("exchangeRates", "rates", NO_RATES);
+const subscribePresets = settingsField("historyPresets", "presets", NONE);
+
+const subscribePreferences = (uid, onValue, onError) =>
+  subscribeSettings(
+    uid,
+    "preferences",
+    (data) => onValue({ ...DEFAULT_PREFERENCES, ...data }),
+    onError
+  );
+
+// An IOU list that fails to load reads as empty rather than loading forever.
+const subscribeDebtList = (uid, onRows, onError) =>
+  subscribeDebts(uid, onRows, (err) => {
+    onError(err);
+    onRows([]);
+  });
+
+// The last HISTORY_DAYS of records, for the forecast's spending averages.
+// The window is fixed when the ledger opens; a day's drift doesn't move an
+// average.
+const subscribeRecent = (uid, onRows, onError) =>
+  subscribeSince(uid, addDays(todayISO(), 1 - HISTORY_DAYS), onRows, onError);
+
+// Everything the app keeps live for the open ledger besides the paged
+// transaction list. Goals, their contributions and IOUs are null until
+// their first snapshot.
+export const useLedgerData = (ledgerId) => ({
+  // Month summaries — the source for every all-time total.
+  summaries: useSubscription(ledgerId, subscribeSummaries, NONE, "Summary"),
+  categories: useSubscription(ledgerId, subscribeCategories, NONE, "Category"),
+  // Keyed by category id.
+  budgets: useSubscription(ledgerId, subscribeBudgets, NO_BUDGETS, "Budget"),
+  templates: useSubscription(ledgerId, subscribeTemplates, NONE, "Recurring"),
+  // Keyword rules (also used by quick entry) and saved column mappings.
+  categoryRules: useSubscription(ledgerId, subscribeRules, NONE, "Rules"),
+  importProfiles: useSubscription(ledgerId, subscribeImportProfiles, NONE, "Profile"),
+  preferences: useSubscription(ledgerId, subscribePreferences, DEFAULT_PREFERENCES, "Preferences"),
+  exchangeRates: useSubscription(ledgerId, subscribeRates, NO_RATES, "Rates"),
+  accounts: useSubscription(ledgerId, subscribeAccounts, NONE, "Account"),
+  // Saved history views.
+  historyPresets: useSubscription(ledgerId, subscribePresets, NONE, "Preset"),
+  // Household members, for showing who entered what.
+  members: useSubscription(ledgerId, subscribeMembers, NONE, "Member"),
+  debtEntries: useSubscription(ledgerId, subscribeDebtList, null, "Debt"),
+  goals: useSubscription(ledgerId, subscribeGoals, null, "Goal"),
+  goalContributions: useSubscription(ledgerId, subscribeContributions, null, "Goal contribution"),
+  recentHistory: useSubscription(ledgerId, subscribeRecent, NONE, "Forecast history"),
+});
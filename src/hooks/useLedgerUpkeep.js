@@ -0,0 +1,111 @@
+import { useEffect, useRef, useState } from "react";
+import { todayISO } from "../lib/reports";
+import {
+  generateDueTransactions,
+  purgeExpiredTrash,
+  rebuildSummaries,
+  seedCategories,
+  settlePending,
+  subscribePending,
+  summariesAreCurrent,
+} from "../services/data";
+
+// Runs `task(job)` one job at a time: a job that arrives mid-run is parked
+// and run afterwards, replacing any parked before it. Both tasks below run
+// store transactions, which need the server, so offline it does nothing;
+// callers run it again when the connection comes back.
+const serialRunner = (task) => {
+  let running = false;
+  let queued = null;
+  const run = (job) => {
+    if (!navigator.onLine) return;
+    if (running) {
+      queued = job;
+      return;
+    }
+    running = true;
+    task(job).finally(() => {
+      running = false;
+      const next = queued;
+      queued = null;
+      if (next) run(next);
+    });
+  };
+  return run;
+};
+
+// Housekeeping an admin's client does while a ledger is open, since the
+// writes touch documents other roles may not change: summaries are
+// rebuilt if they predate SUMMARY_VERSION, everyone's pending changes are
+// folded into them, a new ledger gets the built-in categories, expired
+// trash is purged, and recurring templates create whatever occurrences
+// are due. `notify` is told how many were added.
+export const useLedgerUpkeep = (ledgerId, manager, templates, notify) => {
+  const latestNotify = useRef(notify);
+  useEffect(() => {
+    latestNotify.current = notify;
+  });
+
+  const [settle] = useState(() =>
+    serialRunner((id) =>
+      settlePending(id).catch((err) => console.error("Summary settle error:", err))
+    )
+  );
+
+  const [generate] = useState(() =>
+    serialRunner((job) =>
+      generateDueTransactions(job.ledgerId, job.templates, todayISO())
+        .then((count) => {
+          if (count) job.notify(`Added ${count} recurring transactions`);
+        })
+        .catch((err) => console.error("Recurring generation error:", err))
+    )
+  );
+
+  useEffect(() => {
+    if (!ledgerId || !manager) return;
+    seedCategories(ledgerId).catch((err) => console.error("Category seed error:", err));
+
+    // Pending changes are folded in once the summaries are current (a
+    // rebuild takes them all in anyway), and before expired trash goes, so
+    // a purge never takes out what settling already has.
+    let stopped = false;
+    let unsubscribe = () => {};
+    summariesAreCurrent(ledgerId)
+      .then((current) => (current ? null : rebuildSummaries(ledgerId)))
+      .catch((err) => console.error("Summary rebuild error:", err))
+      .then(() => navigator.onLine && settlePending(ledgerId))
+      .catch((err) => console.error("Summary settle error:", err))
+      .then(() => purgeExpiredTrash(ledgerId, Date.now()))
+      .catch((err) => console.error("Trash purge error:", err))
+      .finally(() => {
+        if (stopped) return;
+        unsubscribe = subscribePending(
+          ledgerId,
+          (entries, trashed) => {
+            if (entries.length || trashed.length) settle(ledgerId);
+          },
+          (err) => console.error("Pending fetch error:", err)
+        );
+      });
+    const reconnected = () => settle(ledgerId);
+    window.addEventListener("online", reconnected);
+    return () => {
+      stopped = true;
+      unsubscribe();
+      window.removeEventListener("online", reconnected);
+    };
+  }, [ledgerId, manager, settle]);
+
+  // Every snapshot of the templates (including the first one after opening
+  // the app) creates whatever occurrences are due; generation is
+  // idempotent, so the extra runs caused by its own writes are harmless.
+  useEffect(() => {
+    if (!ledgerId || !manager) return;
+    const job = { ledgerId, templates, notify: (message) => latestNotify.current(message) };
+    generate(job);
+    const reconnected = () => generate(job);
+    window.addEventListener("online", reconnected);
+    return () => window.removeEventListener("online", reconnected);
+  }, [ledgerId, manager, templates, generate]);
+};
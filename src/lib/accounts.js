@@ -0,0 +1,56 @@
+// --- ACCOUNTS ---
+// Accounts ({ name, kind, openingBalance, order, archived }) hold money;
+// every transaction belongs to one through `accountId`. Transfers
+// (type "Transfer") move `amount` from `accountId` to `toAccountId`, and
+// reconciliation adjustments (type "Adjustment") carry a signed amount.
+// Neither counts as income or expense, and nor do IOUs (see ./debts).
+
+import { UNASSIGNED_ACCOUNT } from "./summaries";
+import { DEBT, debtFlow } from "./debts";
+
+export const ACCOUNT_KINDS = [
+  { id: "bank", label: "Bank" },
+  { id: "cash", label: "Cash" },
+  { id: "card", label: "Credit card" },
+  { id: "wallet", label: "Wallet" },
+];
+
+export const sortAccounts = (accounts) =>
+  [...accounts].sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name));
+
+// The account that new entries default to and that absorbs records from
+// before accounts existed.
+export const primaryAccountId = (accounts, preferredId) => {
+  const active = sortAccounts(accounts.filter((a) => !a.archived));
+  return active.find((a) => a.id === preferredId)?.id || active[0]?.id || null;
+};
+
+// Current balance of each account: opening balance plus its net movement
+// from the month summaries.
+export const accountBalances = (accounts, accountNet, primaryId) =>
+  Object.fromEntries(
+    accounts.map((a) => [
+      a.id,
+      Number(a.openingBalance || 0) +
+        Number(accountNet[a.id] || 0) +
+        (a.id === primaryId ? Number(accountNet[UNASSIGNED_ACCOUNT] || 0) : 0),
+    ])
+  );
+
+// Money in (+) or out (-) of the ledger as a whole. Adjustments are already
+// signed; transfers stay inside it.
+export const signedAmount = (t) => {
+  const value = Number(t.amount || 0);
+  if (t.type === "Transfer") return 0;
+  if (t.type === "Adjustment") return value;
+  if (t.type === DEBT) return debtFlow(t);
+  return t.type === "Credit" ? value : -value;
+};
+
+export const accountName = (accounts, id) =>
+  accounts.find((a) => a.id === id)?.name || "Unassigned";
+
+// How far the app's balance is from the statement's; positive means the
+// statement shows more money than the app.
+export const reconcileDifference = (statementBalance, balance) =>
+  Math.round((Number(statementBalance) - balance) * 100) / 100;
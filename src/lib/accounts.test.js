@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import {
+  primaryAccountId,
+  accountBalances,
+  signedAmount,
+  accountName,
+  reconcileDifference,
+} from "./accounts";
+import { UNASSIGNED_ACCOUNT } from "./summaries";
+
+const accounts = [
+  { id: "card", name: "Card", order: 2, openingBalance: 0 },
+  { id: "bank", name: "Bank", order: 1, openingBalance: 100 },
+  { id: "old", name: "Old", order: 0, archived: true, openingBalance: 50 },
+];
+
+describe("primaryAccountId", () => {
+  it("prefers the chosen account while it is active", () => {
+    expect(primaryAccountId(accounts, "card")).toBe("card");
+  });
+
+  it("falls back to the first active account", () => {
+    expect(primaryAccountId(accounts, "old")).toBe("bank");
+    expect(primaryAccountId([], "bank")).toBeNull();
+  });
+});
+
+describe("accountBalances", () => {
+  it("adds net movement to opening balances, unassigned into the primary", () => {
+    const net = { bank: -20, card: -35.5, [UNASSIGNED_ACCOUNT]: 7 };
+    expect(accountBalances(accounts, net, "bank")).toEqual({ card: -35.5, bank: 87, old: 50 });
+  });
+});
+
+describe("signedAmount", () => {
+  it("signs by type and leaves transfers out", () => {
+    expect(signedAmount({ type: "Credit", amount: 10 })).toBe(10);
+    expect(signedAmount({ type: "Debit", amount: 10 })).toBe(-10);
+    expect(signedAmount({ type: "Transfer", amount: 10 })).toBe(0);
+    expect(signedAmount({ type: "Adjustment", amount: -3 })).toBe(-3);
+  });
+});
+
+describe("accountName", () => {
+  it("names missing accounts as unassigned", () => {
+    expect(accountName(accounts, "bank")).toBe("Bank");
+    expect(accountName(accounts, null)).toBe("Unassigned");
+  });
+});
+
+describe("reconcileDifference", () => {
+  it("rounds to cents", () => {
+    expect(reconcileDifference("100.10", 100.3)).toBe(-0.2);
+    expect(reconcileDifference(50, 50)).toBe(0);
+  });
+});
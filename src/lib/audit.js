@@ -0,0 +1,94 @@
+// --- AUDIT LOG ---
+// Every change to a transaction appends an entry to the ledger's `audit`
+// collection in the same batch as the change itself:
+//   { transactionId, action, at, by, label, changes }
+// `label` keeps enough of the record to recognise it once it is gone, and
+// `changes` lists [{ field, before, after }] for edits. `at` is the
+// server's time of the write. Entries are never updated; firestore.rules
+// only lets them be added, for a change the same batch really makes (or
+// wiped with the ledger).
+
+import { describeSplits } from "./splits";
+
+export const AUDIT_ACTIONS = {
+  created: "Added",
+  edited: "Edited",
+  deleted: "Deleted",
+  restored: "Restored",
+  purged: "Deleted for good",
+};
+
+// Bookkeeping that changes on every save and tells a reader nothing.
+const IGNORED = new Set(["updatedAt", "createdAt", "createdBy", "deletedAt", "deletedBy"]);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// The fields `changes` really alters on `before`, sorted by name.
+export const diffFields = (before, changes) =>
+  Object.keys(changes)
+    .filter((field) => !IGNORED.has(field) && !same(before[field], changes[field]))
+    .sort()
+    .map((field) => ({
+      field,
+      before: before[field] ?? null,
+      after: changes[field] ?? null,
+    }));
+
+export const auditLabel = (t) => ({
+  type: t.type ?? null,
+  category: t.category ?? null,
+  amount: Number(t.amount || 0),
+  date: t.date ?? null,
+  name: t.payee || t.person || null,
+});
+
+export const auditEntry = (action, t, { by = null, at = Date.now(), changes = [] } = {}) => ({
+  transactionId: t.id,
+  action,
+  at,
+  by,
+  label: auditLabel(t),
+  changes,
+});
+
+// `at` in milliseconds. Stored it is a server timestamp (a Date in the
+// memory store), null until the server has set it, and a plain number on
+// entries written before the server stamped them.
+export const auditTime = (at) => {
+  if (typeof at === "number") return at;
+  if (at?.toMillis) return at.toMillis();
+  if (at instanceof Date) return at.getTime();
+  return Date.now();
+};
+
+const FIELD_LABELS = {
+  amount: "Amount",
+  originalAmount: "Original amount",
+  currency: "Currency",
+  rate: "Rate",
+  type: "Type",
+  category: "Category",
+  subcategory: "Subcategory",
+  splits: "Split",
+  date: "Date",
+  note: "Note",
+  payee: "Payee",
+  accountId: "Account",
+  toAccountId: "To account",
+  tags: "Tags",
+  reimbursable: "Reimbursable",
+  reimbursedOn: "Paid back on",
+};
+
+export const fieldLabel = (field) => FIELD_LABELS[field] || field;
+
+// A stored value as text; empty values show as a dash.
+export const formatAuditValue = (field, value) => {
+  if (value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+    return "—";
+  }
+  if (field === "splits") return describeSplits({ splits: value });
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return String(value);
+};
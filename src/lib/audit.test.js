@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { diffFields, auditEntry, auditTime, formatAuditValue } from "./audit";
+
+describe("diffFields", () => {
+  it("keeps only fields whose value really changes", () => {
+    const before = { amount: 10, tags: ["goa"], note: "", splits: null, updatedAt: 1 };
+    const changes = { amount: 12, tags: ["goa"], note: "", splits: null, payee: "Cafe", updatedAt: 2 };
+    expect(diffFields(before, changes)).toEqual([
+      { field: "amount", before: 10, after: 12 },
+      { field: "payee", before: null, after: "Cafe" },
+    ]);
+  });
+});
+
+describe("auditEntry", () => {
+  it("labels the record so it can be recognised after deletion", () => {
+    const t = { id: "t1", type: "Debt", category: "Debt", amount: "50", date: "2026-01-02", person: "Asha" };
+    expect(auditEntry("deleted", t, { by: "u1", at: 5 })).toEqual({
+      transactionId: "t1",
+      action: "deleted",
+      at: 5,
+      by: "u1",
+      label: { type: "Debt", category: "Debt", amount: 50, date: "2026-01-02", name: "Asha" },
+      changes: [],
+    });
+  });
+});
+
+describe("auditTime", () => {
+  it("reads server timestamps, dates and older numeric stamps", () => {
+    expect(auditTime({ toMillis: () => 7 })).toBe(7);
+    expect(auditTime(new Date(9))).toBe(9);
+    expect(auditTime(5)).toBe(5);
+    expect(auditTime(null)).toBeGreaterThan(0);
+  });
+});
+
+describe("formatAuditValue", () => {
+  it("writes values the way a reader expects", () => {
+    expect(formatAuditValue("note", "")).toBe("—");
+    expect(formatAuditValue("tags", ["goa", "office"])).toBe("goa, office");
+    expect(formatAuditValue("reimbursable", true)).toBe("Yes");
+    expect(formatAuditValue("splits", [{ category: "Food", amount: 5 }])).toBe("Food 5.00");
+  });
+});
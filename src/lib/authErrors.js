@@ -0,0 +1,26 @@
+// --- AUTH ERRORS ---
+// Firebase Auth rejects with codes such as "auth/wrong-password" and
+// messages meant for developers. These are what the user is shown instead.
+
+const MESSAGES = {
+  "auth/invalid-email": "That email address doesn't look right",
+  "auth/missing-email": "Enter your email address",
+  "auth/missing-password": "Enter your password",
+  "auth/user-not-found": "Email or password is incorrect",
+  "auth/wrong-password": "Email or password is incorrect",
+  "auth/invalid-credential": "Email or password is incorrect",
+  "auth/invalid-login-credentials": "Email or password is incorrect",
+  "auth/user-disabled": "This account has been disabled",
+  "auth/email-already-in-use": "An account with this email already exists — sign in instead",
+  "auth/weak-password": "Choose a password of at least 6 characters",
+  "auth/too-many-requests": "Too many attempts — wait a few minutes and try again",
+  "auth/network-request-failed": "Can't reach the server — check your connection",
+  "auth/requires-recent-login": "Please enter your password again to continue",
+  "auth/operation-not-allowed": "Email sign-in is not enabled for this app",
+  "auth/expired-action-code": "This link has expired — ask for a new one",
+  "auth/invalid-action-code": "This link is no longer valid — ask for a new one",
+};
+
+// The friendly message for `err`, or `fallback` for codes we don't know.
+export const authErrorMessage = (err, fallback = "Something went wrong — please try again") =>
+  MESSAGES[err?.code] || fallback;
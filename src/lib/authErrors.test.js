@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { authErrorMessage } from "./authErrors";
+
+describe("authErrorMessage", () => {
+  it("gives the same answer for a wrong password and an unknown address", () => {
+    const wrong = authErrorMessage({ code: "auth/wrong-password" });
+    expect(wrong).toBe("Email or password is incorrect");
+    expect(authErrorMessage({ code: "auth/user-not-found" })).toBe(wrong);
+    expect(authErrorMessage({ code: "auth/invalid-credential" })).toBe(wrong);
+  });
+
+  it("falls back for codes it doesn't know and for non-auth errors", () => {
+    expect(authErrorMessage({ code: "auth/something-new" }, "Sign-in failed")).toBe("Sign-in failed");
+    expect(authErrorMessage(new Error("boom"))).toMatch(/try again/);
+  });
+});
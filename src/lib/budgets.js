@@ -0,0 +1,92 @@
+// --- BUDGETS ---
+// A budget document is keyed by the category document id (or OVERALL_BUDGET
+// for the all-expenses limit): { amount, rollover }. Spending is read from
+// the month summaries, so budgets cost no extra queries.
+
+import { amountIn, categoryLines } from "./splits";
+
+export const OVERALL_BUDGET = "overall";
+export const WARN_AT = 0.8;
+
+export const previousMonthKey = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(y, m - 2, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+export const spentIn = (summary, category) => {
+  if (!summary) return 0;
+  if (category === null) return Number(summary.expense || 0);
+  return Number(summary.categories?.Debit?.[category] || 0);
+};
+
+// With rollover on, last month's unused amount is added to this month's
+// limit. Only one month carries over, so a long quiet stretch does not pile
+// up an unbounded allowance.
+export const effectiveLimit = (budget, previousSpent) => {
+  const base = Number(budget?.amount || 0);
+  if (!budget?.rollover) return base;
+  return base + Math.max(0, base - previousSpent);
+};
+
+export const budgetStatus = (spent, limit) => {
+  const ratio = limit > 0 ? spent / limit : 0;
+  let level = "ok";
+  if (ratio >= 1) level = "over";
+  else if (ratio >= WARN_AT) level = "warn";
+  return { spent, limit, ratio, level, remaining: limit - spent };
+};
+
+// Returns the threshold (1 or WARN_AT) that a change from `before` to
+// `after` pushed spending across, or null when nothing new was crossed.
+export const crossedThreshold = (before, after, limit) => {
+  if (!(limit > 0) || after <= before) return null;
+  if (before < limit && after >= limit) return 1;
+  if (before < limit * WARN_AT && after >= limit * WARN_AT) return WARN_AT;
+  return null;
+};
+
+// Works out every budget for `month` from the summaries map (month → doc).
+export const monthBudgets = (budgets, categories, summariesByMonth, month) => {
+  const current = summariesByMonth[month];
+  const previous = summariesByMonth[previousMonthKey(month)];
+  const result = {};
+  Object.entries(budgets).forEach(([id, budget]) => {
+    const name =
+      id === OVERALL_BUDGET ? null : categories.find((c) => c.id === id)?.name;
+    if (name === undefined) return;
+    const limit = effectiveLimit(budget, spentIn(previous, name));
+    result[id] = { name, ...budgetStatus(spentIn(current, name), limit) };
+  });
+  return result;
+};
+
+// Budgets (category and overall) that saving `next` pushes past a threshold
+// in its month. `previous` is the record as it was before an edit, if any.
+export const budgetAlerts = ({ budgets, categories, summariesByMonth, previous, next }) => {
+  if (next.type !== "Debit") return [];
+  const month = next.date.slice(0, 7);
+  const current = summariesByMonth[month];
+  const before = summariesByMonth[previousMonthKey(month)];
+  // What a record adds to the budget for `name`; split records only count
+  // their lines in that category.
+  const spentBy = (t, name) => {
+    if (!t || t.type !== "Debit" || t.date?.slice(0, 7) !== month) return 0;
+    return name === null ? Number(t.amount || 0) : amountIn(t, name);
+  };
+  const touched = categoryLines(next).map((l) => l.category);
+
+  const alerts = [];
+  Object.entries(budgets).forEach(([id, budget]) => {
+    const name =
+      id === OVERALL_BUDGET ? null : categories.find((c) => c.id === id)?.name;
+    if (name === undefined || (name !== null && !touched.includes(name))) return;
+    const spentBefore = spentIn(current, name);
+    const spentAfter = spentBefore - spentBy(previous, name) + spentBy(next, name);
+    const limit = effectiveLimit(budget, spentIn(before, name));
+    const threshold = crossedThreshold(spentBefore, spentAfter, limit);
+    if (threshold) alerts.push({ name, threshold, spent: spentAfter, limit });
+  });
+  // Report the most serious crossing first.
+  return alerts.sort((a, b) => b.threshold - a.threshold);
+};
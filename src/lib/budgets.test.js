@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  OVERALL_BUDGET,
+  previousMonthKey,
+  effectiveLimit,
+  crossedThreshold,
+  monthBudgets,
+  budgetAlerts,
+} from "./budgets";
+
+const categories = [{ id: "food", type: "Debit", name: "Food" }];
+const summariesByMonth = {
+  "2024-02": { month: "2024-02", expense: 150, categories: { Debit: { Food: 60 } } },
+  "2024-03": { month: "2024-03", expense: 70, categories: { Debit: { Food: 70 } } },
+};
+
+describe("previousMonthKey", () => {
+  it("wraps around the year", () => {
+    expect(previousMonthKey("2024-01")).toBe("2023-12");
+    expect(previousMonthKey("2024-03")).toBe("2024-02");
+  });
+});
+
+describe("effectiveLimit", () => {
+  it("carries over one month of unused budget when rollover is on", () => {
+    expect(effectiveLimit({ amount: 100 }, 60)).toBe(100);
+    expect(effectiveLimit({ amount: 100, rollover: true }, 60)).toBe(140);
+    expect(effectiveLimit({ amount: 100, rollover: true }, 130)).toBe(100);
+  });
+});
+
+describe("crossedThreshold", () => {
+  it("reports only new crossings", () => {
+    expect(crossedThreshold(70, 85, 100)).toBe(0.8);
+    expect(crossedThreshold(85, 105, 100)).toBe(1);
+    expect(crossedThreshold(85, 90, 100)).toBeNull();
+    expect(crossedThreshold(90, 80, 100)).toBeNull();
+  });
+});
+
+describe("monthBudgets", () => {
+  it("works out spending and level per budget", () => {
+    const budgets = { food: { amount: 80 }, [OVERALL_BUDGET]: { amount: 100, rollover: true } };
+    const result = monthBudgets(budgets, categories, summariesByMonth, "2024-03");
+    expect(result.food).toMatchObject({ name: "Food", spent: 70, limit: 80, level: "warn" });
+    expect(result[OVERALL_BUDGET]).toMatchObject({ name: null, spent: 70, limit: 100, level: "ok" });
+  });
+
+  it("skips budgets whose category is gone", () => {
+    expect(monthBudgets({ gone: { amount: 5 } }, categories, summariesByMonth, "2024-03")).toEqual({});
+  });
+});
+
+describe("budgetAlerts", () => {
+  const budgets = { food: { amount: 80 } };
+
+  it("warns when a new expense crosses a threshold", () => {
+    const next = { type: "Debit", category: "Food", amount: 15, date: "2024-03-20" };
+    expect(budgetAlerts({ budgets, categories, summariesByMonth, next })).toEqual([
+      { name: "Food", threshold: 1, spent: 85, limit: 80 },
+    ]);
+  });
+
+  it("nets out the old amount of an edited record", () => {
+    const previous = { type: "Debit", category: "Food", amount: 20, date: "2024-03-02" };
+    const next = { ...previous, amount: 25 };
+    expect(budgetAlerts({ budgets, categories, summariesByMonth, previous, next })).toEqual([]);
+  });
+
+  it("counts only the split lines in the budget's category", () => {
+    const next = {
+      type: "Debit",
+      category: "Split",
+      amount: 40,
+      date: "2024-03-20",
+      splits: [
+        { category: "Food", amount: 15 },
+        { category: "Health", amount: 25 },
+      ],
+    };
+    expect(budgetAlerts({ budgets, categories, summariesByMonth, next })).toEqual([
+      { name: "Food", threshold: 1, spent: 85, limit: 80 },
+    ]);
+  });
+});
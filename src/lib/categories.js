@@ -0,0 +1,114 @@
+// --- CATEGORIES ---
+// Categories are user documents ({ name, type, icon, color, order, archived,
+// parentId }). Transactions keep referring to them by name, so the seed
+// below reproduces the names the app always had.
+
+export const DEFAULT_CATEGORIES = {
+  Debit: [
+    { name: "Food", icon: "utensils", color: "#f97316" },
+    { name: "Rent", icon: "home", color: "#6366f1" },
+    { name: "EMI", icon: "landmark", color: "#8b5cf6" },
+    { name: "Travel", icon: "plane", color: "#0ea5e9" },
+    { name: "Bills", icon: "receipt", color: "#eab308" },
+    { name: "Entertainment", icon: "film", color: "#ec4899" },
+    { name: "Health", icon: "heart", color: "#ef4444" },
+    { name: "Shopping", icon: "shopping-bag", color: "#14b8a6" },
+  ],
+  Credit: [
+    { name: "Salary", icon: "briefcase", color: "#22c55e" },
+    { name: "Freelance", icon: "laptop", color: "#10b981" },
+    { name: "Refunds", icon: "rotate-ccw", color: "#06b6d4" },
+    { name: "Investment", icon: "trending-up", color: "#3b82f6" },
+    { name: "Gift", icon: "gift", color: "#d946ef" },
+  ],
+};
+
+export const CATEGORY_COLORS = [
+  "#ef4444",
+  "#f97316",
+  "#eab308",
+  "#22c55e",
+  "#14b8a6",
+  "#0ea5e9",
+  "#3b82f6",
+  "#6366f1",
+  "#8b5cf6",
+  "#d946ef",
+  "#ec4899",
+  "#64748b",
+];
+
+const FALLBACK = { icon: "tag", color: "#94a3b8" };
+
+export const seedCategoryDocs = () =>
+  ["Debit", "Credit"].flatMap((type) =>
+    DEFAULT_CATEGORIES[type].map((c, order) => ({
+      ...c,
+      type,
+      order,
+      archived: false,
+      parentId: null,
+    }))
+  );
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name);
+
+// Top-level categories of one type, each with its sorted subcategories.
+export const categoryTree = (categories, type, { includeArchived = false } = {}) => {
+  const visible = categories.filter(
+    (c) => c.type === type && (includeArchived || !c.archived)
+  );
+  return visible
+    .filter((c) => !c.parentId)
+    .sort(byOrder)
+    .map((c) => ({
+      ...c,
+      children: visible.filter((s) => s.parentId === c.id).sort(byOrder),
+    }));
+};
+
+// Looks up display settings for a category name. Names that no longer have
+// a document (e.g. from before a delete) still get a neutral style.
+export const categoryStyle = (categories, type, name) => {
+  const match = categories.find(
+    (c) => !c.parentId && c.name === name && (!type || c.type === type)
+  );
+  return match ? { icon: match.icon, color: match.color } : FALLBACK;
+};
+
+export const normalizeName = (name) => name.trim().replace(/\s+/g, " ");
+
+export const nameTaken = (categories, { type, name, parentId = null }, exceptId) =>
+  categories.some(
+    (c) =>
+      c.id !== exceptId &&
+      c.type === type &&
+      (c.parentId || null) === parentId &&
+      c.name.toLowerCase() === name.toLowerCase()
+  );
+
+// --- RENAMING ---
+// Besides transactions, a category name is stored on recurring templates
+// ({ type, category, subcategory }) and keyword rules ({ keyword, category,
+// type }). These rewrite them when `from` (of `type`) becomes `to`; with
+// `parent`, `from` is a subcategory under that top-level name.
+
+// The changes a template needs, or null when it doesn't use the name.
+export const templateRename = (template, type, from, to, parent = null) => {
+  if (template.type !== type) return null;
+  if (parent) {
+    return template.category === parent && template.subcategory === from
+      ? { subcategory: to }
+      : null;
+  }
+  return template.category === from ? { category: to } : null;
+};
+
+// Rules only name top-level categories. Returns the same array when none
+// change.
+export const renameInRules = (rules, type, from, to) =>
+  rules.some((r) => r.category === from && (!r.type || r.type === type))
+    ? rules.map((r) =>
+        r.category === from && (!r.type || r.type === type) ? { ...r, category: to } : r
+      )
+    : rules;
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { templateRename, renameInRules } from "./categories";
+
+const rent = { type: "Debit", category: "Housing", subcategory: "Rent" };
+
+describe("templateRename", () => {
+  it("renames a template's category of the same type", () => {
+    expect(templateRename(rent, "Debit", "Housing", "Home")).toEqual({ category: "Home" });
+    expect(templateRename(rent, "Credit", "Housing", "Home")).toBeNull();
+    expect(templateRename(rent, "Debit", "Food", "Meals")).toBeNull();
+  });
+
+  it("renames a subcategory only under its parent", () => {
+    expect(templateRename(rent, "Debit", "Rent", "Lease", "Housing")).toEqual({
+      subcategory: "Lease",
+    });
+    expect(templateRename(rent, "Debit", "Rent", "Lease", "Office")).toBeNull();
+  });
+});
+
+describe("renameInRules", () => {
+  it("points rules of the same type at the new name", () => {
+    const rules = [
+      { keyword: "swiggy", category: "Food", type: "Debit" },
+      { keyword: "refund", category: "Food", type: "Credit" },
+      { keyword: "zomato", category: "Food" },
+    ];
+    expect(renameInRules(rules, "Debit", "Food", "Dining")).toEqual([
+      { keyword: "swiggy", category: "Dining", type: "Debit" },
+      { keyword: "refund", category: "Food", type: "Credit" },
+      { keyword: "zomato", category: "Dining" },
+    ]);
+  });
+
+  it("returns the same list when nothing uses the name", () => {
+    const rules = [{ keyword: "uber", category: "Travel", type: "Debit" }];
+    expect(renameInRules(rules, "Debit", "Food", "Dining")).toBe(rules);
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  Utensils,
+  Home,
+  Landmark,
+  Plane,
+  Receipt,
+  Film,
+  Heart,
+  ShoppingBag,
+  Briefcase,
+  Laptop,
+  RotateCcw,
+  TrendingUp,
+  Gift,
+  Tag,
+  Car,
+  Coffee,
+  GraduationCap,
+  Baby,
+  PawPrint,
+  Smartphone,
+  Wifi,
+  Zap,
+  Fuel,
+  Dumbbell,
+  Shirt,
+  Wrench,
+  PiggyBank,
+  Coins,
+} from "lucide-react";
+
+// Icons a category can pick from, keyed by the name stored in Firestore.
+export const CATEGORY_ICONS = {
+  utensils: Utensils,
+  home: Home,
+  landmark: Landmark,
+  plane: Plane,
+  receipt: Receipt,
+  film: Film,
+  heart: Heart,
+  "shopping-bag": ShoppingBag,
+  briefcase: Briefcase,
+  laptop: Laptop,
+  "rotate-ccw": RotateCcw,
+  "trending-up": TrendingUp,
+  gift: Gift,
+  tag: Tag,
+  car: Car,
+  coffee: Coffee,
+  "graduation-cap": GraduationCap,
+  baby: Baby,
+  "paw-print": PawPrint,
+  smartphone: Smartphone,
+  wifi: Wifi,
+  zap: Zap,
+  fuel: Fuel,
+  dumbbell: Dumbbell,
+  shirt: Shirt,
+  wrench: Wrench,
+  "piggy-bank": PiggyBank,
+  coins: Coins,
+};
@@ -0,0 +1,107 @@
+// --- CHARTS ---
+// Data and geometry for the dashboard charts. Everything is worked out from
+// the month summaries, so the charts cost no extra queries. Angles are in
+// radians, clockwise from twelve o'clock.
+
+import { previousMonthKey } from "./budgets";
+
+const nextMonthKey = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(y, m, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// Categories of one type, largest first, each with its share of the total.
+// Categories that netted out to nothing or less (fully refunded) are left
+// out, since they have no slice to show.
+export const categoryShares = (byCategory) => {
+  const rows = Object.entries(byCategory)
+    .filter(([, value]) => value > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const total = rows.reduce((sum, [, value]) => sum + value, 0);
+  return {
+    total,
+    rows: rows.map(([name, value]) => ({ name, value, share: total ? value / total : 0 })),
+  };
+};
+
+export const donutSlices = (rows) => {
+  let start = 0;
+  return rows.map((row) => {
+    const end = start + row.share * 2 * Math.PI;
+    const slice = { ...row, start, end };
+    start = end;
+    return slice;
+  });
+};
+
+const point = (cx, cy, r, angle) => [cx + r * Math.sin(angle), cy - r * Math.cos(angle)];
+
+// SVG path of a ring segment between radii `inner` and `outer`.
+export const arcPath = (cx, cy, outer, inner, start, end) => {
+  // One arc cannot draw a whole circle, so a lone slice stops just short.
+  const sweep = Math.min(end - start, 2 * Math.PI - 0.0001);
+  const large = sweep > Math.PI ? 1 : 0;
+  const [x1, y1] = point(cx, cy, outer, start);
+  const [x2, y2] = point(cx, cy, outer, start + sweep);
+  const [x3, y3] = point(cx, cy, inner, start + sweep);
+  const [x4, y4] = point(cx, cy, inner, start);
+  return [
+    `M${x1} ${y1}`,
+    `A${outer} ${outer} 0 ${large} 1 ${x2} ${y2}`,
+    `L${x3} ${y3}`,
+    `A${inner} ${inner} 0 ${large} 0 ${x4} ${y4}`,
+    "Z",
+  ].join("");
+};
+
+// Income and expense for the `count` months up to and including `month`,
+// oldest first. Months without records show as zero.
+export const monthlySeries = (summariesByMonth, month, count = 6) => {
+  const months = [month];
+  while (months.length < count) months.unshift(previousMonthKey(months[0]));
+  return months.map((m) => ({
+    month: m,
+    income: Number(summariesByMonth[m]?.income || 0),
+    expense: Number(summariesByMonth[m]?.expense || 0),
+  }));
+};
+
+// Money across all accounts at the end of each month, from the first month
+// with records through `month`: opening balances plus every account
+// movement so far. Transfers cancel out; adjustments count.
+export const balanceTrend = (summaries, openingTotal, month) => {
+  const byMonth = Object.fromEntries(summaries.map((s) => [s.month, s]));
+  const first = summaries.map((s) => s.month).sort()[0];
+  if (!first) return [];
+  const points = [];
+  let balance = openingTotal;
+  for (let m = first; m <= month; m = nextMonthKey(m)) {
+    Object.values(byMonth[m]?.accounts || {}).forEach((v) => {
+      balance += Number(v);
+    });
+    points.push({ month: m, balance });
+  }
+  return points;
+};
+
+// A round number at or above `value` (1, 2 or 5 times a power of ten) to
+// use as the top of an axis.
+export const niceCeiling = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((s) => s * magnitude >= value);
+  return step * magnitude;
+};
+
+export const monthLabel = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(undefined, { month: "short" });
+};
+
+// First and last day of a "YYYY-MM" month, for drilling into history.
+export const monthRange = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  const last = new Date(y, m, 0).getDate();
+  return { start: `${month}-01`, end: `${month}-${String(last).padStart(2, "0")}` };
+};
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  categoryShares,
+  donutSlices,
+  monthlySeries,
+  balanceTrend,
+  niceCeiling,
+  monthRange,
+} from "./charts";
+
+describe("categoryShares", () => {
+  it("sorts by amount and leaves out categories that netted to nothing", () => {
+    const { total, rows } = categoryShares({ Food: 30, Rent: 70, Refunded: 0, Odd: -5 });
+    expect(total).toBe(100);
+    expect(rows).toEqual([
+      { name: "Rent", value: 70, share: 0.7 },
+      { name: "Food", value: 30, share: 0.3 },
+    ]);
+  });
+});
+
+describe("donutSlices", () => {
+  it("lays slices end to end around the circle", () => {
+    const [a, b] = donutSlices([{ share: 0.25 }, { share: 0.75 }]);
+    expect(a.start).toBe(0);
+    expect(a.end).toBeCloseTo(Math.PI / 2);
+    expect(b.start).toBe(a.end);
+    expect(b.end).toBeCloseTo(2 * Math.PI);
+  });
+});
+
+describe("monthlySeries", () => {
+  it("fills months without records with zeros, oldest first", () => {
+    const series = monthlySeries({ "2024-01": { income: 100, expense: 40 } }, "2024-02", 3);
+    expect(series).toEqual([
+      { month: "2023-12", income: 0, expense: 0 },
+      { month: "2024-01", income: 100, expense: 40 },
+      { month: "2024-02", income: 0, expense: 0 },
+    ]);
+  });
+});
+
+describe("balanceTrend", () => {
+  it("accumulates account movement from the opening balances, month by month", () => {
+    const summaries = [
+      { month: "2024-03", accounts: { a: -20 } },
+      { month: "2024-01", accounts: { a: 100, b: -30 } },
+    ];
+    expect(balanceTrend(summaries, 50, "2024-04")).toEqual([
+      { month: "2024-01", balance: 120 },
+      { month: "2024-02", balance: 120 },
+      { month: "2024-03", balance: 100 },
+      { month: "2024-04", balance: 100 },
+    ]);
+  });
+
+  it("is empty without records", () => {
+    expect(balanceTrend([], 10, "2024-04")).toEqual([]);
+  });
+});
+
+describe("niceCeiling", () => {
+  it("rounds up to 1, 2 or 5 times a power of ten", () => {
+    expect(niceCeiling(0)).toBe(1);
+    expect(niceCeiling(7)).toBe(10);
+    expect(niceCeiling(130)).toBe(200);
+    expect(niceCeiling(4200)).toBe(5000);
+  });
+});
+
+describe("monthRange", () => {
+  it("covers the whole month, leap days included", () => {
+    expect(monthRange("2024-02")).toEqual({ start: "2024-02-01", end: "2024-02-29" });
+  });
+});
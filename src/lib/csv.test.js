@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { parseCSV, detectDelimiter, toCSV } from "./csv";
+
+describe("parseCSV", () => {
+  it("handles quotes, doubled quotes, CRLF and blank lines", () => {
+    const text = 'a,"b, c","say ""hi"""\r\n\r\n1,"2\n3",4';
+    expect(parseCSV(text)).toEqual([
+      ["a", "b, c", 'say "hi"'],
+      ["1", "2\n3", "4"],
+    ]);
+  });
+
+  it("keeps a trailing empty field", () => {
+    expect(parseCSV("a,b,\n")).toEqual([["a", "b", ""]]);
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("picks the delimiter that splits the header most", () => {
+    expect(detectDelimiter("Date;Narration;Amount\n1;2;3")).toBe(";");
+    expect(detectDelimiter("Date\tAmount")).toBe("\t");
+    expect(detectDelimiter("Date,Amount")).toBe(",");
+  });
+});
+
+describe("toCSV", () => {
+  it("round-trips through parseCSV", () => {
+    const rows = [
+      ["note", "amount"],
+      ['Rs. 450, "lunch"', "450"],
+      ["line\nbreak", ""],
+    ];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
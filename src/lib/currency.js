@@ -0,0 +1,85 @@
+// --- CURRENCY ---
+// `amount` on a transaction is always in the home currency, so summaries and
+// totals never need converting. Foreign entries also keep `currency`,
+// `originalAmount` and the `rate` used (home units per foreign unit), which
+// fixes their converted value at the time they were recorded.
+
+export const DEFAULT_PREFERENCES = { homeCurrency: "USD", locale: "en-US" };
+
+export const CURRENCIES = [
+  "INR",
+  "USD",
+  "EUR",
+  "GBP",
+  "AED",
+  "SGD",
+  "THB",
+  "JPY",
+  "AUD",
+  "CAD",
+  "CHF",
+  "CNY",
+  "LKR",
+  "NPR",
+];
+
+export const LOCALES = [
+  { id: "en-IN", label: "English (India)" },
+  { id: "en-US", label: "English (US)" },
+  { id: "en-GB", label: "English (UK)" },
+  { id: "hi-IN", label: "हिन्दी (India)" },
+  { id: "de-DE", label: "Deutsch" },
+  { id: "fr-FR", label: "Français" },
+];
+
+export const makeFormatter = (locale, currency) => {
+  const fmt = new Intl.NumberFormat(locale, { style: "currency", currency });
+  return (num, code) =>
+    code && code !== currency
+      ? new Intl.NumberFormat(locale, { style: "currency", currency: code }).format(num || 0)
+      : fmt.format(num || 0);
+};
+
+export const currencySymbol = (locale, currency) =>
+  new Intl.NumberFormat(locale, { style: "currency", currency, currencyDisplay: "narrowSymbol" })
+    .formatToParts(0)
+    .find((p) => p.type === "currency")?.value || currency;
+
+export const isForeign = (t, homeCurrency) =>
+  !!t.currency && t.currency !== homeCurrency && t.originalAmount != null;
+
+// Rate for `currency` in home units; 1 for the home currency itself and
+// null when the table has no rate yet.
+export const rateFor = (rates, currency, homeCurrency) => {
+  if (!currency || currency === homeCurrency) return 1;
+  const rate = Number(rates?.[currency]);
+  return rate > 0 ? rate : null;
+};
+
+export const convert = (amount, rate) => Math.round(Number(amount) * rate * 100) / 100;
+
+// Fields to store for an entered amount. Home-currency entries keep the old
+// shape (plain `amount`) so older documents and new ones read the same way.
+export const amountFields = (entered, currency, rate, homeCurrency) =>
+  currency === homeCurrency
+    ? { amount: Number(entered), currency: homeCurrency, originalAmount: null, rate: null }
+    : {
+        amount: convert(entered, rate),
+        currency,
+        originalAmount: Number(entered),
+        rate,
+      };
+
+// Totals of foreign-currency entries per currency: { EUR: { original, converted, count } }.
+export const foreignTotals = (transactions, homeCurrency) => {
+  const totals = {};
+  transactions.forEach((t) => {
+    if (!isForeign(t, homeCurrency)) return;
+    const sign = t.type === "Credit" ? 1 : -1;
+    const entry = (totals[t.currency] ||= { original: 0, converted: 0, count: 0 });
+    entry.original += sign * Number(t.originalAmount || 0);
+    entry.converted += sign * Number(t.amount || 0);
+    entry.count += 1;
+  });
+  return totals;
+};
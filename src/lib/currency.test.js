@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import {
+  makeFormatter,
+  currencySymbol,
+  isForeign,
+  rateFor,
+  convert,
+  amountFields,
+  foreignTotals,
+} from "./currency";
+
+describe("makeFormatter", () => {
+  it("formats in the home currency unless told otherwise", () => {
+    const format = makeFormatter("en-US", "USD");
+    expect(format(12.5)).toBe("$12.50");
+    expect(format(undefined)).toBe("$0.00");
+    expect(format(3, "EUR")).toBe("€3.00");
+  });
+});
+
+describe("currencySymbol", () => {
+  it("uses the narrow symbol", () => {
+    expect(currencySymbol("en-IN", "INR")).toBe("₹");
+    expect(currencySymbol("en-US", "USD")).toBe("$");
+  });
+});
+
+describe("rateFor", () => {
+  it("is 1 at home and null without a usable rate", () => {
+    expect(rateFor({ EUR: 1.1 }, "USD", "USD")).toBe(1);
+    expect(rateFor({ EUR: 1.1 }, "EUR", "USD")).toBe(1.1);
+    expect(rateFor({ EUR: "0" }, "EUR", "USD")).toBeNull();
+    expect(rateFor({}, "GBP", "USD")).toBeNull();
+  });
+});
+
+describe("amountFields", () => {
+  it("keeps home amounts plain and fixes foreign ones at the rate", () => {
+    expect(amountFields("20", "USD", 1, "USD")).toEqual({
+      amount: 20,
+      currency: "USD",
+      originalAmount: null,
+      rate: null,
+    });
+    expect(amountFields("10", "EUR", 1.234, "USD")).toEqual({
+      amount: 12.34,
+      currency: "EUR",
+      originalAmount: 10,
+      rate: 1.234,
+    });
+    expect(convert(3.333, 3)).toBe(10);
+  });
+});
+
+describe("foreignTotals", () => {
+  it("nets foreign entries per currency and skips the rest", () => {
+    const rows = [
+      { type: "Debit", amount: 11, currency: "EUR", originalAmount: 10 },
+      { type: "Credit", amount: 5.5, currency: "EUR", originalAmount: 5 },
+      { type: "Debit", amount: 7, currency: "USD", originalAmount: null },
+      { type: "Debit", amount: 4, currency: "EUR" },
+    ];
+    expect(rows.map((t) => isForeign(t, "USD"))).toEqual([true, true, false, false]);
+    expect(foreignTotals(rows, "USD")).toEqual({
+      EUR: { original: -5, converted: -5.5, count: 2 },
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// --- DEBTS (IOUs) ---
+// Money lent to or borrowed from someone is a transaction of type DEBT:
+// { person, direction: "lent" | "borrowed", amount, accountId, date, note }.
+// A repayment is another DEBT record for the same person and direction with
+// `repays` set to the original's id. Both only move money in or out of their
+// account; neither counts as income or expense.
+
+export const DEBT = "Debt";
+
+export const DIRECTIONS = [
+  { id: "lent", label: "I lent" },
+  { id: "borrowed", label: "I borrowed" },
+];
+
+const cents = (n) => Math.round(Number(n || 0) * 100);
+
+export const isRepayment = (t) => !!t.repays;
+
+// Money into (+) or out of (-) the account. Lending, and paying back what
+// was borrowed, take money out.
+export const debtFlow = (t) => {
+  const value = Number(t.amount || 0);
+  return (t.direction === "lent") !== isRepayment(t) ? -value : value;
+};
+
+export const debtLabel = (t) => {
+  if (t.direction === "lent") {
+    return isRepayment(t) ? `${t.person} paid back` : `Lent to ${t.person}`;
+  }
+  return isRepayment(t) ? `Paid back ${t.person}` : `Borrowed from ${t.person}`;
+};
+
+// Stands in for a debt that is gone (trashed) while its repayments remain:
+// they still move their account, so they stay in view, settled, under a
+// debt marked `missing`.
+const missingDebt = (r) => ({
+  id: r.repays,
+  type: DEBT,
+  direction: r.direction,
+  person: r.person,
+  amount: 0,
+  date: r.date,
+  note: "",
+  missing: true,
+  repayments: [],
+  repaid: 0,
+});
+
+// Every original debt with its repayments and what is still outstanding,
+// newest first.
+export const debtLedger = (entries) => {
+  const debts = new Map(
+    entries
+      .filter((t) => t.type === DEBT && !isRepayment(t))
+      .map((t) => [t.id, { ...t, repayments: [], repaid: 0 }])
+  );
+  entries
+    .filter((t) => t.type === DEBT && isRepayment(t))
+    .forEach((r) => {
+      if (!debts.has(r.repays)) debts.set(r.repays, missingDebt(r));
+      const debt = debts.get(r.repays);
+      if (r.date < debt.date) debt.date = r.date;
+      debt.repayments.push(r);
+      debt.repaid = (cents(debt.repaid) + cents(r.amount)) / 100;
+    });
+  return [...debts.values()]
+    .map((d) => ({
+      ...d,
+      repayments: d.repayments.sort((a, b) => a.date.localeCompare(b.date)),
+      outstanding: Math.max(0, (cents(d.amount) - cents(d.repaid)) / 100),
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || 0) - (a.createdAt || 0));
+};
+
+// Per person: what they still owe you, what you still owe them, and the
+// net (positive when they owe you). People with everything settled sort last.
+export const balancesByPerson = (debts) => {
+  const people = {};
+  debts.forEach((d) => {
+    const p = (people[d.person] ||= { person: d.person, owedToYou: 0, youOwe: 0, debts: [] });
+    if (d.direction === "lent") p.owedToYou += d.outstanding;
+    else p.youOwe += d.outstanding;
+    p.debts.push(d);
+  });
+  return Object.values(people)
+    .map((p) => ({ ...p, net: p.owedToYou - p.youOwe }))
+    .sort(
+      (a, b) =>
+        Number(b.owedToYou + b.youOwe > 0) - Number(a.owedToYou + a.youOwe > 0) ||
+        a.person.localeCompare(b.person)
+    );
+};
+
+export const debtTotals = (debts) =>
+  debts.reduce(
+    (totals, d) => {
+      if (d.direction === "lent") totals.owedToYou += d.outstanding;
+      else totals.youOwe += d.outstanding;
+      return totals;
+    },
+    { owedToYou: 0, youOwe: 0 }
+  );
+
+// Returns a user-facing problem with a repayment, or null when it can be saved.
+export const repaymentProblem = (debt, amount) => {
+  if (!(Number(amount) > 0)) return "Enter the amount paid back";
+  if (cents(amount) > cents(debt.outstanding)) return "That is more than is outstanding";
+  return null;
+};
+
+// The stored record for a new IOU.
+export const debtFields = ({ direction, person, amount, accountId, date, note }) => ({
+  type: DEBT,
+  category: DEBT,
+  direction,
+  person: person.trim(),
+  amount: Number(amount),
+  accountId: accountId || null,
+  date,
+  note: note.trim(),
+});
+
+// The stored record for a repayment of `debt`.
+export const repaymentFields = (debt, { amount, accountId, date }) => ({
+  type: DEBT,
+  category: DEBT,
+  direction: debt.direction,
+  person: debt.person,
+  repays: debt.id,
+  amount: Number(amount),
+  accountId: accountId || debt.accountId || null,
+  date,
+  note: "",
+});
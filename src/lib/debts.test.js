@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  debtFlow,
+  debtLabel,
+  debtLedger,
+  balancesByPerson,
+  debtTotals,
+  repaymentFields,
+  repaymentProblem,
+} from "./debts";
+
+const loan = { id: "l1", type: "Debt", direction: "lent", person: "Asha", amount: 100, date: "2024-03-01" };
+const borrowed = { id: "b1", type: "Debt", direction: "borrowed", person: "Ravi", amount: 40, date: "2024-03-05" };
+const partly = { ...repaymentFields(loan, { amount: "30", date: "2024-03-10" }), id: "r1" };
+
+describe("debtFlow", () => {
+  it("takes lending and paying back out of the account", () => {
+    expect(debtFlow(loan)).toBe(-100);
+    expect(debtFlow(partly)).toBe(30);
+    expect(debtFlow(borrowed)).toBe(40);
+    expect(debtFlow({ ...borrowed, repays: "b1" })).toBe(-40);
+  });
+});
+
+describe("debtLabel", () => {
+  it("reads from your side", () => {
+    expect(debtLabel(loan)).toBe("Lent to Asha");
+    expect(debtLabel(partly)).toBe("Asha paid back");
+    expect(debtLabel({ ...borrowed, repays: "b1" })).toBe("Paid back Ravi");
+  });
+});
+
+describe("debtLedger", () => {
+  it("links repayments to their debt", () => {
+    const [ravi, asha] = debtLedger([loan, borrowed, partly]);
+    expect(ravi).toMatchObject({ id: "b1", repaid: 0, outstanding: 40 });
+    expect(asha).toMatchObject({ id: "l1", repaid: 30, outstanding: 70 });
+    expect(asha.repayments.map((r) => r.id)).toEqual(["r1"]);
+  });
+
+  it("keeps repayments whose debt is gone in view, settled", () => {
+    const orphan = { ...partly, id: "r2", repays: "gone", date: "2024-02-01" };
+    const debts = debtLedger([loan, orphan]);
+    expect(debts.map((d) => d.id)).toEqual(["l1", "gone"]);
+    expect(debts[1]).toMatchObject({ missing: true, person: "Asha", repaid: 30, outstanding: 0 });
+    expect(debtTotals(debts)).toEqual({ owedToYou: 100, youOwe: 0 });
+  });
+});
+
+describe("balancesByPerson", () => {
+  it("nets each person and puts settled people last", () => {
+    const settled = { ...loan, id: "l2", person: "Zed", amount: 5 };
+    const paid = { ...repaymentFields(settled, { amount: 5, date: "2024-03-02" }), id: "r3" };
+    const people = balancesByPerson(debtLedger([loan, partly, borrowed, settled, paid]));
+    expect(people.map((p) => [p.person, p.net])).toEqual([
+      ["Asha", 70],
+      ["Ravi", -40],
+      ["Zed", 0],
+    ]);
+  });
+});
+
+describe("debtTotals", () => {
+  it("adds up what is still outstanding either way", () => {
+    expect(debtTotals(debtLedger([loan, partly, borrowed]))).toEqual({ owedToYou: 70, youOwe: 40 });
+  });
+});
+
+describe("repaymentProblem", () => {
+  it("allows up to the outstanding amount", () => {
+    const [debt] = debtLedger([loan, partly]);
+    expect(repaymentProblem(debt, "70")).toBeNull();
+    expect(repaymentProblem(debt, "70.01")).toMatch(/more than/);
+    expect(repaymentProblem(debt, "")).toMatch(/amount/);
+  });
+});
@@ -0,0 +1,178 @@
+// --- EXPORT / BACKUP ---
+// Serialisers for the three export formats. They work on plain transaction
+// objects so they can be fed from any query.
+
+import { toCSV } from "./csv";
+import { signedAmount } from "./accounts";
+import { categoryLines, describeSplits, isSplit } from "./splits";
+import { DEBT } from "./debts";
+import { tagsOf } from "./tags";
+
+export const BACKUP_FORMAT = "daily-expenses-tracker-backup";
+export const BACKUP_VERSION = 1;
+
+// Collections other than transactions that a backup carries, by name.
+export const BACKUP_COLLECTIONS = [
+  "categories",
+  "budgets",
+  "recurring",
+  "accounts",
+  "loans",
+  "goals",
+  "goalContributions",
+  "importProfiles",
+  "settings",
+];
+
+const TRANSACTION_TYPES = ["Credit", "Debit", "Transfer", "Adjustment", DEBT];
+
+export const filterForExport = (transactions, { start, end, categories } = {}) =>
+  transactions
+    .filter(
+      (t) =>
+        (!start || t.date >= start) &&
+        (!end || t.date <= end) &&
+        (!categories?.length || categoryLines(t).some((l) => categories.includes(l.category)))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || 0) - (b.createdAt || 0));
+
+const CSV_COLUMNS = [
+  "date",
+  "type",
+  "category",
+  "subcategory",
+  "splits",
+  "amount",
+  "currency",
+  "originalAmount",
+  "rate",
+  "accountId",
+  "toAccountId",
+  "payee",
+  "person",
+  "direction",
+  "repays",
+  "tags",
+  "reimbursable",
+  "reimbursedOn",
+  "note",
+  "id",
+];
+
+export const transactionsToCSV = (transactions) =>
+  toCSV([
+    CSV_COLUMNS,
+    ...transactions.map((t) =>
+      CSV_COLUMNS.map((c) =>
+        c === "splits" ? describeSplits(t) : c === "tags" ? tagsOf(t).join("; ") : t[c] ?? ""
+      )
+    ),
+  ]);
+
+export const buildBackup = ({ appId, transactions, collections }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  appId,
+  transactions,
+  collections,
+});
+
+// Reads a backup file and checks that it is one of ours. Throws an Error
+// with a user-facing message otherwise.
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file");
+  }
+  if (data?.format !== BACKUP_FORMAT) throw new Error("Not a tracker backup");
+  if (!(data.version <= BACKUP_VERSION)) {
+    throw new Error("Backup is from a newer version of the app");
+  }
+  if (!Array.isArray(data.transactions)) throw new Error("Backup has no transactions");
+  const invalid = data.transactions.find(
+    (t) =>
+      !t.id ||
+      !t.date ||
+      !TRANSACTION_TYPES.includes(t.type) ||
+      !Number.isFinite(Number(t.amount))
+  );
+  if (invalid) throw new Error(`Backup has an invalid transaction (${invalid.id || "no id"})`);
+  return { ...data, collections: data.collections || {} };
+};
+
+const ofxText = (s) =>
+  String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .slice(0, 64);
+
+const ofxDate = (iso) => iso.replace(/-/g, "");
+
+// OFX 1.0.2 (SGML) bank statement, which GnuCash, Quicken and most
+// accounting tools accept. The whole ledger is one statement, so transfers
+// between its own accounts cancel out and are left off.
+export const transactionsToOFX = (all, { currency = "USD", start, end } = {}) => {
+  const transactions = all.filter((t) => t.type !== "Transfer");
+  const now = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  const first = start || transactions[0]?.date || now.slice(0, 8);
+  const last = end || transactions[transactions.length - 1]?.date || now.slice(0, 8);
+
+  const entries = transactions.map((t) => {
+    const amount = signedAmount(t);
+    return [
+      "<STMTTRN>",
+      `<TRNTYPE>${amount >= 0 ? "CREDIT" : "DEBIT"}`,
+      `<DTPOSTED>${ofxDate(t.date)}`,
+      `<TRNAMT>${amount.toFixed(2)}`,
+      `<FITID>${ofxText(t.id)}`,
+      `<NAME>${ofxText(t.payee || t.person || t.category)}`,
+      `<MEMO>${ofxText(
+        isSplit(t)
+          ? [describeSplits(t), t.note].filter(Boolean).join(" / ")
+          : [t.category, t.subcategory, t.note].filter(Boolean).join(" / ")
+      )}`,
+      "</STMTTRN>",
+    ].join("\n");
+  });
+
+  const balance = transactions.reduce((acc, t) => acc + signedAmount(t), 0);
+
+  return [
+    "OFXHEADER:100",
+    "DATA:OFXSGML",
+    "VERSION:102",
+    "SECURITY:NONE",
+    "ENCODING:USASCII",
+    "CHARSET:1252",
+    "COMPRESSION:NONE",
+    "OLDFILEUID:NONE",
+    "NEWFILEUID:NONE",
+    "",
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS>",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    `<DTSERVER>${now}`,
+    "<LANGUAGE>ENG",
+    "</SONRS></SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1><STMTTRNRS>",
+    "<TRNUID>1",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    "<STMTRS>",
+    `<CURDEF>${currency}`,
+    "<BANKACCTFROM><BANKID>0<ACCTID>TRACKER<ACCTTYPE>CHECKING</BANKACCTFROM>",
+    "<BANKTRANLIST>",
+    `<DTSTART>${ofxDate(first)}`,
+    `<DTEND>${ofxDate(last)}`,
+    ...entries,
+    "</BANKTRANLIST>",
+    `<LEDGERBAL><BALAMT>${balance.toFixed(2)}<DTASOF>${now}</LEDGERBAL>`,
+    "</STMTRS>",
+    "</STMTTRNRS></BANKMSGSRSV1>",
+    "</OFX>",
+    "",
+  ].join("\n");
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import {
+  filterForExport,
+  transactionsToCSV,
+  buildBackup,
+  parseBackup,
+  transactionsToOFX,
+} from "./exporter";
+import { parseCSV } from "./csv";
+
+const salary = { id: "s1", type: "Credit", category: "Salary", amount: 1000, date: "2024-03-01" };
+const shop = {
+  id: "d1",
+  type: "Debit",
+  category: "Split",
+  amount: 30,
+  date: "2024-03-05",
+  payee: "Bread & Co",
+  tags: ["weekly", "home"],
+  splits: [
+    { category: "Food", amount: 23 },
+    { category: "Health", amount: 7 },
+  ],
+};
+const move = { id: "t1", type: "Transfer", amount: 50, date: "2024-03-02" };
+
+describe("filterForExport", () => {
+  it("keeps the date window and categories on any split line, oldest first", () => {
+    const rows = [shop, salary, move, { ...salary, id: "s0", date: "2024-02-01" }];
+    expect(filterForExport(rows, { start: "2024-03-01" }).map((t) => t.id)).toEqual([
+      "s1",
+      "t1",
+      "d1",
+    ]);
+    expect(filterForExport(rows, { categories: ["Health"] }).map((t) => t.id)).toEqual(["d1"]);
+  });
+});
+
+describe("transactionsToCSV", () => {
+  it("writes one row per transaction with tags joined", () => {
+    const [header, row] = parseCSV(transactionsToCSV([shop]));
+    const cell = (name) => row[header.indexOf(name)];
+    expect(cell("date")).toBe("2024-03-05");
+    expect(cell("tags")).toBe("weekly; home");
+    expect(cell("payee")).toBe("Bread & Co");
+    expect(cell("id")).toBe("d1");
+  });
+});
+
+describe("parseBackup", () => {
+  it("reads back what buildBackup wrote", () => {
+    const backup = buildBackup({ appId: "app", transactions: [salary], collections: undefined });
+    const parsed = parseBackup(JSON.stringify(backup));
+    expect(parsed.transactions).toEqual([salary]);
+    expect(parsed.collections).toEqual({});
+  });
+
+  it("explains what is wrong with a file it can't use", () => {
+    const good = buildBackup({ appId: "app", transactions: [salary], collections: {} });
+    const broken = (changes) => JSON.stringify({ ...good, ...changes });
+    expect(() => parseBackup("{")).toThrow("Not a valid JSON file");
+    expect(() => parseBackup(broken({ format: "other" }))).toThrow("Not a tracker backup");
+    expect(() => parseBackup(broken({ version: 99 }))).toThrow("newer version");
+    expect(() => parseBackup(broken({ transactions: null }))).toThrow("no transactions");
+    expect(() => parseBackup(broken({ transactions: [{ ...salary, type: "Gift" }] }))).toThrow(
+      "invalid transaction (s1)"
+    );
+  });
+});
+
+describe("transactionsToOFX", () => {
+  it("signs amounts, escapes text and leaves transfers off", () => {
+    const ofx = transactionsToOFX([salary, move, shop], { currency: "EUR" });
+    expect(ofx).toContain("<CURDEF>EUR");
+    expect(ofx.match(/<STMTTRN>/g)).toHaveLength(2);
+    expect(ofx).toContain("<TRNAMT>1000.00");
+    expect(ofx).toContain("<TRNAMT>-30.00");
+    expect(ofx).toContain("<NAME>Bread &amp; Co");
+    expect(ofx).toContain("<BALAMT>970.00");
+    expect(ofx).toContain("<DTSTART>20240301");
+  });
+});
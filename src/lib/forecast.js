@@ -0,0 +1,125 @@
+// --- CASH-FLOW FORECAST ---
+// Projects the balance across all accounts one day at a time, from today
+// to the end of a later month. Known movements land on their dates:
+// occurrences of recurring templates and what-if items
+// ({ id, label, type: "Debit" | "Credit", amount, date }). Everyday
+// spending is spread evenly at each category's recent daily average.
+
+import { addDays, daysBetween, parseISODate, toISODate } from "./reports";
+import { categoryLines } from "./splits";
+import { occurrencesBetween } from "./recurring";
+import { signedAmount } from "./accounts";
+
+// How far back the daily averages look.
+export const HISTORY_DAYS = 90;
+
+// A ledger younger than this is averaged over this many days anyway, so a
+// few early purchases don't read as a habit.
+const MIN_HISTORY_DAYS = 30;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// The last day of the month `months` after today's.
+export const horizonEnd = (today, months) => {
+  const d = parseISODate(today);
+  return toISODate(new Date(d.getFullYear(), d.getMonth() + months + 1, 0));
+};
+
+// Average spend per day by category over the `days` up to today, biggest
+// first: [{ category, perDay }]. Recurring occurrences are left out since
+// the forecast schedules them itself.
+export const dailySpend = (transactions, today, days = HISTORY_DAYS) => {
+  const start = addDays(today, 1 - days);
+  const rows = transactions.filter(
+    (t) => t.type === "Debit" && !t.recurringId && t.date >= start && t.date <= today
+  );
+  if (rows.length === 0) return [];
+
+  const first = rows.reduce((min, t) => (t.date < min ? t.date : min), today);
+  const span = Math.min(days, Math.max(MIN_HISTORY_DAYS, daysBetween(first, today) + 1));
+  const totals = {};
+  rows.forEach((t) =>
+    categoryLines(t).forEach((l) => {
+      totals[l.category] = (totals[l.category] || 0) + l.amount;
+    })
+  );
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, perDay: round2(total / span) }))
+    .filter((r) => r.perDay > 0)
+    .sort((a, b) => b.perDay - a.perDay);
+};
+
+// Dated movements after today through `end`, soonest first:
+// [{ date, amount (signed), label, source }].
+export const scheduledEvents = (templates, whatIfs, today, end) =>
+  [
+    ...templates
+      .filter((t) => !t.paused)
+      .flatMap((t) =>
+        occurrencesBetween(t, addDays(today, 1), end).map((date) => ({
+          date,
+          amount: signedAmount(t),
+          label: t.payee || t.category,
+          source: "recurring",
+        }))
+      ),
+    ...whatIfs
+      .filter((w) => w.date > today && w.date <= end)
+      .map((w) => ({
+        date: w.date,
+        amount: signedAmount(w),
+        label: w.label || (w.type === "Credit" ? "Planned income" : "Planned purchase"),
+        source: "whatIf",
+      })),
+  ]
+    .filter((e) => e.amount !== 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// The projected balance at the end of each day: [{ date, balance }],
+// starting with today's `balance`.
+export const projectBalance = ({ balance, today, end, spend, events }) => {
+  const perDay = spend.reduce((sum, r) => sum + r.perDay, 0);
+  const byDate = {};
+  events.forEach((e) => {
+    byDate[e.date] = (byDate[e.date] || 0) + e.amount;
+  });
+  const points = [{ date: today, balance: round2(balance) }];
+  let running = balance;
+  for (let date = addDays(today, 1); date <= end; date = addDays(date, 1)) {
+    running += (byDate[date] || 0) - perDay;
+    points.push({ date, balance: round2(running) });
+  }
+  return points;
+};
+
+// The figures the dashboard and warnings need: the balance at the end of
+// this month and of the horizon, the lowest point, and the first days it
+// dips below zero and below `threshold` (null when it never does).
+export const forecastSummary = (points, threshold = 0) => {
+  const monthEnd = points.filter((p) => p.date.slice(0, 7) === points[0].date.slice(0, 7)).at(-1);
+  const lowest = points.reduce((low, p) => (p.balance < low.balance ? p : low), points[0]);
+  return {
+    monthEnd,
+    end: points.at(-1),
+    lowest,
+    belowZero: points.find((p) => p.balance < 0) || null,
+    belowThreshold: threshold > 0 ? points.find((p) => p.balance < threshold) || null : null,
+  };
+};
+
+// Everything in one call, for the dashboard card and the Forecast screen.
+export const buildForecast = ({
+  balance,
+  today,
+  months = 3,
+  transactions,
+  templates,
+  whatIfs = [],
+  threshold = 0,
+}) => {
+  const end = horizonEnd(today, months);
+  const spend = dailySpend(transactions, today);
+  const events = scheduledEvents(templates, whatIfs, today, end);
+  const points = projectBalance({ balance, today, end, spend, events });
+  return { spend, events, points, ...forecastSummary(points, threshold) };
+};
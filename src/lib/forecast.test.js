@@ -0,0 +1,149 @@
+import { describe, it, expect } from "vitest";
+import {
+  horizonEnd,
+  dailySpend,
+  scheduledEvents,
+  projectBalance,
+  forecastSummary,
+  buildForecast,
+} from "./forecast";
+
+const today = "2024-06-20";
+const spend = (category, amount, date, extra = {}) => ({
+  type: "Debit",
+  category,
+  amount,
+  date,
+  ...extra,
+});
+const rent = {
+  id: "rent",
+  type: "Debit",
+  category: "Housing",
+  payee: "Landlord",
+  amount: 1000,
+  startDate: "2024-01-01",
+  schedule: { freq: "monthly", day: 1 },
+};
+const salary = {
+  id: "pay",
+  type: "Credit",
+  category: "Salary",
+  amount: 3000,
+  startDate: "2024-01-28",
+  schedule: { freq: "monthly", day: 28 },
+};
+
+describe("horizonEnd", () => {
+  it("runs to the end of a later month", () => {
+    expect(horizonEnd(today, 0)).toBe("2024-06-30");
+    expect(horizonEnd("2024-11-05", 3)).toBe("2025-02-28");
+  });
+});
+
+describe("dailySpend", () => {
+  it("averages recent spending per category, leaving out recurring entries", () => {
+    const rows = [
+      spend("Food", 900, "2024-03-23"),
+      spend("Food", 90, "2024-06-19"),
+      spend("Travel", 180, "2024-05-10"),
+      spend("Housing", 1000, "2024-06-01", { recurringId: "rent" }),
+      spend("Food", 500, "2024-03-22"),
+      { type: "Credit", category: "Salary", amount: 3000, date: "2024-05-28" },
+    ];
+    expect(dailySpend(rows, today)).toEqual([
+      { category: "Food", perDay: 11 },
+      { category: "Travel", perDay: 2 },
+    ]);
+  });
+
+  it("spreads a young ledger over at least a month", () => {
+    const rows = [spend("Food", 60, "2024-06-18"), spend("Food", 30, "2024-06-20")];
+    expect(dailySpend(rows, today)).toEqual([{ category: "Food", perDay: 3 }]);
+  });
+
+  it("splits records across their categories", () => {
+    const t = spend("Split", 90, "2024-06-01", {
+      splits: [
+        { category: "Food", amount: 60 },
+        { category: "Home", amount: 30 },
+      ],
+    });
+    expect(dailySpend([t], today)).toEqual([
+      { category: "Food", perDay: 2 },
+      { category: "Home", perDay: 1 },
+    ]);
+  });
+});
+
+describe("scheduledEvents", () => {
+  it("places recurring bills, income and what-ifs on their dates", () => {
+    const events = scheduledEvents(
+      [rent, salary, { ...rent, id: "gym", paused: true }],
+      [{ id: "w1", label: "Laptop", type: "Debit", amount: 1500, date: "2024-07-10" }],
+      today,
+      "2024-07-31"
+    );
+    expect(events.map((e) => [e.date, e.amount, e.label])).toEqual([
+      ["2024-06-28", 3000, "Salary"],
+      ["2024-07-01", -1000, "Landlord"],
+      ["2024-07-10", -1500, "Laptop"],
+      ["2024-07-28", 3000, "Salary"],
+    ]);
+  });
+});
+
+describe("projectBalance", () => {
+  it("takes the daily spend off every day and adds events on theirs", () => {
+    const points = projectBalance({
+      balance: 100,
+      today,
+      end: "2024-06-23",
+      spend: [{ category: "Food", perDay: 10 }],
+      events: [{ date: "2024-06-22", amount: 50 }],
+    });
+    expect(points).toEqual([
+      { date: "2024-06-20", balance: 100 },
+      { date: "2024-06-21", balance: 90 },
+      { date: "2024-06-22", balance: 130 },
+      { date: "2024-06-23", balance: 120 },
+    ]);
+  });
+});
+
+describe("forecastSummary", () => {
+  it("finds the month end, the low point and the first dips", () => {
+    const points = [
+      { date: "2024-06-29", balance: 300 },
+      { date: "2024-06-30", balance: 150 },
+      { date: "2024-07-01", balance: -20 },
+      { date: "2024-07-02", balance: 400 },
+    ];
+    const s = forecastSummary(points, 200);
+    expect(s.monthEnd.balance).toBe(150);
+    expect(s.end.balance).toBe(400);
+    expect(s.lowest.date).toBe("2024-07-01");
+    expect(s.belowZero.date).toBe("2024-07-01");
+    expect(s.belowThreshold.date).toBe("2024-06-30");
+    expect(forecastSummary(points, 0).belowThreshold).toBeNull();
+  });
+});
+
+describe("buildForecast", () => {
+  it("warns when a planned purchase would overdraw the balance", () => {
+    const base = {
+      balance: 1200,
+      today,
+      months: 1,
+      transactions: [spend("Food", 300, "2024-06-10")],
+      templates: [rent, salary],
+    };
+    expect(buildForecast(base).belowZero).toBeNull();
+    const withLaptop = buildForecast({
+      ...base,
+      whatIfs: [{ id: "w1", type: "Debit", amount: 1500, date: "2024-06-25" }],
+    });
+    expect(withLaptop.belowZero.date).toBe("2024-06-25");
+    expect(withLaptop.events[0]).toMatchObject({ label: "Planned purchase", source: "whatIf" });
+  });
+});
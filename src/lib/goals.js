@@ -0,0 +1,112 @@
+// --- SAVINGS GOALS ---
+// A goal ({ name, target, deadline, autoPercent, autoCategoryId }) earmarks
+// part of the ledger's savings; no money moves between accounts. What has
+// been set aside lives in `goalContributions` ({ goalId, amount, date,
+// source }), added by hand or automatically as `autoPercent` of every
+// credit in the income category `autoCategoryId`. The category is kept by
+// id, so renaming it doesn't stop the goal; merging it moves the goal on
+// to the category it was merged into. Members who can add transactions can
+// add contributions too, so whoever records a salary feeds the goals.
+
+import { parseISODate } from "./reports";
+import { amountIn } from "./splits";
+
+// The seeded Salary category, for goals saved before they named one.
+export const DEFAULT_AUTO_CATEGORY_ID = "credit-salary";
+
+export const autoCategoryIdOf = (goal) => goal.autoCategoryId || DEFAULT_AUTO_CATEGORY_ID;
+
+// The current name of the income category feeding `goal`, or null once
+// that category is gone.
+export const autoCategoryName = (goal, categories) =>
+  categories.find((c) => c.id === autoCategoryIdOf(goal) && c.type === "Credit" && !c.parentId)
+    ?.name || null;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Whole calendar months from `today` to the deadline's month, counting the
+// current one, so a deadline later this month leaves one month.
+export const monthsLeft = (today, deadline) => {
+  const a = parseISODate(today);
+  const b = parseISODate(deadline);
+  return (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth() + 1;
+};
+
+export const savedByGoal = (contributions) => {
+  const saved = {};
+  contributions.forEach((c) => {
+    saved[c.goalId] = round2((saved[c.goalId] || 0) + Number(c.amount || 0));
+  });
+  return saved;
+};
+
+export const goalProgress = (goal, saved, today) => {
+  const target = Number(goal.target || 0);
+  const remaining = Math.max(0, round2(target - saved));
+  const months = goal.deadline ? monthsLeft(today, goal.deadline) : null;
+  return {
+    saved,
+    remaining,
+    ratio: target > 0 ? Math.min(1, saved / target) : 0,
+    reached: target > 0 && remaining === 0,
+    overdue: months !== null && months < 1 && remaining > 0,
+    // With the deadline passed, everything left is needed now.
+    monthlyNeeded: remaining > 0 && months !== null ? round2(remaining / Math.max(1, months)) : 0,
+  };
+};
+
+// Automatic contributions still owed for `transactions`: every credit
+// entered since a goal's `autoSince` pays `autoPercent` of what it puts in
+// the goal's income category (a split credit, of its lines there) in,
+// oldest first, never more than the goal still needs. Each carries a fixed
+// id so working it out twice never sets money aside twice.
+export const autoContributionId = (goalId, transactionId) => `${goalId}-${transactionId}`;
+
+export const pendingAutoContributions = (goals, contributions, transactions, categories) => {
+  const saved = savedByGoal(contributions);
+  const done = new Set(contributions.map((c) => c.id));
+  const credits = transactions
+    .filter((t) => t.type === "Credit")
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const pending = [];
+  goals.forEach((g) => {
+    const percent = Number(g.autoPercent || 0);
+    const category = autoCategoryName(g, categories);
+    if (!(percent > 0) || !category) return;
+    credits.forEach((t) => {
+      const base = amountIn(t, category);
+      if (!(base > 0)) return;
+      const id = autoContributionId(g.id, t.id);
+      const remaining = round2(Number(g.target || 0) - (saved[g.id] || 0));
+      if ((t.createdAt || 0) < (g.autoSince || 0) || done.has(id) || remaining <= 0) return;
+      const amount = Math.min(remaining, round2((base * percent) / 100));
+      if (!(amount > 0)) return;
+      saved[g.id] = round2((saved[g.id] || 0) + amount);
+      pending.push({ id, goalId: g.id, amount, date: t.date, source: "auto", transactionId: t.id });
+    });
+  });
+  return pending;
+};
+
+// The earliest `autoSince` of the goals taking an automatic share, which is
+// how far back their credits need reading; null when none does.
+export const earliestAutoSince = (goals) => {
+  const since = goals
+    .filter((g) => Number(g.autoPercent || 0) > 0)
+    .map((g) => g.autoSince || 0);
+  return since.length ? Math.min(...since) : null;
+};
+
+// Goals that `added` contributions carry to their target.
+export const newlyReached = (goals, saved, added) => {
+  const after = savedByGoal([
+    ...Object.entries(saved).map(([goalId, amount]) => ({ goalId, amount })),
+    ...added,
+  ]);
+  return goals.filter(
+    (g) =>
+      Number(g.target) > 0 &&
+      (saved[g.id] || 0) < Number(g.target) &&
+      (after[g.id] || 0) >= Number(g.target)
+  );
+};
@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  monthsLeft,
+  goalProgress,
+  savedByGoal,
+  pendingAutoContributions,
+  earliestAutoSince,
+  newlyReached,
+} from "./goals";
+
+const goal = { id: "trip", name: "Trip", target: 1200, deadline: "2024-12-31", autoPercent: 10, autoSince: 100 };
+const salary = (id, amount, createdAt) => ({
+  id,
+  type: "Credit",
+  category: "Salary",
+  amount,
+  date: "2024-06-01",
+  createdAt,
+});
+
+const categories = [{ id: "credit-salary", type: "Credit", name: "Salary", parentId: null }];
+
+describe("monthsLeft", () => {
+  it("counts the current month", () => {
+    expect(monthsLeft("2024-06-15", "2024-06-30")).toBe(1);
+    expect(monthsLeft("2024-06-15", "2024-12-01")).toBe(7);
+    expect(monthsLeft("2024-06-15", "2024-05-31")).toBe(0);
+  });
+});
+
+describe("goalProgress", () => {
+  it("spreads what is left over the months to the deadline", () => {
+    const p = goalProgress(goal, 500, "2024-06-10");
+    expect(p.remaining).toBe(700);
+    expect(p.monthlyNeeded).toBe(100);
+    expect(p.reached).toBe(false);
+    expect(p.overdue).toBe(false);
+  });
+
+  it("flags a passed deadline and a reached target", () => {
+    expect(goalProgress(goal, 500, "2025-01-05")).toMatchObject({ overdue: true, monthlyNeeded: 700 });
+    expect(goalProgress(goal, 1300, "2025-01-05")).toMatchObject({ reached: true, overdue: false, ratio: 1 });
+    expect(goalProgress({ ...goal, deadline: null }, 0, "2024-06-10").monthlyNeeded).toBe(0);
+  });
+});
+
+describe("pendingAutoContributions", () => {
+  it("takes the share of salaries entered since the goal turned it on", () => {
+    const pending = pendingAutoContributions(
+      [goal],
+      [],
+      [salary("old", 5000, 50), salary("new", 5000, 200), { ...salary("gift", 900, 300), category: "Gift" }],
+      categories
+    );
+    expect(pending).toEqual([
+      { id: "trip-new", goalId: "trip", amount: 500, date: "2024-06-01", source: "auto", transactionId: "new" },
+    ]);
+  });
+
+  it("stops at the target and skips contributions already saved", () => {
+    const credits = [salary("a", 5000, 200), salary("b", 5000, 300), salary("c", 5000, 400)];
+    const pending = pendingAutoContributions([goal], [], credits, categories);
+    expect(pending.map((c) => c.amount)).toEqual([500, 500, 200]);
+
+    const saved = pending.slice(0, 1);
+    expect(
+      pendingAutoContributions([goal], saved, credits, categories).map((c) => c.id)
+    ).toEqual(["trip-b", "trip-c"]);
+    expect(pendingAutoContributions([goal], pending, credits, categories)).toEqual([]);
+  });
+
+  it("takes its share of only the split lines in the category", () => {
+    const bonus = {
+      ...salary("b", 3000, 200),
+      category: "Split",
+      splits: [
+        { category: "Salary", amount: 2000 },
+        { category: "Gift", amount: 1000 },
+      ],
+    };
+    expect(pendingAutoContributions([goal], [], [bonus], categories)).toEqual([
+      expect.objectContaining({ id: "trip-b", amount: 200 }),
+    ]);
+  });
+
+  it("follows its income category by id through a rename", () => {
+    const renamed = [{ id: "credit-salary", type: "Credit", name: "Pay", parentId: null }];
+    const pay = { ...salary("p", 5000, 200), category: "Pay" };
+    expect(pendingAutoContributions([goal], [], [salary("s", 5000, 200), pay], renamed)).toEqual([
+      expect.objectContaining({ id: "trip-p", amount: 500 }),
+    ]);
+  });
+
+  it("uses the category the goal names, and stops once it is gone", () => {
+    const freelance = { ...goal, autoCategoryId: "f1" };
+    const gig = { ...salary("g", 2000, 200), category: "Freelance" };
+    const withFreelance = [...categories, { id: "f1", type: "Credit", name: "Freelance" }];
+    expect(pendingAutoContributions([freelance], [], [gig], withFreelance)).toHaveLength(1);
+    expect(pendingAutoContributions([freelance], [], [gig], categories)).toEqual([]);
+  });
+});
+
+describe("earliestAutoSince", () => {
+  it("reaches back to the first goal taking a share, if any does", () => {
+    const later = { ...goal, id: "car", autoSince: 300 };
+    expect(earliestAutoSince([later, goal, { id: "hand", autoSince: 5 }])).toBe(100);
+    expect(earliestAutoSince([{ ...goal, autoPercent: 0 }])).toBeNull();
+  });
+});
+
+describe("newlyReached", () => {
+  it("names goals the added money carries over their target", () => {
+    const other = { id: "car", target: 100 };
+    const saved = savedByGoal([
+      { goalId: "trip", amount: 1000 },
+      { goalId: "car", amount: 150 },
+    ]);
+    const added = [
+      { goalId: "trip", amount: 200 },
+      { goalId: "car", amount: 10 },
+    ];
+    expect(newlyReached([goal, other], saved, added)).toEqual([goal]);
+  });
+});
@@ -0,0 +1,142 @@
+// --- HISTORY ---
+// Filtering and sorting for the history screen. Firestore has no text
+// search, so the screen loads the date window and everything else is
+// applied here. Filters round-trip through the URL query string, which is
+// also how saved presets are stored.
+
+import { signedAmount } from "./accounts";
+import { categoryLines } from "./splits";
+import { DEBT } from "./debts";
+import { hasTag, tagsOf } from "./tags";
+
+export const DEFAULT_FILTERS = {
+  text: "",
+  type: "all",
+  category: "",
+  tag: "",
+  min: "",
+  max: "",
+  start: "",
+  end: "",
+  sort: "date-desc",
+};
+
+export const SORTS = [
+  { id: "date-desc", label: "Newest first" },
+  { id: "date-asc", label: "Oldest first" },
+  { id: "amount-desc", label: "Largest first" },
+  { id: "amount-asc", label: "Smallest first" },
+];
+
+// Filter field -> URL parameter.
+const PARAMS = {
+  text: "q",
+  type: "type",
+  category: "cat",
+  tag: "tag",
+  min: "min",
+  max: "max",
+  start: "from",
+  end: "to",
+  sort: "sort",
+};
+
+// Only non-default values are written, so links stay short.
+export const filtersToParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    const value = String(filters[field] ?? "").trim();
+    if (value && value !== DEFAULT_FILTERS[field]) params.set(param, value);
+  });
+  return params.toString();
+};
+
+export const filtersFromParams = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) filters[field] = params.get(param);
+  });
+  if (!SORTS.some((s) => s.id === filters.sort)) filters.sort = DEFAULT_FILTERS.sort;
+  return filters;
+};
+
+export const hasActiveFilters = (filters) =>
+  filtersToParams({ ...filters, sort: DEFAULT_FILTERS.sort }) !== "";
+
+// Every word of the search has to appear in one of the text fields.
+const matchesText = (t, text) => {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const haystack = [
+    ...categoryLines(t).flatMap((l) => [l.category, l.subcategory]),
+    t.payee,
+    t.person,
+    t.note,
+    ...tagsOf(t),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return words.every((w) => haystack.includes(w));
+};
+
+export const matchesFilters = (t, filters) => {
+  const amount = Math.abs(Number(t.amount || 0));
+  return (
+    (filters.type === "all" || t.type === filters.type) &&
+    (!filters.category ||
+      categoryLines(t).some(
+        (l) => l.category === filters.category || l.subcategory === filters.category
+      )) &&
+    (!filters.tag || hasTag(t, filters.tag)) &&
+    (filters.min === "" || amount >= Number(filters.min)) &&
+    (filters.max === "" || amount <= Number(filters.max)) &&
+    (!filters.start || t.date >= filters.start) &&
+    (!filters.end || t.date <= filters.end) &&
+    matchesText(t, filters.text)
+  );
+};
+
+const comparators = {
+  "date-desc": (a, b) =>
+    b.date.localeCompare(a.date) || (b.createdAt || 0) - (a.createdAt || 0),
+  "date-asc": (a, b) =>
+    a.date.localeCompare(b.date) || (a.createdAt || 0) - (b.createdAt || 0),
+  "amount-desc": (a, b) => Math.abs(b.amount) - Math.abs(a.amount),
+  "amount-asc": (a, b) => Math.abs(a.amount) - Math.abs(b.amount),
+};
+
+export const applyFilters = (transactions, filters) =>
+  transactions
+    .filter((t) => t.date && matchesFilters(t, filters))
+    .sort(comparators[filters.sort] || comparators[DEFAULT_FILTERS.sort]);
+
+// The signed part of `t` under `category` (a category or subcategory name):
+// for a split record, only its matching lines.
+const signedIn = (t, category) => {
+  const value = signedAmount(t);
+  if (!category) return value;
+  const lines = categoryLines(t).filter(
+    (l) => l.category === category || l.subcategory === category
+  );
+  return Math.sign(value) * lines.reduce((sum, l) => sum + l.amount, 0);
+};
+
+// Totals for a filtered list, plus the running net after each row in the
+// order given. With a `category` filter only that category's share of a
+// split record counts. IOUs and balance adjustments move the net but, as on
+// the dashboard, are neither income nor expense.
+export const runningTotals = (rows, category = "") => {
+  const totals = { count: rows.length, income: 0, expense: 0, net: 0, running: [] };
+  rows.forEach((t) => {
+    const value = signedIn(t, category);
+    if (t.type !== DEBT && t.type !== "Adjustment") {
+      if (value > 0) totals.income += value;
+      else totals.expense -= value;
+    }
+    totals.net += value;
+    totals.running.push(totals.net);
+  });
+  return totals;
+};
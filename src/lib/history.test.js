@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_FILTERS,
+  filtersToParams,
+  filtersFromParams,
+  hasActiveFilters,
+  applyFilters,
+  runningTotals,
+} from "./history";
+
+const rows = [
+  { id: "a", type: "Debit", category: "Fuel", amount: 40, date: "2024-03-02", note: "Road trip" },
+  {
+    id: "b",
+    type: "Debit",
+    category: "Split",
+    amount: 30,
+    date: "2024-03-05",
+    tags: ["Holiday"],
+    splits: [
+      { category: "Food", subcategory: "Groceries", amount: 23 },
+      { category: "Health", amount: 7 },
+    ],
+  },
+  { id: "c", type: "Credit", category: "Salary", amount: 1000, date: "2024-03-01" },
+  { id: "d", type: "Debit", category: "Food", amount: 5 },
+];
+
+const filtered = (changes) =>
+  applyFilters(rows, { ...DEFAULT_FILTERS, ...changes }).map((t) => t.id);
+
+describe("filter params", () => {
+  it("write only what differs from the defaults", () => {
+    expect(filtersToParams({ ...DEFAULT_FILTERS, text: " fuel ", min: "5" })).toBe("q=fuel&min=5");
+    expect(filtersToParams(DEFAULT_FILTERS)).toBe("");
+  });
+
+  it("read back, dropping an unknown sort", () => {
+    expect(filtersFromParams("q=fuel&cat=Food&sort=amount-asc")).toEqual({
+      ...DEFAULT_FILTERS,
+      text: "fuel",
+      category: "Food",
+      sort: "amount-asc",
+    });
+    expect(filtersFromParams("sort=bogus").sort).toBe(DEFAULT_FILTERS.sort);
+  });
+
+  it("don't count the sort as a filter", () => {
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, sort: "amount-asc" })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, tag: "holiday" })).toBe(true);
+  });
+});
+
+describe("applyFilters", () => {
+  it("searches every word across split lines, notes and tags", () => {
+    expect(filtered({ text: "groceries holiday" })).toEqual(["b"]);
+    expect(filtered({ text: "road" })).toEqual(["a"]);
+  });
+
+  it("matches categories and subcategories on split lines", () => {
+    expect(filtered({ category: "Health" })).toEqual(["b"]);
+    expect(filtered({ category: "Groceries" })).toEqual(["b"]);
+  });
+
+  it("filters by type, tag, amount and date, skipping undated rows", () => {
+    expect(filtered({ type: "Credit" })).toEqual(["c"]);
+    expect(filtered({ tag: "holiday" })).toEqual(["b"]);
+    expect(filtered({ min: "30", max: "40" })).toEqual(["b", "a"]);
+    expect(filtered({ start: "2024-03-02", end: "2024-03-04" })).toEqual(["a"]);
+  });
+
+  it("sorts newest or largest first", () => {
+    expect(filtered({})).toEqual(["b", "a", "c"]);
+    expect(filtered({ sort: "amount-desc" })).toEqual(["c", "a", "b"]);
+  });
+});
+
+describe("runningTotals", () => {
+  it("keeps IOUs and adjustments out of income and expense but in the net", () => {
+    const totals = runningTotals([
+      { type: "Credit", amount: 100 },
+      { type: "Debit", amount: 30 },
+      { type: "Adjustment", amount: -12 },
+      { type: "Debt", direction: "lent", amount: 20 },
+    ]);
+    expect(totals).toMatchObject({ count: 4, income: 100, expense: 30, net: 38 });
+    expect(totals.running).toEqual([100, 70, 58, 38]);
+  });
+
+  it("counts only the matching lines of a split record under a category filter", () => {
+    const matching = applyFilters(rows, { ...DEFAULT_FILTERS, category: "Food" });
+    const totals = runningTotals(matching, "Food");
+    expect(totals).toMatchObject({ count: 1, expense: 23, net: -23 });
+    expect(runningTotals(matching, "Groceries").expense).toBe(23);
+  });
+});
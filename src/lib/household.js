@@ -0,0 +1,44 @@
+// --- HOUSEHOLD ---
+// A ledger belongs to the user whose uid it lives under (the owner). Other
+// people join it by invitation with one of the roles below; the same rules
+// are enforced on the server by firestore.rules.
+
+export const OWNER = "owner";
+
+export const ROLES = [
+  { id: "viewer", label: "Viewer", hint: "Sees everything, changes nothing" },
+  { id: "contributor", label: "Contributor", hint: "Adds entries and edits their own" },
+  { id: "admin", label: "Admin", hint: "Manages entries, settings and members" },
+];
+
+const RANK = { viewer: 1, contributor: 2, admin: 3, [OWNER]: 4 };
+
+const atLeast = (role, minimum) => (RANK[role] || 0) >= RANK[minimum];
+
+// Adding entries.
+export const canContribute = (role) => atLeast(role, "contributor");
+
+// Categories, budgets, accounts, recurring items, imports, restores and
+// settings.
+export const canManage = (role) => atLeast(role, "admin");
+
+// Contributors may only change what they entered themselves.
+export const canEditEntry = (role, t, uid) =>
+  canManage(role) || (canContribute(role) && t.createdBy === uid);
+
+// A trashed record whose totals are still counted waits for an admin's
+// client to take them out before anyone else can purge it.
+export const canPurgeEntry = (role, t, uid) =>
+  canManage(role) || (canEditEntry(role, t, uid) && !t.counted);
+
+// Roles `role` may hand out (or take away). Only the owner makes admins.
+export const assignableRoles = (role) =>
+  ROLES.filter((r) => canManage(role) && (r.id !== "admin" || role === OWNER));
+
+export const roleLabel = (role) =>
+  role === OWNER ? "Owner" : ROLES.find((r) => r.id === role)?.label || role;
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+export const memberName = (members, uid) =>
+  members.find((m) => m.id === uid)?.email || "a former member";
@@ -0,0 +1,169 @@
+// --- STATEMENT IMPORT ---
+// Turns raw CSV rows into transaction drafts using a column mapping:
+//   { date, description, mode: "split" | "signed", debit, credit, amount,
+//     dateFormat, invert, skipRows }
+// Column fields hold zero-based indexes into each row.
+
+import { toISODate } from "./reports";
+
+export const DATE_FORMATS = [
+  { id: "YMD", label: "YYYY-MM-DD" },
+  { id: "DMY", label: "DD/MM/YYYY" },
+  { id: "MDY", label: "MM/DD/YYYY" },
+];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const expandYear = (y) => (y < 100 ? 2000 + y : y);
+
+const validDate = (y, m, d) => {
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d
+    ? toISODate(date)
+    : null;
+};
+
+// Parses a statement date into "YYYY-MM-DD", or null when it cannot. Month
+// names ("03 Oct 2026", "Oct 3, 2026") are recognised whatever the format.
+export const parseDate = (raw, format = "DMY") => {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+
+  const named = s.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-,]+(\d{2,4})/i) ||
+    s.match(/^([a-z]{3})[a-z]*[\s-](\d{1,2}),?[\s-](\d{2,4})/i);
+  if (named) {
+    const [, a, b, y] = named;
+    const monthName = isNaN(a) ? a : b;
+    const day = isNaN(a) ? b : a;
+    const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+    return month ? validDate(expandYear(Number(y)), month, Number(day)) : null;
+  }
+
+  const parts = s.split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+  if (String(parts[0]).length === 4 || format === "YMD") {
+    return validDate(parts[0], parts[1], parts[2]);
+  }
+  const [d, m] = format === "MDY" ? [parts[1], parts[0]] : [parts[0], parts[1]];
+  return validDate(expandYear(parts[2]), m, d);
+};
+
+// Currency marks banks print next to amounts. "Rs." goes as a whole so its
+// dot is not read as a decimal point.
+const CURRENCY_TOKENS = /(?:rs|inr|usd|eur|gbp)\.?|[₹$€£]/gi;
+
+// Parses amounts like "1,234.50", "₹ 450", "Rs. 450", "INR 1,200.00",
+// "(120.00)", "-75" or "300 Dr". Returns a signed number, or null for
+// empty/unreadable cells.
+export const parseAmount = (raw) => {
+  let s = String(raw || "").trim();
+  if (!s) return null;
+  s = s.replace(CURRENCY_TOKENS, "").trim();
+  let sign = 1;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(s)) {
+    sign = -1;
+    s = s.replace(/\bdr\.?$/i, "");
+  }
+  s = s.replace(/\bcr\.?$/i, "");
+  if (s.includes("-")) sign = -sign;
+  const n = Number(s.replace(/[^\d.]/g, ""));
+  return Number.isFinite(n) && s.match(/\d/) ? sign * n : null;
+};
+
+// Guesses a mapping from header names, for a first import with no profile.
+export const guessMapping = (header) => {
+  const names = header.map((h) => String(h).trim().toLowerCase());
+  const find = (...words) => names.findIndex((h) => words.some((w) => h.includes(w)));
+  const exact = (word, fallback) => (fallback >= 0 ? fallback : names.indexOf(word));
+  const debit = exact("dr", find("debit", "withdrawal"));
+  const credit = exact("cr", find("credit", "deposit"));
+  return {
+    date: Math.max(0, find("date")),
+    description: Math.max(0, find("description", "narration", "details", "particular", "memo")),
+    mode: debit >= 0 && credit >= 0 && debit !== credit ? "split" : "signed",
+    debit,
+    credit,
+    amount: find("amount"),
+    dateFormat: "DMY",
+    invert: false,
+    skipRows: 1,
+  };
+};
+
+// Applies a mapping to data rows. Rows that cannot be read come back with an
+// `error` so the preview can show why they were skipped.
+export const mapRows = (rows, mapping) =>
+  rows.slice(mapping.skipRows || 0).map((row, index) => {
+    const date = parseDate(row[mapping.date], mapping.dateFormat);
+    const description = String(row[mapping.description] || "").trim();
+
+    let signed;
+    if (mapping.mode === "split") {
+      const debit = parseAmount(row[mapping.debit]);
+      const credit = parseAmount(row[mapping.credit]);
+      signed = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+      if (debit === null && credit === null) signed = null;
+    } else {
+      signed = parseAmount(row[mapping.amount]);
+      if (signed !== null && mapping.invert) signed = -signed;
+    }
+
+    const base = { index, raw: row, date, description };
+    if (!date) return { ...base, error: "Unreadable date" };
+    if (!signed) return { ...base, error: "No amount" };
+    return {
+      ...base,
+      type: signed > 0 ? "Credit" : "Debit",
+      amount: Math.round(Math.abs(signed) * 100) / 100,
+    };
+  });
+
+// Keyword rules: [{ keyword, category, type }]. The first rule whose keyword
+// appears in the text (case-insensitive) and whose type matches, if it has
+// one, wins.
+export const matchRule = (rules, text, type) => {
+  const haystack = String(text || "").toLowerCase();
+  return (
+    rules.find(
+      (r) =>
+        r.keyword &&
+        haystack.includes(r.keyword.toLowerCase()) &&
+        (!r.type || !type || r.type === type)
+    ) || null
+  );
+};
+
+const tokens = (s) =>
+  new Set(
+    String(s || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 2 && !/^\d+$/.test(w))
+  );
+
+// Jaccard overlap of the words in two descriptions, 0..1.
+export const similarity = (a, b) => {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  ta.forEach((w) => {
+    if (tb.has(w)) shared += 1;
+  });
+  return shared / (ta.size + tb.size - shared);
+};
+
+// An existing transaction with the same date and amount and a similar
+// description (or no description to compare) counts as a likely duplicate.
+export const findDuplicate = (row, existing) =>
+  existing.find((t) => {
+    if (t.date !== row.date || Math.abs(Number(t.amount) - row.amount) > 0.005) {
+      return false;
+    }
+    const text = [t.payee, t.note].filter(Boolean).join(" ");
+    return !text || !row.description || similarity(text, row.description) >= 0.3;
+  }) || null;
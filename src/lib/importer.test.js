@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import { parseAmount, parseDate, guessMapping, mapRows, matchRule, findDuplicate } from "./importer";
+import { parseCSV } from "./csv";
+
+describe("parseAmount", () => {
+  it("reads the formats banks print", () => {
+    expect(parseAmount("1,234.50")).toBe(1234.5);
+    expect(parseAmount("-75")).toBe(-75);
+    expect(parseAmount("(120.00)")).toBe(-120);
+    expect(parseAmount("300 Dr")).toBe(-300);
+    expect(parseAmount("300 Cr.")).toBe(300);
+  });
+
+  it("drops currency marks, including the dot of Rs.", () => {
+    expect(parseAmount("Rs. 450")).toBe(450);
+    expect(parseAmount("Rs.1,200.00")).toBe(1200);
+    expect(parseAmount("INR 1,200.00")).toBe(1200);
+    expect(parseAmount("₹ 450")).toBe(450);
+    expect(parseAmount("₹1,00,000.50")).toBe(100000.5);
+    expect(parseAmount("(Rs. 99.99)")).toBe(-99.99);
+    expect(parseAmount("Rs. 450.00 Dr")).toBe(-450);
+  });
+
+  it("returns null for cells without a number", () => {
+    expect(parseAmount("")).toBeNull();
+    expect(parseAmount("Rs.")).toBeNull();
+    expect(parseAmount("n/a")).toBeNull();
+  });
+});
+
+describe("parseDate", () => {
+  it("reads numeric dates in the chosen order", () => {
+    expect(parseDate("03/10/2026", "DMY")).toBe("2026-10-03");
+    expect(parseDate("10/03/2026", "MDY")).toBe("2026-10-03");
+    expect(parseDate("2026-10-03")).toBe("2026-10-03");
+    expect(parseDate("03-10-26")).toBe("2026-10-03");
+  });
+
+  it("recognises month names whatever the format", () => {
+    expect(parseDate("03 Oct 2026", "MDY")).toBe("2026-10-03");
+    expect(parseDate("Oct 3, 2026")).toBe("2026-10-03");
+  });
+
+  it("rejects dates that don't exist", () => {
+    expect(parseDate("31/02/2026")).toBeNull();
+    expect(parseDate("yesterday")).toBeNull();
+  });
+});
+
+describe("statement import", () => {
+  it("maps a bank export with separate withdrawal and deposit columns", () => {
+    const csv = [
+      "Date,Narration,Withdrawal Amt.,Deposit Amt.,Closing Balance",
+      '03/10/2026,UPI-SWIGGY,"Rs. 450.00",,"Rs. 10,000.00"',
+      '04/10/2026,SALARY OCT,,"Rs.1,20,000.00","Rs.1,30,000.00"',
+      "05/10/2026,NOTHING HERE,,,",
+    ].join("\r\n");
+    const rows = parseCSV(csv);
+    const mapping = guessMapping(rows[0]);
+    expect(mapping).toMatchObject({ date: 0, description: 1, mode: "split", debit: 2, credit: 3 });
+    expect(mapRows(rows, mapping)).toEqual([
+      expect.objectContaining({ date: "2026-10-03", type: "Debit", amount: 450 }),
+      expect.objectContaining({ date: "2026-10-04", type: "Credit", amount: 120000 }),
+      expect.objectContaining({ index: 2, error: "No amount" }),
+    ]);
+  });
+
+  it("maps a signed amount column, flipped when the bank shows spending as positive", () => {
+    const rows = parseCSV("Date;Details;Amount\n2026-10-03;Coffee;₹ 120\n", ";");
+    const mapping = { ...guessMapping(rows[0]), dateFormat: "YMD", invert: true };
+    expect(mapRows(rows, mapping)[0]).toMatchObject({
+      description: "Coffee",
+      type: "Debit",
+      amount: 120,
+    });
+  });
+
+  it("matches keyword rules by type", () => {
+    const rules = [
+      { keyword: "swiggy", category: "Food", type: "Debit" },
+      { keyword: "salary", category: "Salary", type: "Credit" },
+    ];
+    expect(matchRule(rules, "UPI-SWIGGY", "Debit").category).toBe("Food");
+    expect(matchRule(rules, "UPI-SWIGGY", "Credit")).toBeNull();
+  });
+
+  it("flags likely duplicates of existing records", () => {
+    const row = { date: "2026-10-03", amount: 450, description: "UPI-SWIGGY order" };
+    const existing = [{ date: "2026-10-03", amount: 450, payee: "Swiggy", note: "order" }];
+    expect(findDuplicate(row, existing)).toBe(existing[0]);
+    expect(findDuplicate({ ...row, amount: 451 }, existing)).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+// --- LOANS ---
+// A loan document holds its terms: { name, principal, rate (annual %),
+// tenure (months), startDate (first EMI), accountId, category }. Payments
+// are ordinary Debit transactions carrying `loanId`; an EMI also carries
+// its `installment` number and a prepayment carries `prepayment`, either
+// "tenure" (keep the EMI, finish sooner) or "emi" (keep the end date, pay
+// less each month). The schedule is always worked out from the terms and
+// the prepayments recorded so far, so trashing a payment rewinds it.
+
+import { parseISODate, toISODate } from "./reports";
+
+export const PREPAYMENT_MODES = [
+  { id: "tenure", label: "Shorten tenure" },
+  { id: "emi", label: "Lower EMI" },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// The date `count` months after `start`, on the same day or the month's
+// last day when it is shorter.
+export const addMonths = (start, count) => {
+  const s = parseISODate(start);
+  const last = new Date(s.getFullYear(), s.getMonth() + count + 1, 0).getDate();
+  return toISODate(new Date(s.getFullYear(), s.getMonth() + count, Math.min(s.getDate(), last)));
+};
+
+// Equated monthly installment for a reducing-balance loan.
+export const emiFor = (principal, rate, months) => {
+  if (!(months > 0) || !(principal > 0)) return 0;
+  const r = Number(rate) / 1200;
+  if (!r) return round2(principal / months);
+  const f = (1 + r) ** months;
+  return round2((principal * r * f) / (f - 1));
+};
+
+// Recorded prepayments of a loan, from its linked transactions.
+export const prepaymentsOf = (payments) =>
+  payments
+    .filter((t) => t.prepayment)
+    .map((t) => ({ date: t.date, amount: Number(t.amount), mode: t.prepayment }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// The full schedule: [{ n, date, emi, interest, principal, balance, prepaid }].
+// A prepayment comes off the balance before the first installment after
+// its date. The last installment absorbs rounding so the balance ends at 0.
+export const amortize = (loan, prepayments = []) => {
+  const tenure = Number(loan.tenure);
+  const rate = Number(loan.rate);
+  let balance = Number(loan.principal);
+  let emi = emiFor(balance, rate, tenure);
+  const queue = [...prepayments];
+  const rows = [];
+
+  for (let n = 1; n <= tenure && balance > 0; n++) {
+    const date = addMonths(loan.startDate, n - 1);
+    let prepaid = 0;
+    while (queue.length && queue[0].date < date && balance > 0) {
+      const p = queue.shift();
+      const amount = Math.min(p.amount, balance);
+      prepaid = round2(prepaid + amount);
+      balance = round2(balance - amount);
+      if (p.mode === "emi") emi = emiFor(balance, rate, tenure - n + 1);
+    }
+    if (balance <= 0) break;
+
+    const interest = round2((balance * rate) / 1200);
+    let principal = round2(emi - interest);
+    if (n === tenure || principal >= balance) principal = balance;
+    balance = round2(balance - principal);
+    rows.push({ n, date, emi: round2(principal + interest), interest, principal, balance, prepaid });
+  }
+  return rows;
+};
+
+// Where a loan stands given its linked transactions.
+export const loanStatus = (loan, payments) => {
+  const prepayments = prepaymentsOf(payments);
+  const schedule = amortize(loan, prepayments);
+  const paid = new Set(payments.filter((t) => t.installment).map((t) => Number(t.installment)));
+  const paidRows = schedule.filter((row) => paid.has(row.n));
+  const prepaid = prepayments.reduce((sum, p) => sum + p.amount, 0);
+  const repaid = paidRows.reduce((sum, row) => sum + row.principal, 0);
+  return {
+    schedule,
+    paid,
+    emi: schedule.find((row) => !paid.has(row.n))?.emi ?? 0,
+    remainingPrincipal: Math.max(0, round2(Number(loan.principal) - prepaid - repaid)),
+    interestPaid: round2(paidRows.reduce((sum, row) => sum + row.interest, 0)),
+    payoffDate: schedule.at(-1)?.date || null,
+    next: schedule.find((row) => !paid.has(row.n)) || null,
+  };
+};
+
+const totalInterest = (schedule) => round2(schedule.reduce((sum, row) => sum + row.interest, 0));
+
+// What one more prepayment would change: installments and interest saved,
+// the new payoff date and the EMI that follows it.
+export const prepaymentEffect = (loan, prepayments, extra) => {
+  const before = amortize(loan, prepayments);
+  const after = amortize(
+    loan,
+    [...prepayments, extra].sort((a, b) => a.date.localeCompare(b.date))
+  );
+  const nextAfter = after.find((row) => row.date > extra.date);
+  return {
+    installmentsSaved: before.length - after.length,
+    interestSaved: round2(totalInterest(before) - totalInterest(after)),
+    payoffDate: after.at(-1)?.date || extra.date,
+    emi: nextAfter?.emi ?? 0,
+  };
+};
+
+// The stored transaction for installment `row` of `loan`.
+export const installmentFields = (loan, row, date) => ({
+  type: "Debit",
+  category: loan.category,
+  subcategory: null,
+  amount: row.emi,
+  accountId: loan.accountId || null,
+  date,
+  note: `Installment ${row.n} of ${loan.tenure}`,
+  payee: loan.name,
+  loanId: loan.id,
+  installment: row.n,
+});
+
+export const prepaymentFields = (loan, { amount, date, mode }) => ({
+  type: "Debit",
+  category: loan.category,
+  subcategory: null,
+  amount: Number(amount),
+  accountId: loan.accountId || null,
+  date,
+  note: "Prepayment",
+  payee: loan.name,
+  loanId: loan.id,
+  prepayment: mode,
+});
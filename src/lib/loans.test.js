@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import {
+  addMonths,
+  emiFor,
+  amortize,
+  loanStatus,
+  prepaymentEffect,
+  installmentFields,
+} from "./loans";
+
+const loan = { id: "home", principal: 100000, rate: 12, tenure: 12, startDate: "2024-01-31", category: "EMI" };
+const prepay = (mode) => ({ date: "2024-03-15", amount: 20000, mode });
+
+describe("addMonths", () => {
+  it("keeps the day, clamped to short months", () => {
+    expect(addMonths("2024-01-31", 1)).toBe("2024-02-29");
+    expect(addMonths("2024-01-31", 2)).toBe("2024-03-31");
+    expect(addMonths("2024-11-15", 3)).toBe("2025-02-15");
+  });
+});
+
+describe("emiFor", () => {
+  it("uses the reducing-balance formula, or splits evenly without interest", () => {
+    expect(emiFor(100000, 12, 12)).toBe(8884.88);
+    expect(emiFor(1200, 0, 12)).toBe(100);
+  });
+});
+
+describe("amortize", () => {
+  it("pays the loan off exactly at the end of the tenure", () => {
+    const schedule = amortize(loan);
+    expect(schedule).toHaveLength(12);
+    expect(schedule[0]).toMatchObject({ interest: 1000, principal: 7884.88, balance: 92115.12 });
+    expect(schedule.at(-1)).toMatchObject({ date: "2024-12-31", balance: 0 });
+  });
+
+  it("shortens the tenure when a prepayment keeps the EMI", () => {
+    const schedule = amortize(loan, [prepay("tenure")]);
+    expect(schedule).toHaveLength(10);
+    expect(schedule[2]).toMatchObject({ prepaid: 20000, emi: 8884.88 });
+  });
+
+  it("lowers the EMI when a prepayment keeps the end date", () => {
+    const schedule = amortize(loan, [prepay("emi")]);
+    expect(schedule).toHaveLength(12);
+    expect(schedule[2].emi).toBe(6773.24);
+    expect(schedule.at(-1).balance).toBe(0);
+  });
+});
+
+describe("loanStatus", () => {
+  it("counts linked installments and prepayments", () => {
+    const payments = [
+      { installment: 1 },
+      { installment: 2 },
+      { prepayment: "tenure", date: "2024-03-15", amount: 20000 },
+    ];
+    const status = loanStatus(loan, payments);
+    expect(status.interestPaid).toBe(1921.15);
+    expect(status.remainingPrincipal).toBe(64151.39);
+    expect(status.next.n).toBe(3);
+    expect(status.payoffDate).toBe("2024-10-31");
+  });
+});
+
+describe("prepaymentEffect", () => {
+  it("reports installments and interest saved", () => {
+    expect(prepaymentEffect(loan, [], prepay("tenure"))).toEqual({
+      installmentsSaved: 2,
+      interestSaved: 1920.16,
+      payoffDate: "2024-10-31",
+      emi: 8884.88,
+    });
+  });
+});
+
+describe("installmentFields", () => {
+  it("links the EMI to its installment", () => {
+    const [row] = amortize(loan);
+    expect(installmentFields(loan, row, row.date)).toMatchObject({
+      type: "Debit",
+      category: "EMI",
+      amount: 8884.88,
+      loanId: "home",
+      installment: 1,
+    });
+  });
+});
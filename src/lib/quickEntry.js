@@ -0,0 +1,156 @@
+// --- QUICK ENTRY ---
+// Reads one-line entries such as "450 food lunch yesterday", "+50000 salary"
+// or "1200 travel uber 3 oct" into the Add form's fields. Everything runs
+// locally: the first number is the amount (a leading "+" makes it income),
+// a date may be written as today/yesterday, a weekday, "3 oct" or
+// "2026-10-03", a word naming a category or subcategory picks it, and
+// failing that the keyword rules shared with the importer do. The words
+// left over become the note.
+
+import { categoryTree } from "./categories";
+import { matchRule } from "./importer";
+import { addDays, parseISODate, toISODate } from "./reports";
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// "Oct", "oct.", "october" -> 9; anything else -> -1.
+const monthOf = (word) => {
+  const w = word.replace(/\.$/, "");
+  return w.length >= 3 ? MONTHS.findIndex((m) => m.startsWith(w)) : -1;
+};
+
+const weekdayOf = (word) =>
+  word.length >= 3 ? WEEKDAYS.findIndex((d) => d.startsWith(word)) : -1;
+
+const dayOf = (word) => {
+  const m = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || "");
+  return m ? Number(m[1]) : null;
+};
+
+const AMOUNT = /^([+-])?[₹$€£]?(\d[\d,]*(?:\.\d+)?)(k)?$/i;
+
+// A day and month with no year is the latest such date up to today.
+const calendarDate = (day, month, year, today) => {
+  const now = parseISODate(today);
+  const build = (y) => new Date(y, month, day);
+  let d = build(year ?? now.getFullYear());
+  if (d.getMonth() !== month) return null;
+  if (year == null && d > now) d = build(now.getFullYear() - 1);
+  return toISODate(d);
+};
+
+// Finds a date in `words` (lower-cased) and returns it with the indexes it
+// used, or null.
+const findDate = (words, today) => {
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    if (w === "today") return { date: today, used: [i] };
+    if (w === "yesterday") return { date: addDays(today, -1), used: [i] };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(w)) return { date: w, used: [i] };
+
+    const weekday = weekdayOf(w);
+    if (weekday >= 0) {
+      const back = (parseISODate(today).getDay() - weekday + 7) % 7;
+      return { date: addDays(today, -back), used: [i] };
+    }
+
+    const month = monthOf(w);
+    if (month < 0) continue;
+    // "3 oct" or "oct 3", optionally followed by a year.
+    const before = dayOf(words[i - 1]);
+    const after = dayOf(words[i + 1]);
+    const dayAt = before !== null ? i - 1 : after !== null ? i + 1 : null;
+    if (dayAt === null) continue;
+    const yearAt = Math.max(i, dayAt) + 1;
+    const year = /^\d{4}$/.test(words[yearAt] || "") ? Number(words[yearAt]) : null;
+    const date = calendarDate(dayOf(words[dayAt]), month, year, today);
+    if (!date) continue;
+    return { date, used: year === null ? [i, dayAt] : [i, dayAt, yearAt] };
+  }
+  return null;
+};
+
+// Category and subcategory names of the given types, longest first so
+// "Eating out" wins over "Eating".
+const namesFor = (categories, types) =>
+  types
+    .flatMap((type) =>
+      categoryTree(categories, type).flatMap((c) => [
+        { type, category: c.name, subcategory: null, name: c.name },
+        ...c.children.map((s) => ({ type, category: c.name, subcategory: s.name, name: s.name })),
+      ])
+    )
+    .sort((a, b) => b.name.length - a.name.length);
+
+// Index of the first run of `words` spelling `name`, or -1.
+const findPhrase = (words, name, skip) => {
+  const parts = name.toLowerCase().split(/\s+/);
+  for (let i = 0; i + parts.length <= words.length; i++) {
+    if (parts.every((p, k) => !skip.has(i + k) && words[i + k] === p)) return i;
+  }
+  return -1;
+};
+
+// Returns { type, amount, category, subcategory, date, note, matchedBy }
+// or null when there is no amount. `category` is null when nothing
+// matched; `matchedBy` is "name", "rule" or null.
+export const parseQuickEntry = (text, { categories = [], rules = [], today }) => {
+  const raw = String(text || "").trim().split(/\s+/).filter(Boolean);
+  const words = raw.map((w) => w.toLowerCase().replace(/[,;]$/, ""));
+  const used = new Set();
+
+  const found = findDate(words, today);
+  found?.used.forEach((i) => used.add(i));
+
+  const amountAt = words.findIndex((w, i) => !used.has(i) && AMOUNT.test(w));
+  if (amountAt < 0) return null;
+  used.add(amountAt);
+  const [, sign, digits, thousands] = AMOUNT.exec(words[amountAt]);
+  const amount =
+    Math.round(Number(digits.replace(/,/g, "")) * (thousands ? 1000 : 1) * 100) / 100;
+  if (!(amount > 0)) return null;
+  const explicitType = sign === "+" ? "Credit" : sign === "-" ? "Debit" : null;
+
+  let match = null;
+  for (const candidate of namesFor(categories, explicitType ? [explicitType] : ["Debit", "Credit"])) {
+    const at = findPhrase(words, candidate.name, used);
+    if (at >= 0) {
+      candidate.name.split(/\s+/).forEach((_, k) => used.add(at + k));
+      match = { ...candidate, matchedBy: "name" };
+      break;
+    }
+  }
+
+  const note = raw.filter((_, i) => !used.has(i)).join(" ");
+  if (!match) {
+    const rule = matchRule(rules, note, explicitType);
+    const category = rule && categories.find((c) => c.name === rule.category && !c.parentId);
+    if (category) {
+      match = { type: category.type, category: category.name, subcategory: null, matchedBy: "rule" };
+    }
+  }
+
+  return {
+    type: explicitType || match?.type || "Debit",
+    amount,
+    category: match?.category || null,
+    subcategory: match?.subcategory || null,
+    date: found?.date || today,
+    note,
+    matchedBy: match?.matchedBy || null,
+  };
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { parseQuickEntry } from "./quickEntry";
+
+const categories = [
+  { id: "food", name: "Food", type: "Debit" },
+  { id: "eat", name: "Eating out", type: "Debit", parentId: "food" },
+  { id: "travel", name: "Travel", type: "Debit" },
+  { id: "salary", name: "Salary", type: "Credit" },
+  { id: "gift", name: "Gift", type: "Credit" },
+];
+const rules = [{ keyword: "uber", category: "Travel", type: "Debit" }];
+// A Monday.
+const today = "2026-10-19";
+const parse = (text) => parseQuickEntry(text, { categories, rules, today });
+
+describe("parseQuickEntry", () => {
+  it("reads amount, category, relative date and note", () => {
+    expect(parse("450 food lunch yesterday")).toEqual({
+      type: "Debit",
+      amount: 450,
+      category: "Food",
+      subcategory: null,
+      date: "2026-10-18",
+      note: "lunch",
+      matchedBy: "name",
+    });
+  });
+
+  it("treats a leading plus or an income category as income", () => {
+    expect(parse("+50000 salary")).toMatchObject({ type: "Credit", amount: 50000, category: "Salary", date: today });
+    expect(parse("2k gift from mum")).toMatchObject({ type: "Credit", amount: 2000, note: "from mum" });
+  });
+
+  it("falls back to keyword rules and keeps the keyword in the note", () => {
+    expect(parse("1200 uber airport 3 oct")).toMatchObject({
+      category: "Travel",
+      date: "2026-10-03",
+      note: "uber airport",
+      matchedBy: "rule",
+    });
+    expect(parse("1200 travel uber 3 oct")).toMatchObject({ category: "Travel", note: "uber", matchedBy: "name" });
+  });
+
+  it("prefers multi-word subcategories", () => {
+    expect(parse("800 eating out with team")).toMatchObject({
+      category: "Food",
+      subcategory: "Eating out",
+      note: "with team",
+    });
+  });
+
+  it("places dates without a year in the past", () => {
+    expect(parse("300 food dec 24").date).toBe("2025-12-24");
+    expect(parse("300 food 24th dec 2026").date).toBe("2026-12-24");
+    expect(parse("300 food friday").date).toBe("2026-10-16");
+    expect(parse("300 food monday").date).toBe(today);
+    expect(parse("300 food 2026-09-01").date).toBe("2026-09-01");
+  });
+
+  it("needs an amount and leaves unknown words to the note", () => {
+    expect(parse("lunch yesterday")).toBeNull();
+    expect(parse("1,250.50 something odd")).toMatchObject({
+      amount: 1250.5,
+      category: null,
+      note: "something odd",
+      matchedBy: null,
+    });
+  });
+});
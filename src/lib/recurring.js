@@ -0,0 +1,120 @@
+// --- RECURRING SCHEDULES ---
+// A template's `schedule` is one of:
+//   { freq: "monthly", day }      — every month on day N (clamped to month end)
+//   { freq: "weekly" }            — every 7 days from the start date
+//   { freq: "yearly" }            — every year on the start date's month/day
+//   { freq: "interval", every }   — every N days from the start date
+// All dates are "YYYY-MM-DD" strings, like transaction dates.
+
+import { addDays, daysBetween, parseISODate, toISODate } from "./reports";
+
+export const FREQUENCIES = [
+  { id: "monthly", label: "Monthly" },
+  { id: "weekly", label: "Weekly" },
+  { id: "yearly", label: "Yearly" },
+  { id: "interval", label: "Every N days" },
+];
+
+// Safety net for templates that have been idle a long time.
+export const MAX_BACKFILL = 100;
+
+const clampedDate = (year, month, day) => {
+  const last = new Date(year, month + 1, 0).getDate();
+  return toISODate(new Date(year, month, Math.min(day, last)));
+};
+
+// The first occurrence on or after `from`.
+const firstOnOrAfter = (schedule, start, from) => {
+  const begin = from > start ? from : start;
+  const s = parseISODate(start);
+  const b = parseISODate(begin);
+
+  switch (schedule.freq) {
+    case "monthly": {
+      const day = Number(schedule.day) || s.getDate();
+      let candidate = clampedDate(b.getFullYear(), b.getMonth(), day);
+      if (candidate < begin) candidate = clampedDate(b.getFullYear(), b.getMonth() + 1, day);
+      return candidate;
+    }
+    case "yearly": {
+      let candidate = clampedDate(b.getFullYear(), s.getMonth(), s.getDate());
+      if (candidate < begin) {
+        candidate = clampedDate(b.getFullYear() + 1, s.getMonth(), s.getDate());
+      }
+      return candidate;
+    }
+    default: {
+      const step = stepDays(schedule);
+      const gap = daysBetween(start, begin);
+      return addDays(start, Math.ceil(gap / step) * step);
+    }
+  }
+};
+
+const stepDays = (schedule) =>
+  schedule.freq === "weekly" ? 7 : Math.max(1, Number(schedule.every) || 1);
+
+const following = (schedule, start, date) => {
+  const d = parseISODate(date);
+  const s = parseISODate(start);
+  switch (schedule.freq) {
+    case "monthly":
+      return clampedDate(d.getFullYear(), d.getMonth() + 1, Number(schedule.day) || s.getDate());
+    case "yearly":
+      return clampedDate(d.getFullYear() + 1, s.getMonth(), s.getDate());
+    default:
+      return addDays(date, stepDays(schedule));
+  }
+};
+
+// Occurrence dates of a template in [from, to], honouring its start and end
+// dates, at most `max` of them.
+export const occurrencesBetween = (template, from, to, max = MAX_BACKFILL) => {
+  const { schedule, startDate, endDate } = template;
+  const last = endDate && endDate < to ? endDate : to;
+  const dates = [];
+  let date = firstOnOrAfter(schedule, startDate, from);
+  while (date <= last && dates.length < max) {
+    dates.push(date);
+    date = following(schedule, startDate, date);
+  }
+  return dates;
+};
+
+// Occurrences that should exist by `today` but have not been generated yet.
+export const dueOccurrences = (template, today) => {
+  if (template.paused) return [];
+  const from = template.lastGenerated
+    ? addDays(template.lastGenerated, 1)
+    : template.startDate;
+  return occurrencesBetween(template, from, today);
+};
+
+// Upcoming charges across active templates, soonest first.
+export const upcomingOccurrences = (templates, today, days = 30) =>
+  templates
+    .filter((t) => !t.paused)
+    .flatMap((t) =>
+      occurrencesBetween(t, addDays(today, 1), addDays(today, days)).map((date) => ({
+        date,
+        template: t,
+      }))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+export const describeSchedule = (schedule) => {
+  switch (schedule.freq) {
+    case "monthly":
+      return `Monthly on day ${schedule.day}`;
+    case "weekly":
+      return "Weekly";
+    case "yearly":
+      return "Yearly";
+    default:
+      return `Every ${schedule.every} days`;
+  }
+};
+
+// Generated transactions get a deterministic id so a date can only ever be
+// created once per template, even if two devices open the app together.
+export const occurrenceId = (templateId, date) => `rec_${templateId}_${date}`;
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import {
+  occurrencesBetween,
+  dueOccurrences,
+  upcomingOccurrences,
+  describeSchedule,
+  occurrenceId,
+} from "./recurring";
+
+const rent = { id: "rent", schedule: { freq: "monthly", day: 31 }, startDate: "2024-01-31" };
+const gym = { id: "gym", schedule: { freq: "weekly" }, startDate: "2024-03-01" };
+
+describe("occurrencesBetween", () => {
+  it("clamps monthly days to short months", () => {
+    expect(occurrencesBetween(rent, "2024-01-01", "2024-04-30")).toEqual([
+      "2024-01-31",
+      "2024-02-29",
+      "2024-03-31",
+      "2024-04-30",
+    ]);
+  });
+
+  it("steps weekly and interval schedules from the start date", () => {
+    expect(occurrencesBetween(gym, "2024-03-10", "2024-03-31")).toEqual([
+      "2024-03-15",
+      "2024-03-22",
+      "2024-03-29",
+    ]);
+    const water = { schedule: { freq: "interval", every: 10 }, startDate: "2024-01-01" };
+    expect(occurrencesBetween(water, "2024-01-05", "2024-02-01")).toEqual([
+      "2024-01-11",
+      "2024-01-21",
+      "2024-01-31",
+    ]);
+  });
+
+  it("keeps a leap-day yearly template on the last day of February", () => {
+    const renewal = { schedule: { freq: "yearly" }, startDate: "2024-02-29" };
+    expect(occurrencesBetween(renewal, "2025-01-01", "2028-12-31")).toEqual([
+      "2025-02-28",
+      "2026-02-28",
+      "2027-02-28",
+      "2028-02-29",
+    ]);
+  });
+
+  it("stops at the end date and at `max`", () => {
+    const ending = { ...gym, endDate: "2024-03-10" };
+    expect(occurrencesBetween(ending, "2024-03-01", "2024-12-31")).toEqual([
+      "2024-03-01",
+      "2024-03-08",
+    ]);
+    expect(occurrencesBetween(gym, "2024-03-01", "2024-12-31", 3)).toHaveLength(3);
+  });
+});
+
+describe("dueOccurrences", () => {
+  it("picks up after the last generated date", () => {
+    expect(dueOccurrences({ ...gym, lastGenerated: "2024-03-15" }, "2024-03-30")).toEqual([
+      "2024-03-22",
+      "2024-03-29",
+    ]);
+    expect(dueOccurrences(gym, "2024-03-09")).toEqual(["2024-03-01", "2024-03-08"]);
+  });
+
+  it("has nothing for a paused template", () => {
+    expect(dueOccurrences({ ...gym, paused: true }, "2024-03-30")).toEqual([]);
+  });
+});
+
+describe("upcomingOccurrences", () => {
+  it("lists the coming days across active templates, soonest first", () => {
+    const phone = { id: "phone", schedule: { freq: "monthly", day: 5 }, startDate: "2024-01-05" };
+    const paused = { ...phone, id: "old", paused: true };
+    const upcoming = upcomingOccurrences([gym, phone, paused], "2024-03-01", 10);
+    expect(upcoming.map((o) => [o.date, o.template.id])).toEqual([
+      ["2024-03-05", "phone"],
+      ["2024-03-08", "gym"],
+    ]);
+  });
+});
+
+describe("describeSchedule", () => {
+  it("reads each frequency", () => {
+    expect(describeSchedule(rent.schedule)).toBe("Monthly on day 31");
+    expect(describeSchedule(gym.schedule)).toBe("Weekly");
+    expect(describeSchedule({ freq: "interval", every: 10 })).toBe("Every 10 days");
+  });
+});
+
+describe("occurrenceId", () => {
+  it("is fixed per template and date", () => {
+    expect(occurrenceId("rent", "2024-02-29")).toBe("rec_rent_2024-02-29");
+  });
+});
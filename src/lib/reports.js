@@ -0,0 +1,110 @@
+// --- PERIOD REPORTS ---
+// Transactions carry their day as a "YYYY-MM-DD" string in `date`, so every
+// range here is expressed the same way (both ends inclusive) and compared as
+// plain strings.
+
+import { categoryLines } from "./splits";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const toISODate = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export const parseISODate = (s) => {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const addDays = (s, n) => {
+  const d = parseISODate(s);
+  d.setDate(d.getDate() + n);
+  return toISODate(d);
+};
+
+export const daysBetween = (start, end) =>
+  Math.round((parseISODate(end) - parseISODate(start)) / 86400000);
+
+export const todayISO = () => toISODate(new Date());
+
+// Month and week ranges are anchored on any day inside them; weeks start Monday.
+export const getPeriodRange = (mode, anchor, custom = {}) => {
+  if (mode === "custom") {
+    const start = custom.start || anchor;
+    const end = custom.end || anchor;
+    return start <= end ? { start, end } : { start: end, end: start };
+  }
+
+  const d = parseISODate(anchor);
+  if (mode === "week") {
+    const offset = (d.getDay() + 6) % 7;
+    const start = addDays(anchor, -offset);
+    return { start, end: addDays(start, 6) };
+  }
+
+  const first = new Date(d.getFullYear(), d.getMonth(), 1);
+  const last = new Date(d.getFullYear(), d.getMonth() + 1, 0);
+  return { start: toISODate(first), end: toISODate(last) };
+};
+
+// Moves a month/week anchor by `step` periods (negative steps go back).
+export const shiftAnchor = (mode, anchor, step) => {
+  if (mode === "week") return addDays(anchor, step * 7);
+  const d = parseISODate(anchor);
+  return toISODate(new Date(d.getFullYear(), d.getMonth() + step, 1));
+};
+
+// The period immediately before `range`: the previous calendar month for
+// months, otherwise a window of the same length ending the day before.
+export const getPreviousRange = (mode, range) => {
+  if (mode === "month") {
+    return getPeriodRange("month", shiftAnchor("month", range.start, -1));
+  }
+  const length = daysBetween(range.start, range.end);
+  const end = addDays(range.start, -1);
+  return { start: addDays(end, -length), end };
+};
+
+export const inRange = (t, range) =>
+  !!t.date && t.date >= range.start && t.date <= range.end;
+
+export const summarize = (transactions, range) => {
+  const summary = {
+    income: 0,
+    expense: 0,
+    net: 0,
+    count: 0,
+    byCategory: { Credit: {}, Debit: {} },
+  };
+
+  transactions.forEach((t) => {
+    if (!inRange(t, range) || !summary.byCategory[t.type]) return;
+    const value = Number(t.amount || 0);
+    const bucket = summary.byCategory[t.type];
+    categoryLines(t).forEach((l) => {
+      bucket[l.category] = (bucket[l.category] || 0) + l.amount;
+    });
+    if (t.type === "Credit") summary.income += value;
+    else summary.expense += value;
+    summary.count += 1;
+  });
+
+  summary.net = summary.income - summary.expense;
+  return summary;
+};
+
+// Percentage change from `previous` to `current`; null when there is no base.
+export const percentChange = (current, previous) =>
+  previous ? ((current - previous) / Math.abs(previous)) * 100 : null;
+
+export const formatRangeLabel = (mode, range) => {
+  const start = parseISODate(range.start);
+  if (mode === "month") {
+    return start.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+  }
+  const opts = { day: "numeric", month: "short" };
+  const end = parseISODate(range.end);
+  return `${start.toLocaleDateString(undefined, opts)} – ${end.toLocaleDateString(
+    undefined,
+    { ...opts, year: "numeric" }
+  )}`;
+};
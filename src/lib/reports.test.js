@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import {
+  addDays,
+  daysBetween,
+  getPeriodRange,
+  shiftAnchor,
+  getPreviousRange,
+  summarize,
+  percentChange,
+} from "./reports";
+
+describe("date helpers", () => {
+  it("count calendar days, across month ends and clock changes", () => {
+    expect(addDays("2024-02-28", 2)).toBe("2024-03-01");
+    expect(addDays("2024-01-01", -1)).toBe("2023-12-31");
+    expect(daysBetween("2024-03-09", "2024-03-11")).toBe(2);
+    expect(daysBetween("2024-10-26", "2024-10-28")).toBe(2);
+  });
+});
+
+describe("getPeriodRange", () => {
+  it("covers the month or Monday-to-Sunday week around the anchor", () => {
+    expect(getPeriodRange("month", "2024-02-10")).toEqual({
+      start: "2024-02-01",
+      end: "2024-02-29",
+    });
+    expect(getPeriodRange("week", "2024-03-07")).toEqual({
+      start: "2024-03-04",
+      end: "2024-03-10",
+    });
+    expect(getPeriodRange("week", "2024-03-10").start).toBe("2024-03-04");
+  });
+
+  it("puts a custom range's ends in order", () => {
+    const custom = { start: "2024-03-20", end: "2024-03-01" };
+    expect(getPeriodRange("custom", "2024-03-07", custom)).toEqual({
+      start: "2024-03-01",
+      end: "2024-03-20",
+    });
+  });
+});
+
+describe("getPreviousRange", () => {
+  it("takes the previous month, or the same length just before", () => {
+    expect(getPreviousRange("month", { start: "2024-03-01", end: "2024-03-31" })).toEqual({
+      start: "2024-02-01",
+      end: "2024-02-29",
+    });
+    expect(getPreviousRange("week", { start: "2024-03-04", end: "2024-03-10" })).toEqual({
+      start: "2024-02-26",
+      end: "2024-03-03",
+    });
+    expect(shiftAnchor("month", "2024-01-31", 1)).toBe("2024-02-01");
+  });
+});
+
+describe("summarize", () => {
+  it("totals income and expense in range by category, split lines included", () => {
+    const rows = [
+      { type: "Credit", category: "Salary", amount: 1000, date: "2024-03-01" },
+      {
+        type: "Debit",
+        category: "Split",
+        amount: 30,
+        date: "2024-03-05",
+        splits: [
+          { category: "Food", amount: 23 },
+          { category: "Health", amount: 7 },
+        ],
+      },
+      { type: "Transfer", amount: 50, date: "2024-03-06" },
+      { type: "Debit", category: "Food", amount: 9, date: "2024-02-28" },
+    ];
+    const summary = summarize(rows, { start: "2024-03-01", end: "2024-03-31" });
+    expect(summary).toMatchObject({ income: 1000, expense: 30, net: 970, count: 2 });
+    expect(summary.byCategory).toEqual({
+      Credit: { Salary: 1000 },
+      Debit: { Food: 23, Health: 7 },
+    });
+  });
+});
+
+describe("percentChange", () => {
+  it("measures against the size of the base, and has none without one", () => {
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(50, -100)).toBe(150);
+    expect(percentChange(5, 0)).toBeNull();
+  });
+});
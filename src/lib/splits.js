@@ -0,0 +1,82 @@
+// --- SPLIT TRANSACTIONS ---
+// A split record is one payment with one total `amount`, broken into
+// category lines: `splits: [{ category, subcategory, amount }]`. Line
+// amounts are in the home currency like `amount` and add up to it exactly;
+// foreign entries also keep each line's `originalAmount`. The record's own
+// `category` is SPLIT_CATEGORY, and everything that counts per category
+// goes through categoryLines so each line lands under its own name.
+
+import { convert } from "./currency";
+
+export const SPLIT_CATEGORY = "Split";
+
+const cents = (n) => Math.round(Number(n || 0) * 100);
+
+export const isSplit = (t) => Array.isArray(t?.splits) && t.splits.length > 0;
+
+// The per-category parts of a record: its split lines, or the record itself.
+export const categoryLines = (t) =>
+  isSplit(t)
+    ? t.splits.map((s) => ({
+        category: s.category,
+        subcategory: s.subcategory || null,
+        amount: Number(s.amount || 0),
+      }))
+    : [{ category: t.category, subcategory: t.subcategory || null, amount: Number(t.amount || 0) }];
+
+// How much of `t` counts under `category` (a top-level name).
+export const amountIn = (t, category) =>
+  categoryLines(t)
+    .filter((l) => l.category === category)
+    .reduce((sum, l) => sum + l.amount, 0);
+
+// What is left of `total` once the entered lines are taken off, worked in
+// cents so 0.1 + 0.2 style dust never blocks a save.
+export const splitRemainder = (total, lines) =>
+  (cents(total) - lines.reduce((sum, l) => sum + cents(l.amount), 0)) / 100;
+
+// Returns a user-facing problem with the lines, or null when they can be saved.
+export const splitProblem = (total, lines) => {
+  if (lines.length < 2) return "A split needs at least two lines";
+  if (lines.some((l) => !l.category)) return "Pick a category for every line";
+  if (lines.some((l) => !(Number(l.amount) > 0))) return "Every line needs an amount";
+  if (splitRemainder(total, lines) !== 0) return "Split lines must add up to the total";
+  return null;
+};
+
+// Stored lines for a record whose home-currency total is `amount`. Foreign
+// lines are converted one by one and the rounding drift goes to the last
+// line, so the stored lines still add up to the stored total.
+export const splitFields = (lines, { amount, rate, originalAmount }) => {
+  const foreign = originalAmount != null;
+  const splits = lines.map((l) => ({
+    category: l.category,
+    subcategory: l.subcategory || null,
+    amount: foreign ? convert(l.amount, rate) : Number(l.amount),
+    ...(foreign && { originalAmount: Number(l.amount) }),
+  }));
+  const drift = splitRemainder(amount, splits);
+  if (drift) splits[splits.length - 1].amount = (cents(splits.at(-1).amount) + cents(drift)) / 100;
+  return splits;
+};
+
+// One-line description for exports: "Food 12.00; Health 3.50".
+export const describeSplits = (t) =>
+  isSplit(t)
+    ? t.splits
+        .map((s) => `${[s.category, s.subcategory].filter(Boolean).join(" / ")} ${Number(s.amount).toFixed(2)}`)
+        .join("; ")
+    : "";
+
+// Split lines with one category (or, given `parent`, one of its
+// subcategories) renamed; used by category rename and merge.
+export const renameInSplits = (splits, from, to, parent = null) =>
+  splits.map((s) =>
+    parent
+      ? s.category === parent && s.subcategory === from
+        ? { ...s, subcategory: to }
+        : s
+      : s.category === from
+        ? { ...s, category: to }
+        : s
+  );
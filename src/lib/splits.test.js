@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import {
+  categoryLines,
+  amountIn,
+  splitRemainder,
+  splitProblem,
+  splitFields,
+  renameInSplits,
+} from "./splits";
+
+const shop = {
+  type: "Debit",
+  category: "Split",
+  amount: 30,
+  splits: [
+    { category: "Food", subcategory: "Groceries", amount: 18 },
+    { category: "Health", amount: 7 },
+    { category: "Food", amount: 5 },
+  ],
+};
+
+describe("categoryLines", () => {
+  it("uses the split lines, or the record itself", () => {
+    expect(categoryLines(shop).map((l) => l.category)).toEqual(["Food", "Health", "Food"]);
+    expect(categoryLines({ category: "Fuel", amount: "4" })).toEqual([
+      { category: "Fuel", subcategory: null, amount: 4 },
+    ]);
+  });
+});
+
+describe("amountIn", () => {
+  it("adds up every line in the category", () => {
+    expect(amountIn(shop, "Food")).toBe(23);
+    expect(amountIn(shop, "Rent")).toBe(0);
+  });
+});
+
+describe("splitRemainder", () => {
+  it("works in cents", () => {
+    expect(splitRemainder("0.3", [{ amount: "0.1" }, { amount: "0.2" }])).toBe(0);
+    expect(splitRemainder(10, [{ amount: "4" }])).toBe(6);
+  });
+});
+
+describe("splitProblem", () => {
+  const lines = [
+    { category: "Food", amount: "6" },
+    { category: "Health", amount: "4" },
+  ];
+
+  it("accepts lines that add up to the total", () => {
+    expect(splitProblem("10", lines)).toBeNull();
+  });
+
+  it("rejects a sum that misses the total, blanks and single lines", () => {
+    expect(splitProblem("11", lines)).toMatch(/add up/);
+    expect(splitProblem("10", [lines[0], { ...lines[1], category: "" }])).toMatch(/category/);
+    expect(splitProblem("6", [lines[0]])).toMatch(/two lines/);
+  });
+});
+
+describe("splitFields", () => {
+  it("stores home-currency lines as entered", () => {
+    expect(splitFields([{ category: "Food", subcategory: "", amount: "6" }], { amount: 6 })).toEqual([
+      { category: "Food", subcategory: null, amount: 6 },
+    ]);
+  });
+
+  it("converts foreign lines and puts the rounding drift on the last one", () => {
+    const lines = [
+      { category: "Food", amount: "1" },
+      { category: "Health", amount: "1" },
+      { category: "Fun", amount: "1" },
+    ];
+    const splits = splitFields(lines, { amount: 1, rate: 1 / 3, originalAmount: 3 });
+    expect(splits.map((s) => s.amount)).toEqual([0.33, 0.33, 0.34]);
+    expect(splits[0].originalAmount).toBe(1);
+  });
+});
+
+describe("renameInSplits", () => {
+  it("renames categories, or subcategories under their parent", () => {
+    expect(renameInSplits(shop.splits, "Food", "Groceries").map((s) => s.category)).toEqual([
+      "Groceries",
+      "Health",
+      "Groceries",
+    ]);
+    const renamed = renameInSplits(shop.splits, "Groceries", "Market", "Food");
+    expect(renamed[0].subcategory).toBe("Market");
+    expect(renamed[1]).toBe(shop.splits[1]);
+  });
+});
@@ -0,0 +1,206 @@
+// --- MONTHLY SUMMARIES ---
+// One document per month (id "YYYY-MM") holds the running income/expense
+// totals and per-category amounts for that month. Every add, edit and
+// delete reaches them (see PENDING CHANGES below), so headline numbers
+// never depend on how many transactions happen to be loaded. They also track the net movement
+// per account, which is what account balances are built from, and how many
+// records carry each tag, for suggesting tags.
+
+import { categoryLines } from "./splits";
+import { DEBT, debtFlow } from "./debts";
+import { tagsOf } from "./tags";
+
+// Bucket for records saved before accounts existed (no `accountId`).
+export const UNASSIGNED_ACCOUNT = "none";
+
+const accountKey = (id) => id || UNASSIGNED_ACCOUNT;
+
+export const monthKeyOf = (t) => {
+  if (t.date) return t.date.slice(0, 7);
+  return new Date(t.createdAt || Date.now()).toISOString().slice(0, 7);
+};
+
+// What a single transaction adds to its month. `sign` is -1 to take it back
+// out again (on delete, or the old side of an edit).
+export const contributionOf = (t, sign = 1) => {
+  const value = Number(t.amount || 0) * sign;
+  const accounts = {};
+  if (t.type === "Transfer") {
+    accounts[accountKey(t.accountId)] = -value;
+    accounts[accountKey(t.toAccountId)] = (accounts[accountKey(t.toAccountId)] || 0) + value;
+  } else if (t.type === DEBT) {
+    accounts[accountKey(t.accountId)] = debtFlow(t) * sign;
+  } else {
+    accounts[accountKey(t.accountId)] = t.type === "Debit" ? -value : value;
+  }
+  return {
+    month: monthKeyOf(t),
+    income: t.type === "Credit" ? value : 0,
+    expense: t.type === "Debit" ? value : 0,
+    count: sign,
+    type: t.type,
+    // Split records count each line under its own category.
+    categories: categoryLines(t).map((l) => [l.category, l.amount * sign]),
+    accounts,
+    tags: tagsOf(t).map((tag) => [tag, sign]),
+  };
+};
+
+// Folds contributions together per month so an edit that stays inside one
+// month becomes a single write.
+export const mergeContributions = (contributions) => {
+  const byMonth = {};
+  contributions.forEach((c) => {
+    const m = (byMonth[c.month] ||= {
+      month: c.month,
+      income: 0,
+      expense: 0,
+      count: 0,
+      categories: { Credit: {}, Debit: {} },
+      accounts: {},
+      tags: {},
+    });
+    Object.entries(c.accounts || {}).forEach(([id, val]) => {
+      m.accounts[id] = (m.accounts[id] || 0) + val;
+    });
+    m.income += c.income;
+    m.expense += c.expense;
+    m.count += c.count;
+    (c.tags || []).forEach(([tag, n]) => {
+      m.tags[tag] = (m.tags[tag] || 0) + n;
+    });
+    if (m.categories[c.type]) {
+      c.categories.forEach(([category, amount]) => {
+        m.categories[c.type][category] = (m.categories[c.type][category] || 0) + amount;
+      });
+    }
+  });
+  return Object.values(byMonth);
+};
+
+// Recomputes every month from scratch; used to seed or repair summaries.
+export const buildSummaries = (transactions) =>
+  mergeContributions(transactions.map((t) => contributionOf(t)));
+
+export const totalsFromSummaries = (summaries) => {
+  const totals = {
+    totalCredit: 0,
+    totalDebit: 0,
+    savings: 0,
+    byType: { Credit: {}, Debit: {} },
+    accountNet: {},
+    tagCounts: {},
+  };
+  summaries.forEach((s) => {
+    Object.entries(s.accounts || {}).forEach(([id, val]) => {
+      totals.accountNet[id] = (totals.accountNet[id] || 0) + Number(val);
+    });
+    Object.entries(s.tags || {}).forEach(([tag, n]) => {
+      totals.tagCounts[tag] = (totals.tagCounts[tag] || 0) + Number(n);
+    });
+    totals.totalCredit += Number(s.income || 0);
+    totals.totalDebit += Number(s.expense || 0);
+    ["Credit", "Debit"].forEach((type) => {
+      Object.entries(s.categories?.[type] || {}).forEach(([cat, val]) => {
+        totals.byType[type][cat] = (totals.byType[type][cat] || 0) + Number(val);
+      });
+    });
+  });
+  // Deleting the last record of a category leaves a zero (or float dust)
+  // behind in the stored map; those are not worth showing.
+  ["Credit", "Debit"].forEach((type) => {
+    Object.keys(totals.byType[type]).forEach((cat) => {
+      if (Math.abs(totals.byType[type][cat]) < 0.005) delete totals.byType[type][cat];
+    });
+  });
+  Object.keys(totals.tagCounts).forEach((tag) => {
+    if (totals.tagCounts[tag] <= 0) delete totals.tagCounts[tag];
+  });
+  totals.savings = totals.totalCredit - totals.totalDebit;
+  return totals;
+};
+
+// --- PENDING CHANGES ---
+// Only admins write the month summaries (see firestore.rules); everyone's
+// changes reach them through the records themselves. A record carries
+// `counted`, a copy of the fields contributionOf reads as the summaries
+// last took it in (absent if they never did), and `pending` while it has
+// changed since. An admin's client folds pending records in (the ledger's
+// `settle`); until then withPending puts the difference on top of the
+// stored months, so totals are right straight away. A pending record in
+// the trash still has its `counted` fields to take out.
+
+const COUNTED_FIELDS = [
+  "type",
+  "amount",
+  "date",
+  "createdAt",
+  "accountId",
+  "toAccountId",
+  "category",
+  "subcategory",
+  "splits",
+  "tags",
+  "direction",
+  "repays",
+];
+
+export const countedFields = (t) =>
+  Object.fromEntries(COUNTED_FIELDS.filter((f) => t[f] !== undefined).map((f) => [f, t[f]]));
+
+// Whether the summaries already hold `t` exactly as it is.
+export const isCounted = (t) =>
+  !t.pending &&
+  !!t.counted &&
+  JSON.stringify(countedFields(t.counted)) === JSON.stringify(countedFields(t));
+
+// A record as written by hand or read from a backup, without what the
+// summaries know about it.
+export const uncounted = (t) => {
+  const fields = { ...t };
+  delete fields.counted;
+  delete fields.pending;
+  return fields;
+};
+
+// What folding `t` in changes; a trashed record only comes out.
+export const pendingContributions = (t, trashed = false) => [
+  ...(t.counted ? [contributionOf(t.counted, -1)] : []),
+  ...(trashed ? [] : [contributionOf(t)]),
+];
+
+const addMaps = (a = {}, b = {}) => {
+  const out = { ...a };
+  Object.entries(b).forEach(([k, v]) => {
+    out[k] = Number(out[k] || 0) + v;
+  });
+  return out;
+};
+
+// Stored month summaries with the changes of pending `entries` and
+// `trashed` records added on top.
+export const withPending = (summaries, entries, trashed) => {
+  const deltas = mergeContributions([
+    ...entries.flatMap((t) => pendingContributions(t)),
+    ...trashed.flatMap((t) => pendingContributions(t, true)),
+  ]);
+  if (deltas.length === 0) return summaries;
+  const months = new Map(summaries.map((s) => [s.month, s]));
+  deltas.forEach((d) => {
+    const s = months.get(d.month) || {};
+    months.set(d.month, {
+      ...s,
+      month: d.month,
+      income: Number(s.income || 0) + d.income,
+      expense: Number(s.expense || 0) + d.expense,
+      count: Number(s.count || 0) + d.count,
+      categories: {
+        Credit: addMaps(s.categories?.Credit, d.categories.Credit),
+        Debit: addMaps(s.categories?.Debit, d.categories.Debit),
+      },
+      accounts: addMaps(s.accounts, d.accounts),
+      tags: addMaps(s.tags, d.tags),
+    });
+  });
+  return [...months.values()];
+};
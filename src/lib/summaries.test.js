@@ -0,0 +1,148 @@
+import { describe, it, expect } from "vitest";
+import {
+  UNASSIGNED_ACCOUNT,
+  monthKeyOf,
+  contributionOf,
+  mergeContributions,
+  buildSummaries,
+  totalsFromSummaries,
+  countedFields,
+  isCounted,
+  withPending,
+} from "./summaries";
+
+const lunch = { type: "Debit", category: "Food", amount: 12.5, date: "2024-03-04", accountId: "a1" };
+const salary = { type: "Credit", category: "Salary", amount: 2000, date: "2024-03-01", accountId: "a1" };
+const move = { type: "Transfer", category: "Transfer", amount: 300, date: "2024-03-10", accountId: "a1", toAccountId: "a2" };
+
+describe("monthKeyOf", () => {
+  it("uses the record's date", () => {
+    expect(monthKeyOf(lunch)).toBe("2024-03");
+  });
+
+  it("falls back to createdAt for undated records", () => {
+    expect(monthKeyOf({ createdAt: Date.UTC(2023, 11, 31, 12) })).toBe("2023-12");
+  });
+});
+
+describe("contributionOf", () => {
+  it("counts expenses and takes them out of their account", () => {
+    expect(contributionOf(lunch)).toMatchObject({
+      month: "2024-03",
+      income: 0,
+      expense: 12.5,
+      count: 1,
+      accounts: { a1: -12.5 },
+    });
+  });
+
+  it("reverses everything with a negative sign", () => {
+    expect(contributionOf(salary, -1)).toMatchObject({
+      income: -2000,
+      count: -1,
+      accounts: { a1: -2000 },
+    });
+  });
+
+  it("moves transfers between accounts without touching income or expense", () => {
+    expect(contributionOf(move)).toMatchObject({
+      income: 0,
+      expense: 0,
+      accounts: { a1: -300, a2: 300 },
+    });
+  });
+
+  it("books adjustments with their own sign", () => {
+    const adjustment = { type: "Adjustment", amount: -4.2, date: "2024-03-31", accountId: "a2" };
+    expect(contributionOf(adjustment).accounts).toEqual({ a2: -4.2 });
+  });
+
+  it("counts each split line under its own category", () => {
+    const split = {
+      ...lunch,
+      category: "Split",
+      amount: 20,
+      splits: [
+        { category: "Food", amount: 15 },
+        { category: "Health", amount: 5 },
+      ],
+    };
+    const [m] = mergeContributions([contributionOf(split)]);
+    expect(m.expense).toBe(20);
+    expect(m.categories.Debit).toEqual({ Food: 15, Health: 5 });
+  });
+
+  it("puts records without an account in the unassigned bucket", () => {
+    const { accounts } = contributionOf({ ...lunch, accountId: undefined });
+    expect(accounts).toEqual({ [UNASSIGNED_ACCOUNT]: -12.5 });
+  });
+});
+
+describe("mergeContributions", () => {
+  it("folds an edit inside one month into a single delta", () => {
+    const edited = { ...lunch, amount: 20, category: "Dining" };
+    const [m] = mergeContributions([contributionOf(lunch, -1), contributionOf(edited)]);
+    expect(m).toMatchObject({
+      month: "2024-03",
+      expense: 7.5,
+      count: 0,
+      categories: { Debit: { Food: -12.5, Dining: 20 }, Credit: {} },
+      accounts: { a1: -7.5 },
+    });
+  });
+
+  it("keeps one entry per month", () => {
+    const april = { ...lunch, date: "2024-04-02" };
+    const months = mergeContributions([lunch, april].map((t) => contributionOf(t)));
+    expect(months.map((m) => m.month).sort()).toEqual(["2024-03", "2024-04"]);
+  });
+});
+
+describe("totalsFromSummaries", () => {
+  it("adds up months and drops categories that cancelled out", () => {
+    const summaries = buildSummaries([lunch, salary, move, { ...lunch, date: "2024-04-02" }]);
+    summaries[0].categories.Debit.Gone = 0.001;
+    const totals = totalsFromSummaries(summaries);
+    expect(totals.totalCredit).toBe(2000);
+    expect(totals.totalDebit).toBe(25);
+    expect(totals.savings).toBe(1975);
+    expect(totals.byType.Debit).toEqual({ Food: 25 });
+    expect(totals.accountNet).toEqual({ a1: 1675, a2: 300 });
+  });
+
+  it("counts tags across months, forgetting ones no longer used", () => {
+    const tagged = { ...lunch, tags: ["goa", "office"] };
+    const old = { ...tagged, date: "2023-01-05" };
+    const untagged = contributionOf({ ...lunch, tags: ["office"] }, -1);
+    const [m] = mergeContributions([contributionOf(tagged), untagged]);
+    expect(m.tags).toEqual({ goa: 1, office: 0 });
+    const totals = totalsFromSummaries([m, ...buildSummaries([old])]);
+    expect(totals.tagCounts).toEqual({ goa: 2, office: 1 });
+  });
+
+  it("reads stored numbers that arrive as strings", () => {
+    expect(totalsFromSummaries([{ income: "10", expense: "4" }]).savings).toBe(6);
+  });
+});
+
+describe("withPending", () => {
+  it("puts new and edited records on top and takes trashed ones out", () => {
+    const stored = buildSummaries([lunch, salary]);
+    const edited = { ...lunch, amount: 20, pending: true, counted: countedFields(lunch) };
+    const added = { ...lunch, date: "2024-04-02", pending: true };
+    const trashed = { ...salary, pending: true, counted: countedFields(salary) };
+    const totals = totalsFromSummaries(withPending(stored, [edited, added], [trashed]));
+    expect(totals.totalDebit).toBe(32.5);
+    expect(totals.totalCredit).toBe(0);
+    expect(totals.accountNet).toEqual({ a1: -32.5 });
+    expect(withPending(stored, [], [])).toBe(stored);
+  });
+
+  it("knows a record the summaries already hold as it is", () => {
+    const counted = { ...lunch, pending: false, counted: countedFields(lunch) };
+    expect(isCounted(counted)).toBe(true);
+    expect(isCounted({ ...counted, amount: 13 })).toBe(false);
+    expect(isCounted({ ...counted, pending: true })).toBe(false);
+    expect(isCounted(lunch)).toBe(false);
+  });
+});
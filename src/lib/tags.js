@@ -0,0 +1,85 @@
+// --- TAGS & REIMBURSABLES ---
+// Tags are free-form labels in a transaction's `tags` array that cut
+// across categories ("Goa trip 2026", "office"). They keep the case they
+// were first typed in but compare case-insensitively. An expense marked
+// `reimbursable` is owed back by someone else (an employer, a friend);
+// `reimbursedOn` holds the day it was paid back, null while it is open.
+
+import { inRange } from "./reports";
+
+// "#goa  trip " -> "goa trip"
+export const cleanTag = (raw) =>
+  String(raw || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const tagsOf = (t) => (Array.isArray(t.tags) ? t.tags : []);
+
+export const hasTag = (t, tag) => tagsOf(t).some((x) => sameTag(x, tag));
+
+// Adds `raw` unless it is empty or already there in any case.
+export const addTag = (tags, raw) => {
+  const tag = cleanTag(raw);
+  return !tag || tags.some((x) => sameTag(x, tag)) ? tags : [...tags, tag];
+};
+
+// Tags in use, most used first, from a { tag: count } map such as the
+// summaries' `tagCounts`. Spellings that differ only in case count as one,
+// shown as the first of them.
+export const rankTags = (counts) => {
+  const merged = new Map();
+  Object.entries(counts).forEach(([tag, count]) => {
+    const key = tag.toLowerCase();
+    const entry = merged.get(key) || { tag, count: 0 };
+    entry.count += count;
+    merged.set(key, entry);
+  });
+  return [...merged.values()]
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .map((e) => e.tag);
+};
+
+// The same for a list of records, spelled as they were first seen.
+export const knownTags = (transactions) => {
+  const counts = {};
+  transactions.forEach((t) =>
+    tagsOf(t).forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    })
+  );
+  return rankTags(counts);
+};
+
+// Spending per tag in `range`: [{ tag, spent, count }], largest first. A
+// transaction with several tags counts in full under each of them.
+export const tagReport = (transactions, range) => {
+  const rows = new Map();
+  transactions.forEach((t) => {
+    if (t.type !== "Debit" || !inRange(t, range)) return;
+    tagsOf(t).forEach((tag) => {
+      const key = tag.toLowerCase();
+      const row = rows.get(key) || { tag, spent: 0, count: 0 };
+      row.spent += Number(t.amount || 0);
+      row.count += 1;
+      rows.set(key, row);
+    });
+  });
+  return [...rows.values()].sort((a, b) => b.spent - a.spent);
+};
+
+export const isReimbursed = (t) => !!t.reimbursedOn;
+
+// Open and settled reimbursable expenses, newest first.
+export const reimbursements = (transactions) => {
+  const items = transactions
+    .filter((t) => t.reimbursable && t.type === "Debit")
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const total = (list) => list.reduce((sum, t) => sum + Number(t.amount || 0), 0);
+  const pending = items.filter((t) => !isReimbursed(t));
+  const paid = items.filter(isReimbursed);
+  return { pending, paid, pendingTotal: total(pending), paidTotal: total(paid) };
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import {
+  cleanTag,
+  addTag,
+  hasTag,
+  knownTags,
+  rankTags,
+  tagReport,
+  reimbursements,
+} from "./tags";
+
+const range = { start: "2026-03-01", end: "2026-03-31" };
+const tx = (fields) => ({ type: "Debit", category: "Food", amount: 10, date: "2026-03-05", ...fields });
+
+describe("addTag", () => {
+  it("cleans the input and ignores repeats in any case", () => {
+    expect(cleanTag("  #Goa   trip 2026 ")).toBe("Goa trip 2026");
+    expect(addTag(["Goa trip 2026"], "#goa trip 2026")).toEqual(["Goa trip 2026"]);
+    expect(addTag(["Goa trip 2026"], " office ")).toEqual(["Goa trip 2026", "office"]);
+    expect(addTag([], "  ")).toEqual([]);
+    expect(hasTag(tx({ tags: ["Office"] }), "office")).toBe(true);
+  });
+});
+
+describe("knownTags", () => {
+  it("lists tags by use, keeping the first spelling", () => {
+    const list = [tx({ tags: ["Office", "goa"] }), tx({ tags: ["office"] }), tx({})];
+    expect(knownTags(list)).toEqual(["Office", "goa"]);
+  });
+});
+
+describe("rankTags", () => {
+  it("ranks stored counts, merging spellings that differ in case", () => {
+    expect(rankTags({ goa: 1, Office: 2, office: 1, trip: 3 })).toEqual(["Office", "trip", "goa"]);
+  });
+});
+
+describe("tagReport", () => {
+  it("totals expenses per tag across categories inside the range", () => {
+    const list = [
+      tx({ tags: ["Goa"], amount: 100 }),
+      tx({ tags: ["Goa", "office"], category: "Travel", amount: 250 }),
+      tx({ tags: ["goa"], amount: 40, date: "2026-04-02" }),
+      tx({ tags: ["Goa"], type: "Credit", amount: 500 }),
+    ];
+    expect(tagReport(list, range)).toEqual([
+      { tag: "Goa", spent: 350, count: 2 },
+      { tag: "office", spent: 250, count: 1 },
+    ]);
+  });
+});
+
+describe("reimbursements", () => {
+  it("separates what is still owed from what has been paid back", () => {
+    const list = [
+      tx({ id: "a", reimbursable: true, amount: 30 }),
+      tx({ id: "b", reimbursable: true, amount: 20, reimbursedOn: "2026-03-10", date: "2026-03-01" }),
+      tx({ id: "c", amount: 99 }),
+    ];
+    const r = reimbursements(list);
+    expect(r.pending.map((t) => t.id)).toEqual(["a"]);
+    expect(r.paid.map((t) => t.id)).toEqual(["b"]);
+    expect(r).toMatchObject({ pendingTotal: 30, paidTotal: 20 });
+  });
+});
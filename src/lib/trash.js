@@ -0,0 +1,24 @@
+// --- TRASH ---
+// Deleted transactions move to a `trash` collection under the same id,
+// stamped with `deletedAt`, and leave the month summaries once they are
+// settled (see lib/summaries.js), so totals never include them. They can be restored until they are purged,
+// by hand or automatically once TRASH_DAYS have passed.
+
+export const TRASH_DAYS = 30;
+
+const DAY = 86400000;
+
+// Trashed before this moment means due for purging.
+export const purgeBefore = (now) => now - TRASH_DAYS * DAY;
+
+export const daysLeft = (item, now) =>
+  Math.max(0, Math.ceil((item.deletedAt + TRASH_DAYS * DAY - now) / DAY));
+
+// The stored record without its trash stamps.
+export const untrashed = (item) => {
+  const fields = { ...item };
+  delete fields.id;
+  delete fields.deletedAt;
+  delete fields.deletedBy;
+  return fields;
+};
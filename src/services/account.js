@@ -0,0 +1,85 @@
+import {
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  reload,
+  updateProfile,
+  updatePassword,
+  reauthenticateWithCredential,
+  EmailAuthProvider,
+  deleteUser,
+} from "firebase/auth";
+
+// --- ACCOUNT ---
+// The signed-in user's account: registering, signing in, password resets,
+// email verification, profile changes and deletion. Written against any
+// Auth instance so the same code runs on the emulator in tests; the app's
+// instance lives in ./auth.js.
+//
+// `wipe(uid)` removes everything the user keeps in the database; it runs
+// before the account itself is deleted, while the rules still let it.
+export const createAccount = (auth, { wipe = async () => {} } = {}) => {
+  const current = () => {
+    if (!auth.currentUser) throw new Error("Not signed in");
+    return auth.currentUser;
+  };
+
+  // Changing the password or deleting the account needs a fresh sign-in.
+  const confirmPassword = (password) => {
+    const user = current();
+    return reauthenticateWithCredential(
+      user,
+      EmailAuthProvider.credential(user.email, password)
+    );
+  };
+
+  return {
+    // New accounts are sent a verification email straight away. The
+    // account exists once it is created, so a failed send (quota, network)
+    // doesn't fail registration; `verificationSent` says whether it went and
+    // `sendVerification` can try again.
+    register: async (email, password) => {
+      const { user } = await createUserWithEmailAndPassword(auth, email.trim(), password);
+      const verificationSent = await sendEmailVerification(user).then(
+        () => true,
+        (err) => {
+          console.error("Verification email error:", err);
+          return false;
+        }
+      );
+      return { user, verificationSent };
+    },
+
+    signIn: async (email, password) =>
+      (await signInWithEmailAndPassword(auth, email.trim(), password)).user,
+
+    sendPasswordReset: (email) => sendPasswordResetEmail(auth, email.trim()),
+
+    sendVerification: () => sendEmailVerification(current()),
+
+    // Picks up changes made elsewhere, such as a verification link opened
+    // in another tab. Resolves to whether the address is now verified.
+    refresh: async () => {
+      const user = current();
+      await reload(user);
+      // A new ID token carries email_verified to the security rules.
+      await user.getIdToken(true);
+      return user.emailVerified;
+    },
+
+    updateDisplayName: (name) => updateProfile(current(), { displayName: name.trim() }),
+
+    changePassword: async (currentPassword, nextPassword) => {
+      await confirmPassword(currentPassword);
+      await updatePassword(current(), nextPassword);
+    },
+
+    deleteAccount: async (password) => {
+      await confirmPassword(password);
+      const user = current();
+      await wipe(user.uid);
+      await deleteUser(user);
+    },
+  };
+};
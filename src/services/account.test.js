@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterAll } from "vitest";
+import { initializeApp, deleteApp } from "firebase/app";
+import { getAuth, connectAuthEmulator, signOut } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { createAccount } from "./account";
+import { createLedger } from "./ledger";
+import { createFirestoreStore } from "./store/firestore";
+import { authErrorMessage } from "../lib/authErrors";
+
+// Against the Auth (9099) and Firestore emulators; run with
+// `npm run test:emulators`.
+
+const PASSWORD = "secret-password";
+
+describe.skipIf(!process.env.FIREBASE_AUTH_EMULATOR_HOST)("account on the emulator", () => {
+  let app, auth, ledger, account, email, registered;
+
+  beforeEach(async () => {
+    if (!app) {
+      app = initializeApp({ projectId: "demo-ledger", apiKey: "demo-key" }, "account-test");
+      auth = getAuth(app);
+      connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, {
+        disableWarnings: true,
+      });
+      const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(":");
+      connectFirestoreEmulator(getFirestore(app), host, Number(port));
+      ledger = createLedger(createFirestoreStore(getFirestore(app), "test-app"), {
+        author: () => auth.currentUser?.uid || null,
+      });
+      account = createAccount(auth, { wipe: (uid) => ledger.wipe(uid) });
+    }
+    email = `account-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`;
+    registered = await account.register(email, PASSWORD);
+  });
+
+  afterAll(() => app && deleteApp(app));
+
+  const failure = async (promise) => {
+    try {
+      await promise;
+    } catch (err) {
+      return authErrorMessage(err);
+    }
+    throw new Error("expected a rejection");
+  };
+
+  it("registers unverified and signs back in", async () => {
+    expect(auth.currentUser.email).toBe(email);
+    expect(registered).toMatchObject({ user: { email }, verificationSent: true });
+    expect(await account.refresh()).toBe(false);
+    await signOut(auth);
+    expect(await failure(account.signIn(email, "not-it"))).toBe("Email or password is incorrect");
+    expect((await account.signIn(email, PASSWORD)).email).toBe(email);
+  });
+
+  it("refuses a second account for the same address", async () => {
+    await signOut(auth);
+    expect(await failure(account.register(email, PASSWORD))).toMatch(/already exists/);
+  });
+
+  it("sends password reset emails", async () => {
+    await expect(account.sendPasswordReset(email)).resolves.toBeUndefined();
+  });
+
+  it("changes the display name and, with the current password, the password", async () => {
+    await account.updateDisplayName("  Asha ");
+    expect(auth.currentUser.displayName).toBe("Asha");
+
+    expect(await failure(account.changePassword("not-it", "new-password"))).toBe(
+      "Email or password is incorrect"
+    );
+    await account.changePassword(PASSWORD, "new-password");
+    await signOut(auth);
+    expect((await account.signIn(email, "new-password")).email).toBe(email);
+  });
+
+  it("wipes the ledger before deleting the account", async () => {
+    const uid = auth.currentUser.uid;
+    await ledger.add(uid, { type: "Debit", category: "Food", amount: 5, date: "2024-03-04" });
+    let left;
+    const closing = createAccount(auth, {
+      wipe: async (id) => {
+        await ledger.wipe(id);
+        left = await ledger.fetch(id);
+      },
+    });
+
+    expect(await failure(closing.deleteAccount("not-it"))).toBe("Email or password is incorrect");
+    expect(await ledger.fetch(uid)).toHaveLength(1);
+
+    await closing.deleteAccount(PASSWORD);
+    expect(left).toEqual([]);
+    expect(auth.currentUser).toBeNull();
+    expect(await failure(account.signIn(email, PASSWORD))).toBe("Email or password is incorrect");
+  });
+});
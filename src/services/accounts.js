@@ -0,0 +1,69 @@
+import { todayISO } from "../lib/reports";
+
+// --- ACCOUNTS ---
+// Bank accounts, cards and wallets a ledger's entries are booked to.
+// `ledger` is the instance from ./ledger.js written through the same
+// store; the app's lives in ./data.js.
+export const createAccounts = (store, ledger) => {
+  const accountPath = (uid, id) => ["users", uid, "accounts", id];
+
+  const createAccount = async (uid, fields) => {
+    const id = store.id();
+    await store.commit([
+      {
+        type: "set",
+        path: accountPath(uid, id),
+        data: {
+          archived: false,
+          ...fields,
+          openingBalance: Number(fields.openingBalance || 0),
+          createdAt: Date.now(),
+        },
+      },
+    ]);
+    return id;
+  };
+
+  const updateAccount = (uid, id, changes) =>
+    store.commit([{ type: "update", path: accountPath(uid, id), data: changes }]);
+
+  // Marks an account as agreeing with a statement balance. A non-zero
+  // `difference` is booked as an Adjustment on the account in the same
+  // batch, so the balance matches the statement afterwards.
+  const reconcileAccount = (uid, account, statementBalance, difference) => {
+    const writes = [];
+    if (difference) {
+      const adjustment = {
+        type: "Adjustment",
+        category: "Reconciliation",
+        subcategory: null,
+        amount: difference,
+        accountId: account.id,
+        date: todayISO(),
+        note: `Reconciled to statement balance ${statementBalance}`,
+        payee: "",
+        createdAt: Date.now(),
+      };
+      const id = store.id();
+      writes.push(
+        {
+          type: "set",
+          path: ledger.entryPath(uid, id),
+          data: { ...ledger.authored(adjustment), pending: true },
+        },
+        ledger.auditWrite(uid, "created", { id, ...adjustment })
+      );
+    }
+    writes.push({
+      type: "update",
+      path: accountPath(uid, account.id),
+      data: { reconciledAt: Date.now(), reconciledBalance: Number(statementBalance) },
+    });
+    return store.commit(writes);
+  };
+
+  const subscribeAccounts = (uid, onRows, onError) =>
+    store.watch(["users", uid, "accounts"], {}, onRows, onError);
+
+  return { createAccount, updateAccount, reconcileAccount, subscribeAccounts };
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createLedger } from "./ledger";
+import { createAccounts } from "./accounts";
+import { createMemoryStore } from "./store/memory";
+
+describe("accounts", () => {
+  let store, ledger, accounts;
+  beforeEach(() => {
+    store = createMemoryStore();
+    ledger = createLedger(store, { author: () => "owner" });
+    accounts = createAccounts(store, ledger);
+  });
+
+  it("books a reconciliation difference as an adjustment in the same write", async () => {
+    const id = await accounts.createAccount("owner", { name: "Bank", openingBalance: "100" });
+    expect(await store.get(["users", "owner", "accounts", id])).toMatchObject({
+      name: "Bank",
+      openingBalance: 100,
+      archived: false,
+    });
+
+    await accounts.reconcileAccount("owner", { id }, 90, -10);
+    const stats = await ledger.aggregate("owner");
+    expect(stats.accountNet).toEqual({ [id]: -10 });
+    expect(stats).toMatchObject({ totalCredit: 0, totalDebit: 0 });
+    expect(await store.get(["users", "owner", "accounts", id])).toMatchObject({
+      reconciledBalance: 90,
+    });
+    const audit = await store.list(["users", "owner", "audit"]);
+    expect(audit).toEqual([expect.objectContaining({ action: "created", by: "owner" })]);
+  });
+
+  it("only marks the account when the statement already agrees", async () => {
+    const id = await accounts.createAccount("owner", { name: "Cash" });
+    await accounts.reconcileAccount("owner", { id }, 0, 0);
+    expect(await store.list(["users", "owner", "transactions"])).toEqual([]);
+    expect(await store.get(["users", "owner", "accounts", id])).toMatchObject({
+      reconciledBalance: 0,
+    });
+  });
+});
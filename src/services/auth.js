@@ -0,0 +1,34 @@
+import { onAuthStateChanged, signInWithCustomToken, signOut as firebaseSignOut } from "firebase/auth";
+import { auth } from "../firebase";
+import { createAccount } from "./account";
+import { ledger, forgetMember } from "./data";
+
+// Calls `onUser` with the signed-in user (or null) now and on every change.
+export const watchAuth = (onUser) => onAuthStateChanged(auth, onUser);
+
+// A server-issued custom token in VITE_INITIAL_AUTH_TOKEN signs in
+// automatically; without one this does nothing.
+export const signInWithInitialToken = async () => {
+  const token = import.meta.env.VITE_INITIAL_AUTH_TOKEN;
+  if (token) await signInWithCustomToken(auth, token);
+};
+
+// Deleting an account takes the user's own ledger and their place in any
+// household with it.
+export const {
+  register,
+  signIn,
+  sendPasswordReset,
+  sendVerification,
+  refresh: refreshUser,
+  updateDisplayName,
+  changePassword,
+  deleteAccount,
+} = createAccount(auth, {
+  wipe: async (uid) => {
+    await forgetMember(uid);
+    await ledger.wipe(uid);
+  },
+});
+
+export const signOut = () => firebaseSignOut(auth);
@@ -0,0 +1,50 @@
+import { BACKUP_COLLECTIONS } from "../lib/exporter";
+
+// --- BACKUP ---
+// Reading a ledger out for a backup file and restoring one into it.
+// `ledger` is the instance from ./ledger.js written through the same
+// store; the app's lives in ./data.js.
+export const createBackup = (store, ledger) => {
+  const fetchBackupCollections = async (uid) => {
+    const entries = await Promise.all(
+      BACKUP_COLLECTIONS.map(async (name) => [name, await store.list(["users", uid, name])])
+    );
+    return Object.fromEntries(entries);
+  };
+
+  const idsIn = async (uid, name) => (await store.list(["users", uid, name])).map((d) => d.id);
+
+  // Restores a parsed backup into the signed-in user's ledger. Documents
+  // keep their original ids and any id that already exists is left alone,
+  // so the same backup can be restored twice (or into a ledger it came
+  // from) without creating duplicates. Transactions sitting in the trash
+  // count as existing too; restoring one from there would otherwise meet
+  // its twin. Returns counts of what was added.
+  const restoreBackup = async (uid, backup) => {
+    const existingTx = new Set([
+      ...(await idsIn(uid, "transactions")),
+      ...(await idsIn(uid, "trash")),
+    ]);
+    const newTx = backup.transactions.filter((t) => !existingTx.has(t.id));
+
+    await ledger.bulkAdd(uid, newTx);
+
+    const counts = { transactions: newTx.length };
+    for (const name of BACKUP_COLLECTIONS) {
+      const docs = backup.collections[name] || [];
+      const existing = new Set(await idsIn(uid, name));
+      const missing = docs.filter((d) => d.id && !existing.has(d.id));
+      await ledger.commitInChunks(
+        missing.map(({ id, ...fields }) => ({
+          type: "set",
+          path: ["users", uid, name, id],
+          data: fields,
+        }))
+      );
+      counts[name] = missing.length;
+    }
+    return counts;
+  };
+
+  return { fetchBackupCollections, restoreBackup };
+};
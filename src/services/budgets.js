@@ -0,0 +1,28 @@
+// --- BUDGETS ---
+// Monthly budgets, one document per category id (or OVERALL_BUDGET). The
+// app's instance lives in ./data.js.
+export const createBudgets = (store) => {
+  const budgetPath = (uid, id) => ["users", uid, "budgets", id];
+
+  return {
+    saveBudget: (uid, id, { amount, rollover }) =>
+      store.commit([
+        {
+          type: "set",
+          path: budgetPath(uid, id),
+          data: { amount: Number(amount), rollover: !!rollover, updatedAt: Date.now() },
+        },
+      ]),
+
+    removeBudget: (uid, id) => store.commit([{ type: "delete", path: budgetPath(uid, id) }]),
+
+    // `onBudgets` gets them keyed by category id.
+    subscribeBudgets: (uid, onBudgets, onError) =>
+      store.watch(
+        ["users", uid, "budgets"],
+        {},
+        (rows) => onBudgets(Object.fromEntries(rows.map(({ id, ...budget }) => [id, budget]))),
+        onError
+      ),
+  };
+};
@@ -0,0 +1,209 @@
+import { renameInRules, seedCategoryDocs, templateRename } from "../lib/categories";
+import { SPLIT_CATEGORY, renameInSplits } from "../lib/splits";
+import { diffFields } from "../lib/audit";
+import { autoCategoryIdOf } from "../lib/goals";
+
+// --- CATEGORIES ---
+// A ledger's categories, and renames and merges carried through to
+// everything that refers to one by name. `ledger` is the instance from
+// ./ledger.js written through the same store; the app's lives in
+// ./data.js.
+export const createCategories = (store, ledger) => {
+  const categoryPath = (uid, id) => ["users", uid, "categories", id];
+
+  // Gives a new ledger the built-in categories so the Add form is never empty.
+  // Seeds use fixed ids, so two tabs seeding at once write the same documents.
+  const seedCategories = async (uid) => {
+    const existing = await store.list(["users", uid, "categories"], { max: 1 });
+    if (existing.length) return;
+    await ledger.commitInChunks(
+      seedCategoryDocs().map((c) => ({
+        type: "set",
+        path: categoryPath(uid, `${c.type}-${c.name}`.toLowerCase()),
+        data: c,
+      }))
+    );
+  };
+
+  const createCategory = async (uid, fields) => {
+    const id = store.id();
+    await store.commit([
+      {
+        type: "set",
+        path: categoryPath(uid, id),
+        data: { archived: false, parentId: null, ...fields },
+      },
+    ]);
+    return id;
+  };
+
+  // Plain settings changes (icon, colour, archived flag) that do not touch
+  // any transaction.
+  const updateCategory = (uid, id, changes) =>
+    store.commit([{ type: "update", path: categoryPath(uid, id), data: changes }]);
+
+  // Renumbers a list of siblings to match the given id order.
+  const reorderCategories = (uid, ids) =>
+    ledger.commitInChunks(
+      ids.map((id, order) => ({ type: "update", path: categoryPath(uid, id), data: { order } }))
+    );
+
+  // `name` is "transactions" or "trash".
+  const recordsWhere = (uid, name, field, value) =>
+    store.list(["users", uid, name], { filters: [[field, "==", value]] });
+
+  // Records referencing a category (or one of its subcategories) by name.
+  const recordsFor = async (uid, name, category, parent) => {
+    const field = parent ? "subcategory" : "category";
+    const rows = await recordsWhere(uid, name, field, category.name);
+    return rows.filter(
+      (t) => t.type === category.type && (!parent || t.category === parent.name)
+    );
+  };
+
+  // Rewrites fields of a record, logging the edit in the audit trail like
+  // any other. A trashed record's trail ends at its deletion, so its
+  // rewrite goes unlogged.
+  const rewrite = (uid, name, t, changes) =>
+    name === "trash"
+      ? [{ type: "update", path: ledger.trashPath(uid, t.id), data: changes }]
+      : [
+          { type: "update", path: ledger.entryPath(uid, t.id), data: changes },
+          ledger.auditWrite(uid, "edited", t, diffFields(t, changes)),
+        ];
+
+  // Split records carry their categories on the lines instead, so each one
+  // that uses the name gets its lines rewritten.
+  const splitUpdates = async (uid, name, category, newName, parent) => {
+    const rows = await recordsWhere(uid, name, "category", SPLIT_CATEGORY);
+    return rows.flatMap((t) => {
+      if (t.type !== category.type || !Array.isArray(t.splits)) return [];
+      const splits = renameInSplits(t.splits, category.name, newName, parent?.name);
+      if (splits.every((s, i) => s === t.splits[i])) return [];
+      return rewrite(uid, name, t, { splits });
+    });
+  };
+
+  // Every record in collection `name` that files under `category`, moved
+  // to `newName`. `moved` counts those that name it directly.
+  const recordUpdates = async (uid, name, category, newName, parent) => {
+    const docs = await recordsFor(uid, name, category, parent);
+    const field = parent ? "subcategory" : "category";
+    return {
+      moved: docs.length,
+      writes: [
+        ...docs.flatMap((t) => rewrite(uid, name, t, { [field]: newName })),
+        ...(await splitUpdates(uid, name, category, newName, parent)),
+      ],
+    };
+  };
+
+  // Renamed in the ledger and in the trash alike.
+  const allRecordUpdates = async (uid, category, newName, parent) => {
+    const [live, trashed] = await Promise.all([
+      recordUpdates(uid, "transactions", category, newName, parent),
+      recordUpdates(uid, "trash", category, newName, parent),
+    ]);
+    return { moved: live.moved, writes: [...live.writes, ...trashed.writes] };
+  };
+
+  // Recurring templates, keyword rules and loans store the name as well;
+  // left alone they would keep posting to (and suggesting) a category that
+  // is gone.
+  const settingUpdates = async (uid, category, newName, parent) => {
+    const rulesPath = ["users", uid, "settings", "categoryRules"];
+    const [templates, settings, loans] = await Promise.all([
+      store.list(["users", uid, "recurring"]),
+      store.get(rulesPath),
+      // Loan payments are expenses, filed under a top-level category.
+      parent || category.type !== "Debit"
+        ? []
+        : store.list(["users", uid, "loans"], { filters: [["category", "==", category.name]] }),
+    ]);
+    const writes = templates.flatMap((t) => {
+      const changes = templateRename(t, category.type, category.name, newName, parent?.name);
+      return changes
+        ? [{ type: "update", path: ["users", uid, "recurring", t.id], data: changes }]
+        : [];
+    });
+    const rules = settings?.rules || [];
+    const renamed = parent ? rules : renameInRules(rules, category.type, category.name, newName);
+    if (renamed !== rules) {
+      writes.push({
+        type: "update",
+        path: rulesPath,
+        data: { rules: renamed, updatedAt: Date.now() },
+      });
+    }
+    loans.forEach((l) =>
+      writes.push({
+        type: "update",
+        path: ["users", uid, "loans", l.id],
+        data: { category: newName },
+      })
+    );
+    return writes;
+  };
+
+  // Renames a category and rewrites every transaction (trashed ones too),
+  // recurring template, keyword rule and loan that uses the old name.
+  // Summaries are keyed by name too, so they are rebuilt afterwards.
+  const renameCategory = async (uid, category, newName, parent = null) => {
+    const records = await allRecordUpdates(uid, category, newName, parent);
+    await ledger.commitInChunks([
+      { type: "update", path: categoryPath(uid, category.id), data: { name: newName } },
+      ...records.writes,
+      ...(await settingUpdates(uid, category, newName, parent)),
+    ]);
+    if (!parent) await ledger.rebuildSummaries(uid);
+  };
+
+  // Goals keep their income category by id; those fed by `source` move on to
+  // `target`.
+  const goalUpdates = async (uid, source, target) => {
+    const goals = await store.list(["users", uid, "goals"]);
+    return goals
+      .filter((g) => autoCategoryIdOf(g) === source.id)
+      .map((g) => ({
+        type: "update",
+        path: ["users", uid, "goals", g.id],
+        data: { autoCategoryId: target.id },
+      }));
+  };
+
+  // Moves all transactions (trashed ones too), recurring templates, keyword
+  // rules, loans and goals of `source` into `target`, re-parents its
+  // subcategories and removes it along with its budget. Only top-level
+  // categories of the same type can be merged. Returns how many live
+  // records moved.
+  const mergeCategory = async (uid, source, target, subcategories) => {
+    const records = await allRecordUpdates(uid, source, target.name, null);
+    await ledger.commitInChunks([
+      ...records.writes,
+      ...(await settingUpdates(uid, source, target.name, null)),
+      ...(await goalUpdates(uid, source, target)),
+      ...subcategories.map((s) => ({
+        type: "update",
+        path: categoryPath(uid, s.id),
+        data: { parentId: target.id },
+      })),
+      { type: "delete", path: categoryPath(uid, source.id) },
+      { type: "delete", path: ["users", uid, "budgets", source.id] },
+    ]);
+    await ledger.rebuildSummaries(uid);
+    return records.moved;
+  };
+
+  const subscribeCategories = (uid, onRows, onError) =>
+    store.watch(["users", uid, "categories"], {}, onRows, onError);
+
+  return {
+    seedCategories,
+    createCategory,
+    updateCategory,
+    reorderCategories,
+    renameCategory,
+    mergeCategory,
+    subscribeCategories,
+  };
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createLedger } from "./ledger";
+import { createCategories } from "./categories";
+import { createMemoryStore } from "./store/memory";
+
+const uid = "owner";
+
+const food = (fields) => ({
+  type: "Debit",
+  category: "Food",
+  amount: 10,
+  date: "2024-03-04",
+  createdAt: 1,
+  ...fields,
+});
+
+describe("categories", () => {
+  let store, ledger, categories;
+  beforeEach(() => {
+    store = createMemoryStore();
+    ledger = createLedger(store, { author: () => uid });
+    categories = createCategories(store, ledger);
+  });
+
+  const trashed = async () => (await store.list(["users", uid, "trash"])).map((t) => [t.id, t]);
+
+  it("renames trashed records and loans too, so a restore lands under the new name", async () => {
+    const id = await categories.createCategory(uid, { type: "Debit", name: "Food" });
+    const kept = await ledger.add(uid, food());
+    const gone = await ledger.add(uid, food({ amount: 4 }));
+    const split = await ledger.add(
+      uid,
+      food({
+        category: "Split",
+        amount: 9,
+        splits: [
+          { category: "Food", amount: 6 },
+          { category: "Fuel", amount: 3 },
+        ],
+      })
+    );
+    await store.commit([
+      { type: "set", path: ["users", uid, "loans", "car"], data: { category: "Food" } },
+    ]);
+    await ledger.remove(uid, { id: gone, ...food({ amount: 4 }) });
+    const splitRecord = await store.get(ledger.entryPath(uid, split));
+    await ledger.remove(uid, { id: split, ...splitRecord });
+
+    await categories.renameCategory(uid, { id, type: "Debit", name: "Food" }, "Groceries");
+
+    const inTrash = Object.fromEntries(await trashed());
+    expect(inTrash[gone].category).toBe("Groceries");
+    expect(inTrash[split].splits.map((s) => s.category)).toEqual(["Groceries", "Fuel"]);
+    expect(await store.get(["users", uid, "loans", "car"])).toEqual({ category: "Groceries" });
+
+    await ledger.restore(uid, { id: gone, ...inTrash[gone] });
+    expect(await store.get(ledger.entryPath(uid, gone))).toMatchObject({ category: "Groceries" });
+    expect(await store.get(ledger.entryPath(uid, kept))).toMatchObject({ category: "Groceries" });
+    expect((await ledger.aggregate(uid)).byType.Debit).toEqual({ Groceries: 14 });
+  });
+
+  it("merges trashed records into the target and counts only live ones", async () => {
+    const source = { id: "snacks", type: "Debit", name: "Snacks" };
+    const target = { id: "food", type: "Debit", name: "Food" };
+    await ledger.add(uid, food({ category: "Snacks" }));
+    const gone = await ledger.add(uid, food({ category: "Snacks" }));
+    await ledger.remove(uid, { id: gone, ...food({ category: "Snacks" }) });
+
+    expect(await categories.mergeCategory(uid, source, target, [])).toBe(1);
+    expect(Object.fromEntries(await trashed())[gone].category).toBe("Food");
+  });
+});
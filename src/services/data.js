@@ -0,0 +1,125 @@
+import { appId, auth, db } from "../firebase";
+import { createFirestoreStore } from "./store/firestore";
+import { createLedger } from "./ledger";
+import { createSettings } from "./settings";
+import { createBudgets } from "./budgets";
+import { createImporter } from "./importer";
+import { createAccounts } from "./accounts";
+import { createCategories } from "./categories";
+import { createRecurring } from "./recurring";
+import { createLoans } from "./loans";
+import { createGoals } from "./goals";
+import { createBackup } from "./backup";
+import { createHousehold } from "./household";
+import { trackWrite } from "./sync";
+
+// --- DATA LAYER ---
+// The app's data layer: Firestore (or the emulator, see firebase.js), with
+// every batch and transaction counted by the sync badge. Each service is
+// written against the store alone, so it runs on ./store/memory.js in
+// tests; this is where the app's instances are made.
+//
+// A ledger lives under artifacts/{appId}/users/{uid}, keyed by its owner's
+// uid. Household members work in the owner's ledger, so the `uid` passed
+// around the app is the ledger's, not necessarily the signed-in user's.
+const store = createFirestoreStore(db, appId, { track: trackWrite });
+
+export const { whenSynced } = store;
+
+export const ledger = createLedger(store, {
+  author: () => auth.currentUser?.uid || null,
+});
+
+export const {
+  add: addTransaction,
+  update: updateTransaction,
+  remove: deleteTransaction,
+  restore: restoreTransaction,
+  purge: purgeTrash,
+  purgeExpired: purgeExpiredTrash,
+  subscribeTrash,
+  subscribeDebts,
+  subscribeLoanPayments,
+  subscribeReimbursables,
+  subscribeSince,
+  subscribeEnteredSince,
+  subscribeRange,
+  subscribeActivity,
+  subscribeAudit,
+  bulkAdd: bulkAddTransactions,
+  fetch: fetchTransactions,
+  subscribe: subscribeTransactions,
+  subscribeSummaries,
+  subscribePending,
+  settlePending,
+  summariesAreCurrent,
+  rebuildSummaries,
+} = ledger;
+
+const settings = createSettings(store);
+
+export const { saveSettings, saveExchangeRates, subscribeSettings } = settings;
+
+export const { saveBudget, removeBudget, subscribeBudgets } = createBudgets(store);
+
+export const {
+  saveCategoryRules,
+  saveImportProfile,
+  deleteImportProfile,
+  subscribeImportProfiles,
+} = createImporter(store, settings);
+
+export const { createAccount, updateAccount, reconcileAccount, subscribeAccounts } =
+  createAccounts(store, ledger);
+
+export const {
+  seedCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  renameCategory,
+  mergeCategory,
+  subscribeCategories,
+} = createCategories(store, ledger);
+
+export const { createTemplate, updateTemplate, generateDueTransactions, subscribeTemplates } =
+  createRecurring(store, ledger);
+
+export const {
+  subscribeLoans,
+  createLoan,
+  updateLoan,
+  deleteLoan,
+  payInstallment,
+  recordPrepayment,
+  linkInstallment,
+} = createLoans(store, ledger);
+
+export const {
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution,
+  saveAutoContributions,
+  subscribeGoals,
+  subscribeContributions,
+} = createGoals(store, ledger);
+
+export const { fetchBackupCollections, restoreBackup } = createBackup(store, ledger);
+
+export const {
+  claimOwnLedger,
+  inviteMember,
+  revokeInvite,
+  acceptInvite,
+  changeRole,
+  removeMember,
+  leaveHousehold,
+  forgetMember,
+  subscribeMembership,
+  subscribeMember,
+  subscribeMembers,
+  subscribeInvite,
+  subscribeInvites,
+} = createHousehold(store);
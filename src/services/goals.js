@@ -0,0 +1,71 @@
+// --- GOALS ---
+// Savings goals and the contributions set aside for them. `ledger` is the
+// instance from ./ledger.js written through the same store; the app's
+// lives in ./data.js.
+export const createGoals = (store, ledger) => {
+  const goalPath = (uid, id) => ["users", uid, "goals", id];
+  const contributionPath = (uid, id) => ["users", uid, "goalContributions", id];
+
+  const createGoal = async (uid, fields) => {
+    const id = store.id();
+    await store.commit([
+      { type: "set", path: goalPath(uid, id), data: { ...fields, createdAt: Date.now() } },
+    ]);
+    return id;
+  };
+
+  const updateGoal = (uid, id, changes) =>
+    store.commit([{ type: "update", path: goalPath(uid, id), data: changes }]);
+
+  // Removes a goal along with everything set aside for it, which returns to
+  // the free savings.
+  const deleteGoal = async (uid, id) => {
+    const contributions = await store.list(["users", uid, "goalContributions"], {
+      filters: [["goalId", "==", id]],
+    });
+    await ledger.commitInChunks([
+      ...contributions.map((c) => ({ type: "delete", path: contributionPath(uid, c.id) })),
+      { type: "delete", path: goalPath(uid, id) },
+    ]);
+  };
+
+  const addContribution = (uid, fields) =>
+    store.commit([
+      {
+        type: "set",
+        path: contributionPath(uid, store.id()),
+        data: { ...fields, createdAt: Date.now() },
+      },
+    ]);
+
+  const deleteContribution = (uid, id) =>
+    store.commit([{ type: "delete", path: contributionPath(uid, id) }]);
+
+  // Automatic contributions carry fixed ids, so saving the same one twice
+  // (two open tabs) just writes it again.
+  const saveAutoContributions = (uid, contributions) =>
+    ledger.commitInChunks(
+      contributions.map(({ id, ...fields }) => ({
+        type: "set",
+        path: contributionPath(uid, id),
+        data: { ...fields, createdAt: Date.now() },
+      }))
+    );
+
+  const subscribeGoals = (uid, onRows, onError) =>
+    store.watch(["users", uid, "goals"], {}, onRows, onError);
+
+  const subscribeContributions = (uid, onRows, onError) =>
+    store.watch(["users", uid, "goalContributions"], {}, onRows, onError);
+
+  return {
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    addContribution,
+    deleteContribution,
+    saveAutoContributions,
+    subscribeGoals,
+    subscribeContributions,
+  };
+};
@@ -0,0 +1,130 @@
+import { OWNER, normalizeEmail } from "../lib/household";
+
+// --- HOUSEHOLD ---
+// Documents involved:
+//   users/{ledgerId}/members/{uid}  { email, role, joinedAt } — the owner too
+//   invites/{email}                 { email, ledgerId, role, invitedBy, ... }
+//   memberships/{uid}               { ledgerId } — the ledger a member works in
+//
+// The app's instance lives in ./data.js.
+export const createHousehold = (store) => {
+  const memberPath = (ledgerId, uid) => ["users", ledgerId, "members", uid];
+  const invitePath = (email) => ["invites", email];
+  const membershipPath = (uid) => ["memberships", uid];
+
+  // The owner's own entry, so their name shows up next to what they enter.
+  const claimOwnLedger = async (user) => {
+    const path = memberPath(user.uid, user.uid);
+    if (await store.get(path)) return;
+    await store.commit([
+      {
+        type: "set",
+        path,
+        data: { email: normalizeEmail(user.email), role: OWNER, joinedAt: Date.now() },
+      },
+    ]);
+  };
+
+  // One open invite per address; inviting again replaces it.
+  const inviteMember = (ledgerId, inviter, email, role) =>
+    store.commit([
+      {
+        type: "set",
+        path: invitePath(normalizeEmail(email)),
+        data: {
+          email: normalizeEmail(email),
+          ledgerId,
+          role,
+          invitedBy: inviter.uid,
+          invitedByEmail: inviter.email || "",
+          createdAt: Date.now(),
+        },
+      },
+    ]);
+
+  const revokeInvite = (email) => store.commit([{ type: "delete", path: invitePath(email) }]);
+
+  // Joins the inviting ledger. The server only accepts the member document
+  // while a matching invite for the user's verified address exists, so all
+  // three writes go in one batch.
+  const acceptInvite = (user, invite) =>
+    store.commit([
+      {
+        type: "set",
+        path: memberPath(invite.ledgerId, user.uid),
+        data: { email: normalizeEmail(user.email), role: invite.role, joinedAt: Date.now() },
+      },
+      { type: "set", path: membershipPath(user.uid), data: { ledgerId: invite.ledgerId } },
+      { type: "delete", path: invitePath(invite.id) },
+    ]);
+
+  const changeRole = (ledgerId, memberId, role) =>
+    store.commit([{ type: "update", path: memberPath(ledgerId, memberId), data: { role } }]);
+
+  const removeMember = (ledgerId, memberId) =>
+    store.commit([{ type: "delete", path: memberPath(ledgerId, memberId) }]);
+
+  // Back to the user's own ledger. Also used to drop a membership pointer
+  // once the member has been removed.
+  const leaveHousehold = (ledgerId, uid) =>
+    store.commit([
+      ...(ledgerId ? [{ type: "delete", path: memberPath(ledgerId, uid) }] : []),
+      { type: "delete", path: membershipPath(uid) },
+    ]);
+
+  // Clears a closing account out of every household: its entry in the
+  // ledger it joined, its membership pointer and the invites its own
+  // ledger sent.
+  const forgetMember = async (uid) => {
+    const ledgerId = (await store.get(membershipPath(uid)))?.ledgerId;
+    const invites = await store.list(["invites"], { filters: [["ledgerId", "==", uid]] });
+    await store.commit([
+      ...(ledgerId && ledgerId !== uid
+        ? [{ type: "delete", path: memberPath(ledgerId, uid) }]
+        : []),
+      { type: "delete", path: membershipPath(uid) },
+      ...invites.map((i) => ({ type: "delete", path: invitePath(i.id) })),
+    ]);
+  };
+
+  // The ledger `uid` works in, from their membership pointer; `onData`
+  // gets null while they have none.
+  const subscribeMembership = (uid, onData, onError) =>
+    store.watchDoc(membershipPath(uid), onData, onError);
+
+  // One member's entry in a ledger; null once they have been removed.
+  const subscribeMember = (ledgerId, uid, onData, onError) =>
+    store.watchDoc(memberPath(ledgerId, uid), onData, onError);
+
+  const subscribeMembers = (ledgerId, onRows, onError) =>
+    store.watch(["users", ledgerId, "members"], {}, onRows, onError);
+
+  // The open invite for an address, with its id; null while there is none.
+  const subscribeInvite = (email, onInvite, onError) =>
+    store.watchDoc(
+      invitePath(normalizeEmail(email)),
+      (data) => onInvite(data && { id: normalizeEmail(email), ...data }),
+      onError
+    );
+
+  // Open invites a ledger has sent (admins only; the rules hide them
+  // otherwise).
+  const subscribeInvites = (ledgerId, onRows, onError) =>
+    store.watch(["invites"], { filters: [["ledgerId", "==", ledgerId]] }, onRows, onError);
+
+  return {
+    claimOwnLedger,
+    inviteMember,
+    revokeInvite,
+    acceptInvite,
+    changeRole,
+    removeMember,
+    leaveHousehold,
+    forgetMember,
+    subscribeMembership,
+    subscribeMember,
+    subscribeMembers,
+    subscribeInvite,
+    subscribeInvites,
+  };
+};
@@ -0,0 +1,185 @@
+import { readFileSync } from "node:fs";
+import { describe, it, beforeAll, beforeEach, afterAll } from "vitest";
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from "@firebase/rules-unit-testing";
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  increment,
+  serverTimestamp,
+  writeBatch,
+} from "firebase/firestore";
+
+// firestore.rules against the emulator; run with `npm run test:emulators`.
+
+const APP = "test-app";
+const ledger = (...path) => ["artifacts", APP, "users", "owner", ...path].join("/");
+
+const members = {
+  viewer: { role: "viewer", email: "viewer@example.com" },
+  kid: { role: "contributor", email: "kid@example.com" },
+  partner: { role: "admin", email: "partner@example.com" },
+};
+
+const entry = (createdBy) => ({
+  type: "Debit",
+  category: "Food",
+  amount: 5,
+  date: "2024-03-04",
+  createdBy,
+  pending: true,
+});
+
+// A record an admin's client has already folded into the month totals.
+const settled = (createdBy) => ({
+  ...entry(createdBy),
+  pending: false,
+  counted: { type: "Debit", amount: 5, date: "2024-03-04", category: "Food" },
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)("firestore.rules", () => {
+  let env;
+  const as = (uid, token = {}) =>
+    (uid ? env.authenticatedContext(uid, token) : env.unauthenticatedContext()).firestore();
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: "demo-ledger",
+      firestore: { rules: readFileSync(new URL("../../firestore.rules", import.meta.url), "utf8") },
+    });
+  });
+
+  afterAll(() => env?.cleanup());
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, ledger("members", "owner")), { role: "owner", email: "owner@example.com" });
+      for (const [uid, member] of Object.entries(members)) {
+        await setDoc(doc(db, ledger("members", uid)), member);
+      }
+      await setDoc(doc(db, ledger("transactions", "mine")), settled("kid"));
+      await setDoc(doc(db, ledger("transactions", "theirs")), entry("partner"));
+    });
+  });
+
+  it("keeps strangers and signed-out visitors out", async () => {
+    await assertFails(getDoc(doc(as("stranger"), ledger("transactions", "mine"))));
+    await assertFails(getDoc(doc(as(null), ledger("transactions", "mine"))));
+  });
+
+  it("lets viewers read but not write", async () => {
+    const db = as("viewer");
+    await assertSucceeds(getDoc(doc(db, ledger("transactions", "mine"))));
+    await assertFails(setDoc(doc(db, ledger("transactions", "new")), entry("viewer")));
+  });
+
+  it("lets contributors add and change only their own entries", async () => {
+    const db = as("kid");
+    await assertSucceeds(setDoc(doc(db, ledger("transactions", "new")), entry("kid")));
+    await assertFails(setDoc(doc(db, ledger("transactions", "forged")), entry("partner")));
+    await assertFails(
+      setDoc(doc(db, ledger("transactions", "padded")), { ...settled("kid"), pending: true })
+    );
+    const mine = doc(db, ledger("transactions", "mine"));
+    await assertSucceeds(updateDoc(mine, { amount: 6, pending: true }));
+    await assertFails(updateDoc(mine, { amount: 7, pending: false }));
+    await assertFails(updateDoc(mine, { counted: null, pending: true }));
+    await assertFails(updateDoc(doc(db, ledger("transactions", "theirs")), { amount: 6 }));
+    await assertFails(deleteDoc(mine));
+    await assertFails(deleteDoc(doc(db, ledger("transactions", "theirs"))));
+    await assertFails(setDoc(doc(db, ledger("categories", "c1")), { name: "Toys" }));
+  });
+
+  it("lets contributors trash and restore only their own entries", async () => {
+    const db = as("kid");
+    const move = (from, to, data) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, ledger(from, "mine")));
+      batch.set(doc(db, ledger(to, "mine")), data);
+      return batch.commit();
+    };
+    await assertFails(move("transactions", "trash", entry("kid")));
+    await assertSucceeds(move("transactions", "trash", { ...settled("kid"), pending: true }));
+    await assertFails(setDoc(doc(db, ledger("trash", "theirs")), entry("partner")));
+    // Its totals are still counted, so it can't be purged before an admin settles it.
+    await assertFails(deleteDoc(doc(db, ledger("trash", "mine"))));
+    await assertSucceeds(move("trash", "transactions", { ...settled("kid"), pending: true }));
+  });
+
+  it("lets admins manage entries and settings but not make admins", async () => {
+    const db = as("partner");
+    await assertSucceeds(deleteDoc(doc(db, ledger("transactions", "mine"))));
+    await assertSucceeds(setDoc(doc(db, ledger("categories", "c1")), { name: "Toys" }));
+    await assertSucceeds(updateDoc(doc(db, ledger("members", "viewer")), { role: "contributor" }));
+    await assertFails(updateDoc(doc(db, ledger("members", "kid")), { role: "admin" }));
+    await assertFails(deleteDoc(doc(db, ledger("members", "owner"))));
+  });
+
+  it("keeps the audit log append-only, signed and stamped by the server", async () => {
+    const log = { transactionId: "mine", action: "edited", at: serverTimestamp(), changes: [] };
+    const kid = as("kid");
+    let amount = 5;
+    // Edits "mine" and logs `entry` in the same batch.
+    const edit = (id, entry) => {
+      const batch = writeBatch(kid);
+      batch.update(doc(kid, ledger("transactions", "mine")), { amount: ++amount, pending: true });
+      batch.set(doc(kid, ledger("audit", id)), entry);
+      return batch.commit();
+    };
+    await assertSucceeds(edit("a1", { ...log, by: "kid" }));
+    await assertFails(edit("a2", { ...log, by: "partner" }));
+    await assertFails(edit("a3", { ...log, by: "kid", at: 1 }));
+    await assertFails(edit("a4", { ...log, by: "kid", action: "deleted" }));
+    // An entry for a change nobody made.
+    await assertFails(setDoc(doc(kid, ledger("audit", "a5")), { ...log, by: "kid" }));
+    await assertFails(setDoc(doc(as("viewer"), ledger("audit", "a6")), { ...log, by: "viewer" }));
+    await assertFails(updateDoc(doc(kid, ledger("audit", "a1")), { action: "created" }));
+    await assertFails(deleteDoc(doc(as("partner"), ledger("audit", "a1"))));
+    await assertSucceeds(deleteDoc(doc(as("owner"), ledger("audit", "a1"))));
+  });
+
+  it("keeps month totals to admins", async () => {
+    const month = ledger("summaries", "2024-03");
+    const kid = as("kid");
+    const bump = { month: "2024-03", expense: increment(5), count: increment(1) };
+    await assertFails(setDoc(doc(kid, month), bump, { merge: true }));
+    await assertFails(setDoc(doc(kid, month), { month: "2024-03", income: 1e6, expense: 0 }));
+    await assertFails(setDoc(doc(as("viewer"), month), bump, { merge: true }));
+    await assertSucceeds(setDoc(doc(as("partner"), month), bump, { merge: true }));
+    await assertFails(deleteDoc(doc(kid, month)));
+    await assertSucceeds(deleteDoc(doc(as("partner"), month)));
+  });
+
+  it("lets the owner hand out admin", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("owner"), ledger("members", "kid")), { role: "admin" })
+    );
+  });
+
+  it("only lets a verified invitee join, with the invited role", async () => {
+    await env.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), "artifacts", APP, "invites", "new@example.com"), {
+        email: "new@example.com",
+        ledgerId: "owner",
+        role: "viewer",
+      })
+    );
+    const member = { role: "viewer", email: "new@example.com" };
+    const path = ledger("members", "newbie");
+
+    const unverified = as("newbie", { email: "new@example.com", email_verified: false });
+    await assertFails(setDoc(doc(unverified, path), member));
+
+    const verified = as("newbie", { email: "new@example.com", email_verified: true });
+    await assertFails(setDoc(doc(verified, path), { ...member, role: "admin" }));
+    await assertSucceeds(setDoc(doc(verified, path), member));
+  });
+});
@@ -0,0 +1,25 @@
+// --- IMPORT SETTINGS ---
+// Keyword rules and saved column mappings for the importer. `settings` is
+// the instance from ./settings.js; the app's lives in ./data.js.
+export const createImporter = (store, settings) => {
+  const profilePath = (uid, id) => ["users", uid, "importProfiles", id];
+
+  return {
+    // Keyword → category rules shared by the importer and quick entry.
+    saveCategoryRules: (uid, rules) => settings.saveSettings(uid, "categoryRules", { rules }),
+
+    saveImportProfile: async (uid, name, mapping) => {
+      const id = store.id();
+      await store.commit([
+        { type: "set", path: profilePath(uid, id), data: { name, mapping, createdAt: Date.now() } },
+      ]);
+      return id;
+    },
+
+    deleteImportProfile: (uid, id) =>
+      store.commit([{ type: "delete", path: profilePath(uid, id) }]),
+
+    subscribeImportProfiles: (uid, onRows, onError) =>
+      store.watch(["users", uid, "importProfiles"], {}, onRows, onError),
+  };
+};
@@ -0,0 +1,467 @@
+import {
+  buildSummaries,
+  contributionOf,
+  countedFields,
+  isCounted,
+  mergeContributions,
+  pendingContributions,
+  totalsFromSummaries,
+  uncounted,
+  withPending,
+} from "../lib/summaries";
+import { purgeBefore, untrashed } from "../lib/trash";
+import { DEBT } from "../lib/debts";
+import { BACKUP_COLLECTIONS } from "../lib/exporter";
+import { auditEntry, auditTime, diffFields } from "../lib/audit";
+
+// --- LEDGER ---
+// Transactions and their month summaries, written through a store from
+// ./store so the same code runs against Firestore, the emulator or memory.
+// Every method takes the ledger id (its owner's uid) first. The app's
+// instance lives in ./data.js.
+
+// Firestore caps a batch at 500 writes; stay comfortably below it.
+export const BATCH_LIMIT = 400;
+
+// Bump when the summary shape changes; ledgers on an older version are
+// rebuilt from their transactions on next sign-in.
+export const SUMMARY_VERSION = 4;
+
+// Pending records folded in per store transaction; each touches at most
+// two months besides itself.
+export const SETTLE_LIMIT = 100;
+
+// Every collection a ledger keeps, for wiping it.
+export const LEDGER_COLLECTIONS = [
+  "transactions",
+  "trash",
+  "summaries",
+  "meta",
+  "audit",
+  ...BACKUP_COLLECTIONS,
+  "members",
+];
+
+// `author` returns the uid stamped on new entries as `createdBy`.
+export const createLedger = (store, { author = () => null } = {}) => {
+  const entryPath = (uid, id) => ["users", uid, "transactions", id];
+  const summaryPath = (uid, month) => ["users", uid, "summaries", month];
+  const metaPath = (uid) => ["users", uid, "meta", "summaries"];
+  const trashPath = (uid, id) => ["users", uid, "trash", id];
+  const auditPath = (uid) => ["users", uid, "audit"];
+
+  const summaryFields = (m, asIncrement) => {
+    const wrap = (v) => (asIncrement ? store.increment(v) : v);
+    const wrapAll = (map) =>
+      Object.fromEntries(Object.entries(map).map(([k, v]) => [k, wrap(v)]));
+    const categories = {};
+    Object.entries(m.categories).forEach(([type, cats]) => {
+      categories[type] = wrapAll(cats);
+    });
+    return {
+      month: m.month,
+      income: wrap(m.income),
+      expense: wrap(m.expense),
+      count: wrap(m.count),
+      categories,
+      accounts: wrapAll(m.accounts),
+      tags: wrapAll(m.tags),
+    };
+  };
+
+  // Summary increments for `contributions`.
+  const summaryWrites = (uid, contributions) =>
+    mergeContributions(contributions).map((m) => ({
+      type: "set",
+      path: summaryPath(uid, m.month),
+      data: summaryFields(m, true),
+      merge: true,
+    }));
+
+  // Records who entered a transaction. Fields that already carry an author
+  // (restored backups) keep it.
+  const authored = (fields) => ({ createdBy: author(), ...fields });
+
+  // The audit entry (see lib/audit.js) for `action` on transaction `t`,
+  // which must carry its id.
+  const auditWrite = (uid, action, t, changes) => ({
+    type: "set",
+    path: [...auditPath(uid), store.id()],
+    data: auditEntry(action, t, { by: author(), at: store.timestamp(), changes }),
+  });
+
+  const withTimes = (entries) => entries.map((e) => ({ ...e, at: auditTime(e.at) }));
+
+  // Commits any number of write descriptors, BATCH_LIMIT at a time. Each
+  // chunk is atomic on its own; the whole list is not.
+  const commitInChunks = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+      await store.commit(writes.slice(i, i + BATCH_LIMIT));
+    }
+  };
+
+  // Records still in the summaries (see lib/summaries.js) take their
+  // totals with them, which only admins may write.
+  const purge = (uid, items) =>
+    commitInChunks([
+      ...items.flatMap((item) => [
+        { type: "delete", path: trashPath(uid, item.id) },
+        auditWrite(uid, "purged", item),
+      ]),
+      ...summaryWrites(
+        uid,
+        items.filter((item) => item.counted).map((item) => contributionOf(item.counted, -1))
+      ),
+    ]);
+
+  const rangeFilters = ({ start, end } = {}) => [
+    ...(start ? [["date", ">=", start]] : []),
+    ...(end ? [["date", "<=", end]] : []),
+  ];
+
+  const fetch = (uid, range) =>
+    store.list(["users", uid, "transactions"], { filters: rangeFilters(range) });
+
+  // Everything dated within `{ start, end }`, live; either end may be left
+  // open.
+  const subscribeRange = (uid, range, onRows, onError) =>
+    store.watch(["users", uid, "transactions"], { filters: rangeFilters(range) }, onRows, onError);
+
+  const pendingOnly = { filters: [["pending", "==", true]] };
+
+  // Records the summaries have yet to take in, live: `onPending` gets the
+  // transactions and the trashed records once both have arrived, and
+  // again after every change.
+  const subscribePending = (uid, onPending, onError) => {
+    let entries = null;
+    let trashed = null;
+    const emit = () => entries && trashed && onPending(entries, trashed);
+    const unsubscribers = [
+      store.watch(
+        ["users", uid, "transactions"],
+        pendingOnly,
+        (rows) => {
+          entries = rows;
+          emit();
+        },
+        onError
+      ),
+      store.watch(
+        ["users", uid, "trash"],
+        pendingOnly,
+        (rows) => {
+          trashed = rows;
+          emit();
+        },
+        onError
+      ),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  };
+
+  // Folds pending records into the month summaries in one store
+  // transaction: what each last counted comes out, what it holds now goes
+  // in, and it is marked as counted. Returns how many were folded.
+  const settle = (uid, ids) =>
+    store.transact(async (tx) => {
+      const found = await Promise.all(
+        ids.map(async (id) => {
+          const entry = await tx.get(entryPath(uid, id));
+          return entry ? { id, entry } : { id, trashed: await tx.get(trashPath(uid, id)) };
+        })
+      );
+      const contributions = [];
+      const marks = [];
+      found.forEach(({ id, entry, trashed }) => {
+        const record = entry || trashed;
+        if (!record?.pending) return;
+        contributions.push(...pendingContributions(record, !entry));
+        marks.push({
+          type: "update",
+          path: entry ? entryPath(uid, id) : trashPath(uid, id),
+          data: { counted: entry ? countedFields(entry) : null, pending: false },
+        });
+      });
+      summaryWrites(uid, contributions).forEach((w) => tx.write(w));
+      marks.forEach((w) => tx.write(w));
+      return marks.length;
+    });
+
+  return {
+    entryPath,
+    trashPath,
+    authored,
+    auditWrite,
+    commitInChunks,
+
+    // Each write below touches the record and the audit log in one batch
+    // and leaves the record pending, for an admin's client to fold into
+    // the month summaries (settlePending). Offline, the promises stay open
+    // until the batch reaches the server; the change is already in the
+    // local cache, so callers need not wait.
+    add: async (uid, fields) => {
+      const id = store.id();
+      await store.commit([
+        { type: "set", path: entryPath(uid, id), data: { ...authored(fields), pending: true } },
+        auditWrite(uid, "created", { id, ...fields }),
+      ]);
+      return id;
+    },
+
+    // Saves that change nothing but bookkeeping leave no audit entry.
+    update: (uid, previous, changes) => {
+      const diff = diffFields(previous, changes);
+      return store.commit([
+        { type: "update", path: entryPath(uid, previous.id), data: { ...changes, pending: true } },
+        ...(diff.length ? [auditWrite(uid, "edited", previous, diff)] : []),
+      ]);
+    },
+
+    // Deleting moves the record to the trash (see lib/trash.js) under the
+    // same id; restoring moves it back. Either way it keeps its `counted`
+    // fields, so settling takes out (or puts back) what the summaries hold.
+    remove: (uid, t) => {
+      const { id, ...fields } = t;
+      return store.commit([
+        { type: "delete", path: entryPath(uid, id) },
+        {
+          type: "set",
+          path: trashPath(uid, id),
+          data: { ...fields, deletedAt: Date.now(), deletedBy: author(), pending: true },
+        },
+        auditWrite(uid, "deleted", t),
+      ]);
+    },
+
+    restore: (uid, item) =>
+      store.commit([
+        { type: "delete", path: trashPath(uid, item.id) },
+        { type: "set", path: entryPath(uid, item.id), data: { ...untrashed(item), pending: true } },
+        auditWrite(uid, "restored", item),
+      ]),
+
+    // Deletes trashed records for good.
+    purge,
+
+    purgeExpired: async (uid, now) => {
+      const expired = await store.list(["users", uid, "trash"], {
+        filters: [["deletedAt", "<", purgeBefore(now)]],
+      });
+      await purge(uid, expired);
+      return expired.length;
+    },
+
+    subscribeTrash: (uid, onRows, onError) =>
+      store.watch(["users", uid, "trash"], { order: ["deletedAt", "desc"] }, onRows, onError),
+
+    // Writes many transactions at once (imports, restores), pending like
+    // any other. Rows with an `id` keep it; the rest get new ids. Whatever
+    // a backup says the summaries held is dropped.
+    bulkAdd: async (uid, rows) => {
+      await commitInChunks(
+        rows.flatMap(({ id: given, ...row }) => {
+          const id = given || store.id();
+          const fields = uncounted(row);
+          return [
+            { type: "set", path: entryPath(uid, id), data: { ...authored(fields), pending: true } },
+            auditWrite(uid, "created", { id, ...fields }),
+          ];
+        })
+      );
+      return rows.length;
+    },
+
+    // Every transaction, optionally limited to a date range — not just the
+    // pages the dashboard happens to have loaded.
+    fetch,
+
+    // The newest `count` transactions, live. `onRows` gets the rows each
+    // time they change.
+    subscribe: (uid, count, onRows, onError) =>
+      store.watch(
+        ["users", uid, "transactions"],
+        { order: ["createdAt", "desc"], max: count },
+        onRows,
+        onError
+      ),
+
+    // Every IOU and repayment, however old, since outstanding balances need
+    // the whole history.
+    subscribeDebts: (uid, onRows, onError) =>
+      store.watch(
+        ["users", uid, "transactions"],
+        { filters: [["type", "==", DEBT]] },
+        onRows,
+        onError
+      ),
+
+    // Every payment linked to a loan (see ../lib/loans).
+    subscribeLoanPayments: (uid, loanId, onRows, onError) =>
+      store.watch(
+        ["users", uid, "transactions"],
+        { filters: [["loanId", "==", loanId]] },
+        onRows,
+        onError
+      ),
+
+    // Every expense marked reimbursable, open or paid back.
+    subscribeReimbursables: (uid, onRows, onError) =>
+      store.watch(
+        ["users", uid, "transactions"],
+        { filters: [["reimbursable", "==", true]] },
+        onRows,
+        onError
+      ),
+
+    subscribeRange,
+
+    // Everything dated on or after `since`, for the cash-flow forecast's
+    // spending averages.
+    subscribeSince: (uid, since, onRows, onError) =>
+      subscribeRange(uid, { start: since }, onRows, onError),
+
+    // Everything entered (by `createdAt`) since `since`, live, whatever its
+    // date.
+    subscribeEnteredSince: (uid, since, onRows, onError) =>
+      store.watch(
+        ["users", uid, "transactions"],
+        { filters: [["createdAt", ">=", since]] },
+        onRows,
+        onError
+      ),
+
+    // Deletes everything stored under the ledger, for closing an account.
+    // Returns how many documents went.
+    wipe: async (uid) => {
+      let count = 0;
+      for (const name of LEDGER_COLLECTIONS) {
+        const rows = await store.list(["users", uid, name]);
+        for (let i = 0; i < rows.length; i += BATCH_LIMIT) {
+          await store.commit(
+            rows
+              .slice(i, i + BATCH_LIMIT)
+              .map((row) => ({ type: "delete", path: ["users", uid, name, row.id] }))
+          );
+        }
+        count += rows.length;
+      }
+      return count;
+    },
+
+    // The newest `count` audit entries across the ledger, live.
+    subscribeActivity: (uid, count, onRows, onError) =>
+      store.watch(
+        auditPath(uid),
+        { order: ["at", "desc"], max: count },
+        (rows) => onRows(withTimes(rows)),
+        onError
+      ),
+
+    // One transaction's audit entries, newest first. Sorted here rather
+    // than in the query, which would need a composite index.
+    subscribeAudit: (uid, transactionId, onRows, onError) =>
+      store.watch(
+        auditPath(uid),
+        { filters: [["transactionId", "==", transactionId]] },
+        (rows) => onRows(withTimes(rows).sort((a, b) => b.at - a.at)),
+        onError
+      ),
+
+    subscribePending,
+
+    // Folds in everything pending, SETTLE_LIMIT records at a time. Admins
+    // only; returns how many records were folded.
+    settlePending: async (uid) => {
+      const [entries, trashed] = await Promise.all([
+        store.list(["users", uid, "transactions"], pendingOnly),
+        store.list(["users", uid, "trash"], pendingOnly),
+      ]);
+      const ids = [...entries, ...trashed].map((r) => r.id);
+      let count = 0;
+      for (let i = 0; i < ids.length; i += SETTLE_LIMIT) {
+        count += await settle(uid, ids.slice(i, i + SETTLE_LIMIT));
+      }
+      return count;
+    },
+
+    // The month summaries with pending changes on top, live.
+    subscribeSummaries: (uid, onRows, onError) => {
+      let months = null;
+      let pending = null;
+      const emit = () => months && pending && onRows(withPending(months, ...pending));
+      const unsubscribers = [
+        store.watch(
+          ["users", uid, "summaries"],
+          {},
+          (rows) => {
+            months = rows;
+            emit();
+          },
+          onError
+        ),
+        subscribePending(
+          uid,
+          (entries, trashed) => {
+            pending = [entries, trashed];
+            emit();
+          },
+          onError
+        ),
+      ];
+      return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    },
+
+    // All-time totals from the month summaries and pending changes.
+    aggregate: async (uid) => {
+      const [months, entries, trashed] = await Promise.all([
+        store.list(["users", uid, "summaries"]),
+        store.list(["users", uid, "transactions"], pendingOnly),
+        store.list(["users", uid, "trash"], pendingOnly),
+      ]);
+      return totalsFromSummaries(withPending(months, entries, trashed));
+    },
+
+    summariesAreCurrent: async (uid) =>
+      (await store.get(metaPath(uid)))?.version === SUMMARY_VERSION,
+
+    // Recomputes all month summaries from the full transaction history
+    // and marks every record as counted, pending or not. Runs once for
+    // ledgers on an older SUMMARY_VERSION, and can be re-run to repair
+    // them.
+    rebuildSummaries: async (uid) => {
+      const [rows, trashed, stale] = await Promise.all([
+        fetch(uid),
+        store.list(["users", uid, "trash"]),
+        store.list(["users", uid, "summaries"]),
+      ]);
+      await commitInChunks([
+        ...rows
+          .filter((t) => !isCounted(t))
+          .map((t) => ({
+            type: "update",
+            path: entryPath(uid, t.id),
+            data: { counted: countedFields(t), pending: false },
+          })),
+        ...trashed
+          .filter((t) => t.counted || t.pending)
+          .map((t) => ({
+            type: "update",
+            path: trashPath(uid, t.id),
+            data: { counted: null, pending: false },
+          })),
+        ...stale.map((s) => ({ type: "delete", path: summaryPath(uid, s.id) })),
+        ...buildSummaries(rows).map((m) => ({
+          type: "set",
+          path: summaryPath(uid, m.month),
+          data: summaryFields(m, false),
+        })),
+        {
+          type: "set",
+          path: metaPath(uid),
+          data: { version: SUMMARY_VERSION, rebuiltAt: store.timestamp() },
+        },
+      ]);
+      return rows.length;
+    },
+  };
+};
@@ -0,0 +1,350 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from "vitest";
+import { initializeApp, deleteApp } from "firebase/app";
+import { getAuth, connectAuthEmulator, createUserWithEmailAndPassword } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { createLedger } from "./ledger";
+import { createMemoryStore } from "./store/memory";
+import { createFirestoreStore } from "./store/firestore";
+
+// The same suite runs on every backend. The emulator one needs
+// `npm run test:emulators`, which starts Firestore and Auth and sets the
+// *_EMULATOR_HOST variables; a plain `npm test` covers memory only.
+
+const memory = async () => {
+  const store = createMemoryStore();
+  return { store, uid: "owner", ledger: createLedger(store, { author: () => "owner" }) };
+};
+
+let app;
+const emulator = async () => {
+  if (!app) {
+    app = initializeApp({ projectId: "demo-ledger", apiKey: "demo-key" }, "ledger-test");
+    connectAuthEmulator(getAuth(app), `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, {
+      disableWarnings: true,
+    });
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(":");
+    connectFirestoreEmulator(getFirestore(app), host, Number(port));
+  }
+  // A fresh account per test, so each one starts with an empty ledger that
+  // firestore.rules lets it write to.
+  const auth = getAuth(app);
+  const email = `ledger-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`;
+  const { user } = await createUserWithEmailAndPassword(auth, email, "secret-password");
+  const store = createFirestoreStore(getFirestore(app), "test-app");
+  return { store, uid: user.uid, ledger: createLedger(store, { author: () => user.uid }) };
+};
+
+afterAll(() => app && deleteApp(app));
+
+const backends = [["memory", memory]];
+if (process.env.FIRESTORE_EMULATOR_HOST) backends.push(["the emulator", emulator]);
+
+const entry = (fields) => ({
+  type: "Debit",
+  category: "Food",
+  amount: 10,
+  date: "2024-03-04",
+  accountId: "bank",
+  note: "",
+  createdAt: Date.now(),
+  ...fields,
+});
+
+describe.each(backends)("ledger on %s", (_, setup) => {
+  let ledger, store, uid;
+  beforeEach(async () => {
+    ({ ledger, store, uid } = await setup());
+  });
+
+  it("keeps the month summary in step with adds", async () => {
+    await ledger.add(uid, entry({ amount: 12.5 }));
+    await ledger.add(uid, entry({ type: "Credit", category: "Salary", amount: 1000 }));
+
+    const stats = await ledger.aggregate(uid);
+    expect(stats).toMatchObject({ totalCredit: 1000, totalDebit: 12.5, savings: 987.5 });
+    expect(stats.byType).toEqual({ Debit: { Food: 12.5 }, Credit: { Salary: 1000 } });
+    expect(stats.accountNet).toEqual({ bank: 987.5 });
+  });
+
+  it("books split lines under their own categories", async () => {
+    const splits = [
+      { category: "Food", subcategory: null, amount: 18 },
+      { category: "Health", subcategory: null, amount: 12 },
+    ];
+    const fields = entry({ category: "Split", amount: 30, splits });
+    const id = await ledger.add(uid, fields);
+    expect((await ledger.aggregate(uid)).byType.Debit).toEqual({ Food: 18, Health: 12 });
+
+    await ledger.update(uid, { id, ...fields }, { splits: null, category: "Food" });
+    expect((await ledger.aggregate(uid)).byType.Debit).toEqual({ Food: 30 });
+  });
+
+  it("keeps IOUs out of income and expense but in the account", async () => {
+    const loan = entry({ type: "Debt", category: "Debt", direction: "lent", person: "Asha", amount: 50 });
+    const id = await ledger.add(uid, loan);
+    await ledger.add(uid, { ...loan, amount: 20, repays: id });
+    await ledger.add(uid, entry({ amount: 5 }));
+
+    const stats = await ledger.aggregate(uid);
+    expect(stats).toMatchObject({ totalCredit: 0, totalDebit: 5 });
+    expect(stats.byType.Debit).toEqual({ Food: 5 });
+    expect(stats.accountNet).toEqual({ bank: -35 });
+
+    const seen = [];
+    const unsubscribe = ledger.subscribeDebts(uid, (rows) => seen.push(rows));
+    await vi.waitFor(() => expect(seen.at(-1)).toHaveLength(2));
+    unsubscribe();
+  });
+
+  it("marks a reimbursable expense paid back without moving the totals", async () => {
+    const fields = entry({ amount: 40, tags: ["office"], reimbursable: true, reimbursedOn: null });
+    const id = await ledger.add(uid, fields);
+    await ledger.add(uid, entry({ amount: 5 }));
+    await ledger.update(uid, { id, ...fields }, { reimbursedOn: "2024-03-20" });
+
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(45);
+    const seen = [];
+    const unsubscribe = ledger.subscribeReimbursables(uid, (rows) => seen.push(rows));
+    await vi.waitFor(() =>
+      expect(seen.at(-1)).toEqual([expect.objectContaining({ id, reimbursedOn: "2024-03-20" })])
+    );
+    unsubscribe();
+  });
+
+  it("watches records from a date onwards", async () => {
+    await ledger.add(uid, entry({ date: "2024-01-31" }));
+    const id = await ledger.add(uid, entry({ date: "2024-02-01" }));
+    const seen = [];
+    const unsubscribe = ledger.subscribeSince(uid, "2024-02-01", (rows) => seen.push(rows));
+    await vi.waitFor(() => expect(seen.at(-1)?.map((t) => t.id)).toEqual([id]));
+    unsubscribe();
+  });
+
+  it("watches records entered since a moment, however old their date", async () => {
+    await ledger.add(uid, entry({ date: "2024-03-01", createdAt: 100 }));
+    const id = await ledger.add(uid, entry({ date: "2020-01-01", createdAt: 200 }));
+    const seen = [];
+    const unsubscribe = ledger.subscribeEnteredSince(uid, 150, (rows) => seen.push(rows));
+    await vi.waitFor(() => expect(seen.at(-1)?.map((t) => t.id)).toEqual([id]));
+    unsubscribe();
+  });
+
+  it("watches records within a date range", async () => {
+    await ledger.add(uid, entry({ date: "2024-01-31" }));
+    const id = await ledger.add(uid, entry({ date: "2024-02-10" }));
+    await ledger.add(uid, entry({ date: "2024-03-01" }));
+    const seen = [];
+    const range = { start: "2024-02-01", end: "2024-02-29" };
+    const unsubscribe = ledger.subscribeRange(uid, range, (rows) => seen.push(rows));
+    await vi.waitFor(() => expect(seen.at(-1)?.map((t) => t.id)).toEqual([id]));
+    unsubscribe();
+  });
+
+  it("watches a single document, null while it is missing", async () => {
+    const path = ["users", uid, "settings", "preferences"];
+    const seen = [];
+    const unsubscribe = store.watchDoc(path, (data) => seen.push(data));
+    await vi.waitFor(() => expect(seen).toEqual([null]));
+    await store.commit([{ type: "set", path, data: { currency: "EUR" } }]);
+    await vi.waitFor(() => expect(seen.at(-1)).toEqual({ currency: "EUR" }));
+    unsubscribe();
+  });
+
+  it("logs every change to a transaction with the fields that moved", async () => {
+    const fields = entry({ amount: 40, note: "lunch" });
+    const id = await ledger.add(uid, fields);
+    await ledger.update(uid, { id, ...fields }, { ...fields, amount: 45, updatedAt: Date.now() });
+    // Saving without a real change leaves nothing behind.
+    await ledger.update(uid, { id, ...fields, amount: 45 }, { note: "lunch", updatedAt: 1 });
+    await ledger.remove(uid, { id, ...fields, amount: 45 });
+    const [trashed] = await store.list(["users", uid, "trash"]);
+    await ledger.restore(uid, trashed);
+
+    const seen = [];
+    const unsubscribe = ledger.subscribeAudit(uid, id, (rows) => seen.push(rows));
+    await vi.waitFor(() => expect(seen.at(-1)).toHaveLength(4));
+    unsubscribe();
+    const entries = seen.at(-1);
+    expect(new Set(entries.map((e) => e.action))).toEqual(
+      new Set(["created", "edited", "deleted", "restored"])
+    );
+    expect(entries.every((e) => typeof e.at === "number")).toBe(true);
+    const edit = entries.find((e) => e.action === "edited");
+    expect(edit).toMatchObject({ by: uid, label: { category: "Food", amount: 40 } });
+    expect(edit.changes).toEqual([{ field: "amount", before: 40, after: 45 }]);
+
+    const feed = [];
+    const stop = ledger.subscribeActivity(uid, 2, (rows) => feed.push(rows));
+    await vi.waitFor(() => expect(feed.at(-1)).toHaveLength(2));
+    stop();
+  });
+
+  it("stamps the author on new entries", async () => {
+    const id = await ledger.add(uid, entry());
+    expect(await store.get(ledger.entryPath(uid, id))).toMatchObject({ createdBy: uid });
+  });
+
+  it("moves an edited amount between months and categories", async () => {
+    const fields = entry({ amount: 40 });
+    const id = await ledger.add(uid, fields);
+    await ledger.settlePending(uid);
+    const counted = await store.get(ledger.entryPath(uid, id));
+    await ledger.update(uid, { id, ...counted }, { amount: 25, category: "Fuel", date: "2024-04-01" });
+    expect(await ledger.settlePending(uid)).toBe(1);
+
+    const months = await store.list(["users", uid, "summaries"]);
+    const march = months.find((m) => m.id === "2024-03");
+    const april = months.find((m) => m.id === "2024-04");
+    expect(march).toMatchObject({ expense: 0, count: 0, categories: { Debit: { Food: 0 } } });
+    expect(april).toMatchObject({ expense: 25, count: 1, categories: { Debit: { Fuel: 25 } } });
+  });
+
+  it("leaves changes pending until they are settled, counting them meanwhile", async () => {
+    const id = await ledger.add(uid, entry({ amount: 30 }));
+    expect(await store.list(["users", uid, "summaries"])).toEqual([]);
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(30);
+
+    expect(await ledger.settlePending(uid)).toBe(1);
+    const settled = await store.get(ledger.entryPath(uid, id));
+    expect(settled).toMatchObject({ pending: false, counted: { amount: 30, category: "Food" } });
+    expect(await ledger.settlePending(uid)).toBe(0);
+
+    await ledger.update(uid, { id, ...settled }, { amount: 12 });
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(12);
+    const [month] = await store.list(["users", uid, "summaries"]);
+    expect(month.expense).toBe(30);
+
+    await ledger.remove(uid, { id, ...(await store.get(ledger.entryPath(uid, id))) });
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(0);
+    expect(await ledger.settlePending(uid)).toBe(1);
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(0);
+    expect(await store.get(["users", uid, "trash", id])).toMatchObject({
+      pending: false,
+      counted: null,
+    });
+  });
+
+  it("watches summaries with pending changes on top", async () => {
+    await ledger.add(uid, entry({ amount: 4 }));
+    await ledger.settlePending(uid);
+    await ledger.add(uid, entry({ amount: 6, date: "2024-05-02" }));
+    const seen = [];
+    const unsubscribe = ledger.subscribeSummaries(uid, (rows) => seen.push(rows));
+    await vi.waitFor(() =>
+      expect(Object.fromEntries(seen.at(-1).map((m) => [m.month, m.expense]))).toEqual({
+        "2024-03": 4,
+        "2024-05": 6,
+      })
+    );
+    unsubscribe();
+  });
+
+  it("takes a purged record's totals out if they were still counted", async () => {
+    const id = await ledger.add(uid, entry({ amount: 9 }));
+    await ledger.settlePending(uid);
+    await ledger.remove(uid, { id, ...(await store.get(ledger.entryPath(uid, id))) });
+    await ledger.purge(uid, await store.list(["users", uid, "trash"]));
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(0);
+    expect(await ledger.settlePending(uid)).toBe(0);
+  });
+
+  it("moves a deleted entry to the trash and out of the totals", async () => {
+    const fields = entry();
+    const id = await ledger.add(uid, fields);
+    await ledger.remove(uid, { id, ...fields });
+
+    expect(await store.get(ledger.entryPath(uid, id))).toBeNull();
+    expect(await store.get(["users", uid, "trash", id])).toMatchObject({
+      amount: 10,
+      deletedBy: uid,
+    });
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(0);
+  });
+
+  it("restores a trashed entry with its totals", async () => {
+    const id = await ledger.add(uid, entry({ amount: 8 }));
+    await ledger.remove(uid, { id, ...(await store.get(ledger.entryPath(uid, id))) });
+    const [trashed] = await store.list(["users", uid, "trash"]);
+    await ledger.restore(uid, trashed);
+
+    const restored = await store.get(ledger.entryPath(uid, id));
+    expect(restored).toMatchObject({ amount: 8, createdBy: uid });
+    expect(restored).not.toHaveProperty("deletedAt");
+    expect(await store.list(["users", uid, "trash"])).toEqual([]);
+    expect((await ledger.aggregate(uid)).totalDebit).toBe(8);
+  });
+
+  it("purges only what has been in the trash long enough", async () => {
+    const fields = entry();
+    const id = await ledger.add(uid, fields);
+    await ledger.remove(uid, { id, ...fields });
+
+    expect(await ledger.purgeExpired(uid, Date.now())).toBe(0);
+    const later = Date.now() + 31 * 86400000;
+    expect(await ledger.purgeExpired(uid, later)).toBe(1);
+    expect(await store.list(["users", uid, "trash"])).toEqual([]);
+  });
+
+  it("bulk-adds rows, keeping the ids they bring", async () => {
+    const rows = [
+      entry({ id: "kept", amount: 5 }),
+      entry({ amount: 7, date: "2024-05-09" }),
+      entry({ type: "Transfer", category: "Transfer", amount: 50, toAccountId: "cash" }),
+    ];
+    expect(await ledger.bulkAdd(uid, rows)).toBe(3);
+
+    expect(await store.get(ledger.entryPath(uid, "kept"))).toMatchObject({ amount: 5 });
+    const stats = await ledger.aggregate(uid);
+    expect(stats.totalDebit).toBe(12);
+    expect(stats.accountNet).toEqual({ bank: -62, cash: 50 });
+  });
+
+  it("fetches a date range", async () => {
+    await ledger.bulkAdd(uid, [
+      entry({ date: "2024-01-31" }),
+      entry({ date: "2024-02-01" }),
+      entry({ date: "2024-02-29" }),
+      entry({ date: "2024-03-01" }),
+    ]);
+    const rows = await ledger.fetch(uid, { start: "2024-02-01", end: "2024-02-29" });
+    expect(rows.map((t) => t.date).sort()).toEqual(["2024-02-01", "2024-02-29"]);
+  });
+
+  it("streams the newest page as entries arrive", async () => {
+    const seen = [];
+    const unsubscribe = ledger.subscribe(uid, 2, (rows) => seen.push(rows));
+    for (const note of ["a", "b", "c"]) {
+      await ledger.add(uid, entry({ note, createdAt: Date.now() + note.charCodeAt(0) }));
+    }
+    await vi.waitFor(() => expect(seen.at(-1).map((t) => t.note)).toEqual(["c", "b"]));
+    unsubscribe();
+  });
+
+  it("wipes every collection of the ledger", async () => {
+    const id = await ledger.add(uid, entry());
+    await ledger.remove(uid, { id, ...entry() });
+    await ledger.add(uid, entry({ amount: 7 }));
+    await store.commit([
+      { type: "set", path: ["users", uid, "categories", "food"], data: { name: "Food" } },
+    ]);
+
+    expect(await ledger.wipe(uid)).toBeGreaterThanOrEqual(4);
+    for (const name of ["transactions", "trash", "summaries", "categories"]) {
+      expect(await store.list(["users", uid, name])).toEqual([]);
+    }
+  });
+
+  it("rebuilds summaries that match the incremental ones", async () => {
+    await ledger.bulkAdd(uid, [
+      entry({ amount: 3 }),
+      entry({ type: "Credit", category: "Gift", amount: 20, date: "2024-06-01" }),
+    ]);
+    const before = await ledger.aggregate(uid);
+    expect(await ledger.summariesAreCurrent(uid)).toBe(false);
+
+    expect(await ledger.rebuildSummaries(uid)).toBe(2);
+    expect(await ledger.summariesAreCurrent(uid)).toBe(true);
+    expect(await ledger.aggregate(uid)).toEqual(before);
+    expect(await ledger.settlePending(uid)).toBe(0);
+  });
+});
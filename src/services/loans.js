@@ -0,0 +1,47 @@
+import { installmentFields, prepaymentFields } from "../lib/loans";
+
+// --- LOANS ---
+// Loans and the EMIs paid towards them; payments are ordinary
+// transactions added through `ledger`. The app's instance lives in
+// ./data.js.
+export const createLoans = (store, ledger) => {
+  const loanPath = (uid, id) => ["users", uid, "loans", id];
+
+  const subscribeLoans = (uid, onRows, onError) =>
+    store.watch(["users", uid, "loans"], {}, onRows, onError);
+
+  const createLoan = async (uid, fields) => {
+    const id = store.id();
+    await store.commit([
+      { type: "set", path: loanPath(uid, id), data: { ...fields, createdAt: Date.now() } },
+    ]);
+    return id;
+  };
+
+  const updateLoan = (uid, id, changes) =>
+    store.commit([{ type: "update", path: loanPath(uid, id), data: changes }]);
+
+  // Payments already recorded stay as ordinary transactions; they just stop
+  // pointing at a loan that exists.
+  const deleteLoan = (uid, id) => store.commit([{ type: "delete", path: loanPath(uid, id) }]);
+
+  const payInstallment = (uid, loan, row, date) =>
+    ledger.add(uid, { ...installmentFields(loan, row, date), createdAt: Date.now() });
+
+  const recordPrepayment = (uid, loan, prepayment) =>
+    ledger.add(uid, { ...prepaymentFields(loan, prepayment), createdAt: Date.now() });
+
+  // Ties an EMI that was entered by hand to its installment.
+  const linkInstallment = (uid, t, loan, row) =>
+    ledger.update(uid, t, { loanId: loan.id, installment: row.n, updatedAt: Date.now() });
+
+  return {
+    subscribeLoans,
+    createLoan,
+    updateLoan,
+    deleteLoan,
+    payInstallment,
+    recordPrepayment,
+    linkInstallment,
+  };
+};
@@ -0,0 +1,98 @@
+import { dueOccurrences, occurrenceId } from "../lib/recurring";
+import { parseISODate } from "../lib/reports";
+
+// --- RECURRING ---
+// Templates for entries that repeat, and the generation of whatever
+// occurrences are due. `ledger` is the instance from ./ledger.js written
+// through the same store; the app's lives in ./data.js.
+
+const occurrenceFields = (template, date) => ({
+  type: template.type,
+  category: template.category,
+  subcategory: template.subcategory || null,
+  amount: Number(template.amount),
+  accountId: template.accountId || null,
+  date,
+  note: template.note || "",
+  payee: template.payee || "",
+  recurringId: template.id,
+  // Backfilled entries sort by the day they belong to, not by today.
+  createdAt: parseISODate(date).getTime(),
+});
+
+export const createRecurring = (store, ledger) => {
+  const templatePath = (uid, id) => ["users", uid, "recurring", id];
+
+  const createTemplate = async (uid, fields) => {
+    const id = store.id();
+    await store.commit([
+      {
+        type: "set",
+        path: templatePath(uid, id),
+        data: {
+          paused: false,
+          endDate: null,
+          lastGenerated: null,
+          ...fields,
+          createdAt: Date.now(),
+        },
+      },
+    ]);
+    return id;
+  };
+
+  const updateTemplate = (uid, id, changes) =>
+    store.commit([{ type: "update", path: templatePath(uid, id), data: changes }]);
+
+  // Creates every missed occurrence of one template and advances its
+  // `lastGenerated` marker, all in one store transaction. Occurrence ids
+  // are deterministic and checked first, so re-running never duplicates.
+  const generateForTemplate = (uid, template, today) =>
+    store.transact(async (tx) => {
+      const path = templatePath(uid, template.id);
+      const fresh = await tx.get(path);
+      if (!fresh) return 0;
+      const current = { id: template.id, ...fresh };
+      const dates = dueOccurrences(current, today);
+      if (dates.length === 0) return 0;
+
+      const paths = dates.map((date) =>
+        ledger.entryPath(uid, occurrenceId(template.id, date))
+      );
+      const existing = await Promise.all(paths.map((path) => tx.get(path)));
+
+      let created = 0;
+      existing.forEach((data, i) => {
+        if (data) return;
+        const fields = occurrenceFields(current, dates[i]);
+        tx.write({
+          type: "set",
+          path: paths[i],
+          data: { ...ledger.authored(fields), pending: true },
+        });
+        tx.write(ledger.auditWrite(uid, "created", { id: paths[i].at(-1), ...fields }));
+        created += 1;
+      });
+      tx.write({
+        type: "update",
+        path,
+        data: { lastGenerated: dates[dates.length - 1] },
+      });
+      return created;
+    });
+
+  // Runs generation for all templates; returns how many transactions were made.
+  const generateDueTransactions = async (uid, templates, today) => {
+    let total = 0;
+    for (const template of templates) {
+      if (dueOccurrences(template, today).length === 0) continue;
+      total += await generateForTemplate(uid, template, today);
+    }
+    return total;
+  };
+
+  const subscribeTemplates = (uid, onRows, onError) =>
+    store.watch(["users", uid, "recurring"], {}, onRows, onError);
+
+  return { createTemplate, updateTemplate, generateDueTransactions, subscribeTemplates };
+};
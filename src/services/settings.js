@@ -0,0 +1,33 @@
+// --- SETTINGS ---
+// Small per-ledger documents under settings/: preferences, exchangeRates,
+// categoryRules, historyPresets. The app's instance lives in ./data.js.
+export const createSettings = (store) => {
+  const settingsPath = (uid, name) => ["users", uid, "settings", name];
+
+  return {
+    // Writes merge so unrelated fields are left alone.
+    saveSettings: (uid, name, fields) =>
+      store.commit([
+        {
+          type: "set",
+          path: settingsPath(uid, name),
+          data: { ...fields, updatedAt: Date.now() },
+          merge: true,
+        },
+      ]),
+
+    // The rate table is replaced whole so removed currencies really go away.
+    saveExchangeRates: (uid, rates) =>
+      store.commit([
+        {
+          type: "set",
+          path: settingsPath(uid, "exchangeRates"),
+          data: { rates, updatedAt: Date.now() },
+        },
+      ]),
+
+    // One settings document, live; `onData` gets null while it doesn't exist.
+    subscribeSettings: (uid, name, onData, onError) =>
+      store.watchDoc(settingsPath(uid, name), onData, onError),
+  };
+};
@@ -0,0 +1,100 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  waitForPendingWrites,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+
+// --- FIRESTORE STORE ---
+// The store shape the ledger is written against (see ./memory.js for the
+// in-memory one). Paths are arrays relative to artifacts/{appId}: an odd
+// length names a collection, an even one a document. Writes are plain
+// descriptors — { type: "set" | "update" | "delete", path, data, merge } —
+// so callers never touch SDK references.
+//
+// `db` may be connected to the emulator; `track` sees every batch commit
+// and transaction.
+export const createFirestoreStore = (db, appId, { track = (commit) => commit } = {}) => {
+  const ref = (path) =>
+    path.length % 2
+      ? collection(db, "artifacts", appId, ...path)
+      : doc(db, "artifacts", appId, ...path);
+
+  const toQuery = (path, { filters = [], order, max } = {}) =>
+    query(
+      ref(path),
+      ...filters.map(([field, op, value]) => where(field, op, value)),
+      ...(order ? [orderBy(...order)] : []),
+      ...(max ? [limit(max)] : [])
+    );
+
+  const rows = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const apply = (target, w) => {
+    if (w.type === "set") {
+      target.set(ref(w.path), w.data, { merge: !!w.merge });
+    } else if (w.type === "update") {
+      target.update(ref(w.path), w.data);
+    } else {
+      target.delete(ref(w.path));
+    }
+  };
+
+  return {
+    id: () => doc(collection(db, "artifacts")).id,
+    increment,
+    timestamp: serverTimestamp,
+
+    get: async (path) => {
+      const snap = await getDoc(ref(path));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    list: async (path, options) => rows(await getDocs(toQuery(path, options))),
+
+    watch: (path, options, onRows, onError) =>
+      onSnapshot(toQuery(path, options), (snap) => onRows(rows(snap)), onError),
+
+    // One document, live; `onData` gets null while it doesn't exist.
+    watchDoc: (path, onData, onError) =>
+      onSnapshot(ref(path), (snap) => onData(snap.exists() ? snap.data() : null), onError),
+
+    commit: (writes) => {
+      const batch = writeBatch(db);
+      writes.forEach((w) => apply(batch, w));
+      return track(batch.commit());
+    },
+
+    // Settles once every write queued for the signed-in user has reached
+    // the server, including writes left in the persistent cache by an
+    // earlier session that went offline; `track` counts it as pending until
+    // then.
+    whenSynced: () => track(waitForPendingWrites(db)),
+
+    // Runs `fn` in a Firestore transaction: reads through `tx.get`, writes
+    // through `tx.write`, retried by the SDK on contention.
+    // Transactions need the server, so offline they fail rather than queue.
+    transact: (fn) =>
+      track(
+        runTransaction(db, (t) =>
+          fn({
+            get: async (path) => {
+              const snap = await t.get(ref(path));
+              return snap.exists() ? snap.data() : null;
+            },
+            write: (w) => apply(t, w),
+          })
+        )
+      ),
+  };
+};
@@ -0,0 +1,158 @@
+// --- MEMORY STORE ---
+// The same shape as ./firestore.js, kept in a Map. Used by the tests and
+// anywhere a throwaway ledger is wanted; nothing is persisted. Follows the
+// Firestore behaviour the app relies on: merged sets deep-merge maps,
+// increments add to whatever is stored, updates need an existing document
+// and replace whole fields, ordering drops documents without the field, and
+// a batch applies all or nothing.
+
+const INCREMENT = Symbol("increment");
+const TIMESTAMP = Symbol("timestamp");
+
+const COMPARE = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  in: (a, b) => b.includes(a),
+  "array-contains": (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+const isMap = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) &&
+  !(INCREMENT in v) && !(TIMESTAMP in v);
+
+// Turns sentinels into values, relative to what is already stored.
+const resolve = (value, current) => {
+  if (value && typeof value === "object" && INCREMENT in value) {
+    return (typeof current === "number" ? current : 0) + value[INCREMENT];
+  }
+  if (value && typeof value === "object" && TIMESTAMP in value) return new Date();
+  if (isMap(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, resolve(v, undefined)])
+    );
+  }
+  return value;
+};
+
+const merge = (current, data) => {
+  const out = isMap(current) ? { ...current } : {};
+  Object.entries(data).forEach(([k, v]) => {
+    out[k] = isMap(v) && isMap(out[k]) ? merge(out[k], v) : resolve(v, out[k]);
+  });
+  return out;
+};
+
+// Updates replace whole fields, maps included.
+const assign = (current, data) => {
+  const out = { ...current };
+  Object.entries(data).forEach(([k, v]) => {
+    out[k] = resolve(v, out[k]);
+  });
+  return out;
+};
+
+const key = (path) => path.join("/");
+const parentKey = (docKey) => docKey.slice(0, docKey.lastIndexOf("/"));
+
+export const createMemoryStore = (initial = {}) => {
+  // Document key ("users/u1/transactions/t1") → data.
+  let docs = new Map(Object.entries(initial));
+  const watchers = new Set();
+  let nextId = 0;
+
+  const readNow = (path) => {
+    const data = docs.get(key(path));
+    return data === undefined ? null : structuredClone(data);
+  };
+  const read = async (path) => readNow(path);
+
+  const list = (path, { filters = [], order, max } = {}) => {
+    const prefix = `${key(path)}/`;
+    let rows = [...docs.entries()]
+      .filter(([k]) => k.startsWith(prefix) && !k.slice(prefix.length).includes("/"))
+      .map(([k, data]) => ({ id: k.slice(prefix.length), ...structuredClone(data) }))
+      .filter((row) =>
+        filters.every(
+          ([field, op, value]) => row[field] !== undefined && COMPARE[op](row[field], value)
+        )
+      );
+    if (order) {
+      const [field, dir = "asc"] = order;
+      const sign = dir === "desc" ? -1 : 1;
+      rows = rows
+        .filter((row) => row[field] !== undefined)
+        .sort((a, b) => (a[field] < b[field] ? -sign : a[field] > b[field] ? sign : 0));
+    }
+    return max ? rows.slice(0, max) : rows;
+  };
+
+  // A watcher hears about every commit to the collection `key`.
+  const notify = (changed) => {
+    watchers.forEach((w) => {
+      if (changed.has(w.key)) w.emit();
+    });
+  };
+
+  const addWatcher = (watcher) => {
+    watchers.add(watcher);
+    queueMicrotask(() => watchers.has(watcher) && watcher.emit());
+    return () => watchers.delete(watcher);
+  };
+
+  const applyAll = (writes) => {
+    const next = new Map(docs);
+    writes.forEach((w) => {
+      const k = key(w.path);
+      if (w.type === "set") {
+        next.set(k, merge(w.merge ? next.get(k) : undefined, w.data));
+      } else if (w.type === "update") {
+        if (!next.has(k)) throw new Error(`No document to update: ${k}`);
+        next.set(k, assign(next.get(k), w.data));
+      } else {
+        next.delete(k);
+      }
+    });
+    docs = next;
+    notify(new Set(writes.map((w) => parentKey(key(w.path)))));
+  };
+
+  return {
+    id: () => `mem${String(++nextId).padStart(6, "0")}`,
+    increment: (n) => ({ [INCREMENT]: n }),
+    timestamp: () => ({ [TIMESTAMP]: true }),
+
+    get: read,
+
+    list: async (path, options) => list(path, options),
+
+    // Like onSnapshot: the current rows now, then again after every commit
+    // that touches the collection.
+    watch: (path, options, onRows) =>
+      addWatcher({ key: key(path), emit: () => onRows(list(path, options)) }),
+
+    watchDoc: (path, onData) =>
+      addWatcher({ key: parentKey(key(path)), emit: () => onData(readNow(path)) }),
+
+    commit: async (writes) => applyAll(writes),
+
+    // Nothing is ever queued.
+    whenSynced: async () => {},
+
+    transact: async (fn) => {
+      const writes = [];
+      const result = await fn({
+        get: read,
+        write: (w) => writes.push(w),
+      });
+      applyAll(writes);
+      return result;
+    },
+
+    // Everything stored, keyed by document path; for tests.
+    dump: () => Object.fromEntries([...docs.entries()].map(([k, v]) => [k, structuredClone(v)])),
+  };
+};
@@ -0,0 +1,57 @@
+// --- SYNC STATUS ---
+// Firestore applies writes to its local cache straight away and resolves
+// the commit only once the server has them, so a commit that is still open
+// is a change waiting to sync. Writes are counted here (every batch and
+// transaction of the app's store, see ./data.js) and listeners get
+// { online, pending, error } whenever any of it changes.
+// Writes a previous session queued offline are only in Firestore's cache;
+// the store's `whenSynced` counts them as one pending entry after a reload.
+
+const listeners = new Set();
+let pending = 0;
+let error = null;
+
+export const getSyncStatus = () => ({
+  online: navigator.onLine,
+  pending,
+  error,
+});
+
+const emit = () => {
+  const status = getSyncStatus();
+  listeners.forEach((listener) => listener(status));
+};
+
+window.addEventListener("online", emit);
+window.addEventListener("offline", emit);
+
+// Counts `promise` as pending until it settles and returns it unchanged. A
+// failure is kept as the current error until a later write succeeds.
+export const trackWrite = (promise) => {
+  pending += 1;
+  emit();
+  promise
+    .then(
+      () => {
+        error = null;
+      },
+      (err) => {
+        error = err;
+      }
+    )
+    .finally(() => {
+      pending -= 1;
+      emit();
+    });
+  return promise;
+};
+
+export const clearSyncError = () => {
+  error = null;
+  emit();
+};
+
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,65 @@
+// --- SERVICE WORKER ---
+// Serves the app shell from a cache so the app starts with no connection.
+// The build replaces BUILD and PRECACHE (see vite.config.js). Data is not
+// handled here: Firestore keeps its own offline cache, so only same-origin
+// requests are answered.
+
+const BUILD = "__BUILD__";
+const PRECACHE = ["__PRECACHE__"];
+const CACHE = `shell-${BUILD}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Old shells are dropped once the new one is in place.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("shell-") && key !== CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Pages go to the network first so a deploy shows up on the next load,
+  // and fall back to the cached shell offline.
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // Built files have content hashes in their names, so a cached copy is
+  // always current.
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
@@ -1,7 +1,27 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Files from public/ that the offline shell needs besides the bundle.
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/logo.png', '/icon-192.png', '/icon-512.png']
+
+// Emits sw.js with every built file listed for precaching. Build-only: the
+// dev server's modules change on every edit and are never cached.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = [...new Set([...SHELL_FILES, ...Object.keys(bundle).map((f) => `/${f}`)])]
+    const build = createHash('sha1').update(files.join()).digest('hex').slice(0, 10)
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      .replace('"__BUILD__"', JSON.stringify(build))
+      .replace('["__PRECACHE__"]', JSON.stringify(files))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })